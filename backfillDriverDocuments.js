@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Driver = require('./model/driver');
+const { DOCUMENT_TYPES } = require('./services/driverDocumentService');
+
+dotenv.config();
+
+// One-off: drivers onboarded before document tracking only have the
+// *Verified flags. Mark their documents verified so they can still go
+// online. Expiry dates stay unknown until the driver re-submits DL and RC.
+const backfillDriverDocuments = async () => {
+    try {
+        await mongoose.connect(process.env.MONGO_URL);
+        console.log('Connected to Database');
+
+        const now = new Date();
+        const $set = { documentsVerified: true };
+        const legacy = { documentsVerified: { $ne: true } };
+        for (const [type, { flag }] of Object.entries(DOCUMENT_TYPES)) {
+            legacy[flag] = true;
+            legacy[`documents.${type}.status`] = { $in: [null, 'not_submitted'] };
+            $set[`documents.${type}.status`] = 'verified';
+            $set[`documents.${type}.verifiedAt`] = now;
+            $set[`documents.${type}.message`] = 'Verified before document tracking';
+        }
+
+        const result = await Driver.updateMany(legacy, { $set });
+
+        console.log(`Backfilled documents for ${result.modifiedCount} drivers`);
+        process.exit(0);
+    } catch (error) {
+        console.error('Error:', error);
+        process.exit(1);
+    }
+};
+
+backfillDriverDocuments();
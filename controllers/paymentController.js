@@ -1,25 +1,13 @@
-const Razorpay = require('razorpay');
 const crypto = require('crypto');
 const Order = require('../model/order');
-const Setting = require('../model/setting');
+const PaymentWebhookEvent = require('../model/paymentWebhookEvent');
 const assignmentEngine = require('../services/driverAssignment');
-
-// Lazy Razorpay initialization (prevents crash if keys missing)
-let razorpay = null;
-
-function getRazorpay() {
-    if (!razorpay) {
-        const keyId = process.env.RAZORPAY_KEY_ID;
-        const keySecret = process.env.RAZORPAY_KEY_SECRET;
-
-        if (!keyId || !keySecret || keyId.includes('YOUR_KEY')) {
-            throw new Error('Razorpay keys not configured. Add RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET to .env');
-        }
-
-        razorpay = new Razorpay({ key_id: keyId, key_secret: keySecret });
-    }
-    return razorpay;
-}
+const { splitOrder } = require('../services/orderSplitter');
+const { buildQuote } = require('../services/pricingService');
+const { saveNewOrder } = require('../services/checkoutService');
+const { notifySuppliers, markOrderPaid, recordPaymentFailure, markOrderFailed } = require('../services/paymentService');
+const { getRazorpay } = require('../services/razorpayService');
+const { applyGatewayRefundStatus } = require('../services/refundService');
 
 /**
  * Initiate Order - Create order in DB and Razorpay
@@ -30,41 +18,9 @@ const initiateOrder = async (req, res) => {
         const { items: rawItems, shippingAddress, paymentMethod, couponCode } = req.body;
         const userID = req.user.id;
 
-        // Sanitize items — remove undefined fields to avoid Mongoose validation errors
-        const items = (rawItems || []).map(item => {
-            const clean = {
-                productID: item.productID,
-                productName: item.productName,
-                quantity: item.quantity,
-                price: item.price,
-                variant: item.variant,
-                packagingCharge: item.packagingCharge || 0,
-            };
-            if (item.supplierId) clean.supplierId = item.supplierId;
-            return clean;
-        });
-
-        // Calculate total on server (never trust client)
-        let subtotal = 0;
-        let totalPackagingCharge = 0;
-        for (const item of items) {
-            subtotal += item.price * item.quantity;
-            totalPackagingCharge += item.packagingCharge * item.quantity;
-        }
-
-        // Apply discount if coupon exists (TODO: validate coupon)
-        const discount = 0;
-
-        // Dynamic charges from settings
-        const settings = await Setting.findOne() || {};
-        const shippingCharge = req.body.deliveryCharge ?? 0;
-        const razorpayFeePercent = settings.razorpayFeePercent ?? 2;
-        // Convenience fee = Razorpay fee (2%) + 18% GST on that fee
-        const baseAmount = subtotal + shippingCharge + totalPackagingCharge;
-        const razorpayCharge = baseAmount * razorpayFeePercent / 100;
-        const gstOnRazorpay = razorpayCharge * 18 / 100;
-        const convenienceFee = Math.round(razorpayCharge + gstOnRazorpay);
-        const total = subtotal - discount + shippingCharge + convenienceFee + totalPackagingCharge;
+        // Prices, delivery and coupon discount are all computed on the server (never trust client)
+        const quote = await buildQuote({ items: rawItems, shippingAddress, couponCode, userId: userID });
+        const { items, subtotal, discount, shippingCharge, handlingCharge, packagingCharge, convenienceFee, total } = quote;
 
         // Create order in database with status 'created'
         const order = new Order({
@@ -73,33 +29,25 @@ const initiateOrder = async (req, res) => {
             totalPrice: total,
             shippingAddress,
             paymentMethod: paymentMethod === 'cod' ? 'cod' : 'prepaid',
-            couponCode,
-            orderStatus: 'pending',
-            paymentStatus: 'created',
+            couponCode: couponCode || undefined,
+            orderStatus: 'pending', // Wait for supplier to accept
+            paymentStatus: paymentMethod === 'cod' ? 'pending' : 'created', // COD is paid on delivery
             shippingCharge,
+            handlingCharge,
             convenienceFee,
-            orderTotal: { subtotal, discount, shippingCharge, convenienceFee, packagingCharge: totalPackagingCharge, total }
+            orderTotal: { subtotal, discount, shippingCharge, handlingCharge, convenienceFee, packagingCharge, total }
         });
-        await order.save();
+        // Online payments hold stock until paid; COD takes it now
+        await saveNewOrder(order, { awaitingPayment: paymentMethod !== 'cod' });
+
+        // One fulfilment sub-order per supplier when the cart spans several
+        await splitOrder(order, { shippingCharges: quote.shippingCharges });
 
         // If COD, no Razorpay needed
         if (paymentMethod === 'cod') {
-            order.paymentStatus = 'pending'; // Will be paid on delivery
-            order.orderStatus = 'pending'; // Wait for supplier to accept
-            await order.save();
-
             // Notify supplier via socket (Zomato flow: supplier accepts first)
             try {
-                const populatedOrder = await Order.findById(order._id)
-                    .populate('userID', 'name email phone')
-                    .populate('items.productID', 'name primaryImage images');
-                const supplierIds = [...new Set(order.items.map(i => i.supplierId?.toString()).filter(Boolean))];
-                const io = req.app.get('io');
-                if (io) {
-                    for (const sid of supplierIds) {
-                        io.to(`supplier_${sid}`).emit('new_supplier_order', populatedOrder.toObject());
-                    }
-                }
+                await notifySuppliers(req.app.get('io'), order);
             } catch (err) {
                 console.error('Error notifying supplier for COD:', err);
             }
@@ -141,7 +89,7 @@ const initiateOrder = async (req, res) => {
         });
     } catch (error) {
         console.error('Initiate order error:', error);
-        res.status(500).json({ success: false, message: error.message });
+        res.status(error.statusCode || 500).json({ success: false, message: error.message });
     }
 };
 
@@ -153,9 +101,9 @@ const verifyPayment = async (req, res) => {
     try {
         const { orderId, razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
 
-        // Find order
+        // Find order; someone else's order is treated as not found
         const order = await Order.findById(orderId);
-        if (!order) {
+        if (!order || order.userID.toString() !== req.user.id) {
             return res.status(404).json({ success: false, message: 'Order not found' });
         }
 
@@ -166,32 +114,15 @@ const verifyPayment = async (req, res) => {
             .update(body)
             .digest('hex');
 
-        const isValid = expectedSignature === razorpay_signature;
+        // The signature must also be for this order's Razorpay order, not any other payment
+        const isValid = expectedSignature === razorpay_signature && order.razorpayOrderId === razorpay_order_id;
 
         if (isValid) {
-            // Payment verified - Update order
-            order.paymentStatus = 'paid';
-            order.razorpayPaymentId = razorpay_payment_id;
-            order.razorpaySignature = razorpay_signature;
-            order.orderStatus = 'pending'; // Wait for supplier to accept
-            order.deliveryStatus = 'PENDING';
-            await order.save();
-
-            // Notify supplier via socket (Zomato flow)
-            try {
-                const populatedOrder = await Order.findById(order._id)
-                    .populate('userID', 'name email phone')
-                    .populate('items.productID', 'name primaryImage images');
-                const supplierIds = [...new Set(order.items.map(i => i.supplierId?.toString()).filter(Boolean))];
-                const io = req.app.get('io');
-                if (io) {
-                    for (const sid of supplierIds) {
-                        io.to(`supplier_${sid}`).emit('new_supplier_order', populatedOrder.toObject());
-                    }
-                }
-            } catch (e) {
-                console.error('Supplier notification failed:', e.message);
-            }
+            // Payment verified - Update order (no-op if the webhook got here first)
+            await markOrderPaid(order._id, {
+                razorpayPaymentId: razorpay_payment_id,
+                razorpaySignature: razorpay_signature
+            }, req.app.get('io'));
 
             res.json({
                 success: true,
@@ -200,8 +131,7 @@ const verifyPayment = async (req, res) => {
             });
         } else {
             // Signature mismatch - possible fraud attempt
-            order.paymentStatus = 'failed';
-            await order.save();
+            await markOrderFailed(order._id);
 
             res.status(400).json({
                 success: false,
@@ -222,39 +152,9 @@ const placeCodOrder = async (req, res) => {
         const { items: rawItems, shippingAddress, couponCode } = req.body;
         const userID = req.user.id;
 
-        // Sanitize items — remove undefined fields
-        const items = (rawItems || []).map(item => {
-            const clean = {
-                productID: item.productID,
-                productName: item.productName,
-                quantity: item.quantity,
-                price: item.price,
-                variant: item.variant,
-                packagingCharge: item.packagingCharge || 0,
-            };
-            if (item.supplierId) clean.supplierId = item.supplierId;
-            return clean;
-        });
-
-        // Calculate total on server
-        let subtotal = 0;
-        let totalPackagingCharge = 0;
-        for (const item of items) {
-            subtotal += item.price * item.quantity;
-            totalPackagingCharge += item.packagingCharge * item.quantity;
-        }
-        const discount = 0;
-
-        // Dynamic charges from settings
-        const settings = await Setting.findOne() || {};
-        const shippingCharge = req.body.deliveryCharge ?? 0;
-        const razorpayFeePercent = settings.razorpayFeePercent ?? 2;
-        // Convenience fee = Razorpay fee (2%) + 18% GST on that fee
-        const baseAmount = subtotal + shippingCharge + totalPackagingCharge;
-        const razorpayCharge = baseAmount * razorpayFeePercent / 100;
-        const gstOnRazorpay = razorpayCharge * 18 / 100;
-        const convenienceFee = Math.round(razorpayCharge + gstOnRazorpay);
-        const total = subtotal - discount + shippingCharge + convenienceFee + totalPackagingCharge;
+        // Prices, delivery and coupon discount are all computed on the server
+        const quote = await buildQuote({ items: rawItems, shippingAddress, couponCode, userId: userID });
+        const { items, subtotal, discount, shippingCharge, handlingCharge, packagingCharge, convenienceFee, total } = quote;
 
         const order = new Order({
             userID,
@@ -262,28 +162,23 @@ const placeCodOrder = async (req, res) => {
             totalPrice: total,
             shippingAddress,
             paymentMethod: 'cod',
-            couponCode,
+            couponCode: couponCode || undefined,
             orderStatus: 'processing',
             paymentStatus: 'pending', // Payment on delivery
             deliveryStatus: 'PENDING',
             shippingCharge,
+            handlingCharge,
             convenienceFee,
-            orderTotal: { subtotal, discount, shippingCharge, convenienceFee, packagingCharge: totalPackagingCharge, total }
+            orderTotal: { subtotal, discount, shippingCharge, handlingCharge, convenienceFee, packagingCharge, total }
         });
-        await order.save();
+        await saveNewOrder(order);
+
+        // One fulfilment sub-order per supplier when the cart spans several
+        await splitOrder(order, { shippingCharges: quote.shippingCharges });
 
         // Notify supplier via socket (Zomato flow)
         try {
-            const populatedOrder = await Order.findById(order._id)
-                .populate('userID', 'name email phone')
-                .populate('items.productID', 'name primaryImage images');
-            const supplierIds = [...new Set(order.items.map(i => i.supplierId?.toString()).filter(Boolean))];
-            const io = req.app.get('io');
-            if (io) {
-                for (const sid of supplierIds) {
-                    io.to(`supplier_${sid}`).emit('new_supplier_order', populatedOrder.toObject());
-                }
-            }
+            await notifySuppliers(req.app.get('io'), order);
         } catch (e) {
             console.error('Supplier notification failed:', e.message);
         }
@@ -295,7 +190,7 @@ const placeCodOrder = async (req, res) => {
         });
     } catch (error) {
         console.error('COD order error:', error);
-        res.status(500).json({ success: false, message: error.message });
+        res.status(error.statusCode || 500).json({ success: false, message: error.message });
     }
 };
 
@@ -306,10 +201,14 @@ const handlePaymentFailure = async (req, res) => {
     try {
         const { orderId, error_code, error_description } = req.body;
 
-        const order = await Order.findById(orderId);
-        if (order) {
-            order.paymentStatus = 'failed';
-            await order.save();
+        if (orderId) {
+            const order = await Order.findById(orderId).select('userID');
+            if (!order || order.userID.toString() !== req.user.id) {
+                return res.status(404).json({ success: false, message: 'Order not found' });
+            }
+
+            // The customer may still retry, so the order keeps waiting for payment
+            await recordPaymentFailure(order._id, { code: error_code, description: error_description });
         }
 
         res.json({
@@ -322,9 +221,122 @@ const handlePaymentFailure = async (req, res) => {
     }
 };
 
+// ==========================================
+// RAZORPAY WEBHOOK
+// ==========================================
+
+/**
+ * Check the X-Razorpay-Signature header against the raw request body.
+ */
+function isValidWebhookSignature(rawBody, signature) {
+    const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+    if (!secret || !rawBody || !signature) return false;
+
+    const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+    const expectedBuffer = Buffer.from(expected);
+    const signatureBuffer = Buffer.from(String(signature));
+    return expectedBuffer.length === signatureBuffer.length && crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+}
+
+/**
+ * Apply one webhook event to our orders.
+ */
+async function processWebhookEvent(event, payload, io) {
+    const payment = payload.payment?.entity;
+
+    switch (event) {
+        case 'payment.captured':
+        case 'order.paid': {
+            const razorpayOrderId = payload.order?.entity?.id || payment?.order_id;
+            if (!razorpayOrderId || !payment) return 'ignored: no order';
+
+            const order = await Order.findOne({ razorpayOrderId, parentOrder: null });
+            if (!order) return 'ignored: unknown order';
+
+            // Never mark an order paid for less than it costs
+            const expectedPaise = Math.round(order.totalPrice * 100);
+            if (payment.amount < expectedPaise) {
+                console.error(`[RazorpayWebhook] Order ${order._id} captured ${payment.amount} paise, expected ${expectedPaise}`);
+                return 'ignored: amount mismatch';
+            }
+
+            const paid = await markOrderPaid(order._id, { razorpayPaymentId: payment.id }, io);
+            return paid ? 'paid' : 'already paid';
+        }
+
+        case 'payment.failed': {
+            if (!payment?.order_id) return 'ignored: no order';
+            const order = await Order.findOne({ razorpayOrderId: payment.order_id, parentOrder: null });
+            if (!order) return 'ignored: unknown order';
+
+            // Only this attempt failed; the order is failed by the expiry cron if never paid
+            const recorded = await recordPaymentFailure(order._id, {
+                razorpayPaymentId: payment.id,
+                code: payment.error_code,
+                description: payment.error_description
+            });
+            return recorded ? 'failure recorded' : 'ignored: not pending';
+        }
+
+        case 'refund.processed':
+        case 'refund.failed': {
+            const refund = payload.refund?.entity;
+            if (!refund?.payment_id) return 'ignored: no payment';
+
+            const order = await applyGatewayRefundStatus(refund, event === 'refund.processed' ? 'processed' : 'failed');
+            return order ? `refund ${event.split('.')[1]}` : 'ignored: unknown payment';
+        }
+
+        default:
+            return 'ignored: unhandled event';
+    }
+}
+
+/**
+ * Razorpay server-to-server webhook (payment.captured, payment.failed,
+ * order.paid, refund.processed, refund.failed). Keeps payment state right
+ * even when the app never calls /payment/verify or /payment/failure.
+ */
+const handleRazorpayWebhook = async (req, res) => {
+    if (!isValidWebhookSignature(req.rawBody, req.headers['x-razorpay-signature'])) {
+        return res.status(400).json({ success: false, message: 'Invalid webhook signature' });
+    }
+
+    const { event, payload = {} } = req.body;
+    const eventId = req.headers['x-razorpay-event-id'];
+
+    // Razorpay redelivers on timeouts; handle each event only once
+    if (eventId) {
+        try {
+            await PaymentWebhookEvent.create({
+                eventId,
+                event,
+                razorpayOrderId: payload.order?.entity?.id || payload.payment?.entity?.order_id || null,
+                razorpayPaymentId: payload.payment?.entity?.id || payload.refund?.entity?.payment_id || null
+            });
+        } catch (error) {
+            if (error.code === 11000) {
+                return res.json({ success: true, message: 'Event already processed' });
+            }
+            throw error;
+        }
+    }
+
+    try {
+        const result = await processWebhookEvent(event, payload, req.app.get('io'));
+        res.json({ success: true, message: `Webhook processed: ${result}` });
+    } catch (error) {
+        console.error(`[RazorpayWebhook] Failed to process ${event}:`, error);
+        // Let Razorpay retry
+        if (eventId) await PaymentWebhookEvent.deleteOne({ eventId });
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
 module.exports = {
     initiateOrder,
     verifyPayment,
     placeCodOrder,
-    handlePaymentFailure
+    handlePaymentFailure,
+    handleRazorpayWebhook
 };
@@ -0,0 +1,57 @@
+/**
+ * Deferred Notifications Cron Job
+ *
+ * Sends the push / SMS deliveries held back by users' quiet hours once
+ * those hours are over (see services/notificationService.js).
+ *
+ * Schedule: Every 5 minutes (one server at a time, via a leader lock)
+ *
+ * Flow:
+ * 1. Claim each notification whose quiet hours have ended
+ * 2. Send its deferred channels, unless the user has since turned them off
+ *    or the notification expired
+ */
+
+const cron = require('node-cron');
+const { sendDeferredDeliveries } = require('../services/notificationService');
+const { runWithLeaderLock } = require('../services/leaderLock');
+
+// Lease while running; other instances stay out until the next 5-minute tick
+const LOCK = { ttlMs: 10 * 60 * 1000, intervalMs: 5 * 60 * 1000 };
+
+/**
+ * Main cron job function
+ *
+ * @returns {Object} - { notifications, sent, skipped, failed }
+ */
+async function runDeferredNotificationJob() {
+    let result = { notifications: 0, sent: 0, skipped: 0, failed: 0 };
+
+    try {
+        result = await sendDeferredDeliveries(new Date());
+        if (result.notifications) {
+            console.log(`✅ Deferred notification job: ${result.notifications} notifications (${result.sent} sent, ${result.skipped} skipped, ${result.failed} failed)`);
+        }
+    } catch (error) {
+        console.error('❌ Deferred notification job failed:', error.message);
+    }
+
+    return result;
+}
+
+/**
+ * Initialize cron job
+ * Runs every 5 minutes
+ */
+function initDeferredNotificationCron() {
+    cron.schedule('*/5 * * * *', () => runWithLeaderLock('deferredNotifications', LOCK, () => runDeferredNotificationJob()), {
+        timezone: 'Asia/Kolkata'
+    });
+
+    console.log('📅 Deferred notification cron job scheduled (Every 5 minutes)');
+}
+
+module.exports = {
+    initDeferredNotificationCron,
+    runDeferredNotificationJob // Export for manual testing
+};
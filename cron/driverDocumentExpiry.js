@@ -0,0 +1,57 @@
+/**
+ * Driver Document Expiry Cron Job
+ *
+ * Keeps drivers' onboarding documents current
+ * (see services/driverDocumentService.js).
+ *
+ * Schedule: Daily at 8:00 AM IST (one server at a time, via a leader lock)
+ *
+ * Flow:
+ * 1. Re-verify driving licences and RCs expiring within 30 days, in case
+ *    they were renewed, and retry verifications the provider couldn't finish
+ * 2. Mark documents past their expiry date expired; the driver goes offline
+ * 3. Remind drivers 30, 7 and 1 days before a document expires
+ */
+
+const cron = require('node-cron');
+const { runDocumentExpiryJob } = require('../services/driverDocumentService');
+const { runWithLeaderLock } = require('../services/leaderLock');
+
+// Once a day on one instance
+const LOCK = { ttlMs: 30 * 60 * 1000, intervalMs: 24 * 60 * 60 * 1000 };
+
+/**
+ * Main cron job function
+ *
+ * @returns {Object} - { drivers, expired, rechecked, reminded, errors }
+ */
+async function runDriverDocumentExpiryJob() {
+    console.log('🕘 Running driver document expiry job...');
+    let result = { drivers: 0, expired: 0, rechecked: 0, reminded: 0, errors: 0 };
+
+    try {
+        result = await runDocumentExpiryJob(new Date());
+        console.log(`✅ Driver document expiry job: ${result.expired} expired, ${result.rechecked} re-checked, ${result.reminded} reminders`);
+    } catch (error) {
+        console.error('❌ Driver document expiry job failed:', error.message);
+    }
+
+    return result;
+}
+
+/**
+ * Initialize cron job
+ * Runs daily at 8:00 AM IST
+ */
+function initDriverDocumentExpiryCron() {
+    cron.schedule('0 8 * * *', () => runWithLeaderLock('driverDocumentExpiry', LOCK, () => runDriverDocumentExpiryJob()), {
+        timezone: 'Asia/Kolkata'
+    });
+
+    console.log('📅 Driver document expiry cron job scheduled (Daily 8:00 AM IST)');
+}
+
+module.exports = {
+    initDriverDocumentExpiryCron,
+    runDriverDocumentExpiryJob // Export for manual testing
+};
@@ -0,0 +1,57 @@
+/**
+ * EMI Auto-Debit Cron Job
+ *
+ * Debits due EMI installments against each customer's mandate
+ * (see services/emiCollectionService.js).
+ *
+ * Schedule: Daily at 10:00 AM IST, after the 9:00 AM payment reminders
+ *           (one server at a time, via a leader lock)
+ *
+ * Flow:
+ * 1. Find active applications with a pending installment due today or earlier
+ * 2. Claim each installment and ask the mandate provider to debit it
+ * 3. Mark it paid or failed; debits that settle later are updated by webhook
+ */
+
+const cron = require('node-cron');
+const { collectDueInstallments } = require('../services/emiCollectionService');
+const { runWithLeaderLock } = require('../services/leaderLock');
+
+// Debits move money: one instance a day, and a crashed run blocks no more than 30 minutes
+const LOCK = { ttlMs: 30 * 60 * 1000, intervalMs: 24 * 60 * 60 * 1000 };
+
+/**
+ * Main cron job function
+ *
+ * @returns {Object} - { applications, attempted, paid, failed, processing, errors }
+ */
+async function runEmiCollectionJob() {
+    console.log('🕘 Running EMI auto-debit job...');
+    let result = { applications: 0, attempted: 0, paid: 0, failed: 0, processing: 0, errors: 0 };
+
+    try {
+        result = await collectDueInstallments(new Date());
+        console.log(`✅ EMI auto-debit job: ${result.attempted} debited (${result.paid} paid, ${result.failed} failed, ${result.processing} in progress)`);
+    } catch (error) {
+        console.error('❌ EMI auto-debit job failed:', error.message);
+    }
+
+    return result;
+}
+
+/**
+ * Initialize cron job
+ * Runs daily at 10:00 AM IST
+ */
+function initEmiCollectionCron() {
+    cron.schedule('0 10 * * *', () => runWithLeaderLock('emiCollection', LOCK, () => runEmiCollectionJob()), {
+        timezone: 'Asia/Kolkata'
+    });
+
+    console.log('📅 EMI auto-debit cron job scheduled (Daily 10:00 AM IST)');
+}
+
+module.exports = {
+    initEmiCollectionCron,
+    runEmiCollectionJob // Export for manual testing
+};
@@ -0,0 +1,56 @@
+/**
+ * Scheduled Notification Campaigns Cron Job
+ *
+ * Sends push campaigns admins scheduled for later
+ * (see services/notificationCampaignService.js).
+ *
+ * Schedule: Every minute (one server at a time, via a leader lock)
+ *
+ * Flow:
+ * 1. Mark campaigns stuck 'sending' after a crash as failed
+ * 2. Send every scheduled campaign whose time has come, oldest first
+ */
+
+const cron = require('node-cron');
+const { runScheduledCampaigns } = require('../services/notificationCampaignService');
+const { runWithLeaderLock } = require('../services/leaderLock');
+
+// Held for a minute after each run so no other instance repeats it
+const LOCK = { ttlMs: 10 * 60 * 1000, intervalMs: 60 * 1000 };
+
+/**
+ * Main cron job function
+ *
+ * @returns {Object} - { sent, failed, interrupted }
+ */
+async function runNotificationCampaignJob() {
+    let result = { sent: 0, failed: 0, interrupted: 0 };
+
+    try {
+        result = await runScheduledCampaigns(new Date());
+        if (result.sent || result.failed || result.interrupted) {
+            console.log(`✅ Notification campaign job: ${result.sent} sent, ${result.failed} failed, ${result.interrupted} interrupted`);
+        }
+    } catch (error) {
+        console.error('❌ Notification campaign job failed:', error.message);
+    }
+
+    return result;
+}
+
+/**
+ * Initialize cron job
+ * Runs every minute
+ */
+function initNotificationCampaignCron() {
+    cron.schedule('* * * * *', () => runWithLeaderLock('notificationCampaigns', LOCK, () => runNotificationCampaignJob()), {
+        timezone: 'Asia/Kolkata'
+    });
+
+    console.log('📅 Notification campaign cron job scheduled (Every minute)');
+}
+
+module.exports = {
+    initNotificationCampaignCron,
+    runNotificationCampaignJob // Export for manual testing
+};
@@ -0,0 +1,127 @@
+/**
+ * Unpaid Order Expiry Cron Job
+ *
+ * Cancels online-payment orders the customer never paid for (Razorpay
+ * checkout abandoned, app killed before /payment/verify).
+ *
+ * Schedule: Every 5 minutes
+ *
+ * Flow:
+ * 1. Find orders still in paymentStatus 'created' older than the
+ *    unpaidOrderExpiryMinutes setting
+ * 2. Ask Razorpay whether a payment was captured after all; if so, mark paid
+ * 3. Otherwise mark the payment failed (releases coupon + stock),
+ *    cancel the order and tell the customer
+ * 4. Release any stock reservations that lapsed in the meantime
+ */
+
+const cron = require('node-cron');
+const Order = require('../model/order');
+const Setting = require('../model/setting');
+const orderLifecycle = require('../services/orderLifecycle');
+const { getFulfilmentOrders } = require('../services/orderSplitter');
+const { markOrderPaid, markOrderFailed } = require('../services/paymentService');
+const { releaseExpiredReservations } = require('../services/stockService');
+const { getRazorpay } = require('../services/razorpayService');
+
+/**
+ * Captured Razorpay payment for an order, if any.
+ * Throws if Razorpay can't be reached, so the order is left for the next run.
+ */
+async function findCapturedPayment(razorpayOrderId) {
+    const { items = [] } = await getRazorpay().orders.fetchPayments(razorpayOrderId);
+    return items.find(payment => payment.status === 'captured') || null;
+}
+
+/**
+ * Cancel an unpaid order and let the customer know.
+ */
+async function expireOrder(order, io) {
+    const failed = await markOrderFailed(order._id);
+    if (!failed) return false; // paid or failed in the meantime
+
+    // Split orders are cancelled per sub-order; the parent rolls up
+    for (const fulfilmentOrder of await getFulfilmentOrders(failed)) {
+        await orderLifecycle.tryTransition(fulfilmentOrder, { orderStatus: 'cancelled', deliveryStatus: 'CANCELLED' }, {
+            role: 'system',
+            reason: 'Payment not completed in time'
+        });
+    }
+
+    if (io) {
+        io.to(`user_${failed.userID}`).emit(`order_update_${failed.userID}`, {
+            orderId: failed._id,
+            status: 'cancelled',
+            paymentStatus: 'failed',
+            message: 'Your order was cancelled because payment was not completed.'
+        });
+    }
+    return true;
+}
+
+/**
+ * Main cron job function
+ *
+ * @param {Object} [io] - Socket.io server for customer notifications
+ * @returns {Object} - { checked, paid, expired, reservationsReleased }
+ */
+async function runOrderExpiryJob(io) {
+    console.log('🕘 Running unpaid order expiry job...');
+    const result = { checked: 0, paid: 0, expired: 0, reservationsReleased: 0 };
+
+    try {
+        const settings = await Setting.findOne() || {};
+        const expiryMinutes = settings.unpaidOrderExpiryMinutes ?? 30;
+        const cutoff = new Date(Date.now() - expiryMinutes * 60 * 1000);
+
+        const staleOrders = await Order.find({
+            paymentStatus: 'created',
+            paymentMethod: { $ne: 'cod' },
+            parentOrder: null,
+            createdAt: { $lte: cutoff }
+        });
+        result.checked = staleOrders.length;
+
+        for (const order of staleOrders) {
+            try {
+                if (order.razorpayOrderId) {
+                    const payment = await findCapturedPayment(order.razorpayOrderId);
+                    if (payment) {
+                        await markOrderPaid(order._id, { razorpayPaymentId: payment.id }, io);
+                        result.paid++;
+                        continue;
+                    }
+                }
+
+                if (await expireOrder(order, io)) result.expired++;
+            } catch (error) {
+                console.error(`[OrderExpiry] Skipped order ${order._id}:`, error.message);
+            }
+        }
+
+        result.reservationsReleased = await releaseExpiredReservations();
+
+        console.log(`✅ Order expiry job: ${result.expired} expired, ${result.paid} paid late, ${result.reservationsReleased} reservations released`);
+    } catch (error) {
+        console.error('❌ Order expiry job failed:', error.message);
+    }
+
+    return result;
+}
+
+/**
+ * Initialize cron job
+ * Runs every 5 minutes
+ */
+function initOrderExpiryCron(io) {
+    cron.schedule('*/5 * * * *', () => runOrderExpiryJob(io), {
+        timezone: 'Asia/Kolkata'
+    });
+
+    console.log('📅 Unpaid order expiry cron job scheduled (every 5 minutes)');
+}
+
+module.exports = {
+    initOrderExpiryCron,
+    runOrderExpiryJob // Export for manual testing
+};
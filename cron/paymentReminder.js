@@ -1,194 +1,244 @@
 /**
  * Payment Reminder Cron Job
- * 
+ *
  * This cron job handles automated payment reminders and penalty application
  * for BNPL EMI payments.
- * 
- * Schedule: Runs daily at 9:00 AM IST
- * 
+ *
+ * Schedule: Runs daily at 9:00 AM IST (one server at a time, via a leader lock)
+ *
  * Flow:
  * 1. 3 days before due: "Keep ₹X ready in your bank"
  * 2. On due date: "EMI being processed today"
- * 3. 1 day after failure: "Payment failed. Pay manually to avoid credit impact"
- * 4. 3 days after failure: Apply late fee, end grace period
+ * 3. Auto-debit failed: "Payment failed. Pay manually to avoid credit impact"
+ * 4. 1 day after due: overdue reminder
+ * 5. 3 days after due: Apply late fee, end grace period
+ *
+ * Every step takes a run context { now, dryRun, actions }: `now` is the
+ * date the job runs as, and a dry run only lists what it would do.
  */
 
 const cron = require('node-cron');
 const PenaltyLedger = require('../model/penaltyLedger');
 const EmiApplication = require('../model/emiApplication');
-const Notification = require('../model/notification');
-const User = require('../model/user');
+const { notifyUser } = require('../services/notificationService');
+const { runWithLeaderLock } = require('../services/leaderLock');
 
-// Notification templates
+// Lease long enough for the job, short enough that a crashed run doesn't block
+// tomorrow's; other instances stay out for the rest of the day
+const LOCK = { ttlMs: 30 * 60 * 1000, intervalMs: 24 * 60 * 60 * 1000 };
+
+// Notification templates. Mandatory ones are notices of missed payments and
+// penalties we're required to give borrowers, sent even when the user turned
+// EMI notifications off or is in their quiet hours.
 const NOTIFICATION_TEMPLATES = {
     reminder_3_days: {
         title: 'EMI Due in 3 Days',
         body: 'Keep ₹{amount} ready in your bank for auto-debit on {dueDate}',
+        channels: ['push']
     },
     due_today: {
         title: 'EMI Payment Today',
         body: 'Your EMI of ₹{amount} will be auto-debited today',
+        channels: ['push']
     },
     payment_failed: {
         title: 'Payment Failed',
         body: 'EMI of ₹{amount} failed. Pay manually within 3 days to avoid penalty',
+        channels: ['push', 'sms'],
+        mandatory: true
     },
     overdue_1_day: {
         title: 'Payment Overdue',
         body: 'Your EMI is overdue. Pay ₹{amount} now to avoid credit score impact',
+        channels: ['push', 'sms'],
+        mandatory: true
     },
     overdue_grace_ended: {
         title: 'Grace Period Ended',
         body: 'Late fee of ₹{penalty} applied. Pay ₹{totalAmount} now to close',
+        channels: ['push', 'sms'],
+        mandatory: true
     },
     penalty_applied: {
         title: 'Penalty Applied',
         body: 'Daily penalty of 0.1% is being applied. Current penalty: ₹{penalty}',
+        channels: ['push'],
+        mandatory: true
     }
 };
 
+function startOfDay(date) {
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0);
+    return day;
+}
+
+function addDays(date, days) {
+    const result = new Date(date);
+    result.setDate(result.getDate() + days);
+    return result;
+}
+
 /**
- * Send notification to user
+ * Send notification to user and record it on the ledger
  */
-async function sendNotification(userId, type, data) {
-    try {
-        const template = NOTIFICATION_TEMPLATES[type];
-        if (!template) return;
+async function sendNotification(ctx, ledger, type, data) {
+    const template = NOTIFICATION_TEMPLATES[type];
+    if (!template) return;
 
-        // Replace placeholders in template
-        let title = template.title;
-        let body = template.body;
+    // Replace placeholders in template
+    let title = template.title;
+    let body = template.body;
 
-        Object.keys(data).forEach(key => {
-            title = title.replace(`{${key}}`, data[key]);
-            body = body.replace(`{${key}}`, data[key]);
-        });
+    Object.keys(data).forEach(key => {
+        title = title.replace(`{${key}}`, data[key]);
+        body = body.replace(`{${key}}`, data[key]);
+    });
 
-        // Create notification record
-        const notification = new Notification({
-            userId,
-            title,
-            description: body,
-            type: 'payment_reminder',
-            isRead: false,
-        });
-        await notification.save();
+    ctx.actions.push({
+        type,
+        userId: ledger.userId,
+        emiApplicationId: ledger.emiApplicationId?._id || ledger.emiApplicationId,
+        installmentNo: ledger.installmentNo,
+        title,
+        body,
+        channels: template.channels,
+        mandatory: Boolean(template.mandatory)
+    });
+    if (ctx.dryRun) return;
 
-        // TODO: Add FCM/Push notification
-        // TODO: Add WhatsApp notification via API
-        // TODO: Add SMS notification
+    try {
+        const emiApplicationId = (ledger.emiApplicationId?._id || ledger.emiApplicationId).toString();
+        const notification = await notifyUser(ledger.userId, {
+            type: 'payment_reminder',
+            title,
+            body,
+            data: { emiApplicationId, installmentNo: ledger.installmentNo, reminder: type },
+            link: { screen: 'emi_application', params: { emiApplicationId } }
+        }, { channels: template.channels, mandatory: Boolean(template.mandatory) });
 
-        console.log(`📧 Sent ${type} notification to user ${userId}`);
-        return { success: true, type };
+        notification.deliveries.forEach(delivery => {
+            if (delivery.status === 'skipped') return;
+            ledger.notifications.push({
+                type,
+                sentAt: delivery.sentAt,
+                channel: delivery.channel,
+                status: delivery.status
+            });
+        });
+        console.log(`📧 Sent ${type} notification to user ${ledger.userId}`);
     } catch (error) {
         console.error(`Failed to send notification: ${error.message}`);
-        return { success: false, error: error.message };
+        ledger.notifications.push({ type, sentAt: new Date(), channel: 'push', status: 'failed' });
     }
 }
 
+function alreadySent(ledger, type) {
+    return ledger.notifications.some(n => n.type === type);
+}
+
 /**
- * Process upcoming EMIs (3 days before due date)
+ * Ledger entry for one installment, created on first contact
  */
-async function processUpcomingReminders() {
-    const threeDaysFromNow = new Date();
-    threeDaysFromNow.setDate(threeDaysFromNow.getDate() + 3);
-    threeDaysFromNow.setHours(0, 0, 0, 0);
-
-    const nextDay = new Date(threeDaysFromNow);
-    nextDay.setDate(nextDay.getDate() + 1);
-
-    const upcomingEmis = await EmiApplication.find({
-        status: 'active',
-        nextDueDate: {
-            $gte: threeDaysFromNow,
-            $lt: nextDay
-        }
-    }).populate('userId');
-
-    console.log(`🔔 Found ${upcomingEmis.length} EMIs due in 3 days`);
+async function ledgerFor(emi, installment) {
+    let ledger = await PenaltyLedger.findOne({
+        emiApplicationId: emi._id,
+        installmentNo: installment.installmentNumber
+    });
 
-    for (const emi of upcomingEmis) {
-        // Check if we already sent this reminder
-        const existingLedger = await PenaltyLedger.findOne({
+    if (!ledger) {
+        ledger = new PenaltyLedger({
             emiApplicationId: emi._id,
-            dueDate: emi.nextDueDate,
-            'notifications.type': 'reminder_3_days'
+            userId: emi.userId,
+            installmentNo: installment.installmentNumber,
+            originalAmount: installment.amount,
+            dueDate: installment.dueDate,
+            status: 'pending'
         });
+    }
+    return ledger;
+}
 
-        if (existingLedger) continue;
+/**
+ * Unpaid installments of active EMIs falling due within [from, to)
+ */
+async function installmentsDueBetween(from, to) {
+    const emis = await EmiApplication.find({
+        status: 'active',
+        installments: { $elemMatch: { status: { $ne: 'paid' }, dueDate: { $gte: from, $lt: to } } }
+    });
 
-        // Create or update penalty ledger entry
-        let ledger = await PenaltyLedger.findOne({
-            emiApplicationId: emi._id,
-            dueDate: emi.nextDueDate
-        });
+    const due = [];
+    for (const emi of emis) {
+        emi.installments
+            .filter(i => i.status !== 'paid' && i.dueDate >= from && i.dueDate < to)
+            .forEach(installment => due.push({ emi, installment }));
+    }
+    return due;
+}
 
-        if (!ledger) {
-            ledger = new PenaltyLedger({
-                emiApplicationId: emi._id,
-                userId: emi.userId._id || emi.userId,
-                installmentNo: emi.paidInstallments + 1,
-                originalAmount: emi.monthlyEmi,
-                dueDate: emi.nextDueDate,
-                status: 'pending'
-            });
-        }
+/**
+ * Process upcoming EMIs (3 days before due date)
+ */
+async function processUpcomingReminders(ctx) {
+    const threeDaysFromNow = addDays(startOfDay(ctx.now), 3);
+    const upcoming = await installmentsDueBetween(threeDaysFromNow, addDays(threeDaysFromNow, 1));
 
-        await sendNotification(emi.userId._id || emi.userId, 'reminder_3_days', {
-            amount: emi.monthlyEmi.toLocaleString('en-IN'),
-            dueDate: new Date(emi.nextDueDate).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' })
-        });
+    console.log(`🔔 Found ${upcoming.length} EMIs due in 3 days`);
 
-        ledger.notifications.push({
-            type: 'reminder_3_days',
-            sentAt: new Date(),
-            channel: 'push',
-            status: 'sent'
+    for (const { emi, installment } of upcoming) {
+        const ledger = await ledgerFor(emi, installment);
+        if (alreadySent(ledger, 'reminder_3_days')) continue;
+
+        await sendNotification(ctx, ledger, 'reminder_3_days', {
+            amount: installment.amount.toLocaleString('en-IN'),
+            dueDate: new Date(installment.dueDate).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' })
         });
 
-        await ledger.save();
+        if (!ctx.dryRun) await ledger.save();
     }
 }
 
 /**
  * Process due date reminders
  */
-async function processDueDateReminders() {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-
-    const dueToday = await EmiApplication.find({
-        status: 'active',
-        nextDueDate: {
-            $gte: today,
-            $lt: tomorrow
-        }
-    });
+async function processDueDateReminders(ctx) {
+    const today = startOfDay(ctx.now);
+    const dueToday = await installmentsDueBetween(today, addDays(today, 1));
 
     console.log(`💳 Found ${dueToday.length} EMIs due today`);
 
-    for (const emi of dueToday) {
-        const ledger = await PenaltyLedger.findOne({
-            emiApplicationId: emi._id,
-            dueDate: emi.nextDueDate
+    for (const { emi, installment } of dueToday) {
+        const ledger = await ledgerFor(emi, installment);
+        if (alreadySent(ledger, 'due_today')) continue;
+
+        await sendNotification(ctx, ledger, 'due_today', {
+            amount: installment.amount.toLocaleString('en-IN')
         });
 
-        if (ledger && ledger.notifications.some(n => n.type === 'due_today')) continue;
+        if (!ctx.dryRun) await ledger.save();
+    }
+}
+
+/**
+ * Tell customers whose auto-debit failed to pay manually
+ */
+async function processFailedDebits(ctx) {
+    const emis = await EmiApplication.find({
+        status: { $in: ['active', 'defaulted'] },
+        'installments.status': 'failed'
+    });
 
-        await sendNotification(emi.userId, 'due_today', {
-            amount: emi.monthlyEmi.toLocaleString('en-IN')
-        });
+    for (const emi of emis) {
+        for (const installment of emi.installments.filter(i => i.status === 'failed')) {
+            const ledger = await ledgerFor(emi, installment);
+            if (alreadySent(ledger, 'payment_failed')) continue;
 
-        if (ledger) {
-            ledger.notifications.push({
-                type: 'due_today',
-                sentAt: new Date(),
-                channel: 'push',
-                status: 'sent'
+            await sendNotification(ctx, ledger, 'payment_failed', {
+                amount: installment.amount.toLocaleString('en-IN')
             });
-            await ledger.save();
+
+            if (!ctx.dryRun) await ledger.save();
         }
     }
 }
@@ -196,9 +246,8 @@ async function processDueDateReminders() {
 /**
  * Process overdue EMIs and apply penalties
  */
-async function processOverdueEmis() {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+async function processOverdueEmis(ctx) {
+    const today = startOfDay(ctx.now);
 
     // Find all pending penalty entries
     const overdueLedgers = await PenaltyLedger.find({
@@ -209,90 +258,89 @@ async function processOverdueEmis() {
     console.log(`⚠️ Processing ${overdueLedgers.length} overdue EMIs`);
 
     for (const ledger of overdueLedgers) {
+        const emi = ledger.emiApplicationId;
+
+        // Paid since (manually or by a late auto-debit), replaced by a restructuring, or the EMI was cancelled
+        const installment = emi?.installments.find(i => i.installmentNumber === ledger.installmentNo);
+        if (!emi || emi.status === 'cancelled' || !installment || installment.status === 'paid') continue;
+
         const dueDate = new Date(ledger.dueDate);
-        const daysSinceDue = Math.floor((today - dueDate) / (24 * 60 * 60 * 1000));
+        const daysSinceDue = Math.floor((today - startOfDay(dueDate)) / (24 * 60 * 60 * 1000));
 
         // Day 1 after due date
-        if (daysSinceDue === 1 && !ledger.notifications.some(n => n.type === 'overdue_1_day')) {
+        if (daysSinceDue >= 1 && !alreadySent(ledger, 'overdue_1_day')) {
             ledger.status = 'grace_period';
 
-            await sendNotification(ledger.userId, 'overdue_1_day', {
+            await sendNotification(ctx, ledger, 'overdue_1_day', {
                 amount: ledger.originalAmount.toLocaleString('en-IN')
             });
-
-            ledger.notifications.push({
-                type: 'overdue_1_day',
-                sentAt: new Date(),
-                channel: 'push',
-                status: 'sent'
-            });
         }
 
         // Day 3+ (Grace period ends)
-        if (daysSinceDue >= 3 && ledger.isInGracePeriod) {
+        if (daysSinceDue >= ledger.gracePeriodDays && ledger.isInGracePeriod) {
             ledger.isInGracePeriod = false;
             ledger.status = 'overdue';
             ledger.missedDate = dueDate;
 
             // Calculate penalty
-            ledger.calculatePenalty();
+            ledger.calculatePenalty(ctx.now);
 
-            await sendNotification(ledger.userId, 'overdue_grace_ended', {
+            await sendNotification(ctx, ledger, 'overdue_grace_ended', {
                 penalty: ledger.penaltyAmount.toLocaleString('en-IN'),
-                totalAmount: ledger.totalPayable.toLocaleString('en-IN')
-            });
-
-            ledger.notifications.push({
-                type: 'overdue_grace_ended',
-                sentAt: new Date(),
-                channel: 'push',
-                status: 'sent'
+                totalAmount: (ledger.totalPayable || ledger.originalAmount).toLocaleString('en-IN')
             });
 
             // Update EMI application status
-            if (ledger.emiApplicationId) {
-                await EmiApplication.findByIdAndUpdate(ledger.emiApplicationId._id, {
-                    status: 'defaulted'
-                });
+            if (!ctx.dryRun) {
+                await EmiApplication.updateOne({ _id: emi._id, status: 'active' }, { status: 'defaulted' });
             }
+            ctx.actions.push({ type: 'defaulted', userId: ledger.userId, emiApplicationId: emi._id, installmentNo: ledger.installmentNo });
         }
 
         // Update penalty daily for overdue entries
         if (!ledger.isInGracePeriod) {
-            ledger.calculatePenalty();
+            ledger.calculatePenalty(ctx.now);
         }
 
-        await ledger.save();
+        if (!ctx.dryRun) await ledger.save();
     }
 }
 
 /**
  * Main cron job function
+ *
+ * @param {Object} [options]
+ * @param {Date} [options.now] - run as of this date (default: now)
+ * @param {boolean} [options.dryRun] - list what would happen without sending or saving anything
+ * @returns {Object} - { now, dryRun, actions }
  */
-async function runPaymentReminderJob() {
-    console.log('🕘 Running payment reminder cron job...');
+async function runPaymentReminderJob({ now = new Date(), dryRun = false } = {}) {
+    console.log(`🕘 Running payment reminder cron job${dryRun ? ' (dry run)' : ''}...`);
     const startTime = Date.now();
+    const ctx = { now, dryRun, actions: [] };
 
     try {
-        await processUpcomingReminders();
-        await processDueDateReminders();
-        await processOverdueEmis();
+        await processUpcomingReminders(ctx);
+        await processDueDateReminders(ctx);
+        await processFailedDebits(ctx);
+        await processOverdueEmis(ctx);
 
         const duration = Date.now() - startTime;
         console.log(`✅ Payment reminder job completed in ${duration}ms`);
     } catch (error) {
         console.error('❌ Payment reminder job failed:', error.message);
+        if (dryRun) throw error;
     }
+
+    return ctx;
 }
 
 /**
  * Initialize cron job
- * Runs daily at 9:00 AM IST (3:30 AM UTC)
+ * Runs daily at 9:00 AM IST
  */
 function initPaymentReminderCron() {
-    // Schedule: 0 9 * * * (9:00 AM every day)
-    // For IST, we use 3:30 UTC
-    cron.schedule('30 3 * * *', runPaymentReminderJob, {
+    cron.schedule('0 9 * * *', () => runWithLeaderLock('paymentReminder', LOCK, () => runPaymentReminderJob()), {
         timezone: 'Asia/Kolkata'
     });
 
@@ -304,5 +352,6 @@ module.exports = {
     runPaymentReminderJob, // Export for manual testing
     processUpcomingReminders,
     processDueDateReminders,
+    processFailedDebits,
     processOverdueEmis
 };
@@ -0,0 +1,56 @@
+/**
+ * Weekly Supplier Settlement Cron Job
+ *
+ * Pays suppliers what the platform owes them for delivered orders
+ * (see services/supplierLedgerService.js).
+ *
+ * Schedule: Every Monday at 3:00 AM (one server at a time, via a leader lock)
+ *
+ * Flow:
+ * 1. Find suppliers with ledger entries past their hold window
+ * 2. Batch each supplier's entries into one weekly MerchantSettlement
+ * 3. Batches that net to zero or less carry over to next week
+ */
+
+const cron = require('node-cron');
+const { runWeeklySettlement } = require('../services/supplierLedgerService');
+const { runWithLeaderLock } = require('../services/leaderLock');
+
+// One instance a week; settlements must never be created twice
+const LOCK = { ttlMs: 60 * 60 * 1000, intervalMs: 7 * 24 * 60 * 60 * 1000 };
+
+/**
+ * Main cron job function
+ *
+ * @returns {Object} - { suppliers, settlements, amount }
+ */
+async function runSupplierSettlementJob() {
+    console.log('🕘 Running weekly supplier settlement job...');
+    let result = { suppliers: 0, settlements: 0, amount: 0 };
+
+    try {
+        result = await runWeeklySettlement(new Date());
+        console.log(`✅ Supplier settlement job: ${result.settlements} settlements created for ₹${result.amount}`);
+    } catch (error) {
+        console.error('❌ Supplier settlement job failed:', error.message);
+    }
+
+    return result;
+}
+
+/**
+ * Initialize cron job
+ * Runs every Monday at 3:00 AM IST
+ */
+function initSupplierSettlementCron() {
+    cron.schedule('0 3 * * 1', () => runWithLeaderLock('supplierSettlement', LOCK, () => runSupplierSettlementJob()), {
+        timezone: 'Asia/Kolkata'
+    });
+
+    console.log('📅 Supplier settlement cron job scheduled (Mondays at 3:00 AM)');
+}
+
+module.exports = {
+    initSupplierSettlementCron,
+    runSupplierSettlementJob // Export for manual testing
+};
@@ -14,7 +14,10 @@ app.use(helmet())
 app.use(cors({
   origin: process.env.ALLOWED_ORIGINS?.split(',') || '*'
 }))
-app.use(bodyParser.json());
+// Keep the raw body around for webhook signature checks (Razorpay signs the exact bytes)
+app.use(bodyParser.json({
+  verify: (req, res, buf) => { req.rawBody = buf; }
+}));
 
 //rateLimit
 const limiter = rateLimit({
@@ -45,6 +48,7 @@ app.use('/variantTypes', require('./routes/variantType'));
 app.use('/variants', require('./routes/variant'));
 app.use('/products', require('./routes/product'));
 app.use('/couponCodes', require('./routes/couponCode'));
+app.use('/commissionRules', require('./routes/commissionRule'));
 app.use('/posters', require('./routes/poster'));
 app.use('/users', require('./routes/user'));
 app.use('/orders', require('./routes/order'));
@@ -66,6 +70,13 @@ app.use('/driver', require('./routes/driver.js'))
 app.use('/subscription', require('./routes/subscription.js'))
 
 // Initialize cron jobs
+const { initOrderExpiryCron } = require('./cron/orderExpiry');
+const { initSupplierSettlementCron } = require('./cron/supplierSettlement');
+const { initEmiCollectionCron } = require('./cron/emiCollection');
+const { initPaymentReminderCron } = require('./cron/paymentReminder');
+const { initDriverDocumentExpiryCron } = require('./cron/driverDocumentExpiry');
+const { initNotificationCampaignCron } = require('./cron/notificationCampaigns');
+const { initDeferredNotificationCron } = require('./cron/deferredNotifications');
 
 
 
@@ -76,7 +87,7 @@ app.get('/', asyncHandler(async (req, res) => {
 
 // Global error handler
 app.use((error, req, res, next) => {
-  res.status(500).json({ success: false, message: error.message, data: null });
+  res.status(error.statusCode || 500).json({ success: false, message: error.message, data: null });
 });
 
 // --- Socket.io Setup ---
@@ -90,47 +101,72 @@ const io = new Server(server, {
   }
 });
 
+// Every socket must present a valid JWT; identities come from the token
+const { socketAuthMiddleware, orderAccess } = require('./middleware/socketAuth');
+io.use(socketAuthMiddleware);
+
 io.on('connection', (socket) => {
-  console.log(`🔌 Socket connected: ${socket.id}`);
-
-  // Supplier joins their room for new order notifications
-  socket.on('supplier_online', (data) => {
-    const { supplierId } = data;
-    if (supplierId) {
-      socket.join(`supplier_${supplierId}`);
-      console.log(`🏪 Supplier ${supplierId} joined room supplier_${supplierId}`);
-    }
+  const user = socket.data.user;
+  console.log(`🔌 Socket connected: ${socket.id} (${user.role} ${user.id})`);
+
+  // Rooms follow from who the user is:
+  // user_<userId> for their inbox and order updates, plus
+  // supplier_<userId> for new orders, driver_<driverId> for delivery offers, admin for alerts
+  socket.join(`user_${user.id}`);
+  if (user.role === 'supplier') socket.join(`supplier_${user.id}`);
+  if (user.role === 'driver' && user.driverId) socket.join(`driver_${user.driverId}`);
+  if (user.role === 'admin') socket.join('admin');
+
+  // Orders this socket may send driver locations for (its driver is assigned)
+  const drivingOrders = new Set();
+
+  // Supplier pauses / resumes new order alerts
+  socket.on('supplier_online', () => {
+    if (user.role !== 'supplier') return;
+    socket.join(`supplier_${user.id}`);
+    console.log(`🏪 Supplier ${user.id} joined room supplier_${user.id}`);
   });
 
-  socket.on('supplier_offline', (data) => {
-    const { supplierId } = data;
-    if (supplierId) {
-      socket.leave(`supplier_${supplierId}`);
-      console.log(`🏪 Supplier ${supplierId} left room`);
-    }
+  socket.on('supplier_offline', () => {
+    if (user.role !== 'supplier') return;
+    socket.leave(`supplier_${user.id}`);
+    console.log(`🏪 Supplier ${user.id} left room`);
   });
-  // Driver joins a room for each active order
-  socket.on('join_order', (orderId) => {
-    socket.join(`order_${orderId}`);
-    console.log(`📦 Socket ${socket.id} joined room order_${orderId}`);
+
+  // Customer, supplier, assigned driver or admin joins the room for a live order
+  socket.on('join_order', async (orderId) => {
+    try {
+      const access = await orderAccess(user, orderId);
+      if (!access) {
+        socket.emit('join_order_rejected', { orderId, message: 'You cannot follow this order.' });
+        return;
+      }
+      socket.join(`order_${orderId}`);
+      if (access === 'driver') drivingOrders.add(String(orderId));
+      console.log(`📦 Socket ${socket.id} joined room order_${orderId} as ${access}`);
+    } catch (err) {
+      console.error(`[Socket] Error joining order ${orderId}:`, err.message);
+    }
   });
 
   // Driver emits location update
   socket.on('driver_location_update', (data) => {
-    // data: { driverId, orderId, lat, lng, timestamp }
-    const { orderId } = data;
-    if (orderId) {
-      io.to(`order_${orderId}`).emit('location_update', data);
+    // data: { orderId, lat, lng, timestamp }
+    const { orderId } = data || {};
+    if (orderId && drivingOrders.has(String(orderId))) {
+      io.to(`order_${orderId}`).emit('location_update', { ...data, driverId: user.driverId });
     }
   });
 
   socket.on('leave_order', (orderId) => {
     socket.leave(`order_${orderId}`);
+    drivingOrders.delete(String(orderId));
     console.log(`🚪 Socket ${socket.id} left room order_${orderId}`);
   });
 
   socket.on('driver_online', async (data) => {
-    const { driverId, lat, lng } = data;
+    const { lat, lng } = data || {};
+    const driverId = user.driverId;
     if (driverId) {
       console.log(`[Socket] Driver ${driverId} marked online at ${lat}, ${lng}`);
       const assignmentEngine = require('./services/driverAssignment');
@@ -138,15 +174,22 @@ io.on('connection', (socket) => {
       const Driver = require('./model/driver');
       try {
         // Fix Race Condition: Ensure DB is definitely updated before we run assignment
-        await Driver.findByIdAndUpdate(driverId, {
+        // Only drivers whose documents are verified can go online
+        const onlineDriver = await Driver.findOneAndUpdate({ _id: driverId, documentsVerified: true }, {
            isOnline: true,
            currentLocation: { lat, lng, updatedAt: new Date() }
         });
+        if (!onlineDriver) {
+          socket.emit('driver_online_rejected', { message: 'Verify your documents before going online.' });
+          return;
+        }
 
         // Find any active orders that need a driver and haven't been picked up/assigned
         const unassignedOrders = await Order.find({
           orderStatus: { $in: ['preparing', 'ready', 'processed'] },
-          assignedDriver: null
+          assignedDriver: null,
+          shipmentId: null,
+          isParentOrder: { $ne: true }
         });
 
         if (unassignedOrders.length > 0) {
@@ -161,19 +204,24 @@ io.on('connection', (socket) => {
     }
   });
 
+  // The engine refuses the accept unless this driver holds the order's open offer
   socket.on('accept_order', (data) => {
-    const { orderId, driverId } = data;
-    if (orderId && driverId) {
+    const { orderId } = data || {};
+    if (mongoose.isValidObjectId(orderId) && user.driverId) {
       const assignmentEngine = require('./services/driverAssignment');
-      assignmentEngine.handleAccept(orderId, driverId);
+      assignmentEngine.handleAccept(orderId, user.driverId).catch(() => {
+        // Logged by the engine, which has already offered the order to the next driver
+      });
     }
   });
 
   socket.on('reject_order', (data) => {
-    const { orderId, driverId } = data;
-    if (orderId && driverId) {
+    const { orderId } = data || {};
+    if (mongoose.isValidObjectId(orderId) && user.driverId) {
       const assignmentEngine = require('./services/driverAssignment');
-      assignmentEngine.handleReject(orderId, driverId);
+      assignmentEngine.handleReject(orderId, user.driverId).catch(() => {
+        // Logged by the engine
+      });
     }
   });
 
@@ -184,6 +232,7 @@ io.on('connection', (socket) => {
 
 const assignmentEngine = require('./services/driverAssignment');
 assignmentEngine.setIO(io);
+require('./services/notificationService').setIO(io);
 
 // Share io with Express so routes can emit events
 app.set('io', io);
@@ -192,5 +241,14 @@ server.listen(process.env.PORT, () => {
   console.log(`Server running on port ${process.env.PORT}`);
 
   // Start cron jobs after server is running
-
+  initOrderExpiryCron(io);
+  initSupplierSettlementCron();
+  initEmiCollectionCron();
+  initPaymentReminderCron();
+  initDriverDocumentExpiryCron();
+  initNotificationCampaignCron();
+  initDeferredNotificationCron();
+
+  // Resume driver searches that were in flight before the restart
+  assignmentEngine.start();
 });
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const UserKyc = require('./model/userKyc');
+
+dotenv.config();
+
+// One-off: mask full Aadhaar numbers stored before masking was added.
+// New submissions are masked when saved.
+const maskAadhaarNumbers = async () => {
+    try {
+        await mongoose.connect(process.env.MONGO_URL);
+        console.log('Connected to Database');
+
+        const unmasked = await UserKyc.find({ aadhaarNumber: /^\d{12}$/ }).select('aadhaarNumber');
+        for (const kyc of unmasked) {
+            await UserKyc.updateOne(
+                { _id: kyc._id },
+                {
+                    $set: {
+                        aadhaarHash: UserKyc.hashIdentifier(kyc.aadhaarNumber),
+                        aadhaarNumber: UserKyc.maskAadhaar(kyc.aadhaarNumber)
+                    }
+                }
+            );
+        }
+
+        console.log(`Masked ${unmasked.length} Aadhaar numbers`);
+        process.exit(0);
+    } catch (error) {
+        console.error('Error:', error);
+        process.exit(1);
+    }
+};
+
+maskAadhaarNumbers();
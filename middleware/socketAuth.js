@@ -0,0 +1,63 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Driver = require('../model/driver');
+const Order = require('../model/order');
+
+// Token from the handshake: `io(url, { auth: { token } })`, or an
+// Authorization: Bearer header for clients that can set one
+const handshakeToken = (socket) => {
+  const { auth = {}, headers = {} } = socket.handshake;
+  if (auth.token) return String(auth.token).replace(/^Bearer /, '');
+  if (headers.authorization?.startsWith('Bearer ')) return headers.authorization.split(' ')[1];
+  return null;
+};
+
+// Socket.io middleware: verify the same JWT as authMiddleware and keep the
+// identity on socket.data.user, so handlers never trust ids sent by the client
+const socketAuthMiddleware = async (socket, next) => {
+  const token = handshakeToken(socket);
+  if (!token) return next(new Error('Access denied. No token provided.'));
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return next(new Error('Invalid or expired token.'));
+  }
+
+  const user = { id: decoded.id, email: decoded.email, role: decoded.role, driverId: null };
+  try {
+    // Driver app tokens carry the driver id; other driver logins are looked up
+    if (user.role === 'driver') {
+      const driver = decoded.driverId
+        ? { _id: decoded.driverId }
+        : await Driver.findOne({ userId: user.id }).select('_id').lean();
+      user.driverId = driver?._id?.toString() || null;
+    }
+  } catch (error) {
+    return next(error);
+  }
+
+  socket.data.user = user;
+  next();
+};
+
+// How the socket's user is involved in an order: 'admin', 'customer',
+// 'supplier', 'driver' (the assigned one), or null if not at all
+const orderAccess = async (user, orderId) => {
+  if (!mongoose.isValidObjectId(orderId)) return null;
+  if (user.role === 'admin') return 'admin';
+
+  const order = await Order.findById(orderId).select('userID assignedDriver items.supplierId').lean();
+  if (!order) return null;
+
+  if (user.role === 'driver') {
+    return user.driverId && order.assignedDriver?.toString() === user.driverId ? 'driver' : null;
+  }
+  if (user.role === 'supplier' && order.items.some(item => item.supplierId?.toString() === user.id)) {
+    return 'supplier';
+  }
+  return order.userID?.toString() === user.id ? 'customer' : null;
+};
+
+module.exports = { socketAuthMiddleware, orderAccess };
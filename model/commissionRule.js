@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// Platform commission charged to suppliers (see services/commissionService.js).
+// A rule applies to items matching every scope field it sets; a rule with no
+// scope applies to everything. The most specific matching rule wins.
+const commissionRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  categoryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  subCategoryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SubCategory',
+    default: null
+  },
+  brandId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Brand',
+    default: null
+  },
+  supplierId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // percentage: value % of the item price; flat: value rupees per unit
+  commissionType: {
+    type: String,
+    enum: ['percentage', 'flat'],
+    required: true
+  },
+  value: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  effectiveFrom: {
+    type: Date,
+    default: Date.now
+  },
+  // Open-ended when null
+  effectiveTo: {
+    type: Date,
+    default: null
+  },
+  // Breaks ties between equally specific rules
+  priority: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  notes: {
+    type: String,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, { timestamps: true });
+
+commissionRuleSchema.index({ isActive: 1, effectiveFrom: 1, effectiveTo: 1 });
+
+const CommissionRule = mongoose.model('CommissionRule', commissionRuleSchema);
+module.exports = CommissionRule;
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Leases that keep a scheduled job to one server at a time when several
+// instances run (see services/leaderLock.js)
+const cronLockSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // `<hostname>:<pid>:<random>` of the instance holding the lease
+  owner: {
+    type: String,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  lastRunAt: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+const CronLock = mongoose.model('CronLock', cronLockSchema);
+module.exports = CronLock;
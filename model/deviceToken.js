@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// A device a user's app registered for push notifications. The token is
+// whatever the push provider addresses devices by (see services/pushService.js).
+const deviceTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Copied from the user at registration, for role-targeted sends
+  role: {
+    type: String,
+    enum: ['user', 'supplier', 'admin', 'driver'],
+    required: true,
+    index: true
+  },
+  token: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  platform: {
+    type: String,
+    enum: ['android', 'ios', 'web'],
+    required: true
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { timestamps: true });
+
+const DeviceToken = mongoose.model('DeviceToken', deviceTokenSchema);
+module.exports = DeviceToken;
@@ -1,5 +1,30 @@
 const mongoose = require('mongoose');
 
+// Verification state of one onboarding document (see services/driverDocumentService.js)
+const driverDocumentSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['not_submitted', 'pending', 'verified', 'failed', 'expired'],
+    default: 'not_submitted'
+  },
+  // Private Cloudinary image of the document
+  file: {
+    publicId: String,
+    format: String,
+    uploadedAt: Date
+  },
+  provider: String,
+  nameOnRecord: String,
+  message: String,
+  verifiedAt: Date,
+  lastCheckedAt: Date,
+  expiresAt: Date,
+  // Days-before-expiry of the last reminder sent (30, 7, 1), so each goes out once
+  reminderSentFor: Number,
+  // Set when an admin decided instead of the provider
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { _id: false });
+
 const driverSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -85,6 +110,18 @@ const driverSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Onboarding documents; the *Verified flags above mirror their status
+  documents: {
+    dl: { type: driverDocumentSchema, default: () => ({}) },
+    rc: { type: driverDocumentSchema, default: () => ({}) },
+    pan: { type: driverDocumentSchema, default: () => ({}) },
+    aadhaar: { type: driverDocumentSchema, default: () => ({}) }
+  },
+  // All mandatory documents verified and unexpired; required to go online
+  documentsVerified: {
+    type: Boolean,
+    default: false
+  },
   currentLocation: {
     lat: { type: Number, default: 0 },
     lng: { type: Number, default: 0 },
@@ -106,5 +143,8 @@ const driverSchema = new mongoose.Schema({
   }
 }, { timestamps: true });
 
+driverSchema.index({ 'documents.dl.expiresAt': 1 });
+driverSchema.index({ 'documents.rc.expiresAt': 1 });
+
 const Driver = mongoose.model('Driver', driverSchema);
 module.exports = Driver;
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+// Persistent state of the driver search for one order (see services/driverAssignment.js).
+// Every change is a conditional update, so several server processes can drive
+// the same queue without offering an order twice.
+const driverAssignmentSchema = new mongoose.Schema({
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    // waiting: every driver declined, next round at retryAt
+    // fallback: handed to Shiprocket after too many rounds
+    enum: ['searching', 'offered', 'accepted', 'exhausted', 'waiting', 'fallback', 'cancelled'],
+    default: 'searching',
+    index: true
+  },
+  // Search round (1 = first search); the radius widens each round
+  round: {
+    type: Number,
+    default: 1
+  },
+  radiusKm: {
+    type: Number,
+    default: null
+  },
+  // When the next round starts (status 'waiting')
+  retryAt: {
+    type: Date,
+    default: null
+  },
+  // When admin and supplier were alerted that no driver could be found
+  escalatedAt: {
+    type: Date,
+    default: null
+  },
+  fallbackError: {
+    type: String,
+    default: null
+  },
+  // Eligible drivers, nearest first
+  candidates: [{
+    _id: false,
+    driverId: { type: mongoose.Schema.Types.ObjectId, ref: 'Driver' },
+    distanceKm: Number
+  }],
+  // Index into candidates of the driver currently (or last) offered
+  currentIndex: {
+    type: Number,
+    default: -1
+  },
+  currentDriver: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Driver',
+    default: null
+  },
+  // When the current offer times out
+  deadline: {
+    type: Date,
+    default: null,
+    index: true
+  },
+  // Every offer made, with the driver's response
+  offers: [{
+    _id: false,
+    driverId: { type: mongoose.Schema.Types.ObjectId, ref: 'Driver' },
+    offeredAt: Date,
+    respondedAt: { type: Date, default: null },
+    response: {
+      type: String,
+      enum: ['accepted', 'rejected', 'timeout', null],
+      default: null
+    }
+  }],
+  // Offer details sent to drivers (addresses, amounts, rates)
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, { timestamps: true });
+
+driverAssignmentSchema.index({ status: 1, deadline: 1 });
+driverAssignmentSchema.index({ status: 1, retryAt: 1 });
+
+const DriverAssignment = mongoose.model('DriverAssignment', driverAssignmentSchema);
+
+module.exports = DriverAssignment;
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// One posting in the driver wallet ledger. Every entry moves `amount` from
+// debitAccount to creditAccount; a driver's wallet is the account
+// `driver:<driverId>`, the other side is a platform account
+// (see services/driverWalletService.js). An entry is only written once its
+// balance change has been applied, and is never edited or deleted; mistakes
+// are corrected with a reversing entry.
+const driverWalletEntrySchema = new mongoose.Schema({
+  driverId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Driver',
+    required: true
+  },
+  // Direction from the driver's point of view
+  type: {
+    type: String,
+    enum: ['credit', 'debit'],
+    required: true
+  },
+  category: {
+    type: String,
+    enum: [
+      'opening_balance',
+      'delivery_earning', 'tip', 'incentive', 'withdrawal_reversal',
+      'withdrawal', 'penalty', 'subscription_fee',
+      'adjustment'
+    ],
+    required: true
+  },
+  debitAccount: {
+    type: String,
+    required: true
+  },
+  creditAccount: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Wallet balance right after this entry was applied
+  balanceAfter: {
+    type: Number,
+    default: null
+  },
+  // Makes posting safe to retry, e.g. `delivery:<orderId>`
+  idempotencyKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  withdrawalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DriverWithdrawal',
+    default: null
+  },
+  description: {
+    type: String,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, { timestamps: true });
+
+driverWalletEntrySchema.index({ driverId: 1, createdAt: -1 });
+driverWalletEntrySchema.index({ orderId: 1 });
+
+const DriverWalletEntry = mongoose.model('DriverWalletEntry', driverWalletEntrySchema);
+module.exports = DriverWalletEntry;
@@ -18,9 +18,11 @@ const driverWithdrawalSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // pending → processing (approved, payout sent) → completed | failed;
+  // pending → rejected. Rejected and failed withdrawals are re-credited to the wallet.
   status: {
     type: String,
-    enum: ['pending', 'processing', 'completed', 'failed'],
+    enum: ['pending', 'processing', 'completed', 'failed', 'rejected'],
     default: 'pending'
   },
   // Snapshot of bank details at time of withdrawal
@@ -30,6 +32,33 @@ const driverWithdrawalSchema = new mongoose.Schema({
     ifscCode: String,
     bankName: String
   },
+  // Payout details (see services/payoutService.js)
+  payoutProvider: {
+    type: String,
+    default: null
+  },
+  payoutId: {
+    type: String,
+    default: null
+  },
+  // Bank reference number of the transfer
+  utr: {
+    type: String,
+    default: null
+  },
+  failureReason: {
+    type: String,
+    default: null
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
   processedAt: {
     type: Date,
     default: null
@@ -42,6 +71,7 @@ const driverWithdrawalSchema = new mongoose.Schema({
 
 driverWithdrawalSchema.index({ driverId: 1, status: 1 });
 driverWithdrawalSchema.index({ createdAt: -1 });
+driverWithdrawalSchema.index({ payoutId: 1 });
 
 const DriverWithdrawal = mongoose.model('DriverWithdrawal', driverWithdrawalSchema);
 module.exports = DriverWithdrawal;
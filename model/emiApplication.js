@@ -5,13 +5,116 @@ const installmentSchema = new mongoose.Schema({
   amount: Number,
   status: {
     type: String,
-    enum: ['pending', 'paid', 'overdue', 'failed'],
+    // processing: auto-debit sent, waiting for the gateway
+    enum: ['pending', 'processing', 'paid', 'overdue', 'failed'],
     default: 'pending'
   },
   paidDate: Date,
   transactionId: String,
-  paymentMethod: String
+  paymentMethod: String,
+  // Auto-debit attempts (see services/emiCollectionService.js)
+  attempts: { type: Number, default: 0 },
+  lastAttemptAt: Date,
+  failureReason: String,
+  // Gateway order for a manual payment of this installment
+  paymentOrderId: String,
+  // Amortisation split of `amount`, used to rebate interest on early repayment
+  principalComponent: Number,
+  interestComponent: Number,
+  // What was actually collected, when it differs from `amount` (late fee, interest rebate)
+  paidAmount: Number
 });
+
+// Recurring payment mandate the installments are auto-debited against
+const mandateSchema = new mongoose.Schema({
+  provider: String,
+  mandateId: String,
+  customerId: String,
+  // Where the customer authorises the mandate, until it is active
+  authUrl: String,
+  status: {
+    type: String,
+    enum: ['created', 'active', 'failed', 'cancelled'],
+    default: 'created'
+  },
+  failureReason: String,
+  activatedAt: Date,
+  cancelledAt: Date
+}, { _id: false });
+
+// Why the application was approved or rejected (see services/creditService.js)
+const creditDecisionSchema = new mongoose.Schema({
+  decision: {
+    type: String,
+    enum: ['approved', 'rejected']
+  },
+  reasons: [String],
+  score: Number,
+  limit: Number,
+  limitOverridden: Boolean,
+  exposure: Number,
+  availableLimit: Number,
+  requestedAmount: Number,
+  factors: [{
+    _id: false,
+    code: String,
+    points: Number,
+    detail: String
+  }],
+  assessedAt: Date
+}, { _id: false });
+// Several installments paid at once: a prepayment or a foreclosure
+const repaymentSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['prepayment', 'foreclosure']
+  },
+  referenceId: String,
+  orderId: String,
+  lines: [{
+    _id: false,
+    installmentNumber: Number,
+    principal: Number,
+    interest: Number,
+    interestRebate: Number,
+    penalty: Number,
+    payable: Number
+  }],
+  principal: Number,
+  interest: Number,
+  interestRebate: Number,
+  penalties: Number,
+  foreclosureCharge: Number,
+  amount: Number,
+  // Paid for installments that were settled some other way in the meantime
+  excessAmount: Number,
+  transactionId: String,
+  quotedAt: Date,
+  paidAt: Date
+}, { _id: false });
+
+// Unpaid installments replaced by a new schedule
+const restructuringSchema = new mongoose.Schema({
+  restructuredAt: Date,
+  restructuredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  reason: String,
+  previousStatus: String,
+  previousMonthlyEmi: Number,
+  replacedInstallments: [{
+    _id: false,
+    installmentNumber: Number,
+    dueDate: Date,
+    amount: Number,
+    status: String
+  }],
+  outstandingPrincipal: Number,
+  capitalisedInterest: Number,
+  capitalisedPenalties: Number,
+  waivedPenalties: Number,
+  interestRate: Number,
+  tenure: Number,
+  monthlyEmi: Number
+}, { _id: false });
 const emiApplicationSchema = new mongoose.Schema({
   // References
   userId: {
@@ -65,7 +168,8 @@ const emiApplicationSchema = new mongoose.Schema({
       'rejected',     // Failed verification
       'active',       // EMI disbursed, payments ongoing
       'completed',    // All installments paid
-      'defaulted'     // Multiple missed payments
+      'defaulted',    // Multiple missed payments
+      'cancelled'     // Order refunded, mandate cancelled
     ],
     default: 'pending'
   },
@@ -73,6 +177,24 @@ const emiApplicationSchema = new mongoose.Schema({
   // Installment Schedule
   installments: [installmentSchema],
 
+  mandate: {
+    type: mandateSchema,
+    default: null
+  },
+
+  creditDecision: {
+    type: creditDecisionSchema,
+    default: null
+  },
+
+  // Foreclosure / prepayment being paid for (see services/emiRepaymentService.js)
+  pendingRepayment: {
+    type: repaymentSchema,
+    default: null
+  },
+  repayments: [repaymentSchema],
+  restructurings: [restructuringSchema],
+
   // Payment Summary
   paidInstallments: { type: Number, default: 0 },
   remainingInstallments: Number,
@@ -80,26 +202,55 @@ const emiApplicationSchema = new mongoose.Schema({
 
   // Timestamps
   approvedAt: Date,
+  rejectedAt: Date,
   disbursedAt: Date,
-  completedAt: Date
+  completedAt: Date,
+
+  refundDetails: {
+    refundedAt: Date,
+    refundAmount: Number,
+    reason: String
+  }
 }, { timestamps: true });
-// Generate installment schedule
-emiApplicationSchema.methods.generateSchedule = function () {
+
+emiApplicationSchema.index({ status: 1, 'installments.dueDate': 1 });
+emiApplicationSchema.index({ 'mandate.mandateId': 1 });
+// Installments for `principal` over `tenure` months, due on the 5th of each
+// month after `startDate`, with each split into principal and interest
+emiApplicationSchema.statics.buildSchedule = function ({ principal, monthlyEmi, tenure, annualRate = 0, startNumber = 1, startDate = new Date() }) {
+  const monthlyRate = annualRate / 12 / 100;
   const installments = [];
-  const startDate = new Date();
+  let balance = principal;
 
-  for (let i = 1; i <= this.tenure; i++) {
+  for (let i = 1; i <= tenure; i++) {
     const dueDate = new Date(startDate);
     dueDate.setMonth(dueDate.getMonth() + i);
     dueDate.setDate(5); // Due on 5th of each month
 
+    const interestComponent = Math.round(balance * monthlyRate * 100) / 100;
+    const principalComponent = Math.round((monthlyEmi - interestComponent) * 100) / 100;
+    balance -= principalComponent;
+
     installments.push({
-      installmentNumber: i,
+      installmentNumber: startNumber + i - 1,
       dueDate: dueDate,
-      amount: this.monthlyEmi,
-      status: 'pending'
+      amount: monthlyEmi,
+      status: 'pending',
+      principalComponent,
+      interestComponent
     });
   }
+  return installments;
+};
+
+// Generate installment schedule
+emiApplicationSchema.methods.generateSchedule = function (annualRate = 0) {
+  const installments = this.constructor.buildSchedule({
+    principal: this.principalAmount,
+    monthlyEmi: this.monthlyEmi,
+    tenure: this.tenure,
+    annualRate
+  });
 
   this.installments = installments;
   this.remainingInstallments = this.tenure;
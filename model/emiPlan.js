@@ -19,6 +19,11 @@ const emiPlanSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Charged on the principal still outstanding when a loan is closed early
+  foreclosureChargePercent: {
+    type: Number,
+    default: 0
+  },
   minOrderAmount: {
     type: Number,
     required: true
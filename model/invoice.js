@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+const partySchema = new mongoose.Schema({
+  name: String,
+  gstin: { type: String, default: null },
+  phone: String,
+  address: String,
+  city: String,
+  state: String,
+  postalCode: String
+}, { _id: false });
+
+const lineSchema = new mongoose.Schema({
+  itemId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  productID: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+  description: String,
+  hsnCode: { type: String, default: null },
+  quantity: Number,
+  // GST-inclusive price per unit, before discount
+  unitPrice: Number,
+  discount: { type: Number, default: 0 },
+  taxableValue: Number,
+  gstRate: Number,
+  cgst: { type: Number, default: 0 },
+  sgst: { type: Number, default: 0 },
+  igst: { type: Number, default: 0 },
+  total: Number
+}, { _id: false });
+
+// A GST tax invoice issued by a supplier for a delivered order, or a credit
+// note against one for a refund (see services/invoiceService.js). Issued
+// documents are never edited.
+const invoiceSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['invoice', 'credit_note'],
+    required: true
+  },
+  invoiceNumber: {
+    type: String,
+    required: true
+  },
+  financialYear: {
+    type: String,
+    required: true
+  },
+  // Seller; null when the platform sells its own listing
+  supplierId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // The order the supplier fulfilled (a sub-order for split checkouts)
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  // The customer's order, for looking invoices up from a split checkout
+  customerOrderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  userID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Credit notes only
+  originalInvoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    default: null
+  },
+  refundId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  reason: {
+    type: String,
+    default: null
+  },
+  seller: partySchema,
+  buyer: partySchema,
+  placeOfSupply: String,
+  // intra_state: CGST + SGST; inter_state: IGST
+  supplyType: {
+    type: String,
+    enum: ['intra_state', 'inter_state'],
+    required: true
+  },
+  lines: [lineSchema],
+  taxableValue: { type: Number, default: 0 },
+  cgst: { type: Number, default: 0 },
+  sgst: { type: Number, default: 0 },
+  igst: { type: Number, default: 0 },
+  totalTax: { type: Number, default: 0 },
+  total: { type: Number, default: 0 },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { timestamps: true });
+
+invoiceSchema.index({ supplierId: 1, invoiceNumber: 1 }, { unique: true });
+// One tax invoice per fulfilled order, one credit note per refund and invoice
+invoiceSchema.index({ orderId: 1 }, { unique: true, partialFilterExpression: { type: 'invoice' } });
+invoiceSchema.index({ originalInvoice: 1, refundId: 1 }, { unique: true, partialFilterExpression: { type: 'credit_note' } });
+invoiceSchema.index({ customerOrderId: 1, type: 1 });
+
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+module.exports = Invoice;
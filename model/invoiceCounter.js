@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Last number issued per supplier, document type and financial year, so
+// invoice numbers run consecutively without gaps (see services/invoiceService.js)
+const invoiceCounterSchema = new mongoose.Schema({
+  // `<supplierId | platform>:<type>:<financialYear>`
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, { timestamps: true });
+
+const InvoiceCounter = mongoose.model('InvoiceCounter', invoiceCounterSchema);
+module.exports = InvoiceCounter;
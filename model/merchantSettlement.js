@@ -8,11 +8,34 @@ const merchantSettlementSchema = new mongoose.Schema({
         required: true
     },
 
+    // 'order': one order (EMI), 'weekly': a batch of supplier ledger entries
+    settlementType: {
+        type: String,
+        enum: ['order', 'weekly'],
+        default: 'order'
+    },
+
     // Order reference
     orderId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Order',
-        required: true
+        required: function () { return this.settlementType !== 'weekly'; }
+    },
+
+    // Weekly batches: the period covered and how many ledger entries it holds
+    periodStart: {
+        type: Date
+    },
+    periodEnd: {
+        type: Date
+    },
+    ledgerEntryCount: {
+        type: Number,
+        default: 0
+    },
+    refundTotal: {
+        type: Number,
+        default: 0
     },
 
     // EMI Application (if applicable)
@@ -119,6 +142,7 @@ merchantSettlementSchema.statics.getMerchantSummary = async function (merchantId
 // Indexes
 merchantSettlementSchema.index({ merchantId: 1, status: 1 });
 merchantSettlementSchema.index({ orderId: 1 });
+merchantSettlementSchema.index({ merchantId: 1, settlementType: 1, createdAt: -1 });
 merchantSettlementSchema.index({ createdAt: -1 });
 
 module.exports = mongoose.model('MerchantSettlement', merchantSettlementSchema);
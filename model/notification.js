@@ -1,11 +1,14 @@
 const mongoose = require('mongoose');
 
-// Define the Notification schema
+// Define the Notification schema: a push campaign sent by an admin to
+// everyone's registered devices or a targeted audience, now or at a scheduled time
+// (see services/notificationCampaignService.js)
 const notificationSchema = new mongoose.Schema({
+    // Push provider's id for the send (the first batch's); set once the campaign has gone out
     notificationId: {
         type: String,
-        required: [true, 'Notification ID is required'],
-        unique: true
+        unique: true,
+        sparse: true
     },
     title: {
         type: String,
@@ -21,8 +24,62 @@ const notificationSchema = new mongoose.Schema({
         type: String,
         trim: true
     },
+    // Payload for the app, e.g. { screen: 'product', productId }
+    data: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    audience: {
+        type: {
+            type: String,
+            enum: ['all', 'users', 'roles', 'cities', 'segment'],
+            default: 'all'
+        },
+        userIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+        roles: [{ type: String, enum: ['user', 'supplier', 'admin', 'driver'] }],
+        cities: [String],
+        segmentId: { type: mongoose.Schema.Types.ObjectId, ref: 'NotificationSegment', default: null }
+    },
+    // Set explicitly on create; campaigns from before scheduling were all sent straight away
+    status: {
+        type: String,
+        enum: ['scheduled', 'sending', 'sent', 'failed', 'cancelled'],
+        default: 'sent'
+    },
+    scheduledAt: {
+        type: Date,
+        default: null
+    },
+    sentAt: {
+        type: Date,
+        default: null
+    },
+    // Sent even to users who turned promotions off or are in their quiet hours
+    mandatory: {
+        type: Boolean,
+        default: false
+    },
+    stats: {
+        devices: { type: Number, default: 0 },
+        invalidTokens: { type: Number, default: 0 },
+        failedBatches: { type: Number, default: 0 },
+        // Users left out by their preferences / quiet hours
+        optedOut: { type: Number, default: 0 },
+        quietHours: { type: Number, default: 0 }
+    },
+    failureReason: {
+        type: String,
+        default: null
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
 }, { timestamps: true });
 
+notificationSchema.index({ status: 1, scheduledAt: 1 });
+
 // Create the Notification model
 const Notification = mongoose.model('Notification', notificationSchema);
 
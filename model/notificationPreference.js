@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Channels a category of notifications may use
+const channelsSchema = (defaults) => new mongoose.Schema({
+  push: { type: Boolean, default: defaults.push },
+  sms: { type: Boolean, default: defaults.sms },
+  whatsapp: { type: Boolean, default: defaults.whatsapp },
+  email: { type: Boolean, default: defaults.email }
+}, { _id: false });
+
+const TRANSACTIONAL_DEFAULTS = { push: true, sms: true, whatsapp: true, email: true };
+// Marketing over SMS / WhatsApp needs an explicit opt-in
+const PROMOTION_DEFAULTS = { push: true, sms: false, whatsapp: false, email: true };
+
+// A user's (customer, supplier or driver) notification settings. Users
+// without a document get the defaults. Account and system notifications,
+// and regulatory ones (e.g. EMI default notices), ignore these settings
+// (see services/notificationService.js).
+const notificationPreferenceSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  categories: {
+    order: { type: channelsSchema(TRANSACTIONAL_DEFAULTS), default: () => ({}) },
+    emi: { type: channelsSchema(TRANSACTIONAL_DEFAULTS), default: () => ({}) },
+    promotion: { type: channelsSchema(PROMOTION_DEFAULTS), default: () => ({}) }
+  },
+  // Pushes and messages due in this window wait until it ends (local time, HH:mm)
+  quietHours: {
+    enabled: { type: Boolean, default: false },
+    start: { type: String, default: '22:00', match: /^([01]\d|2[0-3]):[0-5]\d$/ },
+    end: { type: String, default: '08:00', match: /^([01]\d|2[0-3]):[0-5]\d$/ },
+    timezone: { type: String, default: 'Asia/Kolkata' }
+  }
+}, { timestamps: true });
+
+const NotificationPreference = mongoose.model('NotificationPreference', notificationPreferenceSchema);
+module.exports = NotificationPreference;
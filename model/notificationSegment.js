@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// A saved audience of customers picked by their order history, for
+// targeted campaigns (see services/notificationCampaignService.js).
+// Only placed orders count: cancelled and rejected ones are ignored.
+const notificationSegmentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  criteria: {
+    minOrders: { type: Number, default: 1 },
+    maxOrders: { type: Number, default: null },
+    // Total spent across those orders, in rupees
+    minSpend: { type: Number, default: null },
+    maxSpend: { type: Number, default: null },
+    // Last order placed within / not within this many days
+    orderedWithinDays: { type: Number, default: null },
+    inactiveForDays: { type: Number, default: null },
+    // Only count orders delivered to this city
+    city: { type: String, trim: true, default: null }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, { timestamps: true });
+
+const NotificationSegment = mongoose.model('NotificationSegment', notificationSegmentSchema);
+module.exports = NotificationSegment;
@@ -21,6 +21,19 @@ const orderSchema = new mongoose.Schema({
   readyAt: { type: Date, default: null },
   pickedUpAt: { type: Date, default: null },
   estimatedPrepMinutes: { type: Number, default: 15 },
+  // Multi-supplier checkout: the parent carries payment and the customer view,
+  // each sub-order is fulfilled (accepted, prepared, delivered) by one supplier
+  isParentOrder: { type: Boolean, default: false },
+  parentOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null,
+    index: true
+  },
+  subOrders: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }],
   items: [
     {
       productID: {
@@ -50,6 +63,23 @@ const orderSchema = new mongoose.Schema({
       packagingCharge: {
         type: Number,
         default: 0
+      },
+      // Tax classification when the order was placed, for the invoice
+      hsnCode: {
+        type: String,
+        default: null
+      },
+      gstRate: {
+        type: Number,
+        default: null
+      },
+      // Platform commission fixed when the order was placed (see services/commissionService.js)
+      commission: {
+        ruleId: { type: mongoose.Schema.Types.ObjectId, ref: 'CommissionRule', default: null },
+        commissionType: { type: String, enum: ['percentage', 'flat'] },
+        value: Number,
+        // Rupees for the whole line (price × quantity)
+        amount: Number
       }
     }
   ],
@@ -81,9 +111,37 @@ const orderSchema = new mongoose.Schema({
   // Payment tracking fields
   paymentStatus: {
     type: String,
-    enum: ['pending', 'created', 'paid', 'failed', 'refunded'],
+    enum: ['pending', 'created', 'paid', 'failed', 'partially_refunded', 'refunded'],
     default: 'pending'
   },
+  // Refunds issued against this order's payment (see services/refundService.js)
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  refunds: [{
+    // Razorpay refund id (rfnd_...) for gateway refunds
+    refundId: { type: String, default: null },
+    amount: { type: Number, required: true },
+    method: {
+      type: String,
+      enum: ['razorpay', 'manual'],
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'processed', 'failed'],
+      default: 'pending'
+    },
+    reason: String,
+    // Sub-order the refund is for, when only part of a split order is refunded
+    subOrder: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', default: null },
+    // Bank / UPI reference for manual payouts
+    payoutReference: { type: String, default: null },
+    initiatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    processedAt: { type: Date, default: null },
+    createdAt: { type: Date, default: Date.now }
+  }],
   razorpayOrderId: {
     type: String,
     index: true
@@ -94,15 +152,44 @@ const orderSchema = new mongoose.Schema({
   razorpaySignature: {
     type: String
   },
+  // Latest failed attempt. Checkout can be retried on the same Razorpay order,
+  // so a failure alone doesn't fail the order (see cron/orderExpiry.js)
+  lastPaymentFailure: {
+    razorpayPaymentId: String,
+    code: String,
+    description: String,
+    failedAt: Date
+  },
 
   couponCode: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Coupon'
   },
+  // Stock held for this order (see services/stockService.js).
+  // 'reserved' lapses at expiresAt unless payment commits it.
+  stockReservation: {
+    status: {
+      type: String,
+      enum: ['none', 'reserved', 'committed', 'released'],
+      default: 'none'
+    },
+    expiresAt: { type: Date, default: null },
+    lines: [{
+      _id: false,
+      model: { type: String, enum: ['Product', 'SupplierProduct'] },
+      listingId: mongoose.Schema.Types.ObjectId,
+      skuId: { type: mongoose.Schema.Types.ObjectId, default: null },
+      productID: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+      productName: String,
+      supplierId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      quantity: Number
+    }]
+  },
   orderTotal: {
     subtotal: Number,
     discount: Number,
     shippingCharge: Number,
+    handlingCharge: Number,
     convenienceFee: Number,
     packagingCharge: Number,
     total: Number
@@ -116,6 +203,10 @@ const orderSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  handlingCharge: {
+    type: Number,
+    default: 0
+  },
   convenienceFee: {
     type: Number,
     default: 0
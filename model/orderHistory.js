@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// One row per status change on an order (append-only audit trail)
+const orderHistorySchema = new mongoose.Schema({
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  // Which status field moved
+  field: {
+    type: String,
+    enum: ['orderStatus', 'deliveryStatus'],
+    required: true
+  },
+  from: {
+    type: String,
+    default: null
+  },
+  to: {
+    type: String,
+    required: true
+  },
+  // User who caused the change (null for system / webhook actions)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  role: {
+    type: String,
+    enum: ['user', 'supplier', 'driver', 'admin', 'system'],
+    required: true
+  },
+  reason: {
+    type: String,
+    default: null
+  }
+}, { timestamps: true });
+
+orderHistorySchema.index({ orderId: 1, createdAt: 1 });
+
+const OrderHistory = mongoose.model('OrderHistory', orderHistorySchema);
+
+module.exports = OrderHistory;
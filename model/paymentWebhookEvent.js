@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Razorpay webhook events already handled (Razorpay retries and may deliver twice)
+const paymentWebhookEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  razorpayOrderId: {
+    type: String,
+    default: null
+  },
+  razorpayPaymentId: {
+    type: String,
+    default: null
+  }
+}, { timestamps: true });
+
+const PaymentWebhookEvent = mongoose.model('PaymentWebhookEvent', paymentWebhookEventSchema);
+
+module.exports = PaymentWebhookEvent;
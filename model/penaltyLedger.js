@@ -116,17 +116,16 @@ const penaltyLedgerSchema = new mongoose.Schema({
         },
         status: {
             type: String,
-            enum: ['sent', 'delivered', 'failed']
+            enum: ['sent', 'delivered', 'failed', 'deferred']
         }
     }]
 
 }, { timestamps: true });
 
-// Calculate penalty based on days overdue
-penaltyLedgerSchema.methods.calculatePenalty = function () {
+// Calculate penalty based on days overdue (as of `now`, default today)
+penaltyLedgerSchema.methods.calculatePenalty = function (now = new Date()) {
     if (this.status === 'paid' || this.status === 'waived') return 0;
 
-    const now = new Date();
     const dueDate = new Date(this.dueDate);
     const gracePeriodEnd = new Date(dueDate);
     gracePeriodEnd.setDate(gracePeriodEnd.getDate() + this.gracePeriodDays);
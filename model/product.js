@@ -32,6 +32,17 @@ const productSchema = new mongoose.Schema({
         type: Number,
         default: 0
     },
+
+    // Tax (prices are GST-inclusive; see services/invoiceService.js)
+    hsnCode: {
+        type: String,
+        trim: true
+    },
+    // GST percent; the defaultGstRate setting applies when not set
+    gstRate: {
+        type: Number,
+        enum: [0, 0.25, 3, 5, 12, 18, 28]
+    },
     supplierPrice: {
         type: Number
     },
@@ -40,11 +40,60 @@ const settingSchema = new mongoose.Schema({
     type: Number,
     default: 12  // ₹ per km for drop-off
   },
+  // Driver search: radius of the first round, widened each retry round up to the max
+  driverSearchRadiusKm: {
+    type: Number,
+    default: 10
+  },
+  driverSearchRadiusStepKm: {
+    type: Number,
+    default: 5
+  },
+  driverSearchMaxRadiusKm: {
+    type: Number,
+    default: 25
+  },
+  // Wait before the next round when every driver declined; doubles each round
+  driverSearchRetryMinutes: {
+    type: Number,
+    default: 2
+  },
+  // Admin and supplier are alerted after this many rounds without a driver
+  driverSearchEscalateAfterRounds: {
+    type: Number,
+    default: 3
+  },
+  // Hand the order to Shiprocket instead of retrying once the search escalates
+  shiprocketFallbackEnabled: {
+    type: Boolean,
+    default: false
+  },
+  // Supplier payouts: platform commission on item sales when no commission
+  // rule matches, and how long earnings are held after delivery (return
+  // window) before they're payable
+  supplierCommissionPercent: {
+    type: Number,
+    default: 10
+  },
+  supplierPayoutHoldDays: {
+    type: Number,
+    default: 7
+  },
+  // GST percent for products without their own gstRate
+  defaultGstRate: {
+    type: Number,
+    default: 18
+  },
   // Razorpay payment handling fee (charged to user at checkout)
   razorpayFeePercent: {
     type: Number,
     default: 2   // 2% of order subtotal
   },
+  // Unpaid online orders are cancelled after this many minutes
+  unpaidOrderExpiryMinutes: {
+    type: Number,
+    default: 30
+  },
   // Minimum wallet balance required for driver withdrawal
   minWithdrawalAmount: {
     type: Number,
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+// What the platform owes a supplier, one line per order item and event
+// (see services/supplierLedgerService.js). Entries are batched into weekly
+// MerchantSettlement records; settlementId is set once an entry is batched.
+const supplierLedgerEntrySchema = new mongoose.Schema({
+  supplierId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The order the supplier fulfilled (a sub-order for split checkouts)
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  itemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  productID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    default: null
+  },
+  productName: {
+    type: String,
+    default: null
+  },
+  // Direction from the supplier's point of view
+  type: {
+    type: String,
+    enum: ['credit', 'debit'],
+    required: true
+  },
+  category: {
+    type: String,
+    enum: ['sale', 'commission', 'refund', 'commission_reversal', 'adjustment'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Commission percent applied to a sale
+  commissionRate: {
+    type: Number,
+    default: null
+  },
+  refundId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Not payable before this date (return window)
+  holdUntil: {
+    type: Date,
+    required: true
+  },
+  // Held by an admin (e.g. dispute), regardless of holdUntil
+  onHold: {
+    type: Boolean,
+    default: false
+  },
+  settlementId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MerchantSettlement',
+    default: null
+  },
+  // Makes recording safe to repeat, e.g. `sale:<orderId>:<itemId>`
+  idempotencyKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  description: {
+    type: String,
+    default: null
+  }
+}, { timestamps: true });
+
+supplierLedgerEntrySchema.index({ supplierId: 1, settlementId: 1, holdUntil: 1 });
+supplierLedgerEntrySchema.index({ supplierId: 1, createdAt: -1 });
+supplierLedgerEntrySchema.index({ orderId: 1 });
+
+const SupplierLedgerEntry = mongoose.model('SupplierLedgerEntry', supplierLedgerEntrySchema);
+module.exports = SupplierLedgerEntry;
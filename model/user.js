@@ -37,6 +37,13 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  // The first-order-only coupon this user redeemed; claimed conditionally so
+  // two checkouts can't both get a first-order discount (see couponService)
+  firstOrderCoupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    default: null
+  },
   isVerified: {
     type: Boolean,
     default: false
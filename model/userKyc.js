@@ -1,4 +1,26 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Result of one automated check (see services/kycVerificationService.js)
+const autoCheckSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['passed', 'failed', 'error', 'skipped']
+  },
+  message: String,
+  provider: String,
+  // Name the issuing authority has for the PAN, to compare with fullName
+  nameOnRecord: String,
+  checkedAt: Date
+}, { _id: false });
+
+// Where an uploaded document lives in Cloudinary (delivered only through signed URLs)
+const documentFileSchema = new mongoose.Schema({
+  publicId: String,
+  format: String,
+  resourceType: String,
+  uploadedAt: Date
+}, { _id: false });
 const userKycSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -26,9 +48,15 @@ const userKycSchema = new mongoose.Schema({
     uppercase: true,
     match: /^[A-Z]{5}[0-9]{4}[A-Z]{1}$/
   },
+  // Only the last 4 digits are kept, as XXXXXXXX1234; the full number is hashed
   aadhaarNumber: {
     type: String,
-    match: /^\d{12}$/
+    match: /^X{8}\d{4}$/
+  },
+  aadhaarHash: {
+    type: String,
+    index: true,
+    select: false
   },
 
   // Contact
@@ -68,7 +96,7 @@ const userKycSchema = new mongoose.Schema({
   verifiedAt: Date,
   rejectionReason: String,
 
-  // Credit Assessment
+  // Credit Assessment (last snapshot from services/creditService.js)
   creditScore: {
     type: Number,
     min: 300,
@@ -78,6 +106,12 @@ const userKycSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  creditAssessedAt: Date,
+  // Set by an admin to replace the computed limit; null uses the computed one
+  creditLimitOverride: {
+    type: Number,
+    default: null
+  },
 
   // Document uploads
   documents: {
@@ -85,6 +119,48 @@ const userKycSchema = new mongoose.Schema({
     aadhaarFront: String,
     aadhaarBack: String,
     selfie: String
+  },
+  documentFiles: {
+    panCard: documentFileSchema,
+    aadhaarFront: documentFileSchema,
+    aadhaarBack: documentFileSchema,
+    selfie: documentFileSchema
+  },
+
+  // Automated checks run on submission, for the admin reviewing it
+  submittedAt: Date,
+  autoCheckStatus: {
+    type: String,
+    enum: ['passed', 'failed', 'needs_review'],
+    default: null
+  },
+  autoChecks: {
+    documents: autoCheckSchema,
+    age: autoCheckSchema,
+    pan: autoCheckSchema,
+    aadhaar: autoCheckSchema
   }
 }, { timestamps: true });
+
+userKycSchema.index({ verificationStatus: 1, submittedAt: 1 });
+userKycSchema.index({ panNumber: 1 });
+
+// Keyed hash of an identity number, to spot one number used by several accounts
+userKycSchema.statics.hashIdentifier = function (value) {
+  const secret = process.env.KYC_HASH_SECRET || process.env.JWT_SECRET;
+  return crypto.createHmac('sha256', secret).update(String(value)).digest('hex');
+};
+
+userKycSchema.statics.maskAadhaar = function (aadhaarNumber) {
+  return `XXXXXXXX${String(aadhaarNumber).slice(-4)}`;
+};
+
+// Never store a full Aadhaar number
+userKycSchema.pre('validate', function (next) {
+  if (this.aadhaarNumber && /^\d{12}$/.test(this.aadhaarNumber)) {
+    this.aadhaarHash = this.constructor.hashIdentifier(this.aadhaarNumber);
+    this.aadhaarNumber = this.constructor.maskAadhaar(this.aadhaarNumber);
+  }
+  next();
+});
 module.exports = mongoose.model('UserKyc', userKycSchema);
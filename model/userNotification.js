@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// A notification addressed to one user (customer, supplier or driver —
+// all are User accounts), shown in their in-app inbox and
+// optionally delivered by push / SMS (see services/notificationService.js).
+// Broadcast campaigns live in model/notification.js.
+const userNotificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['payment_reminder', 'order_update', 'new_order', 'document_expiry', 'general'],
+    default: 'general'
+  },
+  // Inbox tab / filter; derived from the type unless given
+  category: {
+    type: String,
+    enum: ['order', 'emi', 'account', 'promotion', 'system'],
+    default: 'system'
+  },
+  // Extra context for the app, e.g. { emiApplicationId, installmentNo }
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Screen the app opens when the notification is tapped, e.g. { screen: 'order', params: { orderId } }
+  link: {
+    screen: { type: String, default: null },
+    params: { type: mongoose.Schema.Types.Mixed, default: null }
+  },
+  // Removed from the inbox (and the collection) after this
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  isRead: {
+    type: Boolean,
+    default: false
+  },
+  readAt: {
+    type: Date,
+    default: null
+  },
+  // Deliveries held back by the user's quiet hours go out after this
+  deliverAfter: {
+    type: Date,
+    default: null
+  },
+  deliveries: [{
+    channel: {
+      type: String,
+      enum: ['push', 'sms', 'whatsapp', 'email']
+    },
+    status: {
+      type: String,
+      enum: ['sent', 'failed', 'skipped', 'deferred']
+    },
+    error: String,
+    sentAt: Date
+  }]
+}, { timestamps: true });
+
+userNotificationSchema.index({ userId: 1, createdAt: -1 });
+userNotificationSchema.index({ userId: 1, isRead: 1 });
+userNotificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+userNotificationSchema.index({ deliverAfter: 1 }, { partialFilterExpression: { deliverAfter: { $type: 'date' } } });
+
+const UserNotification = mongoose.model('UserNotification', userNotificationSchema);
+module.exports = UserNotification;
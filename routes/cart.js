@@ -4,6 +4,7 @@ const router = express.Router();
 const Cart = require('../model/cart');
 const Product = require('../model/product');
 const { authMiddleware } = require('../middleware/auth.middleware');
+const { buildQuote } = require('../services/pricingService');
 
 // Get Cart
 router.get('/', authMiddleware, asyncHandler(async (req, res) => {
@@ -137,6 +138,24 @@ router.post('/sync', authMiddleware, asyncHandler(async (req, res) => {
     res.json({ success: true, data: cart });
 }));
 
+// Price breakdown exactly as checkout will charge it
+// Body: { items?, shippingAddress?, lat?, lng?, couponCode? } — items default to the saved cart
+router.post('/quote', authMiddleware, asyncHandler(async (req, res) => {
+    const { couponCode, lat, lng } = req.body;
+
+    let items = req.body.items;
+    if (!items) {
+        const cart = await Cart.findOne({ userId: req.user.id });
+        items = cart ? cart.items : [];
+    }
+
+    const shippingAddress = req.body.shippingAddress || (lat != null && lng != null ? { latitude: lat, longitude: lng } : null);
+
+    const quote = await buildQuote({ items, shippingAddress, couponCode, userId: req.user.id });
+
+    res.json({ success: true, message: 'Quote calculated successfully.', data: quote });
+}));
+
 // Validate cart delivery distance
 router.post('/verify-delivery', authMiddleware, asyncHandler(async (req, res) => {
     const { items, lat, lng } = req.body;
@@ -0,0 +1,45 @@
+const express = require('express');
+const asyncHandler = require('express-async-handler');
+const router = express.Router();
+const { authMiddleware, adminMiddleware } = require('../middleware/auth.middleware');
+const { validate, validateQuery, validateParams } = require('../middleware/validate');
+const {
+    commissionRuleSchema,
+    updateCommissionRuleSchema,
+    commissionRuleQuerySchema,
+    commissionPreviewSchema,
+    mongoIdSchema
+} = require('../validators/schemas');
+const commissionService = require('../services/commissionService');
+
+// List commission rules
+router.get('/', authMiddleware, adminMiddleware, validateQuery(commissionRuleQuerySchema), asyncHandler(async (req, res) => {
+    const rules = await commissionService.listRules(req.query);
+    res.json({ success: true, message: "Commission rules retrieved successfully.", data: rules });
+}));
+
+// Preview the commission a supplier would pay on a product
+router.post('/preview', authMiddleware, adminMiddleware, validate(commissionPreviewSchema), asyncHandler(async (req, res) => {
+    const preview = await commissionService.previewCommission(req.body);
+    res.json({ success: true, message: "Commission calculated.", data: preview });
+}));
+
+// Create a commission rule
+router.post('/', authMiddleware, adminMiddleware, validate(commissionRuleSchema), asyncHandler(async (req, res) => {
+    const rule = await commissionService.createRule(req.body, { actor: req.user.id });
+    res.status(201).json({ success: true, message: "Commission rule created successfully.", data: rule });
+}));
+
+// Update a commission rule (only affects orders placed afterwards)
+router.put('/:id', authMiddleware, adminMiddleware, validateParams(mongoIdSchema), validate(updateCommissionRuleSchema), asyncHandler(async (req, res) => {
+    const rule = await commissionService.updateRule(req.params.id, req.body);
+    res.json({ success: true, message: "Commission rule updated successfully.", data: rule });
+}));
+
+// Deactivate a commission rule
+router.delete('/:id', authMiddleware, adminMiddleware, validateParams(mongoIdSchema), asyncHandler(async (req, res) => {
+    const rule = await commissionService.deactivateRule(req.params.id);
+    res.json({ success: true, message: "Commission rule deactivated successfully.", data: rule });
+}));
+
+module.exports = router;
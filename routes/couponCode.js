@@ -2,9 +2,8 @@ const express = require('express');
 const asyncHandler = require('express-async-handler');
 const router = express.Router();
 const Coupon = require('../model/couponCode');
-const Product = require('../model/product');
-const Order = require('../model/order');
 const { authMiddleware } = require('../middleware/auth.middleware');
+const { validateCoupon, CouponError } = require('../services/couponService');
 
 // Get my coupons
 router.get('/my-coupons', authMiddleware, asyncHandler(async (req, res) => {
@@ -126,81 +125,27 @@ router.delete('/:id', asyncHandler(async (req, res) => {
 
 
 router.post('/check-coupon', authMiddleware, asyncHandler(async (req, res) => {
-    console.log(req.body);
-    const { couponCode, productIds, purchaseAmount } = req.body;
+    const { couponCode, productIds, items, purchaseAmount } = req.body;
 
     try {
-        // Find the coupon with the provided coupon code
-        const coupon = await Coupon.findOne({ couponCode });
-
-
-        // If coupon is not found, return false
-        if (!coupon) {
-            return res.json({ success: false, message: "Coupon not found." });
-        }
-
-        // Check if the coupon is expired
-        const currentDate = new Date();
-        if (coupon.endDate < currentDate) {
-            return res.json({ success: false, message: "Coupon is expired." });
-        }
-
-        // Check if the coupon is active
-        if (coupon.status !== 'active') {
-            return res.json({ success: false, message: "Coupon is inactive." });
-        }
-
-        // Check if the coupon is assigned to a specific user
-        if (coupon.userID && coupon.userID.toString() !== req.user.id) {
-            return res.json({ success: false, message: "This coupon is not valid for your account." });
-        }
-
-        // Check single use constraint
-        if (coupon.isSingleUse && coupon.usedBy.includes(req.user.id)) {
-            return res.json({ success: false, message: "You have already used this coupon." });
-        }
-
-        // Check first order constraint
-        if (coupon.isFirstOrderOnly) {
-            const previousOrders = await Order.countDocuments({ userID: req.user.id });
-            if (previousOrders > 0) {
-                return res.json({ success: false, message: "This coupon is only valid for your first order." });
-            }
-        }
-
-        // Check if the purchase amount is greater than the minimum purchase amount specified in the coupon
-        if (coupon.minimumPurchaseAmount && purchaseAmount < coupon.minimumPurchaseAmount) {
-            return res.json({ success: false, message: "Minimum purchase amount not met." });
-        }
-
-        // Check if the coupon is applicable for all orders
-        if (!coupon.applicableCategory && !coupon.applicableSubCategory && !coupon.applicableProduct) {
-            return res.json({ success: true, message: "Coupon is applicable for all orders.", data: coupon });
-        }
-
-        // Fetch the products from the database using the provided product IDs
-        const products = await Product.find({ _id: { $in: productIds } });
-
-        // Check if any product in the list is not applicable for the coupon
-        const isValid = products.every(product => {
-            if (coupon.applicableCategory && coupon.applicableCategory.toString() !== product.proCategoryId.toString()) {
-                return false;
-            }
-            if (coupon.applicableSubCategory && coupon.applicableSubCategory.toString() !== product.proSubCategoryId.toString()) {
-                return false;
-            }
-            if (coupon.applicableProduct && !product.proVariantId.includes(coupon.applicableProduct.toString())) {
-                return false;
-            }
-            return true;
+        // Same rules checkout applies; prices come from the product when only ids are sent
+        const cartItems = items || (productIds || []).map(productID => ({ productID }));
+        const { coupon, discount } = await validateCoupon({
+            code: couponCode,
+            userId: req.user.id,
+            items: cartItems,
+            subtotal: purchaseAmount
         });
 
-        if (isValid) {
-            return res.json({ success: true, message: "Coupon is applicable for the provided products.", data: coupon });
-        } else {
-            return res.json({ success: false, message: "Coupon is not applicable for the provided products." });
-        }
+        return res.json({
+            success: true,
+            message: "Coupon is applicable for the provided products.",
+            data: { ...coupon.toObject(), discount }
+        });
     } catch (error) {
+        if (error instanceof CouponError) {
+            return res.json({ success: false, message: error.message });
+        }
         console.error('Error checking coupon code:', error);
         return res.status(500).json({ success: false, message: "Internal server error." });
     }
@@ -7,9 +7,23 @@ const Driver = require('../model/driver');
 const Order = require('../model/order');
 const Setting = require('../model/setting');
 const DriverWithdrawal = require('../model/driverWithdrawal');
-const { authMiddleware, driverMiddleware } = require('../middleware/auth.middleware');
+const orderLifecycle = require('../services/orderLifecycle');
+const assignmentEngine = require('../services/driverAssignment');
+const { authMiddleware, driverMiddleware, adminMiddleware } = require('../middleware/auth.middleware');
+const { validate, validateQuery } = require('../middleware/validate');
+const {
+  walletStatementQuerySchema, walletEntrySchema,
+  withdrawalListQuerySchema, rejectWithdrawalSchema, manualPayoutSchema, bulkWithdrawalSchema,
+  driverDocumentsSchema, driverDocumentReviewSchema
+} = require('../validators/schemas');
+const { postEntry, creditDeliveryEarning, reconcileWallet, getStatement } = require('../services/driverWalletService');
+const withdrawalService = require('../services/withdrawalService');
+const driverDocuments = require('../services/driverDocumentService');
 const { sendOtpSms } = require('../services/smsService');
-const { uploadDriverPhoto, uploadProofOfDelivery } = require('../uploadFile');
+const { uploadDriverPhoto, uploadProofOfDelivery, uploadKyc, kycDocumentUrl } = require('../uploadFile');
+
+// Identity documents go to private storage, like customer KYC
+const uploadDriverDocuments = uploadKyc.fields(['dl', 'rc', 'pan', 'aadhaar'].map(name => ({ name, maxCount: 1 })));
 
 // ---------- Helper ----------
 const generateToken = (user, driverId) => {
@@ -177,7 +191,7 @@ router.post('/profile', authMiddleware, driverMiddleware, uploadDriverPhoto.sing
 router.post('/register', authMiddleware, driverMiddleware, uploadDriverPhoto.single('profilePhoto'), asyncHandler(async (req, res) => {
   const {
     fullName, email, dob, whatsappNumber, vehicleType, vehicleNumber,
-    aadhaarNumber, panNumber, dlNumber, rcNumber
+    aadhaarNumber, panNumber, dlNumber, rcNumber, dlExpiry, rcExpiry
   } = req.body;
 
   if (!fullName || !vehicleType || !vehicleNumber || !panNumber || !aadhaarNumber || !dlNumber || !rcNumber) {
@@ -189,23 +203,8 @@ router.post('/register', authMiddleware, driverMiddleware, uploadDriverPhoto.sin
     return res.status(404).json({ success: false, message: 'User not found.' });
   }
 
-  const rapidApiService = require('../services/rapidApiService');
-
-  // Verify Documents
-  const [panRes, aadhaarRes, dlRes, rcRes] = await Promise.all([
-    rapidApiService.verifyPan(panNumber),
-    rapidApiService.verifyAadhaar(aadhaarNumber),
-    rapidApiService.verifyDl(dlNumber),
-    rapidApiService.verifyRc(rcNumber)
-  ]);
-
-  if (!panRes.verified) return res.status(400).json({ success: false, message: 'PAN Verification failed: ' + (panRes.error || 'Invalid API Response') });
-  if (!aadhaarRes.verified) return res.status(400).json({ success: false, message: 'Aadhaar Verification failed: ' + (aadhaarRes.error || 'Invalid API Response') });
-  if (!dlRes.verified) return res.status(400).json({ success: false, message: 'Driving License Verification failed: ' + (dlRes.error || 'Invalid API Response') });
-  if (!rcRes.verified) return res.status(400).json({ success: false, message: 'RC Verification failed: ' + (rcRes.error || 'Invalid API Response') });
-
   let driver = await Driver.findOne({ userId: user._id });
-  
+
   if (driver) {
     // Update existing
     driver.fullName = fullName;
@@ -214,18 +213,7 @@ router.post('/register', authMiddleware, driverMiddleware, uploadDriverPhoto.sin
     driver.whatsappNumber = whatsappNumber;
     driver.vehicleType = vehicleType;
     driver.vehicleNumber = vehicleNumber;
-    driver.panNumber = panNumber;
-    driver.panVerified = true;
-    driver.aadhaarNumber = aadhaarNumber;
-    driver.aadhaarVerified = true;
-    driver.dlNumber = dlNumber;
-    driver.dlVerified = true;
-    driver.rcNumber = rcNumber;
-    driver.rcVerified = true;
-
     if (req.file) driver.profilePhoto = req.file.path;
-    driver.isProfileComplete = true;
-    await driver.save();
   } else {
     // Create new
     driver = new Driver({
@@ -237,19 +225,17 @@ router.post('/register', authMiddleware, driverMiddleware, uploadDriverPhoto.sin
       whatsappNumber,
       vehicleType,
       vehicleNumber,
-      panNumber,
-      panVerified: true,
-      aadhaarNumber,
-      aadhaarVerified: true,
-      dlNumber,
-      dlVerified: true,
-      rcNumber,
-      rcVerified: true,
-      profilePhoto: req.file ? req.file.path : null,
-      isProfileComplete: true
+      profilePhoto: req.file ? req.file.path : null
     });
-    await driver.save();
   }
+  driver.isProfileComplete = true;
+
+  // Verify Documents; failures are stored on the driver and block going online
+  await driverDocuments.submitDocuments(driver, {
+    numbers: { dl: dlNumber, rc: rcNumber, pan: panNumber, aadhaar: aadhaarNumber },
+    expiries: { dl: dlExpiry, rc: rcExpiry }
+  });
+  await driver.save();
 
   // Update user name
   user.name = fullName;
@@ -259,11 +245,44 @@ router.post('/register', authMiddleware, driverMiddleware, uploadDriverPhoto.sin
 
   res.json({
     success: true,
-    message: 'Driver registration complete.',
+    message: driver.documentsVerified
+      ? 'Driver registration complete.'
+      : 'Driver registered. Some documents need attention before you can go online.',
     data: { driverProfile: driver, token }
   });
 }));
 
+// POST /driver/documents  (multipart — dl, rc, pan, aadhaar images, plus numbers and expiry dates)
+router.post('/documents', authMiddleware, driverMiddleware, uploadDriverDocuments, validate(driverDocumentsSchema), asyncHandler(async (req, res) => {
+  const driver = await Driver.findOne({ userId: req.user.id });
+  if (!driver) {
+    return res.status(404).json({ success: false, message: 'Driver profile not found.' });
+  }
+
+  const { dlNumber, rcNumber, panNumber, aadhaarNumber, dlExpiry, rcExpiry } = req.body;
+  await driverDocuments.submitDocuments(driver, {
+    numbers: { dl: dlNumber, rc: rcNumber, pan: panNumber, aadhaar: aadhaarNumber },
+    expiries: { dl: dlExpiry, rc: rcExpiry },
+    files: req.files
+  });
+  await driver.save();
+
+  res.json({
+    success: true,
+    message: driver.documentsVerified ? 'All documents verified.' : 'Documents saved. Some still need attention.',
+    data: { documents: driver.documents, documentsVerified: driver.documentsVerified }
+  });
+}));
+
+// GET /driver/documents — verification status and expiry of each document
+router.get('/documents', authMiddleware, driverMiddleware, asyncHandler(async (req, res) => {
+  const driver = await Driver.findOne({ userId: req.user.id }).select('documents documentsVerified');
+  if (!driver) {
+    return res.status(404).json({ success: false, message: 'Driver profile not found.' });
+  }
+  res.json({ success: true, data: { documents: driver.documents, documentsVerified: driver.documentsVerified } });
+}));
+
 // GET /driver/profile
 router.get('/profile', authMiddleware, driverMiddleware, asyncHandler(async (req, res) => {
   const driver = await Driver.findOne({ userId: req.user.id });
@@ -332,10 +351,18 @@ router.patch('/orders/:id/status', authMiddleware, driverMiddleware, asyncHandle
     return res.status(400).json({ success: false, message: `Invalid status. Must be one of: ${validStatuses.join(', ')}` });
   }
 
+  const driver = await Driver.findOne({ userId: req.user.id });
+  if (!driver) {
+    return res.status(404).json({ success: false, message: 'Driver profile not found.' });
+  }
+
   const order = await Order.findById(req.params.id);
   if (!order) {
     return res.status(404).json({ success: false, message: 'Order not found.' });
   }
+  if (!order.assignedDriver?.equals(driver._id)) {
+    return res.status(403).json({ success: false, message: 'This order is not assigned to you.' });
+  }
 
   // Gate: Driver cannot pick up until supplier marks food as ready
   if (status === 'PICKED_UP' && order.orderStatus !== 'ready') {
@@ -345,79 +372,90 @@ router.patch('/orders/:id/status', authMiddleware, driverMiddleware, asyncHandle
     });
   }
 
-  order.deliveryStatus = status;
-
   // Sync orderStatus with deliveryStatus transitions
+  const changes = { deliveryStatus: status };
   if (status === 'PICKED_UP') {
-    order.orderStatus = 'picked_up';
+    changes.orderStatus = 'picked_up';
     order.pickedUpAt = new Date();
   }
 
   if (status === 'DELIVERED') {
-    order.orderStatus = 'delivered';
+    if (order.deliveryStatus === 'DELIVERED') {
+      return res.status(400).json({ success: false, message: 'Order is already delivered.' });
+    }
+    changes.orderStatus = 'delivered';
+    orderLifecycle.assertTransition('orderStatus', order.orderStatus, 'delivered');
+    orderLifecycle.assertTransition('deliveryStatus', order.deliveryStatus, 'DELIVERED');
 
-    // Calculate and credit driver earnings
+    // Calculate driver earnings (credited to the wallet once the delivery is saved)
     try {
-      const driver = await Driver.findOne({ userId: req.user.id });
-      if (driver) {
-        const settings = await Setting.findOne() || {};
-        const pickupFreeKm = settings.driverPickupFreeKm || 1;
-        const pickupRate = settings.driverPickupRatePerKm || 3;
-        const dropRate = settings.driverDropRatePerKm || 12;
-
-        // Get supplier location for pickup distance
-        const supplierId = order.items?.[0]?.supplierId;
-        const supplier = supplierId ? await User.findById(supplierId) : null;
-        const pickupLat = supplier?.supplierProfile?.pickupAddress?.latitude;
-        const pickupLng = supplier?.supplierProfile?.pickupAddress?.longitude;
-        const customerLat = order.shippingAddress?.latitude;
-        const customerLng = order.shippingAddress?.longitude;
-        const driverLat = driver.currentLocation?.lat || 0;
-        const driverLng = driver.currentLocation?.lng || 0;
-
-        // Use Google Maps API for actual road distance (not straight-line)
-        const { getDistanceAndETA } = require('../services/googleMapsService');
-
-        let pickupDistKm = 0;
-        let dropDistKm = 0;
-        if (pickupLat && pickupLng && driverLat && driverLng) {
-          const pickupResult = await getDistanceAndETA(driverLat, driverLng, pickupLat, pickupLng);
-          pickupDistKm = pickupResult.distanceKm || 0;
-        }
-        if (pickupLat && pickupLng && customerLat && customerLng) {
-          const dropResult = await getDistanceAndETA(pickupLat, pickupLng, customerLat, customerLng);
-          dropDistKm = dropResult.distanceKm || 0;
-        }
-
-        const pickupEarnings = pickupDistKm > pickupFreeKm
-          ? (pickupDistKm - pickupFreeKm) * pickupRate
-          : 0;
-        const dropEarnings = dropDistKm * dropRate;
-        const totalDriverEarnings = Math.round(pickupEarnings + dropEarnings);
-
-        // Credit to driver wallet
-        driver.walletBalance = (driver.walletBalance || 0) + totalDriverEarnings;
-        driver.totalEarnings = (driver.totalEarnings || 0) + totalDriverEarnings;
-        await driver.save();
-
-        // Save earnings on the order
-        order.driverEarnings = totalDriverEarnings;
+      const settings = await Setting.findOne() || {};
+      const pickupFreeKm = settings.driverPickupFreeKm || 1;
+      const pickupRate = settings.driverPickupRatePerKm || 3;
+      const dropRate = settings.driverDropRatePerKm || 12;
+
+      // Get supplier location for pickup distance
+      const supplierId = order.items?.[0]?.supplierId;
+      const supplier = supplierId ? await User.findById(supplierId) : null;
+      const pickupLat = supplier?.supplierProfile?.pickupAddress?.latitude;
+      const pickupLng = supplier?.supplierProfile?.pickupAddress?.longitude;
+      const customerLat = order.shippingAddress?.latitude;
+      const customerLng = order.shippingAddress?.longitude;
+      const driverLat = driver.currentLocation?.lat || 0;
+      const driverLng = driver.currentLocation?.lng || 0;
+
+      // Use Google Maps API for actual road distance (not straight-line)
+      const { getDistanceAndETA } = require('../services/googleMapsService');
+
+      let pickupDistKm = 0;
+      let dropDistKm = 0;
+      if (pickupLat && pickupLng && driverLat && driverLng) {
+        const pickupResult = await getDistanceAndETA(driverLat, driverLng, pickupLat, pickupLng);
+        pickupDistKm = pickupResult.distanceKm || 0;
+      }
+      if (pickupLat && pickupLng && customerLat && customerLng) {
+        const dropResult = await getDistanceAndETA(pickupLat, pickupLng, customerLat, customerLng);
+        dropDistKm = dropResult.distanceKm || 0;
       }
+
+      const pickupEarnings = pickupDistKm > pickupFreeKm
+        ? (pickupDistKm - pickupFreeKm) * pickupRate
+        : 0;
+      const dropEarnings = dropDistKm * dropRate;
+      const totalDriverEarnings = Math.round(pickupEarnings + dropEarnings);
+
+      // Save earnings on the order
+      order.driverEarnings = totalDriverEarnings;
     } catch (err) {
       console.error('Error calculating driver earnings:', err);
     }
   }
-  await order.save();
+  await orderLifecycle.transition(order, changes, {
+    actor: req.user.id,
+    role: req.user.role,
+    reason: `Driver updated delivery to ${status}`
+  });
+
+  // Credit the wallet. Keyed by order, so a retried request can't pay twice
+  if (status === 'DELIVERED' && order.driverEarnings > 0 && order.assignedDriver) {
+    try {
+      await creditDeliveryEarning(order.assignedDriver, order, order.driverEarnings, req.user.id);
+    } catch (err) {
+      console.error(`Error crediting driver earnings for order ${order._id}:`, err.message);
+    }
+  }
 
   // Emit socket events so supplier app can track delivery progress in real-time
   const io = req.app.get('io');
   if (io) {
-    io.emit(`order_status_${order._id}`, {
+    const supplierRooms = [...new Set(order.items.map(item => item.supplierId?.toString()).filter(Boolean))]
+      .map(supplierId => `supplier_${supplierId}`);
+    io.to([`order_${order._id}`, ...supplierRooms]).emit(`order_status_${order._id}`, {
       orderId: order._id,
       status: order.orderStatus,
       deliveryStatus: status
     });
-    io.emit(`order_update_${order.userID}`, {
+    io.to(`user_${order.userID}`).emit(`order_update_${order.userID}`, {
       orderId: order._id,
       status: order.orderStatus,
       deliveryStatus: status
@@ -457,6 +495,16 @@ router.patch('/status', authMiddleware, driverMiddleware, asyncHandler(async (re
     return res.status(404).json({ success: false, message: 'Driver profile not found.' });
   }
 
+  if (isOnline === true && !driver.documentsVerified) {
+    const pending = Object.entries(driverDocuments.DOCUMENT_TYPES)
+      .filter(([type]) => driver.documents[type].status !== 'verified' || (driver.documents[type].expiresAt && driver.documents[type].expiresAt <= new Date()))
+      .map(([, { label }]) => label);
+    return res.status(403).json({
+      success: false,
+      message: `Verify your documents before going online: ${pending.join(', ')}.`,
+      data: { documents: driver.documents }
+    });
+  }
   if (typeof isOnline === 'boolean') {
     driver.isOnline = isOnline;
   }
@@ -472,34 +520,34 @@ router.patch('/status', authMiddleware, driverMiddleware, asyncHandler(async (re
 // ORDER ACCEPT / REJECT (authenticated driver)
 // =====================================================
 
-// POST /driver/orders/:id/accept — accept an order notification
+// POST /driver/orders/:id/accept — accept an order offered to this driver
 router.post('/orders/:id/accept', authMiddleware, driverMiddleware, asyncHandler(async (req, res) => {
   const driver = await Driver.findOne({ userId: req.user.id });
   if (!driver) {
     return res.status(404).json({ success: false, message: 'Driver profile not found.' });
   }
 
-  const order = await Order.findById(req.params.id);
-  if (!order) {
+  if (!(await Order.exists({ _id: req.params.id }))) {
     return res.status(404).json({ success: false, message: 'Order not found.' });
   }
 
-  // Check if already assigned
-  if (order.assignedDriver && order.assignedDriver.toString() !== driver._id.toString()) {
-    return res.status(400).json({ success: false, message: 'Order already assigned to another driver.' });
+  // Same check as the accept_order socket event: only the driver holding the open offer
+  const order = await assignmentEngine.handleAccept(req.params.id, driver._id.toString());
+  if (!order) {
+    return res.status(409).json({ success: false, message: 'This order is not currently offered to you.' });
   }
 
-  order.assignedDriver = driver._id;
-  order.deliveryStatus = 'ACCEPTED';
-  await order.save();
-
   res.json({ success: true, message: 'Order accepted.', data: order });
 }));
 
 // POST /driver/orders/:id/reject — reject an order notification (cascades to next driver)
 router.post('/orders/:id/reject', authMiddleware, driverMiddleware, asyncHandler(async (req, res) => {
-  // Simply acknowledge the rejection — the cascading logic will be handled
-  // by the Socket.io event system which notifies the next nearest driver
+  const driver = await Driver.findOne({ userId: req.user.id });
+  if (!driver) {
+    return res.status(404).json({ success: false, message: 'Driver profile not found.' });
+  }
+
+  await assignmentEngine.handleReject(req.params.id, driver._id.toString());
   res.json({ success: true, message: 'Order rejected. Notifying next available driver.' });
 }));
 
@@ -542,6 +590,17 @@ router.get('/wallet', authMiddleware, driverMiddleware, asyncHandler(async (req,
   });
 }));
 
+// GET /driver/wallet/statement?from=&to=&category=&page=&limit=
+router.get('/wallet/statement', authMiddleware, driverMiddleware, validateQuery(walletStatementQuerySchema), asyncHandler(async (req, res) => {
+  const driver = await Driver.findOne({ userId: req.user.id });
+  if (!driver) {
+    return res.status(404).json({ success: false, message: 'Driver profile not found.' });
+  }
+
+  const statement = await getStatement(driver._id, req.query);
+  res.json({ success: true, data: statement });
+}));
+
 // POST /driver/bank-details
 router.post('/bank-details', authMiddleware, driverMiddleware, asyncHandler(async (req, res) => {
   const { accountName, accountNumber, ifscCode, bankName } = req.body;
@@ -591,10 +650,6 @@ router.post('/withdraw', authMiddleware, driverMiddleware, asyncHandler(async (r
     return res.status(400).json({ success: false, message: `Minimum withdrawal amount is ₹${minWithdrawalAmount}.` });
   }
 
-  if (driver.walletBalance < withdrawAmount) {
-    return res.status(400).json({ success: false, message: 'Insufficient wallet balance.' });
-  }
-
   // Check for pending withdrawals
   const pendingWithdrawal = await DriverWithdrawal.findOne({
     driverId: driver._id,
@@ -608,11 +663,6 @@ router.post('/withdraw', authMiddleware, driverMiddleware, asyncHandler(async (r
   const razorpayFee = Math.round(withdrawAmount * razorpayFeePercent / 100);
   const netAmount = withdrawAmount - razorpayFee;
 
-  // Deduct from wallet
-  driver.walletBalance -= withdrawAmount;
-  await driver.save();
-
-  // Create withdrawal record
   const withdrawal = new DriverWithdrawal({
     driverId: driver._id,
     amount: withdrawAmount,
@@ -621,7 +671,30 @@ router.post('/withdraw', authMiddleware, driverMiddleware, asyncHandler(async (r
     status: 'pending',
     bankDetails: { ...driver.bankDetails.toObject() }
   });
-  await withdrawal.save();
+
+  // Deduct from wallet (refused if the balance is too low)
+  const { driver: debited } = await postEntry(driver._id, {
+    category: 'withdrawal',
+    amount: withdrawAmount,
+    idempotencyKey: `withdrawal:${withdrawal._id}`,
+    withdrawalId: withdrawal._id,
+    description: 'Withdrawal to bank account',
+    actor: req.user.id
+  });
+
+  // Create withdrawal record
+  try {
+    await withdrawal.save();
+  } catch (err) {
+    await postEntry(driver._id, {
+      category: 'withdrawal_reversal',
+      amount: withdrawAmount,
+      idempotencyKey: `withdrawal_reversal:${withdrawal._id}`,
+      withdrawalId: withdrawal._id,
+      description: 'Withdrawal request could not be created'
+    });
+    throw err;
+  }
 
   res.json({
     success: true,
@@ -632,11 +705,136 @@ router.post('/withdraw', authMiddleware, driverMiddleware, asyncHandler(async (r
       razorpayFee,
       netAmount,
       status: 'pending',
-      walletBalance: driver.walletBalance
+      walletBalance: debited.walletBalance
     }
   });
 }));
 
+// =====================================================
+// DRIVER DOCUMENTS (admin)
+// =====================================================
+
+// GET /driver/admin/:driverId/documents — document status with signed image previews
+router.get('/admin/:driverId/documents', authMiddleware, adminMiddleware, asyncHandler(async (req, res) => {
+  const driver = await Driver.findById(req.params.driverId).select('fullName phone documents documentsVerified');
+  if (!driver) {
+    return res.status(404).json({ success: false, message: 'Driver not found.' });
+  }
+
+  const previews = Object.fromEntries(
+    Object.keys(driverDocuments.DOCUMENT_TYPES).map(type => [type, kycDocumentUrl(driver.documents[type].file)])
+  );
+  res.json({ success: true, data: { driver, previews } });
+}));
+
+// POST /driver/admin/:driverId/documents/:type/review — verify or fail a document by hand
+router.post('/admin/:driverId/documents/:type/review', authMiddleware, adminMiddleware, validate(driverDocumentReviewSchema), asyncHandler(async (req, res) => {
+  const { driverId, type } = req.params;
+  if (!driverDocuments.DOCUMENT_TYPES[type]) {
+    return res.status(400).json({ success: false, message: 'Unknown document type.' });
+  }
+
+  const driver = await driverDocuments.reviewDocument(driverId, type, req.body, req.user.id);
+  res.json({ success: true, message: `Document ${req.body.status}`, data: { documents: driver.documents, documentsVerified: driver.documentsVerified } });
+}));
+
+// =====================================================
+// WALLET ADMINISTRATION (admin)
+// =====================================================
+
+// POST /driver/admin/:driverId/wallet/entries — tips, incentives, penalties, subscription fees, adjustments
+router.post('/admin/:driverId/wallet/entries', authMiddleware, adminMiddleware, validate(walletEntrySchema), asyncHandler(async (req, res) => {
+  const { category, type, amount, description, orderId, reference } = req.body;
+
+  const { entry, driver, duplicate } = await postEntry(req.params.driverId, {
+    category,
+    type,
+    amount,
+    // Posting the same reference twice is a no-op
+    idempotencyKey: `${category}:${req.params.driverId}:${reference || orderId || Date.now()}`,
+    orderId: orderId || null,
+    description: description || null,
+    actor: req.user.id
+  });
+
+  res.json({
+    success: true,
+    message: duplicate ? 'Entry was already posted.' : 'Wallet entry posted.',
+    data: { entry, walletBalance: driver?.walletBalance ?? null }
+  });
+}));
+
+// POST /driver/admin/:driverId/wallet/reconcile — rebuild the cached balance from the ledger
+router.post('/admin/:driverId/wallet/reconcile', authMiddleware, adminMiddleware, asyncHandler(async (req, res) => {
+  const result = await reconcileWallet(req.params.driverId);
+  res.json({
+    success: true,
+    message: result.drift === 0 ? 'Wallet is in sync with the ledger.' : `Wallet corrected by ₹${result.drift}.`,
+    data: result
+  });
+}));
+
+// GET /driver/admin/:driverId/wallet/statement
+router.get('/admin/:driverId/wallet/statement', authMiddleware, adminMiddleware, validateQuery(walletStatementQuerySchema), asyncHandler(async (req, res) => {
+  const statement = await getStatement(req.params.driverId, req.query);
+  res.json({ success: true, data: statement });
+}));
+
+// =====================================================
+// WITHDRAWAL PROCESSING (admin)
+// =====================================================
+
+// GET /driver/admin/withdrawals?status=&driverId=&page=&limit=
+router.get('/admin/withdrawals', authMiddleware, adminMiddleware, validateQuery(withdrawalListQuerySchema), asyncHandler(async (req, res) => {
+  const { withdrawals, pagination } = await withdrawalService.listWithdrawals(req.query);
+  res.json({ success: true, data: withdrawals, pagination });
+}));
+
+// POST /driver/admin/withdrawals/bulk-approve
+router.post('/admin/withdrawals/bulk-approve', authMiddleware, adminMiddleware, validate(bulkWithdrawalSchema), asyncHandler(async (req, res) => {
+  const results = await withdrawalService.processWithdrawals(req.body.withdrawalIds, { actor: req.user.id });
+  const succeeded = results.filter(r => r.success).length;
+  res.json({
+    success: true,
+    message: `${succeeded} of ${results.length} withdrawals processed.`,
+    data: results
+  });
+}));
+
+// POST /driver/admin/withdrawals/:id/approve — send the payout
+router.post('/admin/withdrawals/:id/approve', authMiddleware, adminMiddleware, asyncHandler(async (req, res) => {
+  const withdrawal = await withdrawalService.approveWithdrawal(req.params.id, { actor: req.user.id });
+  const message = {
+    completed: 'Payout completed.',
+    processing: withdrawal.payoutProvider === 'manual'
+      ? 'Payout approved. Make the bank transfer, then confirm it with its UTR.'
+      : 'Payout initiated. It will be marked completed once the bank confirms.',
+    failed: `Payout failed: ${withdrawal.failureReason}. The amount was returned to the driver's wallet.`
+  }[withdrawal.status];
+  res.json({ success: withdrawal.status !== 'failed', message, data: withdrawal });
+}));
+
+// POST /driver/admin/withdrawals/:id/confirm — record a manual bank transfer: { utr } or { failureReason }
+router.post('/admin/withdrawals/:id/confirm', authMiddleware, adminMiddleware, validate(manualPayoutSchema), asyncHandler(async (req, res) => {
+  const withdrawal = await withdrawalService.confirmManualPayout(req.params.id, req.body);
+  const message = withdrawal.status === 'completed'
+    ? 'Payout marked completed.'
+    : 'Payout marked failed. The amount was returned to the driver\'s wallet.';
+  res.json({ success: true, message, data: withdrawal });
+}));
+
+// POST /driver/admin/withdrawals/:id/reject — re-credits the wallet
+router.post('/admin/withdrawals/:id/reject', authMiddleware, adminMiddleware, validate(rejectWithdrawalSchema), asyncHandler(async (req, res) => {
+  const withdrawal = await withdrawalService.rejectWithdrawal(req.params.id, { actor: req.user.id, reason: req.body.reason });
+  res.json({ success: true, message: 'Withdrawal rejected and amount returned to the driver\'s wallet.', data: withdrawal });
+}));
+
+// POST /driver/payouts/webhook — payout status updates from the payout provider
+router.post('/payouts/webhook', asyncHandler(async (req, res) => {
+  const result = await withdrawalService.handlePayoutWebhook(req.rawBody, req.headers, req.body);
+  res.json({ success: true, message: `Webhook processed: ${result}` });
+}));
+
 // GET /driver/withdrawals
 router.get('/withdrawals', authMiddleware, driverMiddleware, asyncHandler(async (req, res) => {
   const driver = await Driver.findOne({ userId: req.user.id });
@@ -5,8 +5,12 @@ const EmiPlan = require('../model/emiPlan');
 const EmiApplication = require('../model/emiApplication');
 const UserKyc = require('../model/userKyc');
 const { authMiddleware, adminMiddleware } = require('../middleware/auth.middleware.js');
-const { validate } = require('../middleware/validate');
-const { createEmiPlanSchema, applyEmiSchema, payInstallmentSchema } = require('../validators/schemas');
+const { validate, validateQuery, validateParams } = require('../middleware/validate');
+const { createEmiPlanSchema, applyEmiSchema, payInstallmentSchema, emiRepaymentSchema, restructureEmiSchema, reminderDryRunSchema, mongoIdSchema } = require('../validators/schemas');
+const emiCollection = require('../services/emiCollectionService');
+const credit = require('../services/creditService');
+const emiRepayment = require('../services/emiRepaymentService');
+const { runPaymentReminderJob } = require('../cron/paymentReminder');
 
 //Emi plans staring yaha se
 
@@ -57,14 +61,6 @@ router.post('/apply', authMiddleware, validate(applyEmiSchema), asyncHandler(asy
     });
   }
 
-  // Check credit limit
-  if (principalAmount > kyc.creditLimit) {
-    return res.status(400).json({
-      success: false,
-      message: `EMI amount exceeds your credit limit of ₹${kyc.creditLimit}`
-    });
-  }
-
   // Get EMI plan
   const plan = await EmiPlan.findById(emiPlanId);
   if (!plan) {
@@ -79,6 +75,9 @@ router.post('/apply', authMiddleware, validate(applyEmiSchema), asyncHandler(asy
   const totalAmount = monthlyEmi * plan.tenure;
   const totalInterest = totalAmount - principalAmount;
 
+  // Score the user and check the amount against their limit and what they already owe
+  const creditDecision = await credit.decideApplication(userId, principalAmount);
+
   // Create application
   const application = new EmiApplication({
     userId,
@@ -90,21 +89,62 @@ router.post('/apply', authMiddleware, validate(applyEmiSchema), asyncHandler(asy
     totalAmount: totalAmount + plan.processingFee,
     tenure: plan.tenure,
     monthlyEmi,
-    status: 'approved' // Auto-approve for verified users
+    status: creditDecision.decision,
+    creditDecision
   });
 
+  if (creditDecision.decision === 'rejected') {
+    application.rejectedAt = new Date();
+    await application.save();
+    return res.status(400).json({
+      success: false,
+      message: `EMI application declined: ${creditDecision.reasons.join('; ')}`,
+      data: application
+    });
+  }
+
   // Generate installment schedule
-  application.generateSchedule();
+  application.generateSchedule(plan.interestRate);
   application.approvedAt = new Date();
 
   await application.save();
 
+  // Two applications approved at once could together exceed the limit:
+  // re-check against everything else now that this one counts as exposure
+  const recheck = await credit.decideApplication(userId, principalAmount, { excludeApplicationId: application._id });
+  if (recheck.decision === 'rejected') {
+    application.status = 'rejected';
+    application.rejectedAt = new Date();
+    application.creditDecision = recheck;
+    await application.save();
+    return res.status(400).json({
+      success: false,
+      message: `EMI application declined: ${recheck.reasons.join('; ')}`,
+      data: application
+    });
+  }
+
+  // Installments are auto-debited; a failed setup can be retried from the app
+  const withMandate = await emiCollection.setupMandate(application);
+
+  const mandateMessages = {
+    active: 'EMI application approved!',
+    created: 'EMI application approved! Please authorise auto-debit to activate it.',
+    failed: 'EMI application approved, but auto-debit could not be set up. Please try again.'
+  };
+
   res.status(201).json({
     success: true,
-    message: 'EMI application approved!',
-    data: application
+    message: mandateMessages[withMandate.mandate.status],
+    data: withMandate
   });
 }));
+// Current credit score, limit and outstanding EMI amount, with what drove the score
+router.get('/credit', authMiddleware, asyncHandler(async (req, res) => {
+  const assessment = await credit.assessCredit(req.user.id);
+  delete assessment.signals;
+  res.json({ success: true, data: assessment });
+}));
 // Get user's EMI applications
 router.get('/my-applications', authMiddleware, asyncHandler(async (req, res) => {
   const applications = await EmiApplication.find({ userId: req.user.id })
@@ -114,10 +154,45 @@ router.get('/my-applications', authMiddleware, asyncHandler(async (req, res) =>
 
   res.json({ success: true, data: applications });
 }));
-// Pay an installment
+// Set up (or retry) the auto-debit mandate for an application
+router.post('/applications/:id/mandate', authMiddleware, asyncHandler(async (req, res) => {
+  const application = await EmiApplication.findOne({ _id: req.params.id, userId: req.user.id });
+  if (!application) {
+    return res.status(404).json({ success: false, message: 'EMI application not found.' });
+  }
+
+  const updated = await emiCollection.setupMandate(application);
+  if (updated.mandate.status === 'failed') {
+    return res.status(502).json({
+      success: false,
+      message: `Could not set up auto-debit: ${updated.mandate.failureReason}`,
+      data: updated
+    });
+  }
+
+  res.json({
+    success: true,
+    message: updated.mandate.status === 'active' ? 'Auto-debit is active.' : 'Please authorise the auto-debit mandate.',
+    data: updated
+  });
+}));
+
+// Start a manual payment of an installment
+router.post('/pay/:applicationId/:installmentNumber/order', authMiddleware, asyncHandler(async (req, res) => {
+  const { applicationId, installmentNumber } = req.params;
+
+  const application = await EmiApplication.findOne({ _id: applicationId, userId: req.user.id });
+  if (!application) {
+    return res.status(404).json({ success: false, message: 'EMI application not found.' });
+  }
+
+  const paymentOrder = await emiCollection.createInstallmentPayment(application, installmentNumber);
+  res.json({ success: true, data: paymentOrder });
+}));
+
+// Pay an installment (verified with the payment gateway)
 router.post('/pay/:applicationId/:installmentNumber', authMiddleware, validate(payInstallmentSchema), asyncHandler(async (req, res) => {
   const { applicationId, installmentNumber } = req.params;
-  const { transactionId, paymentMethod } = req.body;
 
   const application = await EmiApplication.findOne({
     _id: applicationId,
@@ -131,51 +206,86 @@ router.post('/pay/:applicationId/:installmentNumber', authMiddleware, validate(p
     });
   }
 
-  // Find the installment
-  const installment = application.installments.find(
-    i => i.installmentNumber === Number(installmentNumber)
-  );
+  const updated = await emiCollection.verifyInstallmentPayment(application, installmentNumber, req.body);
 
-  if (!installment) {
-    return res.status(404).json({
-      success: false,
-      message: 'Installment not found.'
-    });
-  }
+  res.json({
+    success: true,
+    message: 'Installment paid successfully!',
+    data: updated
+  });
+}));
 
-  if (installment.status === 'paid') {
-    return res.status(400).json({
-      success: false,
-      message: 'Installment already paid.'
-    });
+// ==================== PREPAYMENT & FORECLOSURE ====================
+// Quote paying the next few installments (prepayment) or closing the loan (foreclosure)
+router.get('/applications/:id/repayment-quote', authMiddleware, validateParams(mongoIdSchema), validateQuery(emiRepaymentSchema), asyncHandler(async (req, res) => {
+  const application = await EmiApplication.findOne({ _id: req.params.id, userId: req.user.id });
+  if (!application) {
+    return res.status(404).json({ success: false, message: 'EMI application not found.' });
   }
 
-  // Update installment
-  installment.status = 'paid';
-  installment.paidDate = new Date();
-  installment.transactionId = transactionId;
-  installment.paymentMethod = paymentMethod;
+  const quote = await emiRepayment.quoteRepayment(application, req.query);
+  res.json({ success: true, data: quote });
+}));
 
-  // Update application summary
-  application.paidInstallments += 1;
-  application.remainingInstallments -= 1;
+// Start paying a prepayment or foreclosure
+router.post('/applications/:id/repayments/order', authMiddleware, validateParams(mongoIdSchema), validate(emiRepaymentSchema), asyncHandler(async (req, res) => {
+  const application = await EmiApplication.findOne({ _id: req.params.id, userId: req.user.id });
+  if (!application) {
+    return res.status(404).json({ success: false, message: 'EMI application not found.' });
+  }
 
-  // Find next due date
-  const nextPending = application.installments.find(i => i.status === 'pending');
-  application.nextDueDate = nextPending ? nextPending.dueDate : null;
+  const result = await emiRepayment.createRepaymentOrder(application, req.body);
+  res.json({ success: true, data: result });
+}));
 
-  // Check if completed
-  if (application.remainingInstallments === 0) {
-    application.status = 'completed';
-    application.completedAt = new Date();
+// Complete a prepayment or foreclosure (verified with the payment gateway)
+router.post('/applications/:id/repayments/verify', authMiddleware, validateParams(mongoIdSchema), validate(payInstallmentSchema), asyncHandler(async (req, res) => {
+  const application = await EmiApplication.findOne({ _id: req.params.id, userId: req.user.id });
+  if (!application) {
+    return res.status(404).json({ success: false, message: 'EMI application not found.' });
   }
 
-  await application.save();
-
+  const updated = await emiRepayment.verifyRepayment(application, req.body);
   res.json({
     success: true,
-    message: 'Installment paid successfully!',
-    data: application
+    message: updated.status === 'completed' ? 'EMI closed successfully!' : 'Installments prepaid successfully!',
+    data: updated
   });
 }));
+
+// Mandate and auto-debit status updates from the payment provider
+router.post('/mandates/webhook', asyncHandler(async (req, res) => {
+  const result = await emiCollection.handleMandateWebhook(req.rawBody, req.headers, req.body);
+  res.json({ success: true, message: `Webhook processed: ${result}` });
+}));
+
+// Debit due installments now (normally a daily cron)
+router.post('/admin/collect', authMiddleware, adminMiddleware, asyncHandler(async (req, res) => {
+  const result = await emiCollection.collectDueInstallments(new Date());
+  res.json({ success: true, message: `${result.attempted} installments debited`, data: result });
+}));
+
+// Replace a loan's unpaid installments with a new schedule, e.g. for a defaulted loan
+router.post('/admin/applications/:id/restructure', authMiddleware, adminMiddleware, validateParams(mongoIdSchema), validate(restructureEmiSchema), asyncHandler(async (req, res) => {
+  const application = await EmiApplication.findById(req.params.id);
+  if (!application) {
+    return res.status(404).json({ success: false, message: 'EMI application not found.' });
+  }
+
+  const updated = await emiRepayment.restructure(application, req.body, req.user.id);
+  res.json({ success: true, message: `EMI restructured into ${req.body.tenure} installments of ₹${updated.monthlyEmi}`, data: updated });
+}));
+
+// Full credit assessment of a user, including the raw signals
+router.get('/admin/credit/:id', authMiddleware, adminMiddleware, validateParams(mongoIdSchema), asyncHandler(async (req, res) => {
+  const assessment = await credit.assessCredit(req.params.id);
+  res.json({ success: true, data: assessment });
+}));
+
+// Preview what the payment reminder job would send and flag on a given day
+router.post('/admin/reminders/dry-run', authMiddleware, adminMiddleware, validate(reminderDryRunSchema), asyncHandler(async (req, res) => {
+  const result = await runPaymentReminderJob({ now: req.body.date, dryRun: true });
+  res.json({ success: true, message: `${result.actions.length} reminder actions planned`, data: result });
+}));
+
 module.exports = router;
@@ -3,11 +3,40 @@ const asyncHandler = require('express-async-handler');
 const router = express.Router();
 const UserKyc = require('../model/userKyc');
 const { authMiddleware, adminMiddleware } = require('../middleware/auth.middleware.js');
-const { validate } = require('../middleware/validate');
-const { submitKycSchema, verifyKycSchema } = require('../validators/schemas');
+const { validate, validateQuery } = require('../middleware/validate');
+const { submitKycSchema, verifyKycSchema, kycQueueQuerySchema } = require('../validators/schemas');
+const { refreshKycCredit } = require('../services/creditService');
+const { runAutoChecks } = require('../services/kycVerificationService');
+const { uploadKyc, kycDocumentUrl } = require('../uploadFile');
 
-// Submit KYC
-router.post('/submit', authMiddleware, validate(submitKycSchema), asyncHandler(async (req, res) => {
+const KYC_DOCUMENTS = ['panCard', 'aadhaarFront', 'aadhaarBack', 'selfie'];
+const uploadKycDocuments = uploadKyc.fields(KYC_DOCUMENTS.map(name => ({ name, maxCount: 1 })));
+
+// Multipart forms carry nested objects as JSON strings
+const parseJsonFields = (fields) => (req, res, next) => {
+  for (const field of fields) {
+    if (typeof req.body[field] === 'string') {
+      try {
+        req.body[field] = JSON.parse(req.body[field]);
+      } catch (error) {
+        return res.status(400).json({ success: false, message: `${field} must be a JSON object.` });
+      }
+    }
+  }
+  next();
+};
+
+// Signed previews of a KYC's documents, for admins
+const withDocumentPreviews = (kyc) => {
+  const data = kyc.toObject();
+  data.documentPreviews = Object.fromEntries(
+    KYC_DOCUMENTS.map(name => [name, kycDocumentUrl(kyc.documentFiles?.[name])])
+  );
+  return data;
+};
+
+// Submit KYC (multipart: details plus panCard, aadhaarFront, aadhaarBack and selfie images)
+router.post('/submit', authMiddleware, uploadKycDocuments, parseJsonFields(['address', 'bankDetails']), validate(submitKycSchema), asyncHandler(async (req, res) => {
   const userId = req.user.id;
 
   // Check if KYC already exists
@@ -23,7 +52,8 @@ router.post('/submit', authMiddleware, validate(submitKycSchema), asyncHandler(a
   const kycData = {
     userId,
     ...req.body,
-    verificationStatus: 'under_review'
+    verificationStatus: 'under_review',
+    submittedAt: new Date()
   };
 
   if (kyc) {
@@ -34,6 +64,21 @@ router.post('/submit', authMiddleware, validate(submitKycSchema), asyncHandler(a
     kyc = new UserKyc(kycData);
   }
 
+  // Uploaded documents replace earlier ones
+  for (const name of KYC_DOCUMENTS) {
+    const file = req.files?.[name]?.[0];
+    if (!file) continue;
+    kyc.documents[name] = file.path;
+    kyc.documentFiles[name] = {
+      publicId: file.filename,
+      format: file.path.split('.').pop(),
+      resourceType: 'image', // Cloudinary stores PDFs as images too
+      uploadedAt: new Date()
+    };
+  }
+
+  // The full Aadhaar number is only in hand now; it is masked when saved
+  await runAutoChecks(kyc, { aadhaarNumber: req.body.aadhaarNumber });
   await kyc.save();
 
   res.json({
@@ -51,13 +96,38 @@ router.get('/status', authMiddleware, asyncHandler(async (req, res) => {
     data: kyc || { verificationStatus: 'not_submitted' }
   });
 }));
-// Admin: Get all pending KYC
-router.get('/pending', authMiddleware, adminMiddleware, asyncHandler(async (req, res) => {
-  const pendingKyc = await UserKyc.find({
-    verificationStatus: 'under_review'
-  }).populate('userId', 'name email phone');
+// Admin: Review queue of pending KYC, oldest first, with document previews and auto-check results
+router.get('/pending', authMiddleware, adminMiddleware, validateQuery(kycQueueQuerySchema), asyncHandler(async (req, res) => {
+  const { autoCheckStatus, page, limit } = req.query;
+  const filter = { verificationStatus: 'under_review' };
+  if (autoCheckStatus) filter.autoCheckStatus = autoCheckStatus;
+
+  const [pendingKyc, total] = await Promise.all([
+    UserKyc.find(filter)
+      .populate('userId', 'name email phone')
+      .sort({ submittedAt: 1, createdAt: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    UserKyc.countDocuments(filter)
+  ]);
+
+  res.json({
+    success: true,
+    data: pendingKyc.map(withDocumentPreviews),
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+  });
+}));
+// Admin: Re-run the automated checks (e.g. after the PAN provider was down)
+router.post('/:kycId/recheck', authMiddleware, adminMiddleware, asyncHandler(async (req, res) => {
+  const kyc = await UserKyc.findById(req.params.kycId);
+  if (!kyc) {
+    return res.status(404).json({ success: false, message: 'KYC not found.' });
+  }
 
-  res.json({ success: true, data: pendingKyc });
+  await runAutoChecks(kyc);
+  await kyc.save();
+
+  res.json({ success: true, message: `Auto-checks ${kyc.autoCheckStatus}`, data: withDocumentPreviews(kyc) });
 }));
 // Admin: Approve/Reject KYC
 router.put('/verify/:kycId', authMiddleware, adminMiddleware, validate(verifyKycSchema), asyncHandler(async (req, res) => {
@@ -76,14 +146,19 @@ router.put('/verify/:kycId', authMiddleware, adminMiddleware, validate(verifyKyc
 
   if (status === 'verified') {
     kyc.verifiedAt = new Date();
-    kyc.creditLimit = creditLimit || 50000; // Default limit
-    kyc.creditScore = 700; // Mock score
+    // Limits are computed from the user's history; an admin-given limit overrides that
+    if (creditLimit !== undefined) kyc.creditLimitOverride = creditLimit;
   } else {
     kyc.rejectionReason = rejectionReason;
   }
 
   await kyc.save();
 
+  if (status === 'verified') {
+    await refreshKycCredit(kyc);
+    await kyc.save();
+  }
+
   res.json({
     success: true,
     message: `KYC ${status}`,
@@ -4,6 +4,10 @@ const MerchantSettlement = require('../model/merchantSettlement');
 const EmiApplication = require('../model/emiApplication');
 const Order = require('../model/order');
 const { authMiddleware, adminMiddleware } = require('../middleware/auth.middleware');
+const { refundOrder, confirmManualRefund } = require('../services/refundService');
+const supplierLedger = require('../services/supplierLedgerService');
+const { issueCreditNotes } = require('../services/invoiceService');
+const { cancelMandate } = require('../services/emiCollectionService');
 
 /**
  * @route   GET /api/merchant/settlements
@@ -98,13 +102,14 @@ router.get('/settlements/summary', authMiddleware, adminMiddleware, async (req,
 
 /**
  * @route   POST /api/merchant/refund/:orderId
- * @desc    Process refund and cancel mandate
+ * @desc    Refund an order (full or partial) and cancel its EMI mandate
+ * @body    { refundAmount?, refundReason?, payoutReference? (COD: UTR if the payout was already sent) }
  * @access  Private (Admin)
  */
 router.post('/refund/:orderId', authMiddleware, adminMiddleware, async (req, res) => {
     try {
         const { orderId } = req.params;
-        const { refundReason, refundAmount } = req.body;
+        const { refundReason, refundAmount, payoutReference } = req.body;
 
         // Find the order
         const order = await Order.findById(orderId);
@@ -112,41 +117,46 @@ router.post('/refund/:orderId', authMiddleware, adminMiddleware, async (req, res
             return res.status(404).json({ success: false, message: 'Order not found' });
         }
 
-        // Find the settlement record
-        const settlement = await MerchantSettlement.findOne({ orderId });
-        if (!settlement) {
-            return res.status(404).json({ success: false, message: 'Settlement not found' });
-        }
+        // Issue the refund (Razorpay for prepaid, manual payout for COD)
+        const reason = refundReason || 'Customer requested refund';
+        const { order: refundedOrder, refund } = await refundOrder(order, {
+            amount: refundAmount,
+            reason,
+            actor: req.user.id,
+            payoutReference
+        });
+        const actualRefundAmount = refund.amount;
 
-        if (settlement.refund.isRefunded) {
-            return res.status(400).json({ success: false, message: 'Already refunded' });
+        // Credit note against the invoice(s); the refund stands even if this fails
+        let creditNotes = [];
+        try {
+            creditNotes = await issueCreditNotes(refundedOrder);
+        } catch (error) {
+            console.error(`[Merchant] Failed to issue credit note for order ${refundedOrder._id}:`, error.message);
         }
 
+        // Settlement record (only some orders have one)
+        const settlement = await MerchantSettlement.findOne({ orderId });
+
         // Find EMI application if exists
-        const emiApplication = settlement.emiApplicationId
+        const emiApplication = settlement?.emiApplicationId
             ? await EmiApplication.findById(settlement.emiApplicationId)
             : null;
 
-        // Calculate refund amount (if not specified, refund full amount)
-        const actualRefundAmount = refundAmount || settlement.totalPrice;
-
-        // Update settlement record
-        settlement.status = 'refunded';
-        settlement.refund = {
-            isRefunded: true,
-            refundAmount: actualRefundAmount,
-            refundReason: refundReason || 'Customer requested refund',
-            refundDate: new Date(),
-            mandateCancelled: !!emiApplication
-        };
-        await settlement.save();
-
-        // Update order status
-        order.orderStatus = 'refunded';
-        await order.save();
+        if (settlement) {
+            settlement.status = 'refunded';
+            settlement.refund = {
+                isRefunded: true,
+                refundAmount: (settlement.refund?.refundAmount || 0) + actualRefundAmount,
+                refundReason: reason,
+                refundDate: new Date(),
+                mandateCancelled: !!emiApplication
+            };
+            await settlement.save();
+        }
 
         // Cancel EMI mandate if exists
-        if (emiApplication) {
+        if (emiApplication && emiApplication.status !== 'cancelled') {
             emiApplication.status = 'cancelled';
             emiApplication.refundDetails = {
                 refundedAt: new Date(),
@@ -155,25 +165,60 @@ router.post('/refund/:orderId', authMiddleware, adminMiddleware, async (req, res
             };
             await emiApplication.save();
 
-            // TODO: Cancel Razorpay mandate via API
-            // await razorpay.subscriptions.cancel(emiApplication.mandateId, { cancel_at_cycle_end: false });
+            const mandateError = await cancelMandate(emiApplication);
+            if (mandateError) {
+                console.error(`[Merchant] Mandate cancel failed for EMI ${emiApplication._id}:`, mandateError);
+            }
         }
 
-        // TODO: Process actual refund via payment gateway
-        // For down payment: Reverse the Razorpay transaction
-
         res.json({
             success: true,
-            message: 'Refund processed successfully',
+            message: refund.status === 'processed' ? 'Refund processed successfully' : 'Refund initiated',
             data: {
-                orderId: order._id,
+                orderId: refundedOrder._id,
                 refundAmount: actualRefundAmount,
+                refundId: refund.refundId,
+                // For confirming a pending manual refund
+                refundEntryId: refund._id,
+                refundMethod: refund.method,
+                refundStatus: refund.status,
+                paymentStatus: refundedOrder.paymentStatus,
                 mandateCancelled: !!emiApplication,
-                refundDate: settlement.refund.refundDate
+                creditNotes: creditNotes.map(note => note.invoiceNumber),
+                refundDate: refund.createdAt
             }
         });
     } catch (error) {
-        res.status(500).json({ success: false, message: error.message });
+        res.status(error.statusCode || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * @route   POST /api/merchant/refund/:orderId/:refundId/confirm
+ * @desc    Confirm a pending manual (COD) refund once finance has sent it
+ * @body    { payoutReference }
+ * @access  Private (Admin)
+ */
+router.post('/refund/:orderId/:refundId/confirm', authMiddleware, adminMiddleware, async (req, res) => {
+    try {
+        const { payoutReference } = req.body;
+        if (!payoutReference || typeof payoutReference !== 'string') {
+            return res.status(400).json({ success: false, message: 'payoutReference is required' });
+        }
+
+        const order = await Order.findById(req.params.orderId).select('parentOrder');
+        if (!order) {
+            return res.status(404).json({ success: false, message: 'Order not found' });
+        }
+
+        const updated = await confirmManualRefund(order, req.params.refundId, payoutReference.trim());
+        res.json({
+            success: true,
+            message: 'Refund marked as sent',
+            data: { orderId: updated._id, refund: updated.refunds.id(req.params.refundId) }
+        });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ success: false, message: error.message });
     }
 });
 
@@ -216,4 +261,43 @@ router.post('/settle/:settlementId', authMiddleware, adminMiddleware, async (req
     }
 });
 
+/**
+ * @route   POST /api/merchant/settlements/run
+ * @desc    Run the weekly supplier settlement now (normally a Monday cron)
+ * @access  Private (Admin)
+ */
+router.post('/settlements/run', authMiddleware, adminMiddleware, async (req, res) => {
+    try {
+        const result = await supplierLedger.runWeeklySettlement(new Date());
+
+        res.json({
+            success: true,
+            message: `${result.settlements} supplier settlements created`,
+            data: result
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * @route   POST /api/merchant/supplier-ledger/:orderId/hold
+ * @desc    Hold or release an order's unsettled supplier earnings (e.g. during a dispute)
+ * @access  Private (Admin)
+ */
+router.post('/supplier-ledger/:orderId/hold', authMiddleware, adminMiddleware, async (req, res) => {
+    try {
+        const hold = req.body.hold !== false;
+        const updated = await supplierLedger.setOrderHold(req.params.orderId, hold);
+
+        res.json({
+            success: true,
+            message: hold ? 'Supplier earnings held' : 'Supplier earnings released',
+            data: { entriesUpdated: updated }
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
 module.exports = router;
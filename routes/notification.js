@@ -2,49 +2,60 @@ const express = require('express');
 const router = express.Router();
 const asyncHandler = require('express-async-handler');
 const Notification = require('../model/notification');
-const OneSignal = require('onesignal-node');
+const NotificationSegment = require('../model/notificationSegment');
+const DeviceToken = require('../model/deviceToken');
+const { authMiddleware, adminMiddleware } = require('../middleware/auth.middleware');
+const { validate, validateQuery, validateParams } = require('../middleware/validate');
+const {
+    notificationInboxQuerySchema, markAllNotificationsReadSchema, registerDeviceSchema,
+    sendNotificationSchema, notificationAudienceSchema, notificationSegmentSchema,
+    notificationPreferencesSchema, mongoIdSchema
+} = require('../validators/schemas');
+const inbox = require('../services/notificationService');
+const campaigns = require('../services/notificationCampaignService');
+const { getDeliveryStats } = require('../services/pushService');
+const preferences = require('../services/notificationPreferenceService');
 const dotenv = require('dotenv');
 dotenv.config();
 
 
-const client = new OneSignal.Client(process.env.ONE_SIGNAL_APP_ID, process.env.ONE_SIGNAL_REST_API_KEY);
+// Send a push campaign now or at scheduledAt: to everyone, or to chosen users,
+// roles, cities or a saved segment (see notificationSegmentSchema)
+router.post('/send-notification', authMiddleware, adminMiddleware, validate(sendNotificationSchema), asyncHandler(async (req, res) => {
+    const campaign = await campaigns.createCampaign(req.body, req.user.id);
 
-router.post('/send-notification', asyncHandler(async (req, res) => {
-    const { title, description, imageUrl } = req.body;
+    if (campaign.status === 'failed') {
+        return res.status(502).json({ success: false, message: `Notification failed: ${campaign.failureReason}`, data: campaign });
+    }
+    const message = campaign.status === 'scheduled'
+        ? `Notification scheduled for ${campaign.scheduledAt.toISOString()}`
+        : 'Notification sent successfully';
+    res.json({ success: true, message, data: campaign });
+}));
 
-    const notificationBody = {
-        contents: {
-            'en': description
-        },
-        headings: {
-            'en': title
-        },
-        included_segments: ['All'],
-        ...(imageUrl && { big_picture: imageUrl })
-    };
+// How many users and devices an audience would reach
+router.post('/audience-preview', authMiddleware, adminMiddleware, validate(notificationAudienceSchema), asyncHandler(async (req, res) => {
+    const preview = await campaigns.previewAudience(req.body);
+    res.json({ success: true, message: 'success', data: preview });
+}));
 
-    const response = await client.createNotification(notificationBody);
-    const notificationId = response.body.id;
-    console.log('Notification sent to all users:', notificationId);
-    const notification = new Notification({ notificationId, title,description,imageUrl });
-    const newNotification = await notification.save();
-    res.json({ success: true, message: 'Notification sent successfully', data: null });
+router.post('/campaigns/:id/cancel', authMiddleware, adminMiddleware, validateParams(mongoIdSchema), asyncHandler(async (req, res) => {
+    const campaign = await campaigns.cancelCampaign(req.params.id);
+    res.json({ success: true, message: 'Notification cancelled.', data: campaign });
 }));
 
 router.get('/track-notification/:id', asyncHandler(async (req, res) => {
     const  notificationId  =req.params.id;
 
-    const response = await client.viewNotification(notificationId);
-    const androidStats = response.body.platform_delivery_stats;
+    const stats = await getDeliveryStats(notificationId);
 
     const result = {
         platform: 'Android',
-        success_delivery: androidStats.android.successful,
-        failed_delivery: androidStats.android.failed,
-        errored_delivery: androidStats.android.errored,
-        opened_notification: androidStats.android.converted
+        success_delivery: stats.successful,
+        failed_delivery: stats.failed,
+        errored_delivery: stats.errored,
+        opened_notification: stats.converted
     };
-    console.log('Notification details:', androidStats);
     res.json({ success: true, message: 'success', data: result });
 }));
 
@@ -73,4 +84,90 @@ router.delete('/delete-notification/:id', asyncHandler(async (req, res) => {
 }));
 
 
+// ==================== SEGMENTS ====================
+// Saved audiences of customers, picked by order history
+
+router.post('/segments', authMiddleware, adminMiddleware, validate(notificationSegmentSchema), asyncHandler(async (req, res) => {
+    if (await NotificationSegment.exists({ name: req.body.name })) {
+        return res.status(400).json({ success: false, message: 'A segment with this name already exists.' });
+    }
+    const segment = await NotificationSegment.create({ ...req.body, createdBy: req.user.id });
+    const preview = await campaigns.previewAudience({ type: 'segment', segmentId: segment._id });
+    res.status(201).json({ success: true, message: 'Segment created.', data: { segment, preview } });
+}));
+
+router.get('/segments', authMiddleware, adminMiddleware, asyncHandler(async (req, res) => {
+    const segments = await NotificationSegment.find({}).sort({ createdAt: -1 });
+    res.json({ success: true, message: 'Segments retrieved successfully.', data: segments });
+}));
+
+router.delete('/segments/:id', authMiddleware, adminMiddleware, validateParams(mongoIdSchema), asyncHandler(async (req, res) => {
+    if (await Notification.exists({ status: 'scheduled', 'audience.segmentId': req.params.id })) {
+        return res.status(400).json({ success: false, message: 'A scheduled notification uses this segment.' });
+    }
+    const segment = await NotificationSegment.findByIdAndDelete(req.params.id);
+    if (!segment) {
+        return res.status(404).json({ success: false, message: "Segment not found." });
+    }
+    res.json({ success: true, message: 'Segment deleted.', data: null });
+}));
+
+// ==================== DEVICES ====================
+// Apps register their push token after login and remove it on logout
+
+router.post('/devices', authMiddleware, validate(registerDeviceSchema), asyncHandler(async (req, res) => {
+    const { token, platform } = req.body;
+    // A token moves to whoever signed in on the device last
+    const device = await DeviceToken.findOneAndUpdate(
+        { token },
+        { $set: { userId: req.user.id, role: req.user.role, platform, lastSeenAt: new Date() } },
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+    res.json({ success: true, message: 'Device registered.', data: device });
+}));
+
+router.delete('/devices/:token', authMiddleware, asyncHandler(async (req, res) => {
+    await DeviceToken.deleteOne({ token: req.params.token, userId: req.user.id });
+    res.json({ success: true, message: 'Device removed.', data: null });
+}));
+
+// ==================== PREFERENCES ====================
+// Channels per category (order, emi, promotion) and quiet hours
+
+router.get('/preferences', authMiddleware, asyncHandler(async (req, res) => {
+    const current = await preferences.getPreferences(req.user.id);
+    res.json({ success: true, message: 'success', data: current });
+}));
+
+router.patch('/preferences', authMiddleware, validate(notificationPreferencesSchema), asyncHandler(async (req, res) => {
+    const updated = await preferences.updatePreferences(req.user.id, req.body);
+    res.json({ success: true, message: 'Notification preferences updated.', data: updated });
+}));
+
+// ==================== INBOX ====================
+// Notifications addressed to the signed-in user (customer, supplier or driver)
+
+router.get('/inbox', authMiddleware, validateQuery(notificationInboxQuerySchema), asyncHandler(async (req, res) => {
+    const { notifications, pagination } = await inbox.listInbox(req.user.id, req.query);
+    res.json({ success: true, message: 'Notifications retrieved successfully.', data: notifications, pagination });
+}));
+
+router.get('/inbox/unread-count', authMiddleware, asyncHandler(async (req, res) => {
+    const counts = await inbox.countUnread(req.user.id);
+    res.json({ success: true, message: 'success', data: counts });
+}));
+
+router.patch('/inbox/read-all', authMiddleware, validate(markAllNotificationsReadSchema), asyncHandler(async (req, res) => {
+    const marked = await inbox.markAllRead(req.user.id, req.body);
+    res.json({ success: true, message: `${marked} notifications marked read.`, data: { marked } });
+}));
+
+router.patch('/inbox/:id/read', authMiddleware, validateParams(mongoIdSchema), asyncHandler(async (req, res) => {
+    const notification = await inbox.markRead(req.user.id, req.params.id);
+    if (!notification) {
+        return res.status(404).json({ success: false, message: "Notification not found." });
+    }
+    res.json({ success: true, message: 'Notification marked read.', data: notification });
+}));
+
 module.exports = router;
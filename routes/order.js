@@ -2,12 +2,24 @@ const express = require('express');
 const asyncHandler = require('express-async-handler');
 const router = express.Router();
 const Order = require('../model/order');
-const { authMiddleware } = require('../middleware/auth.middleware');
+const { authMiddleware, adminMiddleware } = require('../middleware/auth.middleware');
 const { validate } = require('../middleware/validate');
 const { createOrderSchema, updateOrderSchema } = require('../validators/schemas');
 const Setting = require('../model/setting');
 const Coupon = require('../model/couponCode');
 const User = require('../model/user');
+const orderLifecycle = require('../services/orderLifecycle');
+const { splitOrder } = require('../services/orderSplitter');
+const { buildQuote } = require('../services/pricingService');
+const { saveNewOrder } = require('../services/checkoutService');
+const invoiceService = require('../services/invoiceService');
+
+// Sub-orders of a split order, with the driver delivering each one
+const subOrdersPopulate = {
+    path: 'subOrders',
+    select: 'items orderStatus deliveryStatus assignedDriver estimatedDeliveryMinutes trackingUrl orderTotal',
+    populate: { path: 'assignedDriver', select: 'fullName phone profilePhoto vehicleType vehicleNumber' }
+};
 
 // Get all orders
 router.get('/', asyncHandler(async (req, res) => {
@@ -25,10 +37,11 @@ router.get('/', asyncHandler(async (req, res) => {
 router.get('/orderByUserId/:userId', asyncHandler(async (req, res) => {
     try {
         const userId = req.params.userId;
-        const orders = await Order.find({ userID: userId })
+        const orders = await Order.find({ userID: userId, parentOrder: null })
             .populate('couponCode', 'id couponCode discountType discountAmount')
             .populate('userID', 'id name')
             .populate('assignedDriver', 'fullName phone profilePhoto vehicleType vehicleNumber')
+            .populate(subOrdersPopulate)
             .sort({ _id: -1 });
         res.json({ success: true, message: "Orders retrieved successfully.", data: orders });
     } catch (error) {
@@ -40,10 +53,11 @@ router.get('/orderByUserId/:userId', asyncHandler(async (req, res) => {
 // Get current user's orders (must be ABOVE /:id to avoid wildcard match)
 router.get('/my-orders', authMiddleware, asyncHandler(async (req, res) => {
     try {
-        const orders = await Order.find({ userID: req.user.id })
+        const orders = await Order.find({ userID: req.user.id, parentOrder: null })
             .populate('couponCode', 'id couponCode discountType discountAmount')
             .populate('items.productID', 'name primaryImage images price offerPrice')
             .populate('assignedDriver', 'fullName phone profilePhoto vehicleType vehicleNumber')
+            .populate(subOrdersPopulate)
             .sort({ _id: -1 });
         res.json({ success: true, message: "Orders retrieved successfully.", data: orders });
     } catch (error) {
@@ -57,7 +71,8 @@ router.get('/:id', asyncHandler(async (req, res) => {
         const orderID = req.params.id;
         const order = await Order.findById(orderID)
             .populate('couponCode', 'id couponCode discountType discountAmount')
-            .populate('userID', 'id name');
+            .populate('userID', 'id name')
+            .populate(subOrdersPopulate);
         if (!order) {
             return res.status(404).json({ success: false, message: "Order not found." });
         }
@@ -67,29 +82,99 @@ router.get('/:id', asyncHandler(async (req, res) => {
     }
 }));
 
+// Get the status timeline of an order
+router.get('/:id/timeline', authMiddleware, asyncHandler(async (req, res) => {
+    const order = await Order.findById(req.params.id).select('userID items.supplierId assignedDriver orderStatus deliveryStatus');
+    if (!order) {
+        return res.status(404).json({ success: false, message: "Order not found." });
+    }
+
+    const { id, role, driverId } = req.user;
+    const canView = role === 'admin'
+        || order.userID?.toString() === id
+        || (role === 'supplier' && order.items.some(item => item.supplierId?.toString() === id))
+        || (role === 'driver' && driverId && order.assignedDriver?.toString() === driverId.toString());
+    if (!canView) {
+        return res.status(403).json({ success: false, message: "You are not allowed to view this order." });
+    }
+
+    const timeline = await orderLifecycle.getTimeline(order._id);
+    res.json({
+        success: true,
+        message: "Order timeline retrieved successfully.",
+        data: {
+            orderId: order._id,
+            orderStatus: order.orderStatus,
+            deliveryStatus: order.deliveryStatus,
+            timeline
+        }
+    });
+}));
+
+// Get the GST invoice(s) and credit notes for an order, as JSON or ?format=pdf
+router.get('/:id/invoice', authMiddleware, asyncHandler(async (req, res) => {
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+        return res.status(404).json({ success: false, message: "Order not found." });
+    }
+
+    const { id, role } = req.user;
+    const canView = role === 'admin'
+        || order.userID?.toString() === id
+        || (role === 'supplier' && order.items.some(item => item.supplierId?.toString() === id));
+    if (!canView) {
+        return res.status(403).json({ success: false, message: "You are not allowed to view this order." });
+    }
+
+    let { invoices, creditNotes } = await invoiceService.getOrderDocuments(order);
+
+    // Suppliers only see their own documents on a split order
+    if (role === 'supplier') {
+        const own = (doc) => doc.supplierId?.toString() === id;
+        invoices = invoices.filter(own);
+        creditNotes = creditNotes.filter(own);
+    }
+
+    if (invoices.length === 0) {
+        return res.status(404).json({ success: false, message: "No invoice yet. Invoices are issued once the order is delivered." });
+    }
+
+    if (req.query.format === 'pdf') {
+        const pdf = await invoiceService.renderPdf([...invoices, ...creditNotes]);
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `inline; filename="invoice-${order._id}.pdf"`
+        });
+        return res.send(pdf);
+    }
+
+    res.json({ success: true, message: "Invoice retrieved successfully.", data: { invoices, creditNotes } });
+}));
+
 // Create a new order
 router.post('/', authMiddleware, validate(createOrderSchema), asyncHandler(async (req, res) => {
-    const { orderStatus, items, totalPrice, shippingAddress, paymentMethod, couponCode, orderTotal, trackingUrl } = req.body;
+    const { items: rawItems, shippingAddress, paymentMethod, couponCode, trackingUrl } = req.body;
     const userID = req.user.id;
 
-    const order = new Order({ userID, orderStatus, items, totalPrice, shippingAddress, paymentMethod, couponCode, orderTotal, trackingUrl });
-    const newOrder = await order.save();
-
-    // After order is created, perform coupon operations
+    // Prices, charges and coupon rules are enforced here, not on the client
+    const quote = await buildQuote({ items: rawItems, shippingAddress, couponCode, userId: userID });
+    const { items, subtotal, discount, shippingCharge, handlingCharge, packagingCharge, convenienceFee, total } = quote;
+
+    // Every order starts out pending; only the lifecycle moves it on
+    const order = new Order({
+        userID, orderStatus: 'pending', items, totalPrice: total, shippingAddress, paymentMethod,
+        couponCode: couponCode || undefined,
+        shippingCharge, handlingCharge, convenienceFee,
+        orderTotal: { subtotal, discount, shippingCharge, handlingCharge, convenienceFee, packagingCharge, total },
+        trackingUrl
+    });
+    const newOrder = await saveNewOrder(order, { awaitingPayment: paymentMethod !== 'cod' });
+    await splitOrder(newOrder, { shippingCharges: quote.shippingCharges });
+
+    // After order is created, perform referral operations
     try {
-        // 1. Mark coupon as used if applied
-        if (couponCode) {
-            const coupon = await Coupon.findById(couponCode);
-            if (coupon && coupon.isSingleUse) {
-                if (!coupon.usedBy.includes(userID)) {
-                    coupon.usedBy.push(userID);
-                    await coupon.save();
-                }
-            }
-        }
-
-        // 2. Check if this is the user's FIRST order
-        const previousOrdersCount = await Order.countDocuments({ userID });
+        // Check if this is the user's FIRST order
+        const previousOrdersCount = await Order.countDocuments({ userID, parentOrder: null });
         if (previousOrdersCount === 1) { // 1 because we just saved the new order
             const user = await User.findById(userID);
             if (user && user.referredBy) {
@@ -118,8 +203,8 @@ router.post('/', authMiddleware, validate(createOrderSchema), asyncHandler(async
     res.json({ success: true, message: "Order created successfully.", data: newOrder });
 }));
 
-// Update an order
-router.put('/:id', asyncHandler(async (req, res) => {
+// Update an order (admin panel)
+router.put('/:id', authMiddleware, adminMiddleware, asyncHandler(async (req, res) => {
     try {
         const orderID = req.params.id;
         const { orderStatus, trackingUrl } = req.body;
@@ -127,16 +212,18 @@ router.put('/:id', asyncHandler(async (req, res) => {
             return res.status(400).json({ success: false, message: "Order Status required." });
         }
 
-        const updatedOrder = await Order.findByIdAndUpdate(
-            orderID,
-            { orderStatus, trackingUrl },
-            { new: true }
-        );
-
+        const updatedOrder = await Order.findById(orderID);
         if (!updatedOrder) {
             return res.status(404).json({ success: false, message: "Order not found." });
         }
 
+        if (trackingUrl !== undefined) updatedOrder.trackingUrl = trackingUrl;
+        await orderLifecycle.transition(updatedOrder, { orderStatus }, {
+            actor: req.user.id,
+            role: 'admin',
+            reason: req.body.reason || 'Updated from admin panel'
+        });
+
         // Trigger driver assignment if order is moved to 'preparing' or 'ready'
         if (orderStatus === 'preparing' || orderStatus === 'ready') {
             const assignmentEngine = require('../services/driverAssignment');
@@ -145,7 +232,7 @@ router.put('/:id', asyncHandler(async (req, res) => {
 
         res.json({ success: true, message: "Order updated successfully.", data: updatedOrder });
     } catch (error) {
-        res.status(500).json({ success: false, message: error.message });
+        res.status(error.statusCode || 500).json({ success: false, message: error.message });
     }
 }));
 
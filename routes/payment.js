@@ -12,7 +12,8 @@ const {
   initiateOrder,
   verifyPayment,
   placeCodOrder,
-  handlePaymentFailure
+  handlePaymentFailure,
+  handleRazorpayWebhook
 } = require('../controllers/paymentController');
 
 // ==========================================
@@ -47,6 +48,13 @@ router.post('/cod', authMiddleware, asyncHandler(placeCodOrder));
  */
 router.post('/failure', authMiddleware, asyncHandler(handlePaymentFailure));
 
+/**
+ * @route POST /payment/webhook
+ * @desc Razorpay server-to-server events (payment.captured, payment.failed, order.paid, refund.processed, refund.failed)
+ * @access Public (verified by X-Razorpay-Signature with RAZORPAY_WEBHOOK_SECRET)
+ */
+router.post('/webhook', asyncHandler(handleRazorpayWebhook));
+
 /**
  * @route GET /payment/razorpay-key
  * @desc Get Razorpay public key for frontend
@@ -412,7 +412,8 @@ router.post('/', asyncHandler(async (req, res) => {
                 proVariants, skus, imageUrls: preUploadedImageUrls,
                 weight, dimensions, stockStatus, lowStockThreshold, tags, specifications, warranty,
                 featured, emiEligible, isActive, metaTitle, metaDescription,
-                gender, material, fit, pattern, sleeveLength, neckline, occasion, careInstructions
+                gender, material, fit, pattern, sleeveLength, neckline, occasion, careInstructions,
+                hsnCode, gstRate
             } = req.body;
 
             if (!name || !quantity || !price || !proCategoryId || !proSubCategoryId) {
@@ -502,6 +503,8 @@ router.post('/', asyncHandler(async (req, res) => {
                 neckline: neckline || undefined,
                 occasion: occasion || undefined,
                 careInstructions: careInstructions || undefined,
+                hsnCode: hsnCode || undefined,
+                gstRate: gstRate !== undefined && gstRate !== '' ? Number(gstRate) : undefined,
                 images: imageList
             });
 
@@ -579,7 +582,8 @@ router.use('/:id', asyncHandler(async (req, res, next) => {
                 proVariants, skus, imageUrls: preUploadedImageUrls,
                 weight, dimensions, stockStatus, lowStockThreshold, tags, specifications, warranty,
                 featured, emiEligible, isActive, metaTitle, metaDescription,
-                gender, material, fit, pattern, sleeveLength, neckline, occasion, careInstructions
+                gender, material, fit, pattern, sleeveLength, neckline, occasion, careInstructions,
+                hsnCode, gstRate
             } = req.body;
 
             const productToUpdate = await Product.findById(productId);
@@ -641,6 +645,8 @@ router.use('/:id', asyncHandler(async (req, res, next) => {
             if (neckline !== undefined) productToUpdate.neckline = neckline || undefined;
             if (occasion !== undefined) productToUpdate.occasion = occasion || undefined;
             if (careInstructions !== undefined) productToUpdate.careInstructions = careInstructions || undefined;
+            if (hsnCode !== undefined) productToUpdate.hsnCode = hsnCode || undefined;
+            if (gstRate !== undefined) productToUpdate.gstRate = gstRate !== '' && gstRate !== null ? Number(gstRate) : undefined;
 
             // Handle images: prefer pre-uploaded URLs, fallback to multer files
             let parsedPreUploadedUrls = preUploadedImageUrls;
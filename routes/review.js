@@ -77,8 +77,9 @@ router.post('/', authMiddleware, uploadReview.array('images', 5), asyncHandler(a
         }
 
         // Verify the user actually bought this product and it was delivered
+        // orderID may be a split parent order; its items live on the sub-orders
         const order = await Order.findOne({
-            _id: orderID,
+            $or: [{ _id: orderID }, { parentOrder: orderID }],
             userID: userID,
             'items.productID': productID,
             orderStatus: { $in: ['delivered', 'shipped'] }
@@ -25,7 +25,10 @@ router.put('/', asyncHandler(async (req, res) => {
             deliveryChargeWithin1km, deliveryChargePerKm2to5,
             deliveryChargeOver5km, handlingCharge,
             driverPickupFreeKm, driverPickupRatePerKm, driverDropRatePerKm,
-            razorpayFeePercent, minWithdrawalAmount
+            razorpayFeePercent, minWithdrawalAmount, unpaidOrderExpiryMinutes,
+            driverSearchRadiusKm, driverSearchRadiusStepKm, driverSearchMaxRadiusKm,
+            driverSearchRetryMinutes, driverSearchEscalateAfterRounds, shiprocketFallbackEnabled,
+            supplierCommissionPercent, supplierPayoutHoldDays, defaultGstRate
         } = req.body;
         
         let setting = await Setting.findOne();
@@ -43,6 +46,16 @@ router.put('/', asyncHandler(async (req, res) => {
             if (driverDropRatePerKm !== undefined) setting.driverDropRatePerKm = driverDropRatePerKm;
             if (razorpayFeePercent !== undefined) setting.razorpayFeePercent = razorpayFeePercent;
             if (minWithdrawalAmount !== undefined) setting.minWithdrawalAmount = minWithdrawalAmount;
+            if (unpaidOrderExpiryMinutes !== undefined) setting.unpaidOrderExpiryMinutes = unpaidOrderExpiryMinutes;
+            if (driverSearchRadiusKm !== undefined) setting.driverSearchRadiusKm = driverSearchRadiusKm;
+            if (driverSearchRadiusStepKm !== undefined) setting.driverSearchRadiusStepKm = driverSearchRadiusStepKm;
+            if (driverSearchMaxRadiusKm !== undefined) setting.driverSearchMaxRadiusKm = driverSearchMaxRadiusKm;
+            if (driverSearchRetryMinutes !== undefined) setting.driverSearchRetryMinutes = driverSearchRetryMinutes;
+            if (driverSearchEscalateAfterRounds !== undefined) setting.driverSearchEscalateAfterRounds = driverSearchEscalateAfterRounds;
+            if (shiprocketFallbackEnabled !== undefined) setting.shiprocketFallbackEnabled = shiprocketFallbackEnabled;
+            if (supplierCommissionPercent !== undefined) setting.supplierCommissionPercent = supplierCommissionPercent;
+            if (supplierPayoutHoldDays !== undefined) setting.supplierPayoutHoldDays = supplierPayoutHoldDays;
+            if (defaultGstRate !== undefined) setting.defaultGstRate = defaultGstRate;
         }
 
         const updatedSetting = await setting.save();
@@ -4,6 +4,7 @@ const router = express.Router();
 const Order = require('../model/order');
 const { authMiddleware, adminMiddleware } = require('../middleware/auth.middleware');
 const shiprocketService = require('../services/shiprocketService');
+const orderLifecycle = require('../services/orderLifecycle');
 
 // ==========================================
 // ADMIN: Generate Shipment
@@ -22,6 +23,14 @@ router.post('/generate/:orderId', authMiddleware, adminMiddleware, asyncHandler(
             return res.status(404).json({ success: false, message: 'Order not found' });
         }
 
+        // Split orders ship per supplier
+        if (order.isParentOrder) {
+            return res.status(400).json({
+                success: false,
+                message: 'This order is split across suppliers. Generate a shipment for each sub-order instead.'
+            });
+        }
+
         // Validate order is ready for shipment
         if (order.paymentStatus !== 'paid' && order.paymentMethod !== 'cod') {
             return res.status(400).json({
@@ -44,31 +53,11 @@ router.post('/generate/:orderId', authMiddleware, adminMiddleware, asyncHandler(
         }
 
         // Create shipment on Shiprocket
-        const shipmentResult = await shiprocketService.createShipment(order);
-
-        // Update order with shipment details
-        order.deliveryPartner = 'Shiprocket';
-        order.shipmentId = shipmentResult.shipmentId;
-        order.deliveryStatus = 'CREATED';
-
-        // If AWB was auto-assigned
-        if (shipmentResult.awbCode) {
-            order.awbCode = shipmentResult.awbCode;
-            order.courierName = shipmentResult.courierName;
-            order.trackingUrl = shipmentResult.trackingUrl;
-        } else if (shipmentResult.shipmentId) {
-            // Try to auto-assign courier
-            try {
-                const courierResult = await shiprocketService.assignCourier(shipmentResult.shipmentId);
-                order.awbCode = courierResult.awbCode;
-                order.courierName = courierResult.courierName;
-                order.trackingUrl = courierResult.trackingUrl;
-            } catch (courierErr) {
-                console.warn('Auto courier assignment failed, admin can assign manually:', courierErr.message);
-            }
-        }
-
-        await order.save();
+        await shiprocketService.shipOrder(order, {
+            actor: req.user.id,
+            role: req.user.role,
+            reason: 'Shiprocket shipment generated'
+        });
 
         res.json({
             success: true,
@@ -137,11 +126,13 @@ router.get('/track/:orderId', authMiddleware, asyncHandler(async (req, res) => {
         if (trackingInfo.currentStatus && trackingInfo.currentStatus !== 'Unknown') {
             const mappedStatus = shiprocketService.mapShiprocketStatus(trackingInfo.currentStatus);
             if (mappedStatus !== order.deliveryStatus) {
-                order.deliveryStatus = mappedStatus;
                 if (trackingInfo.estimatedDeliveryDate) {
                     order.estimatedDeliveryDate = new Date(trackingInfo.estimatedDeliveryDate);
                 }
-                await order.save();
+                await orderLifecycle.tryTransition(order, { deliveryStatus: mappedStatus }, {
+                    role: 'system',
+                    reason: `Shiprocket tracking: ${trackingInfo.currentStatus}`
+                });
             }
         }
 
@@ -235,7 +226,7 @@ router.post('/webhook', asyncHandler(async (req, res) => {
 
         // Map and update delivery status
         const newStatus = shiprocketService.mapShiprocketStatus(current_status);
-        order.deliveryStatus = newStatus;
+        const changes = { deliveryStatus: newStatus };
 
         if (courier_name) order.courierName = courier_name;
         if (awb && !order.awbCode) order.awbCode = awb;
@@ -243,12 +234,23 @@ router.post('/webhook', asyncHandler(async (req, res) => {
 
         // Update order status based on delivery status
         if (newStatus === 'DELIVERED') {
-            order.orderStatus = 'delivered';
-        } else if (newStatus === 'SHIPPED' || newStatus === 'IN_TRANSIT' || newStatus === 'OUT_FOR_DELIVERY') {
-            order.orderStatus = 'shipped';
+            changes.orderStatus = 'delivered';
+        } else if (newStatus === 'CANCELLED') {
+            changes.orderStatus = 'cancelled';
+        } else if ((newStatus === 'SHIPPED' || newStatus === 'IN_TRANSIT' || newStatus === 'OUT_FOR_DELIVERY') && order.orderStatus !== 'shipped') {
+            changes.orderStatus = 'shipped';
         }
 
-        await order.save();
+        // Shiprocket can deliver events out of order — stale ones are acknowledged but not applied
+        const applied = await orderLifecycle.tryTransition(order, changes, {
+            role: 'system',
+            reason: `Shiprocket webhook: ${current_status}`
+        });
+        if (!applied) {
+            await order.save();
+            console.log(`Webhook: Ignored stale status ${newStatus} for order ${order._id}`);
+            return res.json({ success: true, message: 'Webhook received (status not applied)' });
+        }
 
         console.log(`Webhook: Order ${order._id} updated to ${newStatus}`);
 
@@ -8,6 +8,11 @@ const User = require('../model/user');
 const Product = require('../model/product');
 const SupplierProduct = require('../model/supplierProduct');
 const Order = require('../model/order');
+const MerchantSettlement = require('../model/merchantSettlement');
+const orderLifecycle = require('../services/orderLifecycle');
+const supplierLedger = require('../services/supplierLedgerService');
+const { validateQuery } = require('../middleware/validate');
+const { supplierLedgerQuerySchema } = require('../validators/schemas');
 const Fuse = require('fuse.js');
 const { authMiddleware, adminMiddleware, supplierMiddleware } = require('../middleware/auth.middleware');
 const { uploadProduct, uploadDocument } = require('../uploadFile');
@@ -542,6 +547,7 @@ router.get('/dashboard', authMiddleware, supplierMiddleware, asyncHandler(async
     // Orders containing this supplier's products since they re-registered
     const orders = await Order.find({
         'items.supplierId': supplierId,
+        isParentOrder: { $ne: true },
         createdAt: { $gte: supplierSince }
     });
 
@@ -573,56 +579,60 @@ router.get('/dashboard', authMiddleware, supplierMiddleware, asyncHandler(async
 // GET /supplier/finance — Get detailed finance and payouts overview
 router.get('/finance', authMiddleware, supplierMiddleware, asyncHandler(async (req, res) => {
     const supplierId = req.user.id;
-    const user = await User.findById(supplierId);
-    const supplierSince = user?.supplierProfile?.supplierSince || new Date(0);
-
-    // Get all orders containing this supplier's items that are delivered in current tenure
-    const deliveredOrders = await Order.find({
-        'items.supplierId': supplierId,
-        orderStatus: 'delivered',
-        createdAt: { $gte: supplierSince }
-    }).sort({ createdAt: -1 });
-
-    let totalEarnings = 0;
-    
-    // Recent transactions (last 10 delivered orders)
-    const recentTransactions = deliveredOrders.slice(0, 10).map(order => {
-        let earnedFromOrder = 0;
-        order.items.forEach(item => {
-            if (item.supplierId && item.supplierId.toString() === supplierId) {
-                earnedFromOrder += (item.price || 0) * (item.quantity || 1);
-            }
-        });
-        
-        totalEarnings += earnedFromOrder;
+    const now = new Date();
+
+    const [balances, recent] = await Promise.all([
+        supplierLedger.getBalances(supplierId),
+        supplierLedger.listEntries(supplierId, { limit: 10 })
+    ]);
+
+    const recentTransactions = recent.entries.map(entry => {
+        let status = 'on_hold';
+        if (entry.settlementId) {
+            status = entry.settlementId.status === 'settled' ? 'settled' : 'in_settlement';
+        } else if (!entry.onHold && entry.holdUntil <= now) {
+            status = 'payable';
+        }
 
         return {
-            orderId: order._id,
-            date: order.createdAt,
-            amount: earnedFromOrder,
-            status: 'completed'
+            orderId: entry.orderId,
+            date: entry.createdAt,
+            category: entry.category,
+            description: entry.description,
+            amount: entry.type === 'credit' ? entry.amount : -entry.amount,
+            status
         };
     });
-    
-    // Calculate total earnings from all other older orders
-    deliveredOrders.slice(10).forEach(order => {
-        order.items.forEach(item => {
-            if (item.supplierId && item.supplierId.toString() === supplierId) {
-                totalEarnings += (item.price || 0) * (item.quantity || 1);
-            }
-        });
-    });
 
     res.json({
         success: true,
         data: {
-            totalEarnings: Math.round(totalEarnings),
-            pendingPayouts: Math.round(totalEarnings), // Mocked for now
+            totalEarnings: balances.netEarnings,
+            grossSales: balances.grossSales,
+            pendingPayouts: Math.round((balances.payable + balances.onHold + balances.inSettlement) * 100) / 100,
+            payable: balances.payable,
+            onHold: balances.onHold,
+            inSettlement: balances.inSettlement,
+            settled: balances.settled,
             recentTransactions
         }
     });
 }));
 
+// GET /supplier/finance/ledger — Itemised earnings, commission and refunds
+router.get('/finance/ledger', authMiddleware, supplierMiddleware, validateQuery(supplierLedgerQuerySchema), asyncHandler(async (req, res) => {
+    const { entries, pagination } = await supplierLedger.listEntries(req.user.id, req.query);
+    res.json({ success: true, data: entries, pagination });
+}));
+
+// GET /supplier/finance/settlements — Weekly payouts
+router.get('/finance/settlements', authMiddleware, supplierMiddleware, asyncHandler(async (req, res) => {
+    const settlements = await MerchantSettlement.find({ merchantId: req.user.id, settlementType: 'weekly' })
+        .sort({ createdAt: -1 })
+        .limit(52);
+    res.json({ success: true, data: settlements });
+}));
+
 // ============================================================
 // SUPPLIER PRODUCTS
 // ============================================================
@@ -736,6 +746,7 @@ router.post('/products', authMiddleware, supplierMiddleware, asyncHandler(async
                 proVariantTypeId, proVariantId, proVariants, skus,
                 gender, material, fit, pattern, sleeveLength, neckline, occasion,
                 careInstructions, tags, specifications, weight, dimensions,
+                hsnCode, gstRate,
                 preUploadedUrls, selected_product_id
             } = body;
 
@@ -842,6 +853,8 @@ router.post('/products', authMiddleware, supplierMiddleware, asyncHandler(async
                 gender: gender || 'Unisex',
                 material, fit, pattern, sleeveLength, neckline, occasion,
                 careInstructions,
+                hsnCode: hsnCode || undefined,
+                gstRate: gstRate !== undefined && gstRate !== '' ? Number(gstRate) : undefined,
                 tags: parsedTags || [],
                 specifications: parsedSpecs || [],
                 weight: weight ? parseFloat(weight) : 0,
@@ -893,7 +906,7 @@ router.put('/products/:id', authMiddleware, supplierMiddleware, asyncHandler(asy
             'proCategoryId', 'proSubCategoryId', 'proSubSubCategoryId', 'proBrandId',
             'gender', 'material', 'fit', 'pattern', 'sleeveLength', 'neckline', 'occasion',
             'careInstructions', 'tags', 'specifications', 'weight', 'dimensions',
-            'isActive', 'featured'
+            'hsnCode', 'gstRate', 'isActive', 'featured'
         ];
 
         allowedFields.forEach(field => {
@@ -996,7 +1009,8 @@ router.get('/orders', authMiddleware, supplierMiddleware, asyncHandler(async (re
     const productIds = supplierProductIds.map(p => p._id);
 
     const orders = await Order.find({
-        'items.productID': { $in: productIds }
+        'items.productID': { $in: productIds },
+        isParentOrder: { $ne: true } // split orders are fulfilled through their sub-orders
     })
         .populate('userID', 'name email phone')
         .populate('assignedDriver', 'fullName phone profilePhoto')
@@ -1035,17 +1049,20 @@ router.put('/orders/:id/accept', authMiddleware, supplierMiddleware, asyncHandle
 
     const prepMinutes = req.body.estimatedPrepMinutes || 15;
 
-    order.orderStatus = 'preparing';
     order.supplierAcceptedAt = new Date();
     order.prepStartedAt = new Date();
     order.estimatedPrepMinutes = prepMinutes;
-    await order.save();
+    await orderLifecycle.transition(order, { orderStatus: 'preparing' }, {
+        actor: req.user.id,
+        role: req.user.role,
+        reason: 'Accepted by supplier'
+    });
 
     // Emit socket event for real-time updates
     const io = req.app.get('io');
     if (io) {
-        io.emit(`order_status_${order._id}`, { orderId: order._id, status: 'preparing' });
-        io.emit(`order_update_${order.userID}`, { orderId: order._id, status: 'preparing', estimatedPrepMinutes: prepMinutes });
+        io.to(`order_${order._id}`).emit(`order_status_${order._id}`, { orderId: order._id, status: 'preparing' });
+        io.to(`user_${order.userID}`).emit(`order_update_${order.userID}`, { orderId: order._id, status: 'preparing', estimatedPrepMinutes: prepMinutes });
     }
 
     // Start driver assignment immediately so a driver is found by the time food is ready
@@ -1069,14 +1086,16 @@ router.put('/orders/:id/reject', authMiddleware, supplierMiddleware, asyncHandle
         return res.status(400).json({ success: false, message: `Cannot reject order in "${order.orderStatus}" status.` });
     }
 
-    order.orderStatus = 'rejected';
-    order.deliveryStatus = 'CANCELLED';
-    await order.save();
+    await orderLifecycle.transition(order, { orderStatus: 'rejected', deliveryStatus: 'CANCELLED' }, {
+        actor: req.user.id,
+        role: req.user.role,
+        reason: req.body.reason || 'Rejected by supplier'
+    });
 
     const io = req.app.get('io');
     if (io) {
-        io.emit(`order_status_${order._id}`, { orderId: order._id, status: 'rejected', deliveryStatus: 'CANCELLED' });
-        io.emit(`order_update_${order.userID}`, { orderId: order._id, status: 'rejected', deliveryStatus: 'CANCELLED' });
+        io.to(`order_${order._id}`).emit(`order_status_${order._id}`, { orderId: order._id, status: 'rejected', deliveryStatus: 'CANCELLED' });
+        io.to(`user_${order.userID}`).emit(`order_update_${order.userID}`, { orderId: order._id, status: 'rejected', deliveryStatus: 'CANCELLED' });
     }
 
     res.json({ success: true, message: 'Order rejected.', data: order });
@@ -1096,14 +1115,17 @@ router.put('/orders/:id/ready', authMiddleware, supplierMiddleware, asyncHandler
         return res.status(400).json({ success: false, message: `Cannot mark ready from "${order.orderStatus}" status.` });
     }
 
-    order.orderStatus = 'ready';
     order.readyAt = new Date();
-    await order.save();
+    await orderLifecycle.transition(order, { orderStatus: 'ready' }, {
+        actor: req.user.id,
+        role: req.user.role,
+        reason: 'Marked ready by supplier'
+    });
 
     const io = req.app.get('io');
     if (io) {
-        io.emit(`order_status_${order._id}`, { orderId: order._id, status: 'ready' });
-        io.emit(`order_update_${order.userID}`, { orderId: order._id, status: 'ready' });
+        io.to(`order_${order._id}`).emit(`order_status_${order._id}`, { orderId: order._id, status: 'ready' });
+        io.to(`user_${order.userID}`).emit(`order_update_${order.userID}`, { orderId: order._id, status: 'ready' });
     }
 
     res.json({ success: true, message: 'Order marked as ready for pickup.', data: order });
@@ -1133,15 +1155,17 @@ router.put('/orders/:id/picked-up', authMiddleware, supplierMiddleware, asyncHan
         return res.status(400).json({ success: false, message: 'Delivery partner has not reached the pickup location yet. Please wait for the driver to arrive.' });
     }
 
-    order.orderStatus = 'picked_up';
-    order.deliveryStatus = 'PICKED_UP';
     order.pickedUpAt = new Date();
-    await order.save();
+    await orderLifecycle.transition(order, { orderStatus: 'picked_up', deliveryStatus: 'PICKED_UP' }, {
+        actor: req.user.id,
+        role: req.user.role,
+        reason: 'Handed over to delivery partner'
+    });
 
     const io = req.app.get('io');
     if (io) {
-        io.emit(`order_status_${order._id}`, { orderId: order._id, status: 'picked_up' });
-        io.emit(`order_update_${order.userID}`, { orderId: order._id, status: 'picked_up' });
+        io.to(`order_${order._id}`).emit(`order_status_${order._id}`, { orderId: order._id, status: 'picked_up' });
+        io.to(`user_${order.userID}`).emit(`order_update_${order.userID}`, { orderId: order._id, status: 'picked_up' });
     }
 
     res.json({ success: true, message: 'Order picked up by delivery partner.', data: order });
@@ -0,0 +1,43 @@
+const { redeemCoupon, releaseCoupon } = require('./couponService');
+const { reserveStock, undoReservation } = require('./stockService');
+const { applyCommissions } = require('./commissionService');
+
+/**
+ * Persist a freshly priced order: snapshot its commissions, hold its stock,
+ * redeem its coupon, then save.
+ *
+ * Each step is undone if a later one fails, so a checkout that errors out
+ * leaves neither stock nor the coupon used up.
+ *
+ * @param {Object} order - unsaved Order document
+ * @param {Object} [options]
+ * @param {boolean} [options.awaitingPayment] - online payment still to come; stock is held for the reservation TTL
+ * @returns {Object} - the saved order
+ */
+async function saveNewOrder(order, { awaitingPayment = false } = {}) {
+    // Commission is fixed now so later rule changes don't touch this order
+    await applyCommissions(order.items);
+
+    await reserveStock(order, { awaitingPayment });
+
+    try {
+        if (order.couponCode) await redeemCoupon(order.couponCode, order.userID);
+    } catch (error) {
+        await undoReservation(order);
+        throw error;
+    }
+
+    try {
+        await order.save();
+    } catch (error) {
+        await releaseCoupon(order);
+        await undoReservation(order);
+        throw error;
+    }
+
+    return order;
+}
+
+module.exports = {
+    saveNewOrder
+};
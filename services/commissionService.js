@@ -0,0 +1,233 @@
+const Product = require('../model/product');
+const Setting = require('../model/setting');
+const Category = require('../model/category');
+const SubCategory = require('../model/subCategory');
+const Brand = require('../model/brand');
+const User = require('../model/user');
+const CommissionRule = require('../model/commissionRule');
+
+class CommissionError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'CommissionError';
+        this.statusCode = statusCode;
+    }
+}
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// How much each scope field counts towards a rule's specificity. A supplier
+// deal beats a brand rule, which beats a sub-category rule, which beats a
+// category rule; a rule matching on several fields adds them up.
+const SCOPE_WEIGHTS = {
+    supplierId: 8,
+    brandId: 4,
+    subCategoryId: 2,
+    categoryId: 1
+};
+
+// ==========================================
+// RULE MATCHING
+// ==========================================
+
+/**
+ * Rules in effect at a point in time.
+ */
+function loadActiveRules(at = new Date()) {
+    return CommissionRule.find({
+        isActive: true,
+        effectiveFrom: { $lte: at },
+        $or: [{ effectiveTo: null }, { effectiveTo: { $gt: at } }]
+    }).lean();
+}
+
+function specificity(rule) {
+    return Object.entries(SCOPE_WEIGHTS)
+        .reduce((sum, [field, weight]) => sum + (rule[field] ? weight : 0), 0);
+}
+
+/**
+ * The rule that applies to an item, or null if none matches.
+ *
+ * @param {Array} rules - from loadActiveRules()
+ * @param {Object} scope - { supplierId, brandId, subCategoryId, categoryId }
+ */
+function pickRule(rules, scope) {
+    const matching = rules.filter(rule => Object.keys(SCOPE_WEIGHTS).every(field =>
+        !rule[field] || (scope[field] && rule[field].toString() === scope[field].toString())
+    ));
+
+    matching.sort((a, b) =>
+        specificity(b) - specificity(a)
+        || (b.priority || 0) - (a.priority || 0)
+        || new Date(b.effectiveFrom) - new Date(a.effectiveFrom)
+    );
+    return matching[0] || null;
+}
+
+/**
+ * Commission snapshot for one order line. Without a matching rule the
+ * supplierCommissionPercent setting applies. Never more than the line itself.
+ *
+ * @returns {Object} - { ruleId, commissionType, value, amount }
+ */
+function commissionFor(rule, item, settings) {
+    const gross = (item.price || 0) * (item.quantity || 1);
+    const commissionType = rule ? rule.commissionType : 'percentage';
+    const value = rule ? rule.value : (settings.supplierCommissionPercent ?? 10);
+
+    const amount = commissionType === 'flat'
+        ? value * (item.quantity || 1)
+        : gross * value / 100;
+
+    return {
+        ruleId: rule ? rule._id : null,
+        commissionType,
+        value,
+        amount: round2(Math.min(amount, gross))
+    };
+}
+
+/**
+ * Work out and snapshot the commission on each order item (item.commission).
+ * Items are changed in place.
+ *
+ * @param {Array} items - priced order items
+ * @param {Object} [options]
+ * @param {Date} [options.at] - when the order was placed; defaults to now
+ * @returns {Array} - the same items
+ */
+async function applyCommissions(items, { at = new Date() } = {}) {
+    const productIds = [...new Set(items.map(item => item.productID?.toString()).filter(Boolean))];
+    const [products, rules, settings] = await Promise.all([
+        Product.find({ _id: { $in: productIds } }).select('proCategoryId proSubCategoryId proBrandId').lean(),
+        loadActiveRules(at),
+        Setting.findOne().lean()
+    ]);
+    const productMap = new Map(products.map(p => [p._id.toString(), p]));
+
+    for (const item of items) {
+        const product = productMap.get(item.productID?.toString()) || {};
+        const rule = pickRule(rules, {
+            supplierId: item.supplierId,
+            brandId: product.proBrandId,
+            subCategoryId: product.proSubCategoryId,
+            categoryId: product.proCategoryId
+        });
+        item.commission = commissionFor(rule, item, settings || {});
+    }
+    return items;
+}
+
+// ==========================================
+// ADMIN
+// ==========================================
+
+const SCOPE_MODELS = {
+    categoryId: [Category, 'Category'],
+    subCategoryId: [SubCategory, 'Sub-category'],
+    brandId: [Brand, 'Brand'],
+    supplierId: [User, 'Supplier']
+};
+
+async function assertScopeExists(fields) {
+    for (const [field, [Model, label]] of Object.entries(SCOPE_MODELS)) {
+        if (!fields[field]) continue;
+        const query = field === 'supplierId' ? { _id: fields[field], role: 'supplier' } : { _id: fields[field] };
+        if (!await Model.exists(query)) throw new CommissionError(`${label} not found.`, 404);
+    }
+}
+
+function assertSaneValue(commissionType, value) {
+    if (commissionType === 'percentage' && value > 100) {
+        throw new CommissionError('A percentage commission cannot exceed 100%.');
+    }
+}
+
+async function listRules({ supplierId, categoryId, brandId, activeOn, includeInactive = false } = {}) {
+    const query = {};
+    if (!includeInactive) query.isActive = true;
+    if (supplierId) query.supplierId = supplierId;
+    if (categoryId) query.categoryId = categoryId;
+    if (brandId) query.brandId = brandId;
+    if (activeOn) {
+        query.effectiveFrom = { $lte: activeOn };
+        query.$or = [{ effectiveTo: null }, { effectiveTo: { $gt: activeOn } }];
+    }
+
+    return CommissionRule.find(query)
+        .populate('categoryId', 'name')
+        .populate('subCategoryId', 'name')
+        .populate('brandId', 'name')
+        .populate('supplierId', 'name supplierProfile.storeName')
+        .sort({ isActive: -1, priority: -1, createdAt: -1 });
+}
+
+async function createRule(fields, { actor = null } = {}) {
+    assertSaneValue(fields.commissionType, fields.value);
+    await assertScopeExists(fields);
+    return CommissionRule.create({ ...fields, createdBy: actor });
+}
+
+/**
+ * Change a rule. Orders already placed keep the commission they were
+ * snapshotted with; only new orders see the change.
+ */
+async function updateRule(ruleId, fields) {
+    const rule = await CommissionRule.findById(ruleId);
+    if (!rule) throw new CommissionError('Commission rule not found.', 404);
+
+    await assertScopeExists(fields);
+    Object.assign(rule, fields);
+    assertSaneValue(rule.commissionType, rule.value);
+    if (rule.effectiveTo && rule.effectiveTo <= rule.effectiveFrom) {
+        throw new CommissionError('effectiveTo must be after effectiveFrom.');
+    }
+    return rule.save();
+}
+
+/**
+ * Switch a rule off. Rules are kept rather than deleted so past orders can
+ * still point at the rule they were charged under.
+ */
+async function deactivateRule(ruleId) {
+    const rule = await CommissionRule.findByIdAndUpdate(ruleId, { $set: { isActive: false } }, { new: true });
+    if (!rule) throw new CommissionError('Commission rule not found.', 404);
+    return rule;
+}
+
+/**
+ * What a supplier would be charged on one product at a given price.
+ *
+ * @returns {Object} - { rule, commission }
+ */
+async function previewCommission({ productID, supplierId, price, quantity = 1, at = new Date() }) {
+    const product = await Product.findById(productID).select('name proCategoryId proSubCategoryId proBrandId').lean();
+    if (!product) throw new CommissionError('Product not found.', 404);
+
+    const [rules, settings] = await Promise.all([loadActiveRules(at), Setting.findOne().lean()]);
+    const rule = pickRule(rules, {
+        supplierId,
+        brandId: product.proBrandId,
+        subCategoryId: product.proSubCategoryId,
+        categoryId: product.proCategoryId
+    });
+
+    return {
+        rule,
+        commission: commissionFor(rule, { price, quantity }, settings || {})
+    };
+}
+
+module.exports = {
+    CommissionError,
+    loadActiveRules,
+    pickRule,
+    commissionFor,
+    applyCommissions,
+    listRules,
+    createRule,
+    updateRule,
+    deactivateRule,
+    previewCommission
+};
@@ -0,0 +1,180 @@
+const Coupon = require('../model/couponCode');
+const Product = require('../model/product');
+const Order = require('../model/order');
+const User = require('../model/user');
+
+class CouponError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CouponError';
+        this.statusCode = 400;
+    }
+}
+
+// ==========================================
+// VALIDATION
+// ==========================================
+
+/**
+ * Whether a product falls inside the coupon's category / subcategory / product scope.
+ * Coupons without any scope apply to every product.
+ */
+function isProductEligible(coupon, product) {
+    if (!product) return false;
+    if (coupon.applicableCategory && coupon.applicableCategory.toString() !== product.proCategoryId?.toString()) {
+        return false;
+    }
+    if (coupon.applicableSubCategory && coupon.applicableSubCategory.toString() !== product.proSubCategoryId?.toString()) {
+        return false;
+    }
+    if (coupon.applicableProduct) {
+        const productId = coupon.applicableProduct.toString();
+        if (product._id.toString() !== productId && !(product.proVariantId || []).includes(productId)) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Re-check a coupon against its rules for this user and cart, and work out
+ * the discount. Throws CouponError with a user-facing message if it doesn't apply.
+ *
+ * @param {Object} params
+ * @param {string} [params.couponId] - Coupon _id (as stored on orders)
+ * @param {string} [params.code] - Coupon code (as typed by the user)
+ * @param {string} params.userId
+ * @param {Array} params.items - [{ productID, quantity, price? }]; missing prices are read from the product
+ * @param {number} [params.subtotal] - cart subtotal used for the minimum purchase check (defaults to the items' sum)
+ * @returns {Object} - { coupon, discount, eligibleSubtotal }
+ */
+async function validateCoupon({ couponId, code, userId, items = [], subtotal }) {
+    const coupon = couponId
+        ? await Coupon.findById(couponId).catch(() => null)
+        : await Coupon.findOne({ couponCode: code });
+
+    if (!coupon) throw new CouponError('Coupon not found.');
+    if (coupon.status !== 'active') throw new CouponError('Coupon is inactive.');
+    if (coupon.endDate < new Date()) throw new CouponError('Coupon is expired.');
+
+    if (coupon.userID && coupon.userID.toString() !== userId.toString()) {
+        throw new CouponError('This coupon is not valid for your account.');
+    }
+
+    if (coupon.isSingleUse && coupon.usedBy.some(id => id.toString() === userId.toString())) {
+        throw new CouponError('You have already used this coupon.');
+    }
+
+    if (coupon.isFirstOrderOnly) {
+        const previousOrders = await Order.countDocuments({
+            userID: userId,
+            parentOrder: null,
+            paymentStatus: { $ne: 'failed' },
+            orderStatus: { $nin: ['cancelled', 'rejected'] }
+        });
+        if (previousOrders > 0) {
+            throw new CouponError('This coupon is only valid for your first order.');
+        }
+    }
+
+    const productIds = items.map(item => item.productID).filter(Boolean);
+    const products = await Product.find({ _id: { $in: productIds } })
+        .select('price offerPrice proCategoryId proSubCategoryId proVariantId');
+    const productMap = new Map(products.map(p => [p._id.toString(), p]));
+
+    let cartSubtotal = 0;
+    let eligibleSubtotal = 0;
+    for (const item of items) {
+        const product = productMap.get(item.productID?.toString());
+        const price = item.price ?? product?.offerPrice ?? product?.price ?? 0;
+        const lineTotal = price * (item.quantity || 1);
+        cartSubtotal += lineTotal;
+        if (isProductEligible(coupon, product)) eligibleSubtotal += lineTotal;
+    }
+
+    const purchaseAmount = subtotal ?? cartSubtotal;
+    if (coupon.minimumPurchaseAmount && purchaseAmount < coupon.minimumPurchaseAmount) {
+        throw new CouponError('Minimum purchase amount not met.');
+    }
+
+    if (eligibleSubtotal <= 0) {
+        throw new CouponError('Coupon is not applicable for the provided products.');
+    }
+
+    // Discount is worked out on the eligible items only and never exceeds them
+    let discount = coupon.discountType === 'percentage'
+        ? eligibleSubtotal * coupon.discountAmount / 100
+        : coupon.discountAmount;
+    discount = Math.round(Math.min(discount, eligibleSubtotal) * 100) / 100;
+
+    return { coupon, discount, eligibleSubtotal };
+}
+
+// ==========================================
+// REDEMPTION
+// ==========================================
+
+/**
+ * Record that a user has redeemed a coupon.
+ *
+ * The writes are conditional, so two checkouts racing on the same single-use
+ * coupon cannot both succeed. A first-order coupon is also claimed on the
+ * user, so it can't be combined with another first-order coupon either.
+ */
+async function redeemCoupon(couponId, userId) {
+    const filter = { _id: couponId, status: 'active', endDate: { $gte: new Date() } };
+    const coupon = await Coupon.findById(couponId).select('isSingleUse isFirstOrderOnly');
+    if (coupon?.isSingleUse || coupon?.isFirstOrderOnly) filter.usedBy = { $ne: userId };
+
+    if (coupon?.isFirstOrderOnly) {
+        const claimed = await User.updateOne(
+            { _id: userId, firstOrderCoupon: null },
+            { $set: { firstOrderCoupon: couponId } }
+        );
+        if (!claimed.modifiedCount) {
+            throw new CouponError('This coupon is only valid for your first order.');
+        }
+    }
+
+    const updated = await Coupon.findOneAndUpdate(filter, { $addToSet: { usedBy: userId } }, { new: true });
+    if (!updated) {
+        if (coupon?.isFirstOrderOnly) await releaseFirstOrderClaim(couponId, userId);
+        throw new CouponError('This coupon has already been used or is no longer valid.');
+    }
+    return updated;
+}
+
+function releaseFirstOrderClaim(couponId, userId) {
+    return User.updateOne({ _id: userId, firstOrderCoupon: couponId }, { $set: { firstOrderCoupon: null } });
+}
+
+/**
+ * Give a coupon back after the order that used it failed payment or was cancelled.
+ * The user keeps the redemption if another live order of theirs still uses the coupon.
+ *
+ * @param {Object} order - the customer-facing order (parent for split orders)
+ */
+async function releaseCoupon(order) {
+    if (!order || !order.couponCode || order.parentOrder) return;
+
+    const stillInUse = await Order.exists({
+        _id: { $ne: order._id },
+        userID: order.userID,
+        couponCode: order.couponCode,
+        parentOrder: null,
+        paymentStatus: { $ne: 'failed' },
+        orderStatus: { $nin: ['cancelled', 'rejected'] }
+    });
+    if (stillInUse) return;
+
+    await Coupon.updateOne({ _id: order.couponCode }, { $pull: { usedBy: order.userID } });
+    await releaseFirstOrderClaim(order.couponCode, order.userID);
+}
+
+module.exports = {
+    CouponError,
+    isProductEligible,
+    validateCoupon,
+    redeemCoupon,
+    releaseCoupon
+};
@@ -0,0 +1,307 @@
+const Order = require('../model/order');
+const PenaltyLedger = require('../model/penaltyLedger');
+const EmiApplication = require('../model/emiApplication');
+const UserKyc = require('../model/userKyc');
+const User = require('../model/user');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Scores run from 300 to 900 like a bureau score; everyone starts at BASE_SCORE
+const BASE_SCORE = 600;
+const MIN_SCORE = 300;
+const MAX_SCORE = 900;
+
+// Order history older than this doesn't count
+const LOOKBACK_DAYS = 365;
+
+// Score bands → credit limit. A user's limit is twice their delivered spend
+// in the lookback window, kept between the band's floor and ceiling.
+// Below the lowest band no credit is offered.
+const LIMIT_BANDS = [
+    { minScore: 750, floor: 25000, ceiling: 100000 },
+    { minScore: 680, floor: 10000, ceiling: 50000 },
+    { minScore: 620, floor: 5000, ceiling: 20000 },
+    { minScore: 550, floor: 0, ceiling: 5000 }
+];
+const SPEND_MULTIPLIER = 2;
+
+// Applications whose unpaid installments count against the limit
+const EXPOSURE_STATUSES = ['pending', 'approved', 'active', 'defaulted'];
+
+// Sub-orders repeat their parent, so customer history only looks at top-level orders
+const CUSTOMER_ORDER = { parentOrder: null };
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// ==========================================
+// SIGNALS
+// ==========================================
+
+/**
+ * Order history in the lookback window: delivered orders and spend, COD
+ * orders accepted vs refused at the door, and delivered orders refunded.
+ */
+async function orderSignals(userId, asOf) {
+    const since = new Date(asOf.getTime() - LOOKBACK_DAYS * DAY_MS);
+    const orders = await Order.find({ ...CUSTOMER_ORDER, userID: userId, createdAt: { $gte: since, $lte: asOf } })
+        .select('orderStatus paymentMethod totalPrice refundedAmount pickedUpAt')
+        .lean();
+
+    const delivered = orders.filter(o => o.orderStatus === 'delivered');
+    const cod = orders.filter(o => o.paymentMethod === 'cod');
+    const codDelivered = cod.filter(o => o.orderStatus === 'delivered');
+    // Cancelled after the driver picked it up: the customer refused the parcel
+    const codRefused = cod.filter(o => ['cancelled', 'rejected'].includes(o.orderStatus) && o.pickedUpAt);
+    const returned = delivered.filter(o => o.refundedAmount > 0);
+
+    return {
+        orders: orders.length,
+        deliveredOrders: delivered.length,
+        deliveredSpend: delivered.reduce((sum, o) => sum + (o.totalPrice - (o.refundedAmount || 0)), 0),
+        codDelivered: codDelivered.length,
+        codRefused: codRefused.length,
+        returnedOrders: returned.length
+    };
+}
+
+/**
+ * EMI repayment behaviour: installments paid on time and late, and
+ * penalties still open.
+ */
+async function repaymentSignals(userId) {
+    const [applications, ledgers] = await Promise.all([
+        EmiApplication.find({ userId, status: { $ne: 'rejected' } }).select('status installments').lean(),
+        PenaltyLedger.find({ userId }).select('status missedDate daysOverdue').lean()
+    ]);
+
+    let paidOnTime = 0;
+    for (const application of applications) {
+        for (const installment of application.installments || []) {
+            if (installment.status === 'paid' && installment.paidDate && installment.paidDate <= installment.dueDate) {
+                paidOnTime++;
+            }
+        }
+    }
+
+    const open = ledgers.filter(l => ['grace_period', 'overdue'].includes(l.status));
+    return {
+        paidOnTime,
+        // Paid or waived, but only after the grace period ran out
+        paidLate: ledgers.filter(l => ['paid', 'waived'].includes(l.status) && l.missedDate).length,
+        openOverdue: open.filter(l => l.status === 'overdue').length,
+        inGracePeriod: open.filter(l => l.status === 'grace_period').length,
+        maxDaysOverdue: Math.max(0, ...ledgers.map(l => l.daysOverdue || 0)),
+        defaulted: applications.filter(a => a.status === 'defaulted').length,
+        completed: applications.filter(a => a.status === 'completed').length
+    };
+}
+
+async function kycSignals(userId, asOf) {
+    const [kyc, user] = await Promise.all([
+        UserKyc.findOne({ userId }).lean(),
+        User.findById(userId).select('createdAt').lean()
+    ]);
+
+    const age = kyc?.dateOfBirth
+        ? Math.floor((asOf - new Date(kyc.dateOfBirth)) / (365.25 * DAY_MS))
+        : null;
+
+    return {
+        kycStatus: kyc?.verificationStatus || 'not_submitted',
+        hasPan: Boolean(kyc?.panNumber),
+        hasAadhaar: Boolean(kyc?.aadhaarNumber),
+        hasBankAccount: Boolean(kyc?.bankDetails?.accountNumber && kyc?.bankDetails?.ifscCode),
+        age,
+        accountAgeDays: user?.createdAt ? Math.floor((asOf - user.createdAt) / DAY_MS) : 0,
+        limitOverride: kyc?.creditLimitOverride ?? null
+    };
+}
+
+// ==========================================
+// SCORING
+// ==========================================
+
+/**
+ * Turn signals into score factors. Each factor says what it looked at and
+ * how many points it moved the score, so a decision can be explained.
+ */
+function scoreFactors({ orders, repayment, kyc }) {
+    const factors = [];
+    const add = (code, points, detail) => {
+        if (points !== 0) factors.push({ code, points, detail });
+    };
+
+    // Order history
+    add('delivered_orders', Math.min(orders.deliveredOrders, 20) * 3,
+        `${orders.deliveredOrders} delivered orders in the last ${LOOKBACK_DAYS} days`);
+    if (orders.deliveredOrders === 0) {
+        add('no_order_history', -40, 'No delivered orders yet');
+    }
+
+    // COD behaviour
+    const codTotal = orders.codDelivered + orders.codRefused;
+    if (codTotal >= 3) {
+        const acceptance = orders.codDelivered / codTotal;
+        if (acceptance >= 0.95) add('cod_acceptance', 20, `Accepted ${orders.codDelivered} of ${codTotal} COD deliveries`);
+        else if (acceptance < 0.8) add('cod_refusals', -Math.round((1 - acceptance) * 150), `Refused ${orders.codRefused} of ${codTotal} COD deliveries`);
+    }
+
+    // Returns
+    if (orders.deliveredOrders >= 3) {
+        const returnRate = orders.returnedOrders / orders.deliveredOrders;
+        if (returnRate > 0.3) add('high_returns', -Math.round(returnRate * 100), `${orders.returnedOrders} of ${orders.deliveredOrders} delivered orders refunded`);
+    }
+
+    // EMI repayment
+    add('emi_paid_on_time', Math.min(repayment.paidOnTime, 24) * 5, `${repayment.paidOnTime} EMI installments paid on time`);
+    add('emi_completed', Math.min(repayment.completed, 3) * 15, `${repayment.completed} EMI plans fully repaid`);
+    add('emi_paid_late', -repayment.paidLate * 25, `${repayment.paidLate} installments paid after the grace period`);
+    add('emi_overdue', -repayment.openOverdue * 80, `${repayment.openOverdue} installments overdue now`);
+    add('emi_grace_period', -repayment.inGracePeriod * 20, `${repayment.inGracePeriod} installments in their grace period`);
+    add('emi_defaulted', -repayment.defaulted * 150, `${repayment.defaulted} EMI plans in default`);
+    if (repayment.maxDaysOverdue > 30) {
+        add('emi_long_overdue', -50, `An installment was ${repayment.maxDaysOverdue} days overdue`);
+    }
+
+    // KYC
+    add('kyc_pan', kyc.hasPan ? 20 : -20, kyc.hasPan ? 'PAN on file' : 'No PAN on file');
+    add('kyc_aadhaar', kyc.hasAadhaar ? 10 : 0, 'Aadhaar on file');
+    add('kyc_bank_account', kyc.hasBankAccount ? 15 : -15, kyc.hasBankAccount ? 'Bank account on file' : 'No bank account on file');
+    if (kyc.age !== null && (kyc.age < 21 || kyc.age > 65)) {
+        add('kyc_age', -30, `Applicant age ${kyc.age} is outside 21-65`);
+    }
+    if (kyc.accountAgeDays < 30) {
+        add('new_account', -30, `Account is ${kyc.accountAgeDays} days old`);
+    } else if (kyc.accountAgeDays >= 180) {
+        add('account_age', 15, `Account is ${kyc.accountAgeDays} days old`);
+    }
+
+    return factors;
+}
+
+function limitFor(score, deliveredSpend) {
+    const band = LIMIT_BANDS.find(b => score >= b.minScore);
+    if (!band) return 0;
+    return Math.round(clamp(deliveredSpend * SPEND_MULTIPLIER, band.floor, band.ceiling));
+}
+
+// ==========================================
+// ASSESSMENT
+// ==========================================
+
+/**
+ * Amount still owed on a user's open EMI applications.
+ *
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {string} [options.excludeApplicationId] - leave one application out
+ */
+async function getExposure(userId, { excludeApplicationId = null } = {}) {
+    const filter = { userId, status: { $in: EXPOSURE_STATUSES } };
+    if (excludeApplicationId) filter._id = { $ne: excludeApplicationId };
+
+    const applications = await EmiApplication.find(filter).select('status principalAmount installments').lean();
+
+    return applications.reduce((sum, application) => {
+        // Applications without a schedule yet owe their principal
+        if (!application.installments?.length) return sum + application.principalAmount;
+        return sum + application.installments
+            .filter(i => i.status !== 'paid')
+            .reduce((owed, i) => owed + i.amount, 0);
+    }, 0);
+}
+
+/**
+ * Score a user and derive their credit limit.
+ *
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {Date} [options.asOf] - assess as of this date (default: now)
+ * @returns {Object} - { score, limit, computedLimit, exposure, availableLimit, factors, signals, assessedAt }
+ */
+async function assessCredit(userId, { asOf = new Date() } = {}) {
+    const [orders, repayment, kyc, exposure] = await Promise.all([
+        orderSignals(userId, asOf),
+        repaymentSignals(userId),
+        kycSignals(userId, asOf),
+        getExposure(userId)
+    ]);
+
+    const factors = scoreFactors({ orders, repayment, kyc });
+    const score = clamp(BASE_SCORE + factors.reduce((sum, f) => sum + f.points, 0), MIN_SCORE, MAX_SCORE);
+    const computedLimit = limitFor(score, orders.deliveredSpend);
+    // An admin override replaces the computed limit
+    const limit = kyc.limitOverride ?? computedLimit;
+
+    return {
+        score,
+        limit,
+        computedLimit,
+        limitOverridden: kyc.limitOverride !== null,
+        exposure,
+        availableLimit: Math.max(0, limit - exposure),
+        factors,
+        signals: { orders, repayment, kyc },
+        assessedAt: asOf
+    };
+}
+
+/**
+ * Decide an EMI application for `amount`. The decision lists the reasons it
+ * was declined (none when approved) alongside the score factors.
+ *
+ * @returns {Object} - the decision, shaped like EmiApplication.creditDecision
+ */
+async function decideApplication(userId, amount, { excludeApplicationId = null } = {}) {
+    const assessment = await assessCredit(userId);
+    const exposure = excludeApplicationId
+        ? await getExposure(userId, { excludeApplicationId })
+        : assessment.exposure;
+    const availableLimit = Math.max(0, assessment.limit - exposure);
+    const { kyc, repayment } = assessment.signals;
+
+    const reasons = [];
+    if (kyc.kycStatus !== 'verified') {
+        reasons.push('KYC is not verified');
+    }
+    if (repayment.openOverdue > 0 || repayment.defaulted > 0) {
+        reasons.push('There are overdue EMI installments');
+    }
+    if (assessment.limit === 0) {
+        reasons.push(`Credit score ${assessment.score} is below the minimum of ${LIMIT_BANDS[LIMIT_BANDS.length - 1].minScore}`);
+    } else if (amount > availableLimit) {
+        reasons.push(`Amount ₹${amount} exceeds the available limit of ₹${availableLimit} (limit ₹${assessment.limit}, outstanding ₹${exposure})`);
+    }
+
+    return {
+        decision: reasons.length ? 'rejected' : 'approved',
+        reasons,
+        score: assessment.score,
+        limit: assessment.limit,
+        limitOverridden: assessment.limitOverridden,
+        exposure,
+        availableLimit,
+        requestedAmount: amount,
+        factors: assessment.factors,
+        assessedAt: assessment.assessedAt
+    };
+}
+
+/**
+ * Store a fresh score and computed limit on the user's KYC, e.g. when it
+ * is verified. The stored values are a snapshot; decisions re-assess.
+ */
+async function refreshKycCredit(kyc) {
+    const assessment = await assessCredit(kyc.userId);
+    kyc.creditScore = assessment.score;
+    kyc.creditLimit = assessment.limit;
+    kyc.creditAssessedAt = assessment.assessedAt;
+    return assessment;
+}
+
+module.exports = {
+    assessCredit,
+    decideApplication,
+    getExposure,
+    refreshKycCredit
+};
@@ -1,8 +1,23 @@
 const Driver = require('../model/driver');
 const Order = require('../model/order');
 const User = require('../model/user');
+const Setting = require('../model/setting');
+const DriverAssignment = require('../model/driverAssignment');
 const { getDistanceAndETA } = require('./googleMapsService');
-// Optional: If you need to manipulate socket.io directly here, you can require it or pass it in.
+const orderLifecycle = require('./orderLifecycle');
+const shiprocketService = require('./shiprocketService');
+
+// How long each driver has to respond to an offer
+const OFFER_TIMEOUT_MS = 31000; // 31 seconds to be safe
+// How often each process looks for offers that timed out without a local timer
+const SWEEP_INTERVAL_MS = 5000;
+// A search left in 'searching' this long was abandoned mid-way (process died) and is restarted
+const STALE_SEARCH_MS = 60000;
+// Longest wait between search rounds
+const MAX_RETRY_BACKOFF_MINUTES = 30;
+
+// Order states in which a driver is no longer needed
+const CLOSED_ORDER_STATUSES = ['picked_up', 'shipped', 'delivered', 'cancelled', 'rejected'];
 
 // Simple distance calculation (Haversine formula in km)
 function calculateDistance(lat1, lon1, lat2, lon2) {
@@ -17,11 +32,44 @@ function calculateDistance(lat1, lon1, lat2, lon2) {
     return R * c;
 }
 
+/**
+ * Search radius for a round: the base radius, widened by one step per retry.
+ */
+function radiusForRound(settings, round) {
+    const base = settings.driverSearchRadiusKm ?? 10;
+    const step = settings.driverSearchRadiusStepKm ?? 5;
+    const max = Math.max(base, settings.driverSearchMaxRadiusKm ?? 25);
+    return Math.min(base + step * (round - 1), max);
+}
+
+/**
+ * Minutes to wait after a round found nobody: doubles each round, capped.
+ */
+function backoffMinutes(settings, round) {
+    const base = settings.driverSearchRetryMinutes ?? 2;
+    return Math.min(base * 2 ** (round - 1), MAX_RETRY_BACKOFF_MINUTES);
+}
+
+/**
+ * Offers orders to the nearest online drivers one at a time.
+ *
+ * The cascade is stored in the DriverAssignment collection: candidates, every
+ * offer made and the current offer's deadline. Local timers are only a fast
+ * path; a periodic sweep times out any offer whose deadline has passed, so
+ * searches survive restarts and any process can pick them up. Each step is a
+ * conditional update on the assignment's position, so when several processes
+ * race only one of them makes the next offer.
+ *
+ * When a round runs out of drivers the search waits (with backoff) and
+ * retries with a wider radius. After driverSearchEscalateAfterRounds rounds
+ * the admin and supplier are alerted and, if enabled, the order is handed to
+ * Shiprocket instead.
+ */
 class DriverAssignmentEngine {
     constructor() {
-        // activeAssignments tracks the state of assigning a driver to an order
-        // Key: orderId, Value: { timerId, currentDriverIndex, driversList: [], attempts: 0 }
-        this.activeAssignments = new Map();
+        // Timers for offers made by this process. Key: orderId
+        this.timers = new Map();
+        this.sweepTimer = null;
         this.io = null;
     }
 
@@ -29,16 +77,122 @@ class DriverAssignmentEngine {
         this.io = ioInstance;
     }
 
+    /**
+     * Resume searches left over from before a restart, then keep sweeping.
+     */
+    start() {
+        if (this.sweepTimer) return;
+        this.sweep();
+        this.sweepTimer = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+    }
+
+    stop() {
+        if (this.sweepTimer) clearInterval(this.sweepTimer);
+        this.sweepTimer = null;
+        this.timers.forEach(timerId => clearTimeout(timerId));
+        this.timers.clear();
+    }
+
+    async sweep() {
+        try {
+            const now = new Date();
+
+            const expired = await DriverAssignment.find({ status: 'offered', deadline: { $lte: now } })
+                .select('_id orderId currentIndex');
+            for (const assignment of expired) {
+                await this.advance(assignment, 'timeout');
+            }
+
+            const due = await DriverAssignment.find({ status: 'waiting', retryAt: { $lte: now } }).select('orderId');
+            for (const assignment of due) {
+                await this.startAssignment(assignment.orderId);
+            }
+
+            // Searches abandoned mid-way by a process that died
+            const staleBefore = new Date(now.getTime() - STALE_SEARCH_MS);
+            const stalled = await DriverAssignment.find({
+                status: { $in: ['searching', 'exhausted'] },
+                updatedAt: { $lte: staleBefore }
+            }).select('_id orderId status');
+            for (const assignment of stalled) {
+                // Touch the record to claim it, so only one process picks it up
+                const claimed = await DriverAssignment.findOneAndUpdate(
+                    { _id: assignment._id, status: assignment.status, updatedAt: { $lte: staleBefore } },
+                    { $set: { deadline: null } },
+                    { new: true }
+                );
+                if (!claimed) continue;
+                console.log(`[AssignmentEngine] Resuming stalled search for order ${claimed.orderId}`);
+                if (claimed.status === 'searching') await this.search(claimed);
+                else await this.handleExhausted(claimed);
+            }
+        } catch (error) {
+            console.error(`[AssignmentEngine] Sweep failed:`, error.message);
+        }
+    }
+
     async startAssignment(orderId) {
         try {
             console.log(`[AssignmentEngine] Starting driver assignment for order: ${orderId}`);
-            
+
+            const freshSearch = { candidates: [], currentIndex: -1, currentDriver: null, deadline: null, retryAt: null };
+
+            // A search waiting for its next round starts it now, keeping its round count
+            let assignment = await DriverAssignment.findOneAndUpdate(
+                { orderId, status: 'waiting' },
+                { $set: { status: 'searching', ...freshSearch }, $inc: { round: 1 } },
+                { new: true }
+            );
+
+            // Otherwise open a new search. orderId is unique, so while a search
+            // is running for this order the upsert fails and the caller backs off.
+            if (!assignment) {
+                try {
+                    assignment = await DriverAssignment.findOneAndUpdate(
+                        { orderId, status: { $in: ['exhausted', 'fallback', 'cancelled'] } },
+                        {
+                            $set: {
+                                status: 'searching',
+                                ...freshSearch,
+                                round: 1,
+                                radiusKm: null,
+                                escalatedAt: null,
+                                fallbackError: null,
+                                offers: [],
+                                payload: null
+                            }
+                        },
+                        { new: true, upsert: true }
+                    );
+                } catch (error) {
+                    if (error.code === 11000) {
+                        console.log(`[AssignmentEngine] Driver search already running for order ${orderId}`);
+                        return;
+                    }
+                    throw error;
+                }
+            }
+
+            await this.search(assignment);
+        } catch (error) {
+            console.error(`[AssignmentEngine] Error starting assignment:`, error);
+        }
+    }
+
+    /**
+     * Run one search round: find online drivers within this round's radius
+     * and start offering the order to them.
+     */
+    async search(assignment) {
+        const { orderId } = assignment;
+        try {
             const order = await Order.findById(orderId).populate('userID', 'name phone');
             if (!order) throw new Error('Order not found');
+            if (order.isParentOrder) throw new Error('Split orders are assigned per sub-order');
 
-            // Find the supplier. We assume one supplier per order for this logic, based on the first item
+            // Find the supplier. Multi-supplier carts are split into sub-orders, so every order here has one supplier
             if (!order.items || order.items.length === 0) throw new Error('Order has no items');
-            
+
             const supplierId = order.items[0].supplierId;
             const supplier = await User.findById(supplierId);
             if (!supplier || !supplier.supplierProfile) throw new Error('Supplier not found');
@@ -59,7 +213,6 @@ class DriverAssignmentEngine {
             }
 
             // Fetch admin rate settings
-            const Setting = require('../model/setting');
             let settings = await Setting.findOne();
             if (!settings) settings = new Setting();
             const pickupFreeKm = settings.driverPickupFreeKm || 1;
@@ -69,29 +222,20 @@ class DriverAssignmentEngine {
             // Find online drivers
             const onlineDrivers = await Driver.find({ isOnline: true });
 
-            if (onlineDrivers.length === 0) {
-                console.log(`[AssignmentEngine] No online drivers available for order ${orderId}`);
-                return;
-            }
-
             // Calculate distance for all online drivers
             const driversWithDistance = onlineDrivers.map(d => {
                 const distance = calculateDistance(
                     pickupLat, pickupLng,
                     d.currentLocation.lat, d.currentLocation.lng
                 );
-                return { driver: d, distance };
+                return { driverId: d._id, distanceKm: distance };
             });
 
-            // Filter drivers within 10km and sort by nearest
+            // Filter drivers within this round's radius and sort by nearest
+            const radiusKm = radiusForRound(settings, assignment.round);
             const eligibleDrivers = driversWithDistance
-                .filter(d => d.distance <= 10)
-                .sort((a, b) => a.distance - b.distance);
-
-            if (eligibleDrivers.length === 0) {
-                console.log(`[AssignmentEngine] No drivers within 10km for order ${orderId}`);
-                return;
-            }
+                .filter(d => d.distanceKm <= radiusKm)
+                .sort((a, b) => a.distanceKm - b.distanceKm);
 
             // Prepare payload (enhanced for Zomato-style UI)
             const orderPayload = {
@@ -121,76 +265,299 @@ class DriverAssignmentEngine {
                 dropRate,
             };
 
-            // Start cascading
-            this.activeAssignments.set(orderId.toString(), {
-                driversList: eligibleDrivers,
-                currentDriverIndex: 0,
-                payload: orderPayload
-            });
+            // Start cascading. Drivers already offered in an earlier round are
+            // asked again: they may be free now.
+            const ready = await DriverAssignment.findOneAndUpdate(
+                { _id: assignment._id, status: 'searching' },
+                { $set: { candidates: eligibleDrivers, radiusKm, payload: orderPayload } },
+                { new: true }
+            );
+            if (!ready) return;
 
-            this.notifyNextDriver(orderId.toString());
+            if (eligibleDrivers.length === 0) {
+                console.log(`[AssignmentEngine] No online drivers within ${radiusKm}km for order ${orderId} (round ${ready.round})`);
+            }
+            await this.offerNext(ready);
 
         } catch (error) {
-            console.error(`[AssignmentEngine] Error starting assignment:`, error);
+            console.error(`[AssignmentEngine] Error searching drivers for order ${orderId}:`, error);
+            await DriverAssignment.updateOne({ orderId, status: 'searching' }, { $set: { status: 'cancelled' } })
+                .catch(() => {});
         }
     }
 
-    notifyNextDriver(orderIdStr) {
-        const assignment = this.activeAssignments.get(orderIdStr);
-        if (!assignment) return;
-
-        const { driversList, currentDriverIndex, payload } = assignment;
+    /**
+     * Offer the order to the next online candidate after assignment.currentIndex.
+     * Conditional on currentIndex, so a stale caller can't offer twice.
+     */
+    async offerNext(assignment) {
+        const orderIdStr = assignment.orderId.toString();
+        const position = { _id: assignment._id, currentIndex: assignment.currentIndex, status: { $in: ['searching', 'offered'] } };
+
+        // Stop if the order no longer needs a driver
+        const closedAs = await this.closedStatus(assignment.orderId);
+        if (closedAs) {
+            await DriverAssignment.updateOne(position, { $set: { status: closedAs, currentDriver: null, deadline: null } });
+            this.clearTimer(orderIdStr);
+            return;
+        }
 
-        if (currentDriverIndex >= driversList.length) {
-            console.log(`[AssignmentEngine] All eligible drivers exhausted for order ${orderIdStr}`);
-            this.activeAssignments.delete(orderIdStr);
+        // Skip candidates who went offline since the search started
+        const remaining = assignment.candidates.slice(assignment.currentIndex + 1);
+        const stillOnline = await Driver.find({ _id: { $in: remaining.map(c => c.driverId) }, isOnline: true }).select('_id');
+        const onlineIds = new Set(stillOnline.map(d => d._id.toString()));
+        const skipped = remaining.findIndex(c => onlineIds.has(c.driverId.toString()));
+
+        if (skipped === -1) {
+            this.clearTimer(orderIdStr);
+            const exhausted = await DriverAssignment.findOneAndUpdate(position, {
+                $set: { status: 'exhausted', currentDriver: null, deadline: null }
+            }, { new: true });
+            if (exhausted) {
+                console.log(`[AssignmentEngine] All eligible drivers exhausted for order ${orderIdStr} (round ${exhausted.round})`);
+                await this.handleExhausted(exhausted);
+            }
             return;
         }
 
-        const nextDriver = driversList[currentDriverIndex];
-        console.log(`[AssignmentEngine] Notifying driver ${nextDriver.driver._id} at distance ${nextDriver.distance.toFixed(2)}km`);
+        const nextIndex = assignment.currentIndex + 1 + skipped;
+        const nextDriver = assignment.candidates[nextIndex];
+        const now = new Date();
+
+        const offered = await DriverAssignment.findOneAndUpdate(position, {
+            $set: {
+                status: 'offered',
+                currentIndex: nextIndex,
+                currentDriver: nextDriver.driverId,
+                deadline: new Date(now.getTime() + OFFER_TIMEOUT_MS)
+            },
+            $push: { offers: { driverId: nextDriver.driverId, offeredAt: now } }
+        }, { new: true });
+        if (!offered) return; // another process already moved this search on
+
+        console.log(`[AssignmentEngine] Notifying driver ${nextDriver.driverId} at distance ${nextDriver.distanceKm.toFixed(2)}km`);
 
-        // Emit to the specific driver room or via general broadcast if they are listening to their ID
+        // Emit to the driver's own room (joined on connect, see index.js)
         if (this.io) {
             // We append distance to payload
             const payloadWithDistance = {
-                ...payload,
-                distance: `${nextDriver.distance.toFixed(1)} km`,
-                pickupDistanceKm: parseFloat(nextDriver.distance.toFixed(2)),
+                ...offered.payload,
+                distance: `${nextDriver.distanceKm.toFixed(1)} km`,
+                pickupDistanceKm: parseFloat(nextDriver.distanceKm.toFixed(2)),
             };
 
-            this.io.emit(`new_order_${nextDriver.driver._id.toString()}`, payloadWithDistance);
+            const driverIdStr = nextDriver.driverId.toString();
+            this.io.to(`driver_${driverIdStr}`).emit(`new_order_${driverIdStr}`, payloadWithDistance);
         }
 
-        // Set 30 second timeout to cascade to next driver
-        const timerId = setTimeout(() => {
-            console.log(`[AssignmentEngine] Driver ${nextDriver.driver._id} timed out for order ${orderIdStr}`);
-            this.handleReject(orderIdStr, nextDriver.driver._id.toString());
-        }, 31000); // 31 seconds to be safe
+        // Cascade to the next driver when the offer times out
+        this.clearTimer(orderIdStr);
+        this.timers.set(orderIdStr, setTimeout(() => {
+            this.timers.delete(orderIdStr);
+            console.log(`[AssignmentEngine] Driver ${nextDriver.driverId} timed out for order ${orderIdStr}`);
+            this.advance(offered, 'timeout');
+        }, OFFER_TIMEOUT_MS));
+    }
 
-        assignment.timerId = timerId;
-        this.activeAssignments.set(orderIdStr, assignment);
+    /**
+     * Assignment status to close the search with if the order no longer
+     * needs one of our drivers, or null if it still does.
+     */
+    async closedStatus(orderId) {
+        const order = await Order.findById(orderId).select('assignedDriver orderStatus shipmentId');
+        if (!order || CLOSED_ORDER_STATUSES.includes(order.orderStatus)) return 'cancelled';
+        if (order.assignedDriver) return 'accepted';
+        if (order.shipmentId) return 'fallback';
+        return null;
     }
 
-    async handleAccept(orderIdStr, driverIdStr) {
-        const assignment = this.activeAssignments.get(orderIdStr);
+    /**
+     * A round found nobody. Alert admin and supplier once the search has gone
+     * on for too many rounds, hand the order to Shiprocket if that's enabled,
+     * and otherwise schedule the next, wider round.
+     */
+    async handleExhausted(assignment) {
+        const exhausted = { _id: assignment._id, status: 'exhausted' };
+        try {
+            const closedAs = await this.closedStatus(assignment.orderId);
+            if (closedAs) {
+                await DriverAssignment.updateOne(exhausted, { $set: { status: closedAs } });
+                return;
+            }
+
+            const settings = await Setting.findOne() || new Setting();
+            const escalateAfter = settings.driverSearchEscalateAfterRounds ?? 3;
+
+            if (assignment.round >= escalateAfter) {
+                if (settings.shiprocketFallbackEnabled && await this.fallbackToShiprocket(assignment)) return;
+                if (!assignment.escalatedAt) await this.escalate(assignment, settings);
+            }
+
+            const delayMinutes = backoffMinutes(settings, assignment.round);
+            const waiting = await DriverAssignment.findOneAndUpdate(exhausted, {
+                $set: { status: 'waiting', retryAt: new Date(Date.now() + delayMinutes * 60 * 1000) }
+            });
+            if (waiting) {
+                console.log(`[AssignmentEngine] Retrying order ${assignment.orderId} in ${delayMinutes} min with a wider radius`);
+            }
+        } catch (error) {
+            // Left 'exhausted'; the sweep picks it up again
+            console.error(`[AssignmentEngine] Error re-queuing order ${assignment.orderId}:`, error.message);
+        }
+    }
 
-        // Clear timeout if exists
-        if (assignment && assignment.timerId) clearTimeout(assignment.timerId);
+    /**
+     * Alert admins and the supplier that no driver has taken the order.
+     */
+    async escalate(assignment, settings) {
+        const marked = await DriverAssignment.findOneAndUpdate(
+            { _id: assignment._id, escalatedAt: null },
+            { $set: { escalatedAt: new Date() } }
+        );
+        if (!marked) return;
 
+        const order = await Order.findById(assignment.orderId).select('items userID orderStatus');
+        const supplierId = order?.items?.[0]?.supplierId;
+        console.warn(`[AssignmentEngine] No driver for order ${assignment.orderId} after ${assignment.round} rounds. Escalating.`);
+
+        if (this.io) {
+            const alert = {
+                orderId: assignment.orderId.toString(),
+                orderShortId: assignment.orderId.toString().slice(-8).toUpperCase(),
+                rounds: assignment.round,
+                radiusKm: assignment.radiusKm,
+                driversTried: assignment.offers.length,
+                shiprocketFallbackEnabled: !!settings.shiprocketFallbackEnabled,
+                fallbackError: assignment.fallbackError || null,
+                message: 'No delivery partner has accepted this order yet.'
+            };
+            this.io.to('admin').emit('driver_search_escalated', alert);
+            if (supplierId) this.io.to(`supplier_${supplierId}`).emit('driver_search_escalated', alert);
+        }
+    }
+
+    /**
+     * Ship the order with Shiprocket instead of one of our drivers.
+     *
+     * @returns {boolean} - false if the shipment couldn't be created (the search keeps retrying)
+     */
+    async fallbackToShiprocket(assignment) {
+        try {
+            const order = await Order.findById(assignment.orderId);
+            await shiprocketService.shipOrder(order, {
+                role: 'system',
+                reason: `No driver accepted after ${assignment.round} rounds; shipped with Shiprocket`
+            });
+
+            await DriverAssignment.updateOne(
+                { _id: assignment._id, status: 'exhausted' },
+                { $set: { status: 'fallback', fallbackError: null } }
+            );
+            console.log(`[AssignmentEngine] Order ${assignment.orderId} handed to Shiprocket (shipment ${order.shipmentId})`);
+
+            if (this.io) {
+                this.io.to(`user_${order.userID}`).emit(`order_update_${order.userID}`, {
+                    orderId: order._id,
+                    deliveryPartner: 'Shiprocket',
+                    deliveryStatus: order.deliveryStatus,
+                    trackingUrl: order.trackingUrl
+                });
+            }
+            return true;
+        } catch (error) {
+            const message = error.response?.data?.message || error.message;
+            console.error(`[AssignmentEngine] Shiprocket fallback failed for order ${assignment.orderId}:`, message);
+            await DriverAssignment.updateOne({ _id: assignment._id }, { $set: { fallbackError: message } });
+            assignment.fallbackError = message;
+            return false;
+        }
+    }
+
+    clearTimer(orderIdStr) {
+        const timerId = this.timers.get(orderIdStr);
+        if (timerId) clearTimeout(timerId);
+        this.timers.delete(orderIdStr);
+    }
+
+    /**
+     * Record the current driver's response and offer the order to the next driver.
+     */
+    async advance(assignment, response) {
+        try {
+            const now = new Date();
+            const filter = { _id: assignment._id, status: 'offered', currentIndex: assignment.currentIndex };
+            if (response === 'timeout') filter.deadline = { $lte: now };
+
+            const current = await DriverAssignment.findOne(filter).select('offers');
+            if (!current) return;
+
+            const offerIndex = current.offers.length - 1;
+            const recorded = await DriverAssignment.findOneAndUpdate(filter, {
+                $set: {
+                    [`offers.${offerIndex}.response`]: response,
+                    [`offers.${offerIndex}.respondedAt`]: now
+                }
+            }, { new: true });
+            if (recorded) await this.offerNext(recorded);
+        } catch (error) {
+            console.error(`[AssignmentEngine] Error cascading order ${assignment.orderId}:`, error.message);
+        }
+    }
+
+    /**
+     * End a search because the order was assigned or cancelled some other way.
+     */
+    async closeAssignment(orderId, status = 'cancelled') {
+        this.clearTimer(orderId.toString());
+        await DriverAssignment.updateOne(
+            { orderId, status: { $in: ['searching', 'offered'] } },
+            { $set: { status, currentDriver: null, deadline: null } }
+        );
+    }
+
+    /**
+     * A driver accepts the order offered to them. Only the driver holding the
+     * current offer can take it; anyone else (or a late accept) is refused.
+     *
+     * @returns {Object|null} - the assigned order, or null if no offer is open to this driver
+     */
+    async handleAccept(orderIdStr, driverIdStr) {
         console.log(`[AssignmentEngine] Driver ${driverIdStr} attempting to accept order ${orderIdStr}...`);
-        
+
+        const assignment = await DriverAssignment.findOne({ orderId: orderIdStr }).select('currentIndex offers');
+        const offerIndex = assignment ? assignment.offers.length - 1 : -1;
+        const claimed = assignment && await DriverAssignment.findOneAndUpdate(
+            { _id: assignment._id, status: 'offered', currentDriver: driverIdStr, currentIndex: assignment.currentIndex },
+            {
+                $set: {
+                    status: 'accepted',
+                    deadline: null,
+                    [`offers.${offerIndex}.response`]: 'accepted',
+                    [`offers.${offerIndex}.respondedAt`]: new Date()
+                }
+            }
+        );
+        if (!claimed) {
+            console.log(`[AssignmentEngine] No open offer for order ${orderIdStr} to driver ${driverIdStr}`);
+            return null;
+        }
+        this.clearTimer(orderIdStr);
+
         try {
             // Get the order for ETA calculation
             const order = await Order.findById(orderIdStr);
-            if (!order) return;
+            if (!order) return null;
             if (order.assignedDriver && order.assignedDriver.toString() !== driverIdStr) {
                 console.log(`[AssignmentEngine] Order ${orderIdStr} was already captured by ${order.assignedDriver}`);
-                // Remove from this driver's scope
-                this.activeAssignments.delete(orderIdStr);
-                return;
+                return null;
             }
-            if (order && order.shippingAddress) {
+
+            const driver = await Driver.findById(driverIdStr).select('userId');
+            order.assignedDriver = driverIdStr;
+            order.estimatedDeliveryMinutes = 15; // default estimate
+
+            let eta = null;
+            if (order.shippingAddress) {
                 // Find supplier pickup coords
                 const supplierId = order.items?.[0]?.supplierId;
                 const supplier = supplierId ? await User.findById(supplierId) : null;
@@ -200,69 +567,62 @@ class DriverAssignmentEngine {
                 const dropLng = order.shippingAddress.longitude;
 
                 if (pickupLat && pickupLng && dropLat && dropLng) {
-                    const eta = await getDistanceAndETA(pickupLat, pickupLng, dropLat, dropLng);
-                    order.estimatedDeliveryMinutes = eta.durationMinutes;
-                    order.assignedDriver = driverIdStr;
-                    order.orderStatus = 'shipped';
-                    order.deliveryStatus = 'CREATED';
-                    await order.save();
-
-                    // Notify customer app
-                    if (this.io) {
-                        this.io.emit(`order_accepted_${order.userID.toString()}`, {
-                            orderId: orderIdStr,
-                            driverId: driverIdStr,
-                            estimatedMinutes: eta.durationMinutes,
-                            distanceKm: eta.distanceKm,
-                            distanceText: eta.distanceText,
-                            durationText: eta.durationText
-                        });
+                    try {
+                        eta = await getDistanceAndETA(pickupLat, pickupLng, dropLat, dropLng);
+                        order.estimatedDeliveryMinutes = eta.durationMinutes;
+                    } catch (error) {
+                        console.error(`[AssignmentEngine] ETA calc error:`, error.message);
                     }
-                } else {
-                    // No coords, just assign without ETA
-                    await Order.findByIdAndUpdate(orderIdStr, {
-                        assignedDriver: driverIdStr,
-                        orderStatus: 'shipped',
-                        deliveryStatus: 'CREATED',
-                        estimatedDeliveryMinutes: 15 // default estimate
-                    });
                 }
-            } else {
-                await Order.findByIdAndUpdate(orderIdStr, {
-                    assignedDriver: driverIdStr,
-                    orderStatus: 'shipped',
-                    deliveryStatus: 'CREATED',
-                    estimatedDeliveryMinutes: 15
+            }
+
+            await orderLifecycle.transition(order, { deliveryStatus: 'ACCEPTED' }, {
+                actor: driver?.userId || null,
+                role: 'driver',
+                reason: 'Accepted delivery offer'
+            });
+
+            // Notify customer app
+            if (eta && this.io) {
+                this.io.to(`user_${order.userID}`).emit(`order_accepted_${order.userID.toString()}`, {
+                    orderId: orderIdStr,
+                    driverId: driverIdStr,
+                    estimatedMinutes: eta.durationMinutes,
+                    distanceKm: eta.distanceKm,
+                    distanceText: eta.distanceText,
+                    durationText: eta.durationText
                 });
             }
+            return order;
         } catch (error) {
-            console.error(`[AssignmentEngine] ETA calc error:`, error.message);
-            // Fallback: just assign
-            await Order.findByIdAndUpdate(orderIdStr, {
-                assignedDriver: driverIdStr,
-                orderStatus: 'shipped',
-                deliveryStatus: 'CREATED',
-                estimatedDeliveryMinutes: 15
-            }).exec();
+            console.error(`[AssignmentEngine] Error assigning driver ${driverIdStr} to order ${orderIdStr}:`, error.message);
+
+            // The order couldn't be assigned after all; carry on down the list
+            const reopened = await DriverAssignment.findOneAndUpdate(
+                { _id: assignment._id, status: 'accepted', currentDriver: driverIdStr },
+                { $set: { status: 'offered' } },
+                { new: true }
+            ).catch(() => null);
+            if (reopened) await this.offerNext(reopened);
+            throw error;
         }
-
-        // Cleanup
-        this.activeAssignments.delete(orderIdStr);
     }
 
-    handleReject(orderIdStr, driverIdStr) {
-        const assignment = this.activeAssignments.get(orderIdStr);
-        if (!assignment) return;
+    async handleReject(orderIdStr, driverIdStr) {
+        try {
+            const assignment = await DriverAssignment.findOne({ orderId: orderIdStr, status: 'offered', currentDriver: driverIdStr })
+                .select('_id orderId currentIndex');
+            if (!assignment) return;
 
-        if (assignment.timerId) clearTimeout(assignment.timerId);
+            this.clearTimer(orderIdStr);
 
-        console.log(`[AssignmentEngine] Driver ${driverIdStr} rejected order ${orderIdStr}. Cascading...`);
+            console.log(`[AssignmentEngine] Driver ${driverIdStr} rejected order ${orderIdStr}. Cascading...`);
 
-        // Move to next driver
-        assignment.currentDriverIndex++;
-        this.activeAssignments.set(orderIdStr, assignment);
-        
-        this.notifyNextDriver(orderIdStr);
+            // Move to next driver
+            await this.advance(assignment, 'rejected');
+        } catch (error) {
+            console.error(`[AssignmentEngine] Error recording rejection of order ${orderIdStr} by driver ${driverIdStr}:`, error.message);
+        }
     }
 }
 
@@ -0,0 +1,286 @@
+const Driver = require('../model/driver');
+const UserKyc = require('../model/userKyc');
+const { getVerifier, isValidAadhaar, namesMatch } = require('./kycVerificationService');
+const { notifyUser } = require('./notificationService');
+
+class DriverDocumentError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'DriverDocumentError';
+        this.statusCode = statusCode;
+    }
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Onboarding documents, the Driver field holding each number and the flag mirroring its status
+const DOCUMENT_TYPES = {
+    dl: { label: 'Driving licence', numberField: 'dlNumber', flag: 'dlVerified', expires: true },
+    rc: { label: 'Vehicle RC', numberField: 'rcNumber', flag: 'rcVerified', expires: true },
+    pan: { label: 'PAN card', numberField: 'panNumber', flag: 'panVerified', expires: false },
+    aadhaar: { label: 'Aadhaar', numberField: 'aadhaarNumber', flag: 'aadhaarVerified', expires: false }
+};
+
+// All of these must be verified (and unexpired) before a driver can go online
+const MANDATORY_DOCUMENTS = ['dl', 'rc', 'pan', 'aadhaar'];
+
+// Reminders go out this many days before a document expires
+const REMINDER_DAYS = [30, 7, 1];
+
+// Documents this close to expiry are re-verified (at most weekly), in case they were renewed
+const RECHECK_WITHIN_DAYS = 30;
+const RECHECK_EVERY_DAYS = 7;
+
+// ==========================================
+// VERIFICATION
+// ==========================================
+
+/**
+ * Update the *Verified flags and documentsVerified from the document
+ * statuses. A driver without every mandatory document is taken offline.
+ */
+function syncDocumentFlags(driver, now = new Date()) {
+    for (const [type, { flag }] of Object.entries(DOCUMENT_TYPES)) {
+        driver[flag] = driver.documents[type].status === 'verified';
+    }
+
+    driver.documentsVerified = MANDATORY_DOCUMENTS.every(type => {
+        const document = driver.documents[type];
+        return document.status === 'verified' && (!document.expiresAt || document.expiresAt > now);
+    });
+    if (!driver.documentsVerified) driver.isOnline = false;
+    return driver;
+}
+
+/**
+ * Verify one document number with the KYC verifier and record the result
+ * on the driver (not saved). A provider outage leaves the document
+ * 'pending' for the expiry job to retry or an admin to review.
+ *
+ * @param {Object} driver
+ * @param {string} type - 'dl', 'rc', 'pan' or 'aadhaar'
+ * @param {Object} [options]
+ * @param {string} [options.number] - a new number; defaults to the stored one
+ * @param {Date} [options.expiresAt] - expiry the driver gave, used if the provider returns none
+ */
+async function verifyDocument(driver, type, { number = null, expiresAt = null } = {}, now = new Date()) {
+    const { label, numberField, expires } = DOCUMENT_TYPES[type];
+    const document = driver.documents[type];
+    const documentNumber = number || driver[numberField];
+    if (!documentNumber) return document;
+
+    document.lastCheckedAt = now;
+    document.reviewedBy = null;
+
+    // Only the masked Aadhaar number is kept, so it can't be checked again
+    if (type === 'aadhaar' && !number) return document;
+    if (type === 'aadhaar' && !isValidAadhaar(documentNumber)) {
+        Object.assign(document, { status: 'failed', message: 'Aadhaar number is not valid' });
+        return document;
+    }
+
+    driver[numberField] = type === 'aadhaar' ? UserKyc.maskAadhaar(documentNumber) : documentNumber;
+
+    const verifier = getVerifier();
+    let response;
+    try {
+        response = await verifier.verifyDocument(type, documentNumber);
+    } catch (error) {
+        // A re-check that can't reach the provider doesn't take a verified driver offline
+        if (!number && document.status === 'verified') {
+            document.message = `${label} re-check unavailable: ${error.message}`;
+            return document;
+        }
+        Object.assign(document, {
+            status: 'pending',
+            provider: verifier.name,
+            message: `${label} verification unavailable: ${error.message}`
+        });
+        return document;
+    }
+
+    document.provider = verifier.name;
+    document.nameOnRecord = response.nameOnRecord;
+
+    if (!response.verified) {
+        Object.assign(document, { status: 'failed', message: response.message || `${label} could not be verified` });
+        return document;
+    }
+    // RC owners can differ from the driver (e.g. a family vehicle)
+    if (type !== 'rc' && response.nameOnRecord && !namesMatch(response.nameOnRecord, driver.fullName)) {
+        Object.assign(document, { status: 'failed', message: `Name on ${label} (${response.nameOnRecord}) does not match ${driver.fullName}` });
+        return document;
+    }
+
+    const expiry = expires ? (response.expiresAt || (expiresAt ? new Date(expiresAt) : null)) : null;
+    // Renewed: remind again before the new expiry
+    if (expiry && (!document.expiresAt || expiry > document.expiresAt)) document.reminderSentFor = null;
+    document.expiresAt = expiry;
+
+    if (expiry && expiry <= now) {
+        Object.assign(document, { status: 'expired', message: `${label} expired on ${expiry.toDateString()}` });
+        return document;
+    }
+
+    Object.assign(document, {
+        status: 'verified',
+        verifiedAt: now,
+        message: response.message || (expires && !expiry ? `${label} verified; expiry date unknown` : `${label} verified`)
+    });
+    return document;
+}
+
+/**
+ * Record uploaded images and verify the documents given (not saved).
+ * Documents with a new number or image are (re)verified; the rest keep
+ * their status.
+ *
+ * @param {Object} driver
+ * @param {Object} submission
+ * @param {Object} [submission.numbers] - { dl, rc, pan, aadhaar }
+ * @param {Object} [submission.expiries] - { dl, rc } as given by the driver
+ * @param {Object} [submission.files] - multer files by type
+ * @returns {Object} - the driver
+ */
+async function submitDocuments(driver, { numbers = {}, expiries = {}, files = {} }) {
+    const now = new Date();
+
+    for (const type of Object.keys(DOCUMENT_TYPES)) {
+        const file = files[type]?.[0];
+        if (file) {
+            driver.documents[type].file = {
+                publicId: file.filename,
+                format: file.path.split('.').pop(),
+                uploadedAt: now
+            };
+        }
+
+        const number = numbers[type] || null;
+        const changed = number && number !== driver[DOCUMENT_TYPES[type].numberField];
+        if (changed || file || (number && driver.documents[type].status !== 'verified')) {
+            await verifyDocument(driver, type, { number, expiresAt: expiries[type] }, now);
+        }
+    }
+
+    return syncDocumentFlags(driver, now);
+}
+
+/**
+ * Admin decision on a document, e.g. when the provider can't verify it.
+ */
+async function reviewDocument(driverId, type, { status, expiresAt, message }, adminId) {
+    const driver = await Driver.findById(driverId);
+    if (!driver) throw new DriverDocumentError('Driver not found.', 404);
+
+    const document = driver.documents[type];
+    const now = new Date();
+    Object.assign(document, {
+        status,
+        message: message || `Reviewed by admin: ${status}`,
+        reviewedBy: adminId,
+        lastCheckedAt: now
+    });
+    if (status === 'verified') document.verifiedAt = now;
+    if (expiresAt !== undefined) {
+        document.expiresAt = expiresAt;
+        document.reminderSentFor = null;
+    }
+
+    syncDocumentFlags(driver, now);
+    return driver.save();
+}
+
+// ==========================================
+// EXPIRY JOB
+// ==========================================
+
+function notifyDriver(driver, title, body, type) {
+    return notifyUser(driver.userId, {
+        type: 'document_expiry',
+        title,
+        body,
+        data: { documentType: type },
+        link: { screen: 'driver_documents', params: { documentType: type } }
+    }, { channels: ['push', 'sms'] });
+}
+
+/**
+ * Expire documents past their expiry date, re-verify those about to
+ * expire (they may have been renewed) or stuck pending, and remind
+ * drivers 30, 7 and 1 days before expiry.
+ *
+ * @param {Date} [now]
+ * @returns {Object} - { drivers, expired, rechecked, reminded, errors }
+ */
+async function runDocumentExpiryJob(now = new Date()) {
+    const horizon = new Date(now.getTime() + RECHECK_WITHIN_DAYS * DAY_MS);
+    const expiring = Object.keys(DOCUMENT_TYPES).flatMap(type => [
+        { [`documents.${type}.status`]: 'verified', [`documents.${type}.expiresAt`]: { $lte: horizon } },
+        { [`documents.${type}.status`]: 'pending' }
+    ]);
+    const drivers = await Driver.find({ $or: expiring });
+
+    const result = { drivers: drivers.length, expired: 0, rechecked: 0, reminded: 0, errors: 0 };
+    for (const driver of drivers) {
+        const messages = [];
+        try {
+            for (const [type, { label }] of Object.entries(DOCUMENT_TYPES)) {
+                const document = driver.documents[type];
+                const checkedRecently = document.lastCheckedAt && now - document.lastCheckedAt < RECHECK_EVERY_DAYS * DAY_MS;
+                const retryPending = document.status === 'pending' && type !== 'aadhaar' &&
+                    !(document.lastCheckedAt && now - document.lastCheckedAt < DAY_MS);
+
+                if ((document.status === 'verified' && document.expiresAt && !checkedRecently) || retryPending) {
+                    await verifyDocument(driver, type, {}, now);
+                    result.rechecked++;
+                }
+
+                if (document.status === 'verified' && document.expiresAt && document.expiresAt <= now) {
+                    Object.assign(document, { status: 'expired', message: `${label} expired on ${document.expiresAt.toDateString()}` });
+                }
+                if (document.status === 'expired' && document.reminderSentFor !== 0) {
+                    document.reminderSentFor = 0;
+                    result.expired++;
+                    messages.push([`${label} expired`, `Your ${label} has expired. Upload the renewed document to go online again.`, type]);
+                    continue;
+                }
+
+                if (document.status !== 'verified' || !document.expiresAt) continue;
+                const daysLeft = Math.ceil((document.expiresAt - now) / DAY_MS);
+                const due = REMINDER_DAYS.filter(days => daysLeft <= days);
+                const threshold = due.length ? Math.min(...due) : null;
+                if (threshold !== null && (document.reminderSentFor == null || threshold < document.reminderSentFor)) {
+                    document.reminderSentFor = threshold;
+                    result.reminded++;
+                    messages.push([
+                        `${label} expires soon`,
+                        `Your ${label} expires in ${daysLeft} day${daysLeft === 1 ? '' : 's'}. Upload the renewed document to keep receiving orders.`,
+                        type
+                    ]);
+                }
+            }
+
+            syncDocumentFlags(driver, now);
+            await driver.save();
+        } catch (error) {
+            result.errors++;
+            console.error(`[DriverDocuments] Failed for driver ${driver._id}:`, error.message);
+            continue;
+        }
+
+        for (const [title, body, type] of messages) {
+            await notifyDriver(driver, title, body, type).catch(error =>
+                console.error(`[DriverDocuments] Reminder to driver ${driver._id} failed:`, error.message));
+        }
+    }
+    return result;
+}
+
+module.exports = {
+    DriverDocumentError,
+    DOCUMENT_TYPES,
+    syncDocumentFlags,
+    submitDocuments,
+    reviewDocument,
+    runDocumentExpiryJob
+};
@@ -0,0 +1,299 @@
+const mongoose = require('mongoose');
+const Driver = require('../model/driver');
+const DriverWalletEntry = require('../model/driverWalletEntry');
+
+class WalletError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'WalletError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Ledger categories. `account` is the platform side of the double entry,
+ * `type` the direction for the driver (adjustments take it from the caller).
+ * Earning credits also count towards Driver.totalEarnings; penalties may take
+ * the wallet below zero, other debits may not.
+ */
+const CATEGORIES = {
+    opening_balance: { account: 'platform:opening_balances' },
+    delivery_earning: { type: 'credit', account: 'platform:delivery_payouts', earning: true },
+    tip: { type: 'credit', account: 'platform:customer_tips', earning: true },
+    incentive: { type: 'credit', account: 'platform:incentives', earning: true },
+    withdrawal_reversal: { type: 'credit', account: 'platform:bank_payouts' },
+    withdrawal: { type: 'debit', account: 'platform:bank_payouts' },
+    penalty: { type: 'debit', account: 'platform:penalties', allowNegative: true },
+    subscription_fee: { type: 'debit', account: 'platform:subscriptions' },
+    adjustment: { account: 'platform:adjustments', allowNegative: true }
+};
+
+const EARNING_CATEGORIES = Object.keys(CATEGORIES).filter(category => CATEGORIES[category].earning);
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const walletAccount = (driverId) => `driver:${driverId}`;
+
+// ==========================================
+// POSTING
+// ==========================================
+
+/**
+ * Record the balance a driver had before the ledger existed, so the ledger
+ * and Driver.walletBalance agree from the first posting on. Only ever
+ * written once per driver (fixed idempotency key).
+ */
+async function ensureOpeningBalance(driverId) {
+    const hasEntries = await DriverWalletEntry.exists({ driverId });
+    if (hasEntries) return;
+
+    const driver = await Driver.findById(driverId).select('walletBalance totalEarnings');
+    if (!driver) throw new WalletError('Driver profile not found.', 404);
+
+    const balance = round2(driver.walletBalance || 0);
+    const type = balance < 0 ? 'debit' : 'credit';
+    const { account } = CATEGORIES.opening_balance;
+
+    try {
+        await DriverWalletEntry.create({
+            driverId,
+            type,
+            category: 'opening_balance',
+            debitAccount: type === 'credit' ? account : walletAccount(driverId),
+            creditAccount: type === 'credit' ? walletAccount(driverId) : account,
+            amount: Math.abs(balance),
+            balanceAfter: balance,
+            idempotencyKey: `opening:${driverId}`,
+            description: 'Wallet balance before the ledger was introduced',
+            metadata: { balance, totalEarnings: driver.totalEarnings || 0 }
+        });
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+    }
+}
+
+/**
+ * Post one entry to a driver's wallet and apply it to Driver.walletBalance.
+ *
+ * Retrying the same posting (e.g. delivering an order twice) is a no-op that
+ * returns the original entry. The balance is moved first, with a single
+ * $inc; debits that must not overdraw are conditional on enough balance, so
+ * a refused debit never reaches the ledger. The entry is then written under
+ * its idempotency key. If a concurrent retry wrote it first, this posting's
+ * $inc is undone and the original entry returned.
+ *
+ * @param {string} driverId
+ * @param {Object} posting
+ * @param {string} posting.category - see CATEGORIES
+ * @param {number} posting.amount - rupees, positive
+ * @param {string} posting.idempotencyKey
+ * @param {string} [posting.type] - 'credit' | 'debit', adjustments only
+ * @param {string} [posting.orderId]
+ * @param {string} [posting.withdrawalId]
+ * @param {string} [posting.description]
+ * @param {string} [posting.actor] - User id of whoever posted it
+ * @param {Object} [posting.metadata]
+ * @returns {Object} - { entry, driver, duplicate }
+ */
+async function postEntry(driverId, posting) {
+    const { category, idempotencyKey, orderId = null, withdrawalId = null, description = null, actor = null, metadata = null } = posting;
+
+    const rule = CATEGORIES[category];
+    if (!rule || category === 'opening_balance') throw new WalletError(`Unknown wallet entry category "${category}".`);
+
+    const type = rule.type || posting.type;
+    if (!['credit', 'debit'].includes(type)) throw new WalletError('Adjustments must be a credit or a debit.');
+
+    const amount = round2(Number(posting.amount));
+    if (!(amount > 0)) throw new WalletError('Amount must be greater than zero.');
+    if (!idempotencyKey) throw new WalletError('An idempotency key is required.');
+
+    const duplicateOf = async (existing) => {
+        if (existing.driverId.toString() !== driverId.toString()) {
+            throw new WalletError('Idempotency key was already used for another driver.', 409);
+        }
+        return { entry: existing, driver: await Driver.findById(driverId), duplicate: true };
+    };
+
+    const existing = await DriverWalletEntry.findOne({ idempotencyKey });
+    if (existing) return duplicateOf(existing);
+
+    await ensureOpeningBalance(driverId);
+
+    const inc = { walletBalance: type === 'credit' ? amount : -amount };
+    if (rule.earning) inc.totalEarnings = amount;
+
+    const filter = { _id: driverId };
+    if (type === 'debit' && !rule.allowNegative) filter.walletBalance = { $gte: amount };
+
+    const driver = await Driver.findOneAndUpdate(filter, { $inc: inc }, { new: true });
+    if (!driver) {
+        const exists = await Driver.exists({ _id: driverId });
+        throw exists
+            ? new WalletError('Insufficient wallet balance.')
+            : new WalletError('Driver profile not found.', 404);
+    }
+
+    try {
+        const entry = await DriverWalletEntry.create({
+            driverId,
+            type,
+            category,
+            debitAccount: type === 'credit' ? rule.account : walletAccount(driverId),
+            creditAccount: type === 'credit' ? walletAccount(driverId) : rule.account,
+            amount,
+            balanceAfter: round2(driver.walletBalance),
+            idempotencyKey,
+            orderId,
+            withdrawalId,
+            description,
+            createdBy: actor,
+            metadata
+        });
+        return { entry, driver, duplicate: false };
+    } catch (error) {
+        // The balance moved but no entry was written: move it back
+        const undo = Object.fromEntries(Object.entries(inc).map(([field, value]) => [field, -value]));
+        await Driver.updateOne({ _id: driverId }, { $inc: undo });
+
+        if (error.code !== 11000) throw error;
+        return duplicateOf(await DriverWalletEntry.findOne({ idempotencyKey }));
+    }
+}
+
+/**
+ * Credit a driver for delivering an order. Safe to call again for the same order.
+ */
+function creditDeliveryEarning(driverId, order, amount, actor = null) {
+    return postEntry(driverId, {
+        category: 'delivery_earning',
+        amount,
+        idempotencyKey: `delivery:${order._id}`,
+        orderId: order._id,
+        description: `Delivery earnings for order #${order._id.toString().slice(-8).toUpperCase()}`,
+        actor
+    });
+}
+
+// ==========================================
+// BALANCES
+// ==========================================
+
+/**
+ * Sum a driver's entries: { credits, debits, balance, earnings }.
+ * Opening balances count towards earnings with the totalEarnings they carried.
+ */
+async function ledgerTotals(driverId, createdAt = null) {
+    const match = { driverId: new mongoose.Types.ObjectId(driverId.toString()) };
+    if (createdAt) match.createdAt = createdAt;
+
+    const [totals] = await DriverWalletEntry.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: null,
+                credits: { $sum: { $cond: [{ $eq: ['$type', 'credit'] }, '$amount', 0] } },
+                debits: { $sum: { $cond: [{ $eq: ['$type', 'debit'] }, '$amount', 0] } },
+                earnings: {
+                    $sum: {
+                        $cond: [
+                            { $in: ['$category', EARNING_CATEGORIES] },
+                            '$amount',
+                            { $cond: [{ $eq: ['$category', 'opening_balance'] }, { $ifNull: ['$metadata.totalEarnings', 0] }, 0] }
+                        ]
+                    }
+                }
+            }
+        }
+    ]);
+
+    const credits = round2(totals?.credits || 0);
+    const debits = round2(totals?.debits || 0);
+    return { credits, debits, balance: round2(credits - debits), earnings: round2(totals?.earnings || 0) };
+}
+
+/**
+ * Recompute Driver.walletBalance and totalEarnings from the ledger and fix
+ * any drift (e.g. a process that died between moving the balance and
+ * writing the entry).
+ *
+ * @returns {Object} - { walletBalance, totalEarnings, drift }
+ */
+async function reconcileWallet(driverId) {
+    await ensureOpeningBalance(driverId);
+    const { balance, earnings } = await ledgerTotals(driverId);
+
+    const before = await Driver.findByIdAndUpdate(
+        driverId,
+        { $set: { walletBalance: balance, totalEarnings: earnings } }
+    ).select('walletBalance totalEarnings');
+    if (!before) throw new WalletError('Driver profile not found.', 404);
+
+    return {
+        walletBalance: balance,
+        totalEarnings: earnings,
+        drift: round2(balance - (before.walletBalance || 0))
+    };
+}
+
+// ==========================================
+// STATEMENT
+// ==========================================
+
+/**
+ * Wallet statement for a date range, newest entries first.
+ *
+ * @param {string} driverId
+ * @param {Object} [options] - { from, to, category, page, limit }
+ * @returns {Object} - { from, to, openingBalance, closingBalance, totalCredits, totalDebits, entries, pagination }
+ */
+async function getStatement(driverId, { from = null, to = null, category = null, page = 1, limit = 50 } = {}) {
+    await ensureOpeningBalance(driverId);
+
+    const range = {};
+    if (from) range.$gte = new Date(from);
+    if (to) range.$lte = new Date(to);
+    const hasRange = Object.keys(range).length > 0;
+
+    const opening = from ? await ledgerTotals(driverId, { $lt: new Date(from) }) : { balance: 0 };
+    const period = await ledgerTotals(driverId, hasRange ? range : null);
+
+    const query = { driverId };
+    if (hasRange) query.createdAt = range;
+    if (category) query.category = category;
+
+    const [entries, total] = await Promise.all([
+        DriverWalletEntry.find(query)
+            .populate('orderId', '_id orderStatus totalPrice')
+            .sort({ createdAt: -1, _id: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit),
+        DriverWalletEntry.countDocuments(query)
+    ]);
+
+    return {
+        from,
+        to,
+        openingBalance: opening.balance,
+        closingBalance: round2(opening.balance + period.balance),
+        totalCredits: period.credits,
+        totalDebits: period.debits,
+        entries,
+        pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+        }
+    };
+}
+
+module.exports = {
+    WalletError,
+    CATEGORIES,
+    postEntry,
+    creditDeliveryEarning,
+    ledgerTotals,
+    reconcileWallet,
+    getStatement
+};
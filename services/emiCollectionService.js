@@ -0,0 +1,512 @@
+const EmiApplication = require('../model/emiApplication');
+const PenaltyLedger = require('../model/penaltyLedger');
+const PaymentWebhookEvent = require('../model/paymentWebhookEvent');
+const User = require('../model/user');
+const { getMandateProvider } = require('./mandateService');
+
+class EmiError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'EmiError';
+        this.statusCode = statusCode;
+    }
+}
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Debits are identified as `<applicationId>:<installmentNumber>:<attempt>`;
+// manual payments use 'manual' as the attempt
+function installmentReference(applicationId, installmentNumber, attempt) {
+    return `${applicationId}:${installmentNumber}:${attempt}`;
+}
+
+function parseInstallmentReference(referenceId) {
+    const [applicationId, installmentNumber] = String(referenceId).split(':');
+    if (!/^[0-9a-fA-F]{24}$/.test(applicationId || '') || !/^\d+$/.test(installmentNumber || '')) return null;
+    return { applicationId, installmentNumber: Number(installmentNumber) };
+}
+
+async function customerFor(userId) {
+    const user = await User.findById(userId).select('name email phone').lean();
+    if (!user) throw new EmiError('Customer not found.', 404);
+    return { id: user._id.toString(), name: user.name, email: user.email, phone: user.phone };
+}
+
+function findInstallment(application, installmentNumber) {
+    const installment = application.installments.find(i => i.installmentNumber === Number(installmentNumber));
+    if (!installment) throw new EmiError('Installment not found.', 404);
+    return installment;
+}
+
+// ==========================================
+// MANDATES
+// ==========================================
+
+/**
+ * Set up the auto-debit mandate for an approved application. The
+ * application becomes 'active' once the mandate is; with providers that
+ * need the customer to authorise first, that happens by webhook.
+ *
+ * @returns {Object} - the updated application
+ */
+async function setupMandate(application) {
+    if (!['approved', 'active'].includes(application.status)) {
+        throw new EmiError(`Cannot set up a mandate for a ${application.status} application.`);
+    }
+    if (application.mandate && ['created', 'active'].includes(application.mandate.status)) {
+        return application;
+    }
+
+    let provider = null;
+    const lastDueDate = application.installments[application.installments.length - 1]?.dueDate || new Date();
+    const expiresAt = new Date(lastDueDate);
+    expiresAt.setMonth(expiresAt.getMonth() + 6);
+
+    try {
+        // Inside the try: a missing provider fails the mandate, not the application
+        provider = getMandateProvider();
+        const mandate = await provider.createMandate({
+            referenceId: application._id.toString(),
+            // Room for late fees on top of the installment
+            maxAmount: Math.ceil(application.monthlyEmi * 2),
+            expiresAt,
+            customer: await customerFor(application.userId)
+        });
+        application.mandate = {
+            provider: provider.name,
+            mandateId: mandate.mandateId,
+            customerId: mandate.customerId,
+            authUrl: mandate.authUrl,
+            status: mandate.status,
+            activatedAt: mandate.status === 'active' ? new Date() : null
+        };
+    } catch (error) {
+        application.mandate = {
+            provider: provider?.name || null,
+            status: 'failed',
+            failureReason: error.error?.description || error.message
+        };
+    }
+
+    if (application.mandate.status === 'active' && application.status === 'approved') {
+        application.status = 'active';
+        application.disbursedAt = new Date();
+    }
+    return application.save();
+}
+
+/**
+ * Apply a mandate status change reported by the provider.
+ */
+async function applyMandateUpdate({ mandateId, referenceId, status, failureReason }) {
+    const ids = [mandateId, referenceId].filter(Boolean);
+    const application = await EmiApplication.findOne({ 'mandate.mandateId': { $in: ids } });
+    if (!application) return null;
+
+    // Settle on the provider's final id
+    if (mandateId) application.mandate.mandateId = mandateId;
+
+    if (status && status !== application.mandate.status && application.mandate.status !== 'cancelled') {
+        application.mandate.status = status;
+        application.mandate.failureReason = failureReason || null;
+        if (status === 'active') {
+            application.mandate.activatedAt = new Date();
+            application.mandate.authUrl = null;
+            if (application.status === 'approved') {
+                application.status = 'active';
+                application.disbursedAt = new Date();
+            }
+        }
+        if (status === 'cancelled') application.mandate.cancelledAt = new Date();
+    }
+    return application.save();
+}
+
+/**
+ * Cancel the mandate so nothing more is debited (e.g. the order was refunded).
+ * The mandate is marked cancelled even if the provider call fails, so
+ * collection stops either way; the error is returned for the caller to log.
+ *
+ * @returns {string|null} - provider error, if any
+ */
+async function cancelMandate(application) {
+    if (!application.mandate || application.mandate.status === 'cancelled') return null;
+
+    let providerError = null;
+    if (application.mandate.mandateId) {
+        try {
+            await getMandateProvider(application.mandate.provider).cancelMandate({
+                mandateId: application.mandate.mandateId,
+                customerId: application.mandate.customerId
+            });
+        } catch (error) {
+            providerError = error.error?.description || error.message;
+        }
+    }
+
+    await EmiApplication.updateOne(
+        { _id: application._id },
+        { $set: { 'mandate.status': 'cancelled', 'mandate.cancelledAt': new Date(), 'mandate.failureReason': providerError } }
+    );
+    return providerError;
+}
+
+// ==========================================
+// INSTALLMENT STATUS
+// ==========================================
+
+/**
+ * Recompute the payment summary from the installment schedule.
+ */
+async function refreshSummary(applicationId) {
+    const application = await EmiApplication.findById(applicationId);
+    if (!application) return null;
+
+    const unpaid = application.installments
+        .filter(i => i.status !== 'paid')
+        .sort((a, b) => a.dueDate - b.dueDate);
+
+    application.paidInstallments = application.installments.length - unpaid.length;
+    application.remainingInstallments = unpaid.length;
+    application.nextDueDate = unpaid[0]?.dueDate || null;
+
+    if (unpaid.length === 0 && ['active', 'defaulted'].includes(application.status)) {
+        application.status = 'completed';
+        application.completedAt = new Date();
+    } else if (application.status === 'defaulted' && !unpaid.some(i => ['failed', 'overdue'].includes(i.status))) {
+        // Caught up on everything that was missed
+        application.status = 'active';
+    }
+    return application.save();
+}
+
+/**
+ * Mark an installment paid. Paying twice (webhook and app both report it)
+ * is harmless; only the first one counts.
+ *
+ * @returns {Object|null} - the updated application, or null if it was already paid
+ */
+async function markInstallmentPaid(applicationId, installmentNumber, { transactionId, paymentMethod, amount = null }) {
+    const paidDate = new Date();
+    const updated = await EmiApplication.findOneAndUpdate(
+        {
+            _id: applicationId,
+            installments: { $elemMatch: { installmentNumber, status: { $ne: 'paid' } } }
+        },
+        {
+            $set: {
+                'installments.$.status': 'paid',
+                'installments.$.paidDate': paidDate,
+                'installments.$.transactionId': transactionId,
+                'installments.$.paymentMethod': paymentMethod,
+                'installments.$.failureReason': null,
+                ...(amount != null && { 'installments.$.paidAmount': amount })
+            }
+        },
+        { new: true }
+    );
+    if (!updated) return null;
+
+    const installment = findInstallment(updated, installmentNumber);
+    await PenaltyLedger.updateMany(
+        { emiApplicationId: applicationId, installmentNo: installmentNumber, status: { $nin: ['paid', 'waived'] } },
+        {
+            $set: {
+                status: 'paid',
+                paidAmount: amount ?? installment.amount,
+                paidDate,
+                paymentReference: transactionId
+            }
+        }
+    );
+
+    return refreshSummary(applicationId);
+}
+
+/**
+ * Mark an auto-debit failed. Only debits still in flight can fail; a debit
+ * reported paid stays paid.
+ */
+async function markInstallmentFailed(applicationId, installmentNumber, { reason, transactionId = null }) {
+    return EmiApplication.findOneAndUpdate(
+        {
+            _id: applicationId,
+            installments: { $elemMatch: { installmentNumber, status: { $in: ['pending', 'processing'] } } }
+        },
+        {
+            $set: {
+                'installments.$.status': 'failed',
+                'installments.$.failureReason': reason || 'Auto-debit failed',
+                'installments.$.transactionId': transactionId
+            }
+        },
+        { new: true }
+    );
+}
+
+function applyDebitResult(applicationId, installmentNumber, { status, paymentId, failureReason }) {
+    if (status === 'paid') {
+        return markInstallmentPaid(applicationId, installmentNumber, { transactionId: paymentId, paymentMethod: 'emandate' });
+    }
+    if (status === 'failed') {
+        return markInstallmentFailed(applicationId, installmentNumber, { reason: failureReason, transactionId: paymentId });
+    }
+    return null;
+}
+
+// ==========================================
+// AUTO-DEBIT
+// ==========================================
+
+/**
+ * Debit one due installment against the mandate.
+ *
+ * The installment is claimed (pending → processing) before the provider is
+ * called, so it can't be debited twice. If the provider can't be reached
+ * the installment stays in processing for an admin to check, since the
+ * debit may have gone through.
+ *
+ * @returns {string} - 'paid', 'failed', 'processing' or 'skipped'
+ */
+async function debitInstallment(application, installment, customer) {
+    // Before the claim, so a missing provider doesn't leave the installment stuck in processing
+    const provider = getMandateProvider(application.mandate.provider);
+
+    const claimed = await EmiApplication.findOneAndUpdate(
+        {
+            _id: application._id,
+            installments: { $elemMatch: { installmentNumber: installment.installmentNumber, status: 'pending' } }
+        },
+        {
+            $set: { 'installments.$.status': 'processing', 'installments.$.lastAttemptAt': new Date() },
+            $inc: { 'installments.$.attempts': 1 }
+        },
+        { new: true }
+    );
+    if (!claimed) return 'skipped';
+
+    const attempt = findInstallment(claimed, installment.installmentNumber).attempts;
+
+    let result;
+    try {
+        result = await provider.chargeInstallment({
+            mandateId: application.mandate.mandateId,
+            customerId: application.mandate.customerId,
+            referenceId: installmentReference(application._id, installment.installmentNumber, attempt),
+            amount: installment.amount,
+            customer
+        });
+    } catch (error) {
+        const httpStatus = error.statusCode || error.response?.status;
+        const reason = error.error?.description || error.message;
+
+        // The gateway refused the debit outright
+        if (httpStatus >= 400 && httpStatus < 500) {
+            await markInstallmentFailed(application._id, installment.installmentNumber, { reason });
+            return 'failed';
+        }
+
+        await EmiApplication.updateOne(
+            { _id: application._id, 'installments.installmentNumber': installment.installmentNumber },
+            { $set: { 'installments.$.failureReason': `Debit attempt failed: ${reason}` } }
+        );
+        throw error;
+    }
+
+    await applyDebitResult(application._id, installment.installmentNumber, result);
+    return result.status;
+}
+
+/**
+ * Debit every installment that has fallen due on an active mandate.
+ * Failed debits are not retried; the customer pays those manually.
+ *
+ * @param {Date} [now]
+ * @returns {Object} - { applications, attempted, paid, failed, processing, errors }
+ */
+async function collectDueInstallments(now = new Date()) {
+    const applications = await EmiApplication.find({
+        status: { $in: ['active', 'defaulted'] },
+        'mandate.status': 'active',
+        installments: { $elemMatch: { status: 'pending', dueDate: { $lte: now } } }
+    });
+
+    const result = { applications: applications.length, attempted: 0, paid: 0, failed: 0, processing: 0, errors: 0 };
+    for (const application of applications) {
+        let customer;
+        try {
+            customer = await customerFor(application.userId);
+        } catch (error) {
+            result.errors++;
+            continue;
+        }
+
+        const due = application.installments
+            .filter(i => i.status === 'pending' && i.dueDate <= now)
+            .sort((a, b) => a.installmentNumber - b.installmentNumber);
+
+        for (const installment of due) {
+            try {
+                const status = await debitInstallment(application, installment, customer);
+                if (status === 'skipped') continue;
+                result.attempted++;
+                if (result[status] !== undefined) result[status]++;
+            } catch (error) {
+                result.errors++;
+                console.error(`[EmiCollection] Debit failed for ${application._id} #${installment.installmentNumber}:`, error.message);
+            }
+        }
+    }
+    return result;
+}
+
+// ==========================================
+// MANUAL PAYMENTS
+// ==========================================
+
+/**
+ * What the customer owes on an installment right now: the installment plus
+ * any late fee on it.
+ */
+async function amountDue(application, installment) {
+    const ledger = await PenaltyLedger.findOne({
+        emiApplicationId: application._id,
+        installmentNo: installment.installmentNumber,
+        status: { $nin: ['paid', 'waived'] }
+    });
+    return round2(installment.amount + (ledger?.penaltyAmount || 0));
+}
+
+/**
+ * Start a manual payment of an installment (e.g. after its auto-debit
+ * failed). The app completes it in checkout and calls verifyInstallmentPayment.
+ *
+ * @returns {Object} - { orderId, amount, currency, keyId }
+ */
+async function createInstallmentPayment(application, installmentNumber) {
+    const installment = findInstallment(application, installmentNumber);
+    if (installment.status === 'paid') throw new EmiError('Installment already paid.');
+    if (installment.status === 'processing') {
+        throw new EmiError('An auto-debit for this installment is in progress. Please check again later.', 409);
+    }
+
+    const amount = await amountDue(application, installment);
+    const provider = getMandateProvider(application.mandate?.provider);
+    const order = await provider.createPaymentOrder({
+        referenceId: installmentReference(application._id, installment.installmentNumber, 'manual'),
+        amount
+    });
+
+    await EmiApplication.updateOne(
+        { _id: application._id, 'installments.installmentNumber': installment.installmentNumber },
+        { $set: { 'installments.$.paymentOrderId': order.orderId } }
+    );
+    return order;
+}
+
+/**
+ * Verify a manual installment payment with the gateway before marking it
+ * paid. The client's word alone is never enough.
+ *
+ * @returns {Object} - the updated application
+ */
+async function verifyInstallmentPayment(application, installmentNumber, { orderId, paymentId, signature }) {
+    const installment = findInstallment(application, installmentNumber);
+    if (installment.status === 'paid') throw new EmiError('Installment already paid.');
+    if (!installment.paymentOrderId || installment.paymentOrderId !== orderId) {
+        throw new EmiError('This payment is not for this installment.');
+    }
+
+    const provider = getMandateProvider(application.mandate?.provider);
+    const payment = await provider.verifyPayment({ orderId, paymentId, signature });
+    if (!payment.verified) throw new EmiError('Payment verification failed.');
+
+    const due = await amountDue(application, installment);
+    if (payment.amount != null && payment.amount < due) {
+        throw new EmiError(`Payment of ₹${payment.amount} is less than the ₹${due} due.`);
+    }
+
+    const updated = await markInstallmentPaid(application._id, installment.installmentNumber, {
+        transactionId: paymentId,
+        paymentMethod: payment.method || 'online',
+        amount: payment.amount ?? due
+    });
+    return updated || EmiApplication.findById(application._id);
+}
+
+// ==========================================
+// WEBHOOK
+// ==========================================
+
+/**
+ * Apply a mandate or debit webhook from the active provider.
+ *
+ * @returns {string} - what happened, for the response message
+ */
+async function handleMandateWebhook(rawBody, headers, body) {
+    const provider = getMandateProvider();
+    if (!provider.verifyWebhook(rawBody, headers)) {
+        throw new EmiError('Invalid webhook signature');
+    }
+
+    const update = provider.parseWebhook(body, headers);
+    if (!update) return 'ignored';
+
+    // Providers redeliver on timeouts; handle each event only once
+    if (update.eventId) {
+        try {
+            await PaymentWebhookEvent.create({ eventId: update.eventId, event: update.event });
+        } catch (error) {
+            if (error.code === 11000) return 'already processed';
+            throw error;
+        }
+    }
+
+    try {
+        if (update.kind === 'mandate') {
+            const application = await applyMandateUpdate(update);
+            return application ? `mandate ${application.mandate.status}` : 'unknown mandate';
+        }
+
+        // Foreclosures and prepayments; required here since that module builds on this one
+        const repayments = require('./emiRepaymentService');
+        if (repayments.isRepaymentReference(update.referenceId)) {
+            if (update.status !== 'paid') return `repayment ${update.status}`;
+            const outcome = await repayments.applyRepayment(update.referenceId, { transactionId: update.paymentId });
+            return `repayment ${outcome}`;
+        }
+
+        const reference = parseInstallmentReference(update.referenceId);
+        if (!reference) return 'unknown payment';
+
+        if (update.status === 'paid') {
+            await markInstallmentPaid(reference.applicationId, reference.installmentNumber, {
+                transactionId: update.paymentId,
+                paymentMethod: String(update.referenceId).endsWith(':manual') ? 'online' : 'emandate'
+            });
+        } else if (update.status === 'failed' && !String(update.referenceId).endsWith(':manual')) {
+            // A failed manual checkout leaves the installment as it was
+            await markInstallmentFailed(reference.applicationId, reference.installmentNumber, {
+                reason: update.failureReason,
+                transactionId: update.paymentId
+            });
+        }
+        return `installment ${update.status}`;
+    } catch (error) {
+        if (update.eventId) await PaymentWebhookEvent.deleteOne({ eventId: update.eventId });
+        throw error;
+    }
+}
+
+module.exports = {
+    EmiError,
+    setupMandate,
+    cancelMandate,
+    markInstallmentPaid,
+    markInstallmentFailed,
+    refreshSummary,
+    collectDueInstallments,
+    createInstallmentPayment,
+    verifyInstallmentPayment,
+    handleMandateWebhook
+};
@@ -0,0 +1,395 @@
+const EmiApplication = require('../model/emiApplication');
+const EmiPlan = require('../model/emiPlan');
+const PenaltyLedger = require('../model/penaltyLedger');
+const { getMandateProvider } = require('./mandateService');
+const { EmiError, markInstallmentPaid, cancelMandate } = require('./emiCollectionService');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const sum = (lines, field) => round2(lines.reduce((total, line) => total + line[field], 0));
+const byNumber = (a, b) => a.installmentNumber - b.installmentNumber;
+
+// Loans that can still be repaid early or restructured
+const REPAYABLE_STATUSES = ['approved', 'active', 'defaulted'];
+const RESTRUCTURABLE_STATUSES = ['active', 'defaulted'];
+
+// Repayments are paid as `<applicationId>:repay:<timestamp>`, next to the
+// installment references in emiCollectionService
+function repaymentReference(applicationId) {
+    return `${applicationId}:repay:${Date.now()}`;
+}
+
+function isRepaymentReference(referenceId) {
+    return /^[0-9a-fA-F]{24}:repay:\d+$/.test(String(referenceId));
+}
+
+function endOfDay(date) {
+    const end = new Date(date);
+    end.setHours(23, 59, 59, 999);
+    return end;
+}
+
+// ==========================================
+// QUOTES
+// ==========================================
+
+/**
+ * Principal and interest in each installment. Schedules store the split;
+ * older ones are re-derived from the plan's interest rate.
+ *
+ * @returns {Map} - installmentNumber → { principal, interest }
+ */
+function installmentSplits(application, plan) {
+    const installments = [...application.installments].sort(byNumber);
+    const derived = installments.some(i => i.principalComponent == null)
+        ? EmiApplication.buildSchedule({
+            principal: application.principalAmount,
+            monthlyEmi: application.monthlyEmi,
+            tenure: installments.length,
+            annualRate: plan?.interestRate || 0
+        })
+        : null;
+
+    return new Map(installments.map((installment, index) => {
+        const source = installment.principalComponent != null ? installment : derived[index];
+        return [installment.installmentNumber, {
+            principal: round2(installment.amount - source.interestComponent),
+            interest: source.interestComponent
+        }];
+    }));
+}
+
+/**
+ * Late fees on the given installments as of `now`.
+ *
+ * @returns {Map} - installmentNumber → penalty
+ */
+async function openPenalties(applicationId, installmentNumbers, now) {
+    const ledgers = await PenaltyLedger.find({
+        emiApplicationId: applicationId,
+        installmentNo: { $in: installmentNumbers },
+        status: { $nin: ['paid', 'waived'] }
+    });
+
+    return new Map(ledgers.map(ledger => [ledger.installmentNo, ledger.calculatePenalty(now)]));
+}
+
+function unpaidInstallments(application) {
+    const unpaid = application.installments.filter(i => i.status !== 'paid').sort(byNumber);
+    if (unpaid.some(i => i.status === 'processing')) {
+        throw new EmiError('An auto-debit for this EMI is in progress. Please try again once it completes.', 409);
+    }
+    return unpaid;
+}
+
+function isDue(installment, now) {
+    return installment.dueDate <= now || ['failed', 'overdue'].includes(installment.status);
+}
+
+/**
+ * Quote paying several installments now.
+ *
+ * A prepayment pays the next `installments` unpaid installments; a
+ * foreclosure pays all of them and closes the loan. Installments already
+ * due are paid in full with their late fees. Of those not yet due, the
+ * next one is paid in full too, since its interest period has started;
+ * the rest only pay their principal (the interest is rebated), plus the
+ * plan's foreclosure charge on that principal when foreclosing.
+ *
+ * Late fees grow daily, so a quote is valid until the end of the day.
+ *
+ * @param {Object} application
+ * @param {Object} options - { type: 'prepayment' | 'foreclosure', installments }
+ * @param {Date} [now]
+ * @returns {Object} - { type, lines, outstandingPrincipal, interest, interestRebate, penalties, foreclosureCharge, totalPayable, quotedAt, validUntil }
+ */
+async function quoteRepayment(application, { type, installments: count }, now = new Date()) {
+    if (!REPAYABLE_STATUSES.includes(application.status)) {
+        throw new EmiError(`Cannot repay a ${application.status} EMI.`);
+    }
+
+    const unpaid = unpaidInstallments(application);
+    if (!unpaid.length) throw new EmiError('This EMI is fully paid.');
+
+    let selected = unpaid;
+    if (type === 'prepayment') {
+        if (!count || count >= unpaid.length) {
+            throw new EmiError(`Prepay between 1 and ${unpaid.length - 1} installments, or foreclose the EMI.`);
+        }
+        selected = unpaid.slice(0, count);
+    }
+
+    const plan = await EmiPlan.findById(application.emiPlanId).lean();
+    const splits = installmentSplits(application, plan);
+    const penalties = await openPenalties(application._id, selected.map(i => i.installmentNumber), now);
+    const currentPeriod = selected.find(i => !isDue(i, now));
+
+    const lines = selected.map(installment => {
+        const { principal, interest } = splits.get(installment.installmentNumber);
+        const rebated = !isDue(installment, now) && installment !== currentPeriod;
+        const interestRebate = rebated ? interest : 0;
+        const penalty = round2(penalties.get(installment.installmentNumber) || 0);
+        return {
+            installmentNumber: installment.installmentNumber,
+            dueDate: installment.dueDate,
+            principal,
+            interest,
+            interestRebate,
+            penalty,
+            payable: round2(installment.amount - interestRebate + penalty)
+        };
+    });
+
+    const prepaidPrincipal = sum(lines.filter(line => line.interestRebate > 0), 'principal');
+    const foreclosureCharge = type === 'foreclosure'
+        ? round2(prepaidPrincipal * (plan?.foreclosureChargePercent || 0) / 100)
+        : 0;
+
+    return {
+        applicationId: application._id,
+        type,
+        lines,
+        outstandingPrincipal: sum(lines, 'principal'),
+        interest: round2(sum(lines, 'interest') - sum(lines, 'interestRebate')),
+        interestRebate: sum(lines, 'interestRebate'),
+        penalties: sum(lines, 'penalty'),
+        foreclosureCharge,
+        totalPayable: round2(sum(lines, 'payable') + foreclosureCharge),
+        quotedAt: now,
+        validUntil: endOfDay(now)
+    };
+}
+
+// ==========================================
+// PAYMENT
+// ==========================================
+
+/**
+ * Quote a repayment and open a gateway order for it. The quote is held on
+ * the application until it is paid; a new order replaces an unpaid one.
+ *
+ * @returns {Object} - { quote, order: { orderId, amount, currency, keyId } }
+ */
+async function createRepaymentOrder(application, options) {
+    const quote = await quoteRepayment(application, options);
+    const referenceId = repaymentReference(application._id);
+
+    const provider = getMandateProvider(application.mandate?.provider);
+    const order = await provider.createPaymentOrder({ referenceId, amount: quote.totalPayable });
+
+    await EmiApplication.updateOne(
+        { _id: application._id },
+        {
+            $set: {
+                pendingRepayment: {
+                    type: quote.type,
+                    referenceId,
+                    orderId: order.orderId,
+                    lines: quote.lines,
+                    principal: quote.outstandingPrincipal,
+                    interest: quote.interest,
+                    interestRebate: quote.interestRebate,
+                    penalties: quote.penalties,
+                    foreclosureCharge: quote.foreclosureCharge,
+                    amount: quote.totalPayable,
+                    quotedAt: quote.quotedAt
+                }
+            }
+        }
+    );
+    return { quote, order };
+}
+
+/**
+ * Settle a paid repayment: mark its installments paid and record it. Runs
+ * once per repayment, whether the app or the webhook reports it first.
+ * A foreclosure also cancels the auto-debit mandate.
+ *
+ * @returns {string} - 'applied', 'already applied' or 'unknown'
+ */
+async function applyRepayment(referenceId, { transactionId, paymentMethod = 'online' }) {
+    const [applicationId] = String(referenceId).split(':');
+
+    const claimed = await EmiApplication.findOneAndUpdate(
+        { _id: applicationId, 'pendingRepayment.referenceId': referenceId },
+        { $set: { pendingRepayment: null } }
+    );
+    if (!claimed) {
+        const applied = await EmiApplication.exists({ _id: applicationId, 'repayments.referenceId': referenceId });
+        if (applied) return 'already applied';
+        console.error(`[EmiRepayment] Payment ${transactionId} for ${referenceId} matches no pending repayment`);
+        return 'unknown';
+    }
+
+    const pending = claimed.pendingRepayment.toObject();
+    let excessAmount = 0;
+    for (const line of pending.lines) {
+        const updated = await markInstallmentPaid(applicationId, line.installmentNumber, {
+            transactionId,
+            paymentMethod,
+            amount: line.payable
+        });
+        // Paid by an auto-debit or manual payment since the quote
+        if (!updated) excessAmount = round2(excessAmount + line.payable);
+    }
+    if (excessAmount > 0) {
+        console.error(`[EmiRepayment] ₹${excessAmount} of ${referenceId} paid for installments already settled; refund due`);
+    }
+
+    await EmiApplication.updateOne(
+        { _id: applicationId },
+        { $push: { repayments: { ...pending, transactionId, excessAmount, paidAt: new Date() } } }
+    );
+
+    if (pending.type === 'foreclosure') {
+        const providerError = await cancelMandate(claimed);
+        if (providerError) {
+            console.error(`[EmiRepayment] Mandate cancellation failed for ${applicationId}:`, providerError);
+        }
+    }
+    return 'applied';
+}
+
+/**
+ * Verify a repayment with the gateway, then settle it.
+ *
+ * @returns {Object} - the updated application
+ */
+async function verifyRepayment(application, { orderId, paymentId, signature }) {
+    const pending = application.pendingRepayment;
+    if (!pending || pending.orderId !== orderId) {
+        // The webhook got here first
+        if (application.repayments.some(r => r.orderId === orderId)) return application;
+        throw new EmiError('This payment is not for this EMI.');
+    }
+
+    const provider = getMandateProvider(application.mandate?.provider);
+    const payment = await provider.verifyPayment({ orderId, paymentId, signature });
+    if (!payment.verified) throw new EmiError('Payment verification failed.');
+    if (payment.amount != null && payment.amount < pending.amount) {
+        throw new EmiError(`Payment of ₹${payment.amount} is less than the ₹${pending.amount} due.`);
+    }
+
+    await applyRepayment(pending.referenceId, { transactionId: paymentId, paymentMethod: payment.method || 'online' });
+    return EmiApplication.findById(application._id);
+}
+
+// ==========================================
+// RESTRUCTURING
+// ==========================================
+
+/**
+ * Replace the unpaid installments with a new schedule. The outstanding
+ * principal, interest already due and (unless waived) late fees become the
+ * new principal, repaid over `tenure` months from next month. A defaulted
+ * loan becomes active again.
+ *
+ * @param {Object} application
+ * @param {Object} options - { tenure, interestRate, waivePenalties, reason }
+ * @param {string} adminId
+ * @param {Date} [now]
+ * @returns {Object} - the updated application
+ */
+async function restructure(application, { tenure, interestRate, waivePenalties = false, reason }, adminId, now = new Date()) {
+    if (!RESTRUCTURABLE_STATUSES.includes(application.status)) {
+        throw new EmiError(`Cannot restructure a ${application.status} EMI.`);
+    }
+
+    const unpaid = unpaidInstallments(application);
+    if (!unpaid.length) throw new EmiError('This EMI is fully paid.');
+    const paid = application.installments.filter(i => i.status === 'paid').sort(byNumber);
+
+    const plan = await EmiPlan.findById(application.emiPlanId).lean();
+    const splits = installmentSplits(application, plan);
+    const penalties = await openPenalties(application._id, unpaid.map(i => i.installmentNumber), now);
+
+    const outstandingPrincipal = round2(unpaid.reduce((total, i) => total + splits.get(i.installmentNumber).principal, 0));
+    const capitalisedInterest = round2(unpaid
+        .filter(i => isDue(i, now))
+        .reduce((total, i) => total + splits.get(i.installmentNumber).interest, 0));
+    const penaltyTotal = round2([...penalties.values()].reduce((total, p) => total + p, 0));
+    const principal = round2(outstandingPrincipal + capitalisedInterest + (waivePenalties ? 0 : penaltyTotal));
+
+    const rate = interestRate ?? plan?.interestRate ?? 0;
+    const monthlyEmi = new EmiPlan({ interestRate: rate, tenure }).calculateEMI(principal);
+    const schedule = EmiApplication.buildSchedule({
+        principal,
+        monthlyEmi,
+        tenure,
+        annualRate: rate,
+        startNumber: Math.max(...application.installments.map(i => i.installmentNumber)) + 1,
+        startDate: now
+    });
+
+    const paidTotal = paid.reduce((total, i) => total + (i.paidAmount ?? i.amount), 0);
+    const totalAmount = round2(paidTotal + monthlyEmi * tenure + application.processingFee);
+
+    // Only if nothing was paid or debited since the application was read
+    const updated = await EmiApplication.findOneAndUpdate(
+        { _id: application._id, updatedAt: application.updatedAt },
+        {
+            $set: {
+                installments: [...paid.map(i => i.toObject()), ...schedule],
+                monthlyEmi,
+                tenure: paid.length + tenure,
+                totalAmount,
+                totalInterest: round2(totalAmount - application.processingFee - application.principalAmount),
+                status: 'active',
+                paidInstallments: paid.length,
+                remainingInstallments: tenure,
+                nextDueDate: schedule[0].dueDate
+            },
+            $push: {
+                restructurings: {
+                    restructuredAt: now,
+                    restructuredBy: adminId,
+                    reason,
+                    previousStatus: application.status,
+                    previousMonthlyEmi: application.monthlyEmi,
+                    replacedInstallments: unpaid.map(i => ({
+                        installmentNumber: i.installmentNumber,
+                        dueDate: i.dueDate,
+                        amount: i.amount,
+                        status: i.status
+                    })),
+                    outstandingPrincipal,
+                    capitalisedInterest,
+                    capitalisedPenalties: waivePenalties ? 0 : penaltyTotal,
+                    waivedPenalties: waivePenalties ? penaltyTotal : 0,
+                    interestRate: rate,
+                    tenure,
+                    monthlyEmi
+                }
+            }
+        },
+        { new: true }
+    );
+    if (!updated) throw new EmiError('This EMI changed while it was being restructured. Please try again.', 409);
+
+    // The replaced installments' late fees are settled by the new schedule
+    await PenaltyLedger.updateMany(
+        {
+            emiApplicationId: application._id,
+            installmentNo: { $in: unpaid.map(i => i.installmentNumber) },
+            status: { $nin: ['paid', 'waived'] }
+        },
+        {
+            $set: {
+                status: 'waived',
+                isWaived: waivePenalties,
+                waiverReason: waivePenalties ? `Waived on restructuring: ${reason}` : 'Capitalised into the restructured schedule',
+                waivedBy: adminId
+            }
+        }
+    );
+
+    return updated;
+}
+
+module.exports = {
+    isRepaymentReference,
+    quoteRepayment,
+    createRepaymentOrder,
+    applyRepayment,
+    verifyRepayment,
+    restructure
+};
@@ -0,0 +1,426 @@
+const PDFDocument = require('pdfkit');
+const Order = require('../model/order');
+const User = require('../model/user');
+const Setting = require('../model/setting');
+const Invoice = require('../model/invoice');
+const InvoiceCounter = require('../model/invoiceCounter');
+const { allocate, getFulfilmentOrders } = require('./orderSplitter');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const NUMBER_PREFIX = { invoice: 'INV', credit_note: 'CN' };
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+
+// ==========================================
+// NUMBERING
+// ==========================================
+
+/**
+ * Indian financial year (April–March) a date falls in, e.g. '26-27'.
+ */
+function financialYear(date = new Date()) {
+    const ist = new Date(date.getTime() + IST_OFFSET_MS);
+    const startYear = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+    const yy = (year) => String(year % 100).padStart(2, '0');
+    return `${yy(startYear)}-${yy(startYear + 1)}`;
+}
+
+/**
+ * Give a draft document its number: consecutive per seller, document type
+ * and financial year, e.g. INV/26-27/000042 (GST allows at most 16 characters).
+ */
+async function assignNumber(doc) {
+    if (!doc.invoiceNumber.startsWith('DRAFT-')) return doc;
+
+    const seller = doc.supplierId ? doc.supplierId.toString() : 'platform';
+    const counter = await InvoiceCounter.findOneAndUpdate(
+        { key: `${seller}:${doc.type}:${doc.financialYear}` },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true }
+    );
+
+    doc.invoiceNumber = `${NUMBER_PREFIX[doc.type]}/${doc.financialYear}/${String(counter.seq).padStart(6, '0')}`;
+    return doc.save();
+}
+
+/**
+ * Save a new document under a draft number, then number it.
+ *
+ * The draft is inserted first so the unique indexes decide who issues it;
+ * a number is only taken once the insert succeeded, which keeps the series
+ * free of gaps when two requests race.
+ *
+ * @returns {Object|null} - the numbered document, or null if it already existed
+ */
+async function createNumbered(fields) {
+    let doc;
+    try {
+        doc = await Invoice.create({ ...fields, invoiceNumber: `DRAFT-${fields.orderId}-${Date.now()}` });
+    } catch (error) {
+        if (error.code === 11000) return null;
+        throw error;
+    }
+    return assignNumber(doc);
+}
+
+// ==========================================
+// PARTIES AND TAX
+// ==========================================
+
+function normaliseState(state) {
+    return String(state || '').toLowerCase().replace(/[^a-z]/g, '');
+}
+
+/**
+ * Seller details as printed on the invoice. Platform-listed products are
+ * sold by the platform itself (INVOICE_SELLER_* env vars).
+ */
+async function sellerFor(supplierId) {
+    if (!supplierId) {
+        return {
+            name: process.env.INVOICE_SELLER_NAME || 'AsBrand',
+            gstin: process.env.INVOICE_SELLER_GSTIN || null,
+            address: process.env.INVOICE_SELLER_ADDRESS || null,
+            state: process.env.INVOICE_SELLER_STATE || null
+        };
+    }
+
+    const supplier = await User.findById(supplierId).select('name phone supplierProfile').lean();
+    const profile = supplier?.supplierProfile || {};
+    const pickup = profile.pickupAddress || {};
+    return {
+        name: profile.verificationData?.businessName || profile.storeName || supplier?.name,
+        gstin: profile.gstVerified ? profile.gstin : null,
+        phone: supplier?.phone,
+        address: pickup.address,
+        city: pickup.city,
+        state: pickup.state,
+        postalCode: pickup.pincode
+    };
+}
+
+function buyerFor(order) {
+    const address = order.shippingAddress || {};
+    return {
+        name: address.name || null,
+        phone: address.phone,
+        address: address.street,
+        city: address.city,
+        state: address.state,
+        postalCode: address.postalCode
+    };
+}
+
+/**
+ * Split a GST-inclusive amount into taxable value and tax.
+ */
+function taxLine(total, gstRate, supplyType) {
+    const taxableValue = round2(total * 100 / (100 + gstRate));
+    const tax = round2(total - taxableValue);
+    const cgst = supplyType === 'intra_state' ? round2(tax / 2) : 0;
+    return {
+        taxableValue,
+        cgst,
+        sgst: supplyType === 'intra_state' ? round2(tax - cgst) : 0,
+        igst: supplyType === 'inter_state' ? tax : 0,
+        total: round2(total)
+    };
+}
+
+function sumLines(lines) {
+    const totals = { taxableValue: 0, cgst: 0, sgst: 0, igst: 0, total: 0 };
+    for (const line of lines) {
+        Object.keys(totals).forEach(field => { totals[field] += line[field] || 0; });
+    }
+    Object.keys(totals).forEach(field => { totals[field] = round2(totals[field]); });
+    totals.totalTax = round2(totals.cgst + totals.sgst + totals.igst);
+    return totals;
+}
+
+// ==========================================
+// INVOICES
+// ==========================================
+
+/**
+ * Issue the tax invoice for a delivered fulfilment order. Safe to call more
+ * than once; the existing invoice is returned.
+ *
+ * Item prices are GST-inclusive. The invoice covers the goods the supplier
+ * sold, less their share of any coupon discount; delivery, handling and
+ * convenience charges are the platform's and are not on it. Supply within
+ * the supplier's pickup state is taxed as CGST + SGST, anything else as IGST.
+ *
+ * @param {Object} order - delivered order (a sub-order for split checkouts)
+ * @returns {Object} - the invoice
+ */
+async function issueInvoice(order) {
+    if (order.isParentOrder) throw new Error('Invoices are issued per sub-order');
+
+    const existing = await Invoice.findOne({ orderId: order._id, type: 'invoice' });
+    if (existing) return assignNumber(existing);
+
+    const supplierId = order.items.find(item => item.supplierId)?.supplierId || null;
+    const [seller, settings] = await Promise.all([sellerFor(supplierId), Setting.findOne().lean()]);
+    const buyer = buyerFor(order);
+
+    const sellerState = normaliseState(seller.state);
+    const supplyType = sellerState && sellerState === normaliseState(buyer.state) ? 'intra_state' : 'inter_state';
+
+    const grossAmounts = order.items.map(item => round2((item.price || 0) * (item.quantity || 1)));
+    const discounts = allocate(order.orderTotal?.discount || 0, grossAmounts);
+
+    const lines = order.items.map((item, index) => {
+        const gstRate = item.gstRate ?? settings?.defaultGstRate ?? 18;
+        return {
+            itemId: item._id,
+            productID: item.productID,
+            description: item.variant ? `${item.productName} (${item.variant})` : item.productName,
+            hsnCode: item.hsnCode || null,
+            quantity: item.quantity,
+            unitPrice: item.price,
+            discount: discounts[index],
+            gstRate,
+            ...taxLine(grossAmounts[index] - discounts[index], gstRate, supplyType)
+        };
+    });
+
+    const invoice = await createNumbered({
+        type: 'invoice',
+        financialYear: financialYear(),
+        supplierId,
+        orderId: order._id,
+        customerOrderId: order.parentOrder || order._id,
+        userID: order.userID,
+        seller,
+        buyer,
+        placeOfSupply: buyer.state || seller.state,
+        supplyType,
+        lines,
+        ...sumLines(lines)
+    });
+    return invoice || assignNumber(await Invoice.findOne({ orderId: order._id, type: 'invoice' }));
+}
+
+/**
+ * Credit note for part (or all) of an invoice. Each line is credited in
+ * proportion to its share of the invoice, at the invoice's tax rates.
+ */
+function creditNoteFields(invoice, amount, refund) {
+    const lineAmounts = allocate(amount, invoice.lines.map(line => line.total));
+    const lines = invoice.lines.map((line, index) => ({
+        itemId: line.itemId,
+        productID: line.productID,
+        description: line.description,
+        hsnCode: line.hsnCode,
+        // Only meaningful when the whole line is credited
+        quantity: lineAmounts[index] === line.total ? line.quantity : null,
+        unitPrice: line.unitPrice,
+        discount: 0,
+        gstRate: line.gstRate,
+        ...taxLine(lineAmounts[index], line.gstRate, invoice.supplyType)
+    })).filter(line => line.total > 0);
+
+    return {
+        type: 'credit_note',
+        financialYear: financialYear(),
+        supplierId: invoice.supplierId,
+        orderId: invoice.orderId,
+        customerOrderId: invoice.customerOrderId,
+        userID: invoice.userID,
+        originalInvoice: invoice._id,
+        refundId: refund._id,
+        reason: refund.reason || 'Refund',
+        seller: invoice.seller,
+        buyer: invoice.buyer,
+        placeOfSupply: invoice.placeOfSupply,
+        supplyType: invoice.supplyType,
+        lines,
+        ...sumLines(lines)
+    };
+}
+
+/**
+ * Issue credit notes for an order's refunds against its invoices.
+ *
+ * A sub-order refund is credited against that sub-order's invoice; an
+ * order-level refund is spread over the invoices by what is still
+ * creditable on each. Refunds that already have credit notes, failed, or
+ * were made before anything was invoiced are skipped; the last kind is
+ * picked up once the order is delivered and invoiced.
+ *
+ * @param {Object} paymentOrder - the order holding the refunds (parent for split orders)
+ * @returns {Array} - credit notes issued now
+ */
+async function issueCreditNotes(paymentOrder) {
+    const refunds = (paymentOrder.refunds || []).filter(refund => refund.amount > 0 && refund.status !== 'failed');
+    if (refunds.length === 0) return [];
+
+    const documents = await Invoice.find({ customerOrderId: paymentOrder._id }).sort({ createdAt: 1 });
+    const invoices = documents.filter(doc => doc.type === 'invoice');
+    if (invoices.length === 0) return [];
+
+    const credited = new Map(invoices.map(invoice => [invoice._id.toString(), 0]));
+    const creditedRefunds = new Set();
+    for (const note of documents.filter(doc => doc.type === 'credit_note')) {
+        const key = note.originalInvoice.toString();
+        credited.set(key, round2((credited.get(key) || 0) + note.total));
+        creditedRefunds.add(note.refundId.toString());
+    }
+
+    const issued = [];
+    for (const refund of refunds) {
+        if (creditedRefunds.has(refund._id.toString())) continue;
+
+        const targets = invoices.filter(invoice =>
+            !refund.subOrder || invoice.orderId.toString() === refund.subOrder.toString()
+        );
+        const remaining = targets.map(invoice => round2(invoice.total - credited.get(invoice._id.toString())));
+        const creditable = round2(remaining.reduce((sum, amount) => sum + Math.max(amount, 0), 0));
+        if (!(creditable > 0)) continue;
+
+        const shares = allocate(Math.min(refund.amount, creditable), remaining.map(amount => Math.max(amount, 0)));
+        for (const [index, invoice] of targets.entries()) {
+            if (!(shares[index] > 0)) continue;
+            const note = await createNumbered(creditNoteFields(invoice, shares[index], refund));
+            if (!note) continue;
+
+            credited.set(invoice._id.toString(), round2(credited.get(invoice._id.toString()) + note.total));
+            issued.push(note);
+        }
+    }
+    return issued;
+}
+
+/**
+ * Invoice a just-delivered order and credit any refunds made before
+ * delivery. Failures are logged; the invoice is issued again on request.
+ */
+async function invoiceDeliveredOrder(order) {
+    await issueInvoice(order);
+    const paymentOrder = order.parentOrder ? await Order.findById(order.parentOrder) : order;
+    if (paymentOrder) await issueCreditNotes(paymentOrder);
+}
+
+/**
+ * All tax documents for a customer order, issuing any that are missing for
+ * delivered fulfilment orders.
+ *
+ * @param {Object} order - the customer's order, or one of its sub-orders
+ * @returns {Object} - { invoices, creditNotes }
+ */
+async function getOrderDocuments(order) {
+    const customerOrder = order.parentOrder ? await Order.findById(order.parentOrder) : order;
+    const fulfilmentOrders = await getFulfilmentOrders(customerOrder);
+    const wanted = order.parentOrder ? [order] : fulfilmentOrders;
+
+    for (const fulfilmentOrder of wanted.filter(fo => fo.orderStatus === 'delivered')) {
+        await issueInvoice(fulfilmentOrder);
+    }
+    await issueCreditNotes(customerOrder);
+
+    const query = { customerOrderId: customerOrder._id };
+    if (order.parentOrder) query.orderId = order._id;
+    const documents = await Invoice.find(query).sort({ type: -1, createdAt: 1 });
+
+    return {
+        invoices: documents.filter(doc => doc.type === 'invoice'),
+        creditNotes: documents.filter(doc => doc.type === 'credit_note')
+    };
+}
+
+// ==========================================
+// PDF
+// ==========================================
+
+const money = (value) => `Rs. ${(value || 0).toFixed(2)}`;
+
+function partyLines(party) {
+    return [
+        party.name,
+        party.address,
+        [party.city, party.state, party.postalCode].filter(Boolean).join(', '),
+        party.phone ? `Phone: ${party.phone}` : null,
+        party.gstin ? `GSTIN: ${party.gstin}` : null
+    ].filter(Boolean).join('\n');
+}
+
+function drawDocument(pdf, doc) {
+    const isInter = doc.supplyType === 'inter_state';
+    const title = doc.type === 'credit_note' ? 'CREDIT NOTE' : 'TAX INVOICE';
+
+    pdf.fontSize(16).font('Helvetica-Bold').text(title, { align: 'center' });
+    pdf.moveDown(0.5).fontSize(9).font('Helvetica');
+    pdf.text(`${doc.type === 'credit_note' ? 'Credit note' : 'Invoice'} no: ${doc.invoiceNumber}`);
+    pdf.text(`Date: ${new Date(doc.issuedAt).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata' })}`);
+    pdf.text(`Order: ${doc.customerOrderId}`);
+    if (doc.type === 'credit_note') pdf.text(`Reason: ${doc.reason}`);
+    pdf.text(`Place of supply: ${doc.placeOfSupply || '-'}`);
+
+    const top = pdf.y + 10;
+    pdf.font('Helvetica-Bold').text('Sold by', 40, top);
+    pdf.font('Helvetica').text(partyLines(doc.seller), 40, top + 12, { width: 250 });
+    pdf.font('Helvetica-Bold').text('Bill / ship to', 310, top);
+    pdf.font('Helvetica').text(partyLines(doc.buyer), 310, top + 12, { width: 250 });
+    pdf.x = 40;
+    pdf.y = Math.max(pdf.y, top + 80);
+
+    const columns = isInter
+        ? [['Item', 170], ['HSN', 50], ['Qty', 30], ['Taxable', 70], ['GST %', 40], ['IGST', 80], ['Total', 75]]
+        : [['Item', 150], ['HSN', 50], ['Qty', 30], ['Taxable', 65], ['GST %', 35], ['CGST', 60], ['SGST', 60], ['Total', 65]];
+
+    const row = (cells, bold = false) => {
+        const y = pdf.y;
+        let x = 40;
+        pdf.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+        let height = 0;
+        cells.forEach((cell, index) => {
+            const width = columns[index][1];
+            pdf.text(String(cell ?? '-'), x, y, { width: width - 4 });
+            height = Math.max(height, pdf.y - y);
+            x += width;
+        });
+        pdf.y = y + height + 4;
+    };
+
+    row(columns.map(([label]) => label), true);
+    doc.lines.forEach(line => {
+        const taxes = isInter ? [money(line.igst)] : [money(line.cgst), money(line.sgst)];
+        row([line.description, line.hsnCode, line.quantity, money(line.taxableValue), line.gstRate, ...taxes, money(line.total)]);
+    });
+    const totalTaxes = isInter ? [money(doc.igst)] : [money(doc.cgst), money(doc.sgst)];
+    row(['Total', '', '', money(doc.taxableValue), '', ...totalTaxes, money(doc.total)], true);
+
+    pdf.moveDown().font('Helvetica').fontSize(8)
+        .text('Prices include GST. This is a computer generated document and does not need a signature.', 40);
+}
+
+/**
+ * Render tax documents into one PDF, one page each.
+ *
+ * @param {Array} documents - invoices and credit notes
+ * @returns {Promise<Buffer>}
+ */
+function renderPdf(documents) {
+    return new Promise((resolve, reject) => {
+        const pdf = new PDFDocument({ size: 'A4', margin: 40 });
+        const chunks = [];
+        pdf.on('data', chunk => chunks.push(chunk));
+        pdf.on('end', () => resolve(Buffer.concat(chunks)));
+        pdf.on('error', reject);
+
+        documents.forEach((doc, index) => {
+            if (index > 0) pdf.addPage();
+            drawDocument(pdf, doc);
+        });
+        pdf.end();
+    });
+}
+
+module.exports = {
+    financialYear,
+    issueInvoice,
+    issueCreditNotes,
+    invoiceDeliveredOrder,
+    getOrderDocuments,
+    renderPdf
+};
@@ -0,0 +1,225 @@
+const UserKyc = require('../model/userKyc');
+const rapidApiService = require('./rapidApiService');
+
+// ==========================================
+// DOCUMENT VERIFIERS
+// ==========================================
+
+/**
+ * A verifier checks identity document numbers with the issuing authority.
+ * Each implements verifyDocument(type, number) for the types 'pan',
+ * 'aadhaar', 'dl' (driving licence) and 'rc' (vehicle registration):
+ *
+ *   verifyDocument(type, number) → { verified, nameOnRecord, expiresAt, message }
+ *
+ * nameOnRecord and expiresAt are null when the provider doesn't return them.
+ * The active verifier is chosen with KYC_VERIFIER (default: 'rapidapi').
+ */
+const verifiers = {};
+
+function registerVerifier(name, verifier) {
+    verifiers[name] = { name, ...verifier };
+}
+
+function getVerifier(name = process.env.KYC_VERIFIER || 'rapidapi') {
+    const verifier = verifiers[name];
+    if (!verifier) throw new Error(`Unknown KYC verifier "${name}"`);
+    return verifier;
+}
+
+// Providers disagree on where fields go
+function resultFields(data) {
+    return data?.result || data?.data || data || {};
+}
+
+function nameFromResponse(data) {
+    const result = resultFields(data);
+    return result.full_name || result.fullName || result.name || result.registered_name || result.owner_name || null;
+}
+
+function expiryFromResponse(data) {
+    const result = resultFields(data);
+    const raw = result.expiry_date || result.valid_upto || result.validity?.non_transport?.to ||
+        result.validity?.transport?.to || result.rc_expiry_date || result.fit_up_to || null;
+    const date = raw ? new Date(raw) : null;
+    return date && !isNaN(date) ? date : null;
+}
+
+const RAPIDAPI_METHODS = {
+    pan: rapidApiService.verifyPan,
+    aadhaar: rapidApiService.verifyAadhaar,
+    dl: rapidApiService.verifyDl,
+    rc: rapidApiService.verifyRc
+};
+
+registerVerifier('rapidapi', {
+    async verifyDocument(type, number) {
+        const response = await RAPIDAPI_METHODS[type](number);
+        // Without a key rapidApiService answers "verified" without asking anyone;
+        // that is no verification at all (use KYC_VERIFIER=mock for a fake)
+        if (response.mock) {
+            throw new Error('RapidAPI key missing; document not checked');
+        }
+        return {
+            verified: Boolean(response.verified),
+            nameOnRecord: nameFromResponse(response.data),
+            expiresAt: expiryFromResponse(response.data),
+            message: response.error || null
+        };
+    }
+});
+
+/**
+ * Local fake for development and tests: every document is valid except the
+ * types listed in KYC_MOCK_FAIL (e.g. "pan,dl"). KYC_MOCK_NAME sets the
+ * name on record; driving licences and RCs expire a year from now.
+ */
+registerVerifier('mock', {
+    async verifyDocument(type) {
+        const failing = (process.env.KYC_MOCK_FAIL || '').split(',').map(t => t.trim());
+        if (failing.includes(type)) {
+            return { verified: false, nameOnRecord: null, expiresAt: null, message: `Mock ${type} verification failure` };
+        }
+        const expiresAt = ['dl', 'rc'].includes(type) ? new Date(Date.now() + 365 * 24 * 60 * 60 * 1000) : null;
+        return { verified: true, nameOnRecord: process.env.KYC_MOCK_NAME || null, expiresAt, message: null };
+    }
+});
+
+// ==========================================
+// CHECKS
+// ==========================================
+
+const REQUIRED_DOCUMENTS = ['panCard', 'aadhaarFront', 'aadhaarBack', 'selfie'];
+const MIN_AGE = 18;
+
+// Verhoeff checksum tables; the last digit of an Aadhaar number is its check digit
+const VERHOEFF_D = [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9], [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+    [2, 3, 4, 0, 1, 7, 8, 9, 5, 6], [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+    [4, 0, 1, 2, 3, 9, 5, 6, 7, 8], [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+    [6, 5, 9, 8, 7, 1, 0, 4, 3, 2], [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+    [8, 7, 6, 5, 9, 3, 2, 1, 0, 4], [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+];
+const VERHOEFF_P = [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9], [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+    [5, 8, 0, 3, 7, 9, 6, 1, 4, 2], [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+    [9, 4, 5, 3, 1, 2, 6, 8, 7, 0], [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+    [2, 7, 9, 3, 8, 0, 6, 4, 1, 5], [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+];
+
+function isValidAadhaar(aadhaarNumber) {
+    if (!/^[2-9]\d{11}$/.test(aadhaarNumber)) return false;
+    const digits = aadhaarNumber.split('').reverse().map(Number);
+    const check = digits.reduce((c, digit, i) => VERHOEFF_D[c][VERHOEFF_P[i % 8][digit]], 0);
+    return check === 0;
+}
+
+function normalizeName(name) {
+    return String(name || '').toUpperCase().replace(/[^A-Z ]/g, ' ').split(/\s+/).filter(Boolean);
+}
+
+// Same name allowing for initials, missing middle names and word order
+function namesMatch(a, b) {
+    const first = normalizeName(a);
+    const second = normalizeName(b);
+    if (!first.length || !second.length) return false;
+    const [shorter, longer] = first.length <= second.length ? [first, second] : [second, first];
+    return shorter.every(part => longer.some(other => other === part || (part.length === 1 && other.startsWith(part))));
+}
+
+function result(status, message, extra = {}) {
+    return { status, message, checkedAt: new Date(), ...extra };
+}
+
+function checkDocuments(kyc) {
+    const missing = REQUIRED_DOCUMENTS.filter(name => !kyc.documentFiles?.[name]?.publicId && !kyc.documents?.[name]);
+    return missing.length
+        ? result('failed', `Missing documents: ${missing.join(', ')}`)
+        : result('passed', 'All documents uploaded');
+}
+
+function checkAge(kyc) {
+    if (!kyc.dateOfBirth) return result('failed', 'Date of birth missing');
+    const age = Math.floor((Date.now() - new Date(kyc.dateOfBirth)) / (365.25 * 24 * 60 * 60 * 1000));
+    return age >= MIN_AGE
+        ? result('passed', `Age ${age}`)
+        : result('failed', `Applicant is ${age}; must be at least ${MIN_AGE}`);
+}
+
+async function checkPan(kyc) {
+    if (!kyc.panNumber) return result('skipped', 'No PAN provided');
+
+    const duplicate = await UserKyc.exists({ panNumber: kyc.panNumber, userId: { $ne: kyc.userId } });
+    if (duplicate) return result('failed', 'PAN is linked to another account');
+
+    const verifier = getVerifier();
+    let response;
+    try {
+        response = await verifier.verifyDocument('pan', kyc.panNumber);
+    } catch (error) {
+        return result('error', `PAN verification unavailable: ${error.message}`, { provider: verifier.name });
+    }
+
+    const extra = { provider: verifier.name, nameOnRecord: response.nameOnRecord };
+    if (!response.verified) {
+        return result('failed', response.message || 'PAN could not be verified', extra);
+    }
+    if (response.nameOnRecord && !namesMatch(response.nameOnRecord, kyc.fullName)) {
+        return result('failed', `Name on PAN (${response.nameOnRecord}) does not match ${kyc.fullName}`, extra);
+    }
+    return result('passed', response.message || 'PAN verified', extra);
+}
+
+/**
+ * The Aadhaar number itself can only be checked for validity here (its
+ * checksum) and for reuse across accounts; the card images are reviewed
+ * by an admin.
+ */
+async function checkAadhaar(kyc, aadhaarNumber) {
+    if (!aadhaarNumber) {
+        // Only the masked number is kept, so a re-run keeps the earlier result
+        const previous = kyc.autoChecks?.aadhaar;
+        if (previous?.status) return previous.toObject ? previous.toObject() : previous;
+        return result('skipped', kyc.aadhaarNumber ? 'Aadhaar number unchanged' : 'No Aadhaar number provided');
+    }
+    if (!isValidAadhaar(aadhaarNumber)) return result('failed', 'Aadhaar number is not valid');
+
+    const duplicate = await UserKyc.exists({
+        aadhaarHash: UserKyc.hashIdentifier(aadhaarNumber),
+        userId: { $ne: kyc.userId }
+    });
+    if (duplicate) return result('failed', 'Aadhaar is linked to another account');
+
+    return result('passed', 'Aadhaar number is valid');
+}
+
+/**
+ * Run the automated checks on a KYC submission and store the results on
+ * it (not saved). Pass the full Aadhaar number when it was just submitted,
+ * since only the masked one is kept.
+ *
+ * The overall status is 'failed' if any check failed, 'needs_review' if a
+ * check could not run, and 'passed' otherwise. Either way an admin makes
+ * the final decision.
+ *
+ * @returns {Object} - the updated kyc
+ */
+async function runAutoChecks(kyc, { aadhaarNumber = null } = {}) {
+    const [pan, aadhaar] = await Promise.all([checkPan(kyc), checkAadhaar(kyc, aadhaarNumber)]);
+    const checks = { documents: checkDocuments(kyc), age: checkAge(kyc), pan, aadhaar };
+
+    const statuses = Object.values(checks).map(check => check.status);
+    kyc.autoChecks = checks;
+    kyc.autoCheckStatus = statuses.includes('failed')
+        ? 'failed'
+        : (statuses.includes('error') || pan.status === 'skipped' ? 'needs_review' : 'passed');
+    return kyc;
+}
+
+module.exports = {
+    registerVerifier,
+    getVerifier,
+    isValidAadhaar,
+    namesMatch,
+    runAutoChecks
+};
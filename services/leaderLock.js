@@ -0,0 +1,75 @@
+const os = require('os');
+const crypto = require('crypto');
+const CronLock = require('../model/cronLock');
+
+// Identifies this process as a lock owner
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+/**
+ * Take the named lease if nobody holds it (or their lease ran out).
+ *
+ * @returns {boolean} - true if this instance now holds it
+ */
+async function acquire(name, ttlMs) {
+    const now = new Date();
+    try {
+        const lock = await CronLock.findOneAndUpdate(
+            { name, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }, { owner: INSTANCE_ID }] },
+            { $set: { owner: INSTANCE_ID, lockedUntil: new Date(now.getTime() + ttlMs) } },
+            { new: true, upsert: true }
+        );
+        return lock.owner === INSTANCE_ID;
+    } catch (error) {
+        // Someone else holds it: the upsert collided with their document
+        if (error.code === 11000) return false;
+        throw error;
+    }
+}
+
+/**
+ * Hand the lease back, but keep other instances out until holdUntil: their
+ * cron ticks fire moments after ours and must not run the job again.
+ */
+async function release(name, holdUntil) {
+    const now = new Date();
+    await CronLock.updateOne(
+        { name, owner: INSTANCE_ID },
+        { $set: { lockedUntil: holdUntil > now ? holdUntil : null, lastRunAt: now } }
+    );
+}
+
+/**
+ * Run fn only on the instance that wins the named lease, so a job scheduled
+ * on every server runs once per schedule.
+ *
+ * While fn runs the lease lasts ttlMs, in case the holder dies mid-run; pick
+ * a ttl longer than the job takes. Afterwards it is kept until intervalMs
+ * (the job's schedule interval) after the run started, so only the same
+ * instance can take the next run. If that instance goes away, another takes
+ * over one run later.
+ *
+ * @param {string} name
+ * @param {Object} options - { ttlMs, intervalMs }
+ * @param {Function} fn
+ * @returns {Object} - { ran, result }
+ */
+async function runWithLeaderLock(name, { ttlMs, intervalMs }, fn) {
+    const startedAt = new Date();
+    if (!await acquire(name, ttlMs)) {
+        console.log(`[LeaderLock] ${name} already ran or is running on another instance; skipped`);
+        return { ran: false, result: null };
+    }
+
+    try {
+        return { ran: true, result: await fn() };
+    } finally {
+        await release(name, new Date(startedAt.getTime() + intervalMs)).catch(error => {
+            console.error(`[LeaderLock] Failed to release ${name}:`, error.message);
+        });
+    }
+}
+
+module.exports = {
+    INSTANCE_ID,
+    runWithLeaderLock
+};
@@ -0,0 +1,287 @@
+const crypto = require('crypto');
+const { getRazorpay } = require('./razorpayService');
+
+// ==========================================
+// MANDATE PROVIDERS
+// ==========================================
+
+/**
+ * A mandate provider auto-debits EMI installments from the customer's bank
+ * account and takes manual installment payments. Each provider implements:
+ *
+ *   createMandate({ referenceId, maxAmount, expiresAt, customer })
+ *     → { mandateId, customerId, status, authUrl }
+ *   chargeInstallment({ mandateId, customerId, referenceId, amount, customer })
+ *     → { paymentId, status, failureReason }
+ *   cancelMandate({ mandateId, customerId })
+ *   createPaymentOrder({ referenceId, amount }) → { orderId, amount, currency, keyId }
+ *   verifyPayment({ orderId, paymentId, signature })
+ *     → { verified, paymentId, amount, method }
+ *   verifyWebhook(rawBody, headers) → boolean
+ *   parseWebhook(body, headers)
+ *     → { eventId, event, kind: 'mandate' | 'payment', mandateId, paymentId, referenceId, status, failureReason } | null
+ *
+ * Amounts are in rupees. Mandate status is 'created' (waiting for the
+ * customer to authorise), 'active', 'failed' or 'cancelled'; payment status
+ * is 'processing', 'paid' or 'failed'. referenceId is our id for the
+ * mandate or debit, so the same debit is never charged twice.
+ *
+ * Some providers only issue the final mandate id after the customer
+ * authorises. Their mandate events carry the id createMandate returned as
+ * referenceId, and a null status when only the id changes.
+ *
+ * The active provider is chosen with EMI_MANDATE_PROVIDER. There is no
+ * default: without one, nothing can be collected.
+ */
+const providers = {};
+
+function registerMandateProvider(name, provider) {
+    providers[name] = { name, ...provider };
+}
+
+function getMandateProvider(name) {
+    name = name || process.env.EMI_MANDATE_PROVIDER;
+    if (!name) {
+        throw new Error('No EMI mandate provider configured. Set EMI_MANDATE_PROVIDER in .env');
+    }
+    // The fake marks debits paid without collecting anything, so mandates set
+    // up with it only keep working while it is explicitly switched on
+    if (name === 'fake' && process.env.EMI_MANDATE_PROVIDER !== 'fake') {
+        throw new Error('The fake EMI mandate provider is only available with EMI_MANDATE_PROVIDER=fake');
+    }
+    const provider = providers[name];
+    if (!provider) throw new Error(`Unknown mandate provider "${name}"`);
+    return provider;
+}
+
+function hmacMatches(secret, payload, signature) {
+    if (!secret || !payload || !signature) return false;
+    const expected = Buffer.from(crypto.createHmac('sha256', secret).update(payload).digest('hex'));
+    const received = Buffer.from(String(signature));
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// ------------------------------------------
+// Razorpay (e-mandate recurring payments)
+// ------------------------------------------
+
+// Razorpay token / payment states → ours
+const RAZORPAY_MANDATE_STATUS = {
+    initiated: 'created',
+    confirmed: 'active',
+    rejected: 'failed',
+    cancelled: 'cancelled',
+    paused: 'cancelled'
+};
+
+function razorpayPaymentStatus(payment) {
+    if (payment.status === 'captured') return 'paid';
+    if (payment.status === 'failed') return 'failed';
+    return 'processing';
+}
+
+registerMandateProvider('razorpay', {
+    async createMandate({ referenceId, maxAmount, expiresAt, customer }) {
+        const razorpay = getRazorpay();
+
+        const rzpCustomer = await razorpay.customers.create({
+            name: customer.name,
+            email: customer.email,
+            contact: customer.phone,
+            fail_existing: '0',
+            notes: { userId: customer.id }
+        });
+
+        // Authorisation order: the customer approves the mandate in checkout
+        const order = await razorpay.orders.create({
+            amount: 0,
+            currency: 'INR',
+            method: 'emandate',
+            customer_id: rzpCustomer.id,
+            receipt: referenceId,
+            payment_capture: true,
+            notes: { emiApplicationId: referenceId },
+            token: {
+                auth_type: 'netbanking',
+                max_amount: Math.round(maxAmount * 100), // paise
+                expire_at: Math.floor(expiresAt.getTime() / 1000)
+            }
+        });
+
+        return {
+            // The token id is only known once the customer authorises; until then the order id stands in
+            mandateId: order.id,
+            customerId: rzpCustomer.id,
+            status: 'created',
+            authUrl: null
+        };
+    },
+
+    async chargeInstallment({ mandateId, customerId, referenceId, amount, customer }) {
+        const razorpay = getRazorpay();
+        const order = await razorpay.orders.create({
+            amount: Math.round(amount * 100),
+            currency: 'INR',
+            receipt: referenceId,
+            payment_capture: true,
+            notes: { emiInstallment: referenceId }
+        });
+
+        const payment = await razorpay.payments.createRecurringPayment({
+            email: customer.email,
+            contact: customer.phone,
+            amount: Math.round(amount * 100),
+            currency: 'INR',
+            order_id: order.id,
+            customer_id: customerId,
+            token: mandateId,
+            recurring: '1',
+            notes: { emiInstallment: referenceId }
+        });
+
+        // Debits settle asynchronously; the outcome arrives by webhook
+        return { paymentId: payment.razorpay_payment_id || payment.id || null, status: 'processing', failureReason: null };
+    },
+
+    async cancelMandate({ mandateId, customerId }) {
+        await getRazorpay().customers.deleteToken(customerId, mandateId);
+    },
+
+    async createPaymentOrder({ referenceId, amount }) {
+        const order = await getRazorpay().orders.create({
+            amount: Math.round(amount * 100),
+            currency: 'INR',
+            receipt: referenceId,
+            notes: { emiInstallment: referenceId }
+        });
+        return { orderId: order.id, amount, currency: 'INR', keyId: process.env.RAZORPAY_KEY_ID };
+    },
+
+    async verifyPayment({ orderId, paymentId, signature }) {
+        if (!hmacMatches(process.env.RAZORPAY_KEY_SECRET, `${orderId}|${paymentId}`, signature)) {
+            return { verified: false };
+        }
+
+        // The signature proves checkout finished; the gateway says whether money moved
+        const payment = await getRazorpay().payments.fetch(paymentId);
+        return {
+            verified: payment.order_id === orderId && payment.status === 'captured',
+            paymentId,
+            amount: payment.amount / 100,
+            method: payment.method
+        };
+    },
+
+    verifyWebhook(rawBody, headers) {
+        return hmacMatches(process.env.RAZORPAY_WEBHOOK_SECRET, rawBody, headers['x-razorpay-signature']);
+    },
+
+    parseWebhook(body, headers) {
+        const eventId = headers['x-razorpay-event-id'] || null;
+        const event = String(body.event || '');
+
+        if (event.startsWith('token.')) {
+            const token = body.payload?.token?.entity;
+            if (!token) return null;
+            return {
+                eventId,
+                event,
+                kind: 'mandate',
+                mandateId: token.id,
+                referenceId: null,
+                status: RAZORPAY_MANDATE_STATUS[token.recurring_details?.status || event.split('.')[1]] || null,
+                failureReason: token.recurring_details?.failure_reason || null
+            };
+        }
+
+        if (event === 'payment.captured' || event === 'payment.failed') {
+            const payment = body.payload?.payment?.entity;
+            if (!payment) return null;
+
+            const referenceId = payment.notes?.emiInstallment;
+            if (referenceId) {
+                return {
+                    eventId,
+                    event,
+                    kind: 'payment',
+                    paymentId: payment.id,
+                    referenceId,
+                    status: razorpayPaymentStatus(payment),
+                    failureReason: payment.error_description || null
+                };
+            }
+
+            // The customer authorised a mandate: link the token to its authorisation order.
+            // The bank confirms it later (token.confirmed).
+            if (payment.token_id && payment.order_id) {
+                return {
+                    eventId,
+                    event,
+                    kind: 'mandate',
+                    mandateId: payment.token_id,
+                    referenceId: payment.order_id,
+                    status: event === 'payment.failed' ? 'failed' : null,
+                    failureReason: payment.error_description || null
+                };
+            }
+        }
+
+        return null;
+    }
+});
+
+// ------------------------------------------
+// Local fake (development only, EMI_MANDATE_PROVIDER=fake)
+// ------------------------------------------
+
+/**
+ * Mandates are active at once and debits succeed instantly. Set
+ * EMI_FAKE_DEBIT_FAIL=true to exercise the failure path. Manual payment
+ * signatures and webhooks are HMACs with EMI_FAKE_SECRET.
+ */
+registerMandateProvider('fake', {
+    async createMandate({ referenceId }) {
+        return { mandateId: `fake_mandate_${referenceId}`, customerId: null, status: 'active', authUrl: null };
+    },
+
+    async chargeInstallment({ referenceId }) {
+        if (process.env.EMI_FAKE_DEBIT_FAIL === 'true') {
+            return { paymentId: `fake_pay_${referenceId}`, status: 'failed', failureReason: 'Fake debit failure' };
+        }
+        return { paymentId: `fake_pay_${referenceId}`, status: 'paid', failureReason: null };
+    },
+
+    async cancelMandate() {},
+
+    async createPaymentOrder({ referenceId, amount }) {
+        return { orderId: `fake_order_${referenceId}`, amount, currency: 'INR', keyId: null };
+    },
+
+    async verifyPayment({ orderId, paymentId, signature }) {
+        const verified = hmacMatches(process.env.EMI_FAKE_SECRET, `${orderId}|${paymentId}`, signature);
+        return { verified, paymentId, amount: null, method: 'upi' };
+    },
+
+    verifyWebhook(rawBody, headers) {
+        return hmacMatches(process.env.EMI_FAKE_SECRET, rawBody, headers['x-mandate-signature']);
+    },
+
+    parseWebhook(body) {
+        if (!body.kind || !body.referenceId) return null;
+        return {
+            eventId: body.eventId || null,
+            event: body.event || `${body.kind}.${body.status}`,
+            kind: body.kind,
+            mandateId: body.mandateId || null,
+            paymentId: body.paymentId || null,
+            referenceId: body.referenceId,
+            status: body.status,
+            failureReason: body.failureReason || null
+        };
+    }
+});
+
+module.exports = {
+    registerMandateProvider,
+    getMandateProvider
+};
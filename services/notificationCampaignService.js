@@ -0,0 +1,265 @@
+const Notification = require('../model/notification');
+const NotificationSegment = require('../model/notificationSegment');
+const Order = require('../model/order');
+const Address = require('../model/address');
+const User = require('../model/user');
+const DeviceToken = require('../model/deviceToken');
+const push = require('./pushService');
+const { campaignExclusions } = require('./notificationPreferenceService');
+
+class CampaignError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'CampaignError';
+        this.statusCode = statusCode;
+    }
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A campaign still 'sending' after this was interrupted (e.g. a restart)
+const STALE_SENDING_MS = 30 * 60 * 1000;
+
+// ==========================================
+// AUDIENCES
+// ==========================================
+
+function cityPattern(city) {
+    return new RegExp(`^${city.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+}
+
+/**
+ * Customers whose order history matches a segment's criteria. Only placed
+ * orders count (not cancelled or rejected), each checkout once.
+ *
+ * @returns {Array} - user ids
+ */
+async function segmentUserIds(criteria, now = new Date()) {
+    const match = { parentOrder: null, orderStatus: { $nin: ['cancelled', 'rejected'] } };
+    if (criteria.city) match['shippingAddress.city'] = cityPattern(criteria.city);
+
+    const having = { orders: { $gte: Math.max(criteria.minOrders || 1, 1) } };
+    if (criteria.maxOrders != null) having.orders.$lte = criteria.maxOrders;
+    if (criteria.minSpend != null) having.spend = { $gte: criteria.minSpend };
+    if (criteria.maxSpend != null) having.spend = { ...having.spend, $lte: criteria.maxSpend };
+    if (criteria.orderedWithinDays != null) {
+        having.lastOrderAt = { $gte: new Date(now.getTime() - criteria.orderedWithinDays * DAY_MS) };
+    }
+    if (criteria.inactiveForDays != null) {
+        having.lastOrderAt = { ...having.lastOrderAt, $lt: new Date(now.getTime() - criteria.inactiveForDays * DAY_MS) };
+    }
+
+    const users = await Order.aggregate([
+        { $match: match },
+        { $group: { _id: '$userID', orders: { $sum: 1 }, spend: { $sum: '$totalPrice' }, lastOrderAt: { $max: '$orderDate' } } },
+        { $match: having },
+        { $project: { _id: 1 } }
+    ]);
+    return users.map(user => user._id);
+}
+
+/**
+ * Customers with an address in, and suppliers picking up from, any of the cities.
+ */
+async function cityUserIds(cities) {
+    const patterns = cities.map(cityPattern);
+    const [customers, suppliers] = await Promise.all([
+        Address.distinct('userId', { city: { $in: patterns } }),
+        User.distinct('_id', { role: 'supplier', 'supplierProfile.pickupAddress.city': { $in: patterns } })
+    ]);
+    return [...customers, ...suppliers];
+}
+
+/**
+ * The registered devices a campaign audience covers, as a DeviceToken filter.
+ */
+async function audienceFilter(audience, now = new Date()) {
+    switch (audience.type) {
+        case 'all':
+            return {};
+        case 'users':
+            return { userId: { $in: audience.userIds } };
+        case 'roles':
+            return { role: { $in: audience.roles } };
+        case 'cities':
+            return { userId: { $in: await cityUserIds(audience.cities) } };
+        case 'segment': {
+            const segment = await NotificationSegment.findById(audience.segmentId);
+            if (!segment) throw new CampaignError('Segment not found.', 404);
+            return { userId: { $in: await segmentUserIds(segment.criteria, now) } };
+        }
+        default:
+            throw new CampaignError(`Unknown audience "${audience.type}".`);
+    }
+}
+
+/**
+ * Narrow a campaign's devices to users who accept promotional pushes and
+ * aren't in their quiet hours. Promotions aren't held back for quiet hours:
+ * those users just miss this campaign. Mandatory campaigns (e.g. a
+ * regulatory notice) reach everyone.
+ *
+ * @returns {Object} - { filter, optedOut, quietHours } (user counts left out)
+ */
+async function eligibleFilter(filter, { mandatory = false } = {}, now = new Date()) {
+    if (mandatory) return { filter, optedOut: 0, quietHours: 0 };
+
+    const { optedOut, quiet } = await campaignExclusions('push', now);
+    const excluded = [...optedOut, ...quiet];
+    return {
+        filter: excluded.length ? { $and: [filter, { userId: { $nin: excluded } }] } : filter,
+        optedOut: optedOut.length,
+        quietHours: quiet.length
+    };
+}
+
+/**
+ * How many users and registered devices an audience reaches right now,
+ * after preferences and quiet hours.
+ *
+ * @returns {Object} - { users, devices, optedOut, quietHours }
+ */
+async function previewAudience(audience, { mandatory = false } = {}) {
+    const { filter, optedOut, quietHours } = await eligibleFilter(await audienceFilter(audience), { mandatory });
+
+    const [users, devices] = await Promise.all([
+        DeviceToken.distinct('userId', filter).then(ids => ids.length),
+        DeviceToken.countDocuments(filter)
+    ]);
+    return { users, devices, optedOut, quietHours };
+}
+
+// ==========================================
+// CAMPAIGNS
+// ==========================================
+
+/**
+ * Send a scheduled campaign. It is claimed first (scheduled → sending), so
+ * the cron and an admin can't both send it.
+ *
+ * @returns {Object|null} - the campaign, or null if it wasn't waiting to be sent
+ */
+async function sendCampaign(campaignId, now = new Date()) {
+    const campaign = await Notification.findOneAndUpdate(
+        { _id: campaignId, status: 'scheduled' },
+        { $set: { status: 'sending' } },
+        { new: true }
+    );
+    if (!campaign) return null;
+
+    const message = {
+        title: campaign.title,
+        body: campaign.description,
+        data: campaign.data,
+        imageUrl: campaign.imageUrl
+    };
+
+    try {
+        const audience = await audienceFilter(campaign.audience, now);
+        const { filter, optedOut, quietHours } = await eligibleFilter(audience, { mandatory: campaign.mandatory }, now);
+        const result = await push.sendToDevices(filter, message);
+        campaign.stats = {
+            devices: result.devices,
+            invalidTokens: result.invalidTokens,
+            failedBatches: result.failedBatches,
+            optedOut,
+            quietHours
+        };
+        campaign.notificationId = result.messageIds[0] || undefined;
+        // Partly delivered still counts as sent; the stats show what failed
+        const nothingSent = result.devices > 0 && result.messageIds.length === 0;
+        campaign.status = nothingSent ? 'failed' : 'sent';
+        if (nothingSent) campaign.failureReason = 'Every push batch failed';
+    } catch (error) {
+        Object.assign(campaign, { status: 'failed', failureReason: error.message });
+    }
+
+    campaign.sentAt = new Date();
+    await campaign.save();
+    console.log(`[Campaigns] Campaign ${campaign._id} ${campaign.status}`);
+    return campaign;
+}
+
+/**
+ * Create a campaign and send it now, or at scheduledAt.
+ *
+ * @param {Object} fields - { title, description, imageUrl, data, audience, mandatory, scheduledAt }
+ * @param {string} [adminId]
+ * @returns {Object} - the campaign
+ */
+async function createCampaign(fields, adminId = null) {
+    const audience = fields.audience || { type: 'all' };
+    if (audience.type === 'segment' && !(await NotificationSegment.exists({ _id: audience.segmentId }))) {
+        throw new CampaignError('Segment not found.', 404);
+    }
+
+    const now = new Date();
+    const campaign = await Notification.create({
+        title: fields.title,
+        description: fields.description,
+        imageUrl: fields.imageUrl,
+        data: fields.data || null,
+        audience,
+        mandatory: Boolean(fields.mandatory),
+        status: 'scheduled',
+        scheduledAt: fields.scheduledAt || now,
+        createdBy: adminId
+    });
+
+    if (campaign.scheduledAt <= now) {
+        return (await sendCampaign(campaign._id, now)) || campaign;
+    }
+    return campaign;
+}
+
+/**
+ * Cancel a campaign that hasn't gone out yet.
+ */
+async function cancelCampaign(campaignId) {
+    const campaign = await Notification.findOneAndUpdate(
+        { _id: campaignId, status: 'scheduled' },
+        { $set: { status: 'cancelled' } },
+        { new: true }
+    );
+    if (campaign) return campaign;
+
+    const existing = await Notification.findById(campaignId).select('status');
+    if (!existing) throw new CampaignError('Campaign not found.', 404);
+    throw new CampaignError(`Campaign is already ${existing.status}.`);
+}
+
+/**
+ * Send every campaign whose time has come. Campaigns left 'sending' by a
+ * crashed run are marked failed rather than sent again, since some of their
+ * pushes may already have gone out.
+ *
+ * @returns {Object} - { sent, failed, interrupted }
+ */
+async function runScheduledCampaigns(now = new Date()) {
+    const interrupted = await Notification.updateMany(
+        { status: 'sending', updatedAt: { $lt: new Date(now.getTime() - STALE_SENDING_MS) } },
+        { $set: { status: 'failed', failureReason: 'Interrupted while sending' } }
+    );
+
+    const due = await Notification.find({ status: 'scheduled', scheduledAt: { $lte: now } })
+        .select('_id')
+        .sort({ scheduledAt: 1 });
+
+    const result = { sent: 0, failed: 0, interrupted: interrupted.modifiedCount };
+    for (const { _id } of due) {
+        const campaign = await sendCampaign(_id, now);
+        if (campaign?.status === 'sent') result.sent++;
+        if (campaign?.status === 'failed') result.failed++;
+    }
+    return result;
+}
+
+module.exports = {
+    CampaignError,
+    segmentUserIds,
+    previewAudience,
+    createCampaign,
+    sendCampaign,
+    cancelCampaign,
+    runScheduledCampaigns
+};
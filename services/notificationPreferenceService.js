@@ -0,0 +1,120 @@
+const NotificationPreference = require('../model/notificationPreference');
+
+// Categories users can turn channels off for; account and system
+// notifications (e.g. document expiry) always go out
+const CONFIGURABLE_CATEGORIES = ['order', 'emi', 'promotion'];
+const CHANNELS = ['push', 'sms', 'whatsapp', 'email'];
+
+/**
+ * A user's preferences, or the defaults if they never changed any (not saved).
+ */
+async function getPreferences(userId) {
+    return (await NotificationPreference.findOne({ userId })) || new NotificationPreference({ userId });
+}
+
+/**
+ * Change some of a user's preferences; anything not given is kept.
+ *
+ * @param {string} userId
+ * @param {Object} changes - { categories: { order: { sms: false } }, quietHours: { enabled, start, end, timezone } }
+ * @returns {Object} - the saved preferences
+ */
+async function updatePreferences(userId, { categories = {}, quietHours = {} }) {
+    const $set = {};
+    for (const [category, channels] of Object.entries(categories)) {
+        for (const [channel, enabled] of Object.entries(channels)) {
+            $set[`categories.${category}.${channel}`] = enabled;
+        }
+    }
+    for (const [field, value] of Object.entries(quietHours)) {
+        $set[`quietHours.${field}`] = value;
+    }
+
+    return NotificationPreference.findOneAndUpdate(
+        { userId },
+        { $set },
+        { new: true, upsert: true, setDefaultsOnInsert: true, runValidators: true }
+    );
+}
+
+function channelAllowed(preferences, category, channel) {
+    if (!CONFIGURABLE_CATEGORIES.includes(category)) return true;
+    return preferences.categories?.[category]?.[channel] !== false;
+}
+
+function toMinutes(hhmm) {
+    const [hours, minutes] = hhmm.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+// Minutes since local midnight in the given timezone
+function localMinutes(now, timezone) {
+    const parts = new Intl.DateTimeFormat('en-GB', {
+        timeZone: timezone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+    }).formatToParts(now);
+    const part = type => Number(parts.find(p => p.type === type).value);
+    return part('hour') * 60 + part('minute');
+}
+
+/**
+ * When the user's quiet hours end, if they are in them right now.
+ * Windows may run past midnight (e.g. 22:00–08:00).
+ *
+ * @returns {Date|null} - null when messages can go out now
+ */
+function quietHoursEnd(preferences, now = new Date()) {
+    const quiet = preferences.quietHours;
+    if (!quiet?.enabled) return null;
+
+    const start = toMinutes(quiet.start);
+    const end = toMinutes(quiet.end);
+    if (start === end) return null;
+
+    let current;
+    try {
+        current = localMinutes(now, quiet.timezone || 'Asia/Kolkata');
+    } catch (error) {
+        // An unknown timezone slipped through: don't hold messages back forever
+        return null;
+    }
+
+    const inWindow = start < end
+        ? current >= start && current < end
+        : current >= start || current < end;
+    if (!inWindow) return null;
+
+    const minutesLeft = (end - current + 24 * 60) % (24 * 60);
+    const endsAt = new Date(now.getTime() + minutesLeft * 60 * 1000);
+    endsAt.setSeconds(0, 0);
+    return endsAt;
+}
+
+/**
+ * Users a campaign must leave out right now: those who turned the channel
+ * off for promotions, and those in their quiet hours.
+ *
+ * @returns {Object} - { optedOut: [userId], quiet: [userId] }
+ */
+async function campaignExclusions(channel = 'push', now = new Date()) {
+    const preferences = await NotificationPreference.find({
+        $or: [{ [`categories.promotion.${channel}`]: false }, { 'quietHours.enabled': true }]
+    }).select('userId categories.promotion quietHours').lean();
+
+    const optedOut = [];
+    const quiet = [];
+    for (const preference of preferences) {
+        if (!channelAllowed(preference, 'promotion', channel)) optedOut.push(preference.userId);
+        else if (quietHoursEnd(preference, now)) quiet.push(preference.userId);
+    }
+    return { optedOut, quiet };
+}
+
+module.exports = {
+    CONFIGURABLE_CATEGORIES,
+    CHANNELS,
+    getPreferences,
+    updatePreferences,
+    channelAllowed,
+    quietHoursEnd,
+    campaignExclusions
+};
@@ -0,0 +1,254 @@
+const mongoose = require('mongoose');
+const User = require('../model/user');
+const UserNotification = require('../model/userNotification');
+const { sendSms } = require('./smsService');
+const { sendToUser } = require('./pushService');
+const { getPreferences, channelAllowed, quietHoursEnd } = require('./notificationPreferenceService');
+
+// Inbox category for each notification type
+const TYPE_CATEGORIES = {
+    payment_reminder: 'emi',
+    order_update: 'order',
+    new_order: 'order',
+    document_expiry: 'account',
+    general: 'system'
+};
+
+// Inbox entries are dropped after this unless an expiry is given
+const DEFAULT_TTL_DAYS = 90;
+
+// ==========================================
+// REALTIME
+// ==========================================
+
+// Socket.io server, set at startup. Each user's sockets join `user_<id>`.
+let io = null;
+
+function setIO(ioInstance) {
+    io = ioInstance;
+}
+
+function emitToUser(userId, event, payload) {
+    if (io) io.to(`user_${userId}`).emit(event, payload);
+}
+
+// Not yet expired; the TTL index removes expired entries only about once a minute
+function activeFilter(userId, now = new Date()) {
+    return { userId, $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] };
+}
+
+async function emitUnreadCount(userId) {
+    if (!io) return;
+    try {
+        emitToUser(userId, 'notification_unread_count', await countUnread(userId));
+    } catch (error) {
+        console.error(`[Notifications] Unread count for user ${userId} failed:`, error.message);
+    }
+}
+
+// ==========================================
+// SENDING
+// ==========================================
+
+/**
+ * Send one notification on one channel.
+ *
+ * @returns {Object} - { status, error }
+ */
+async function deliver(userId, channel, { title, body, data, link }) {
+    try {
+        if (channel === 'push') {
+            const push = await sendToUser(userId, { title, body, data: link ? { ...data, link } : data });
+            if (!push.devices) return { status: 'skipped', error: 'No registered devices' };
+            if (push.failedBatches) return { status: 'failed', error: 'Push provider request failed' };
+            return { status: 'sent' };
+        }
+        if (channel === 'sms') {
+            const user = await User.findById(userId).select('phone').lean();
+            if (!user?.phone) return { status: 'skipped', error: 'No phone number' };
+            return { status: await sendSms(user.phone, `${title}: ${body}`) ? 'sent' : 'failed' };
+        }
+        // WhatsApp and email can be chosen in preferences but aren't wired to a sender yet
+        return { status: 'skipped', error: `${channel} delivery not available` };
+    } catch (error) {
+        return { status: 'failed', error: error.message };
+    }
+}
+
+/**
+ * Notify a user: the message always lands in their in-app inbox (and is
+ * pushed to their open sockets), and is also sent on each of the requested
+ * channels. A failed channel is recorded on the notification, not thrown.
+ *
+ * Channels the user turned off for the category are skipped, and during
+ * their quiet hours the rest are deferred (see sendDeferredDeliveries).
+ * Mandatory messages — ones regulation requires us to send, like EMI
+ * default notices — ignore both.
+ *
+ * @param {string} userId
+ * @param {Object} message - { type, category, title, body, data, link, expiresAt }
+ * @param {Object} [options]
+ * @param {Array} [options.channels] - any of 'push', 'sms', 'whatsapp', 'email'
+ * @param {boolean} [options.mandatory] - bypass preferences and quiet hours
+ * @returns {Object} - the inbox notification
+ */
+async function notifyUser(userId, message, { channels = ['push'], mandatory = false } = {}) {
+    const { type = 'general', title, body, data = null, link = null } = message;
+    const category = message.category || TYPE_CATEGORIES[type] || 'system';
+    const expiresAt = message.expiresAt || new Date(Date.now() + DEFAULT_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+    const preferences = mandatory ? null : await getPreferences(userId);
+    const quietUntil = preferences ? quietHoursEnd(preferences) : null;
+    const deliveries = [];
+
+    for (const channel of channels) {
+        if (preferences && !channelAllowed(preferences, category, channel)) {
+            deliveries.push({ channel, status: 'skipped', error: 'Turned off by user', sentAt: new Date() });
+        } else if (quietUntil) {
+            deliveries.push({ channel, status: 'deferred', sentAt: null });
+        } else {
+            deliveries.push({ channel, ...(await deliver(userId, channel, { title, body, data, link })), sentAt: new Date() });
+        }
+    }
+
+    const deferred = deliveries.some(delivery => delivery.status === 'deferred');
+    const notification = await UserNotification.create({
+        userId, type, category, title, description: body, data, link, expiresAt, deliveries,
+        deliverAfter: deferred ? quietUntil : null
+    });
+
+    emitToUser(userId, 'new_notification', notification.toObject());
+    await emitUnreadCount(userId);
+    return notification;
+}
+
+/**
+ * Send deliveries held back by quiet hours that have since ended. Each
+ * notification is claimed before sending so two servers can't both send it.
+ * Preferences are checked again in case the user changed them meanwhile.
+ *
+ * @returns {Object} - { notifications, sent, skipped, failed }
+ */
+async function sendDeferredDeliveries(now = new Date()) {
+    const result = { notifications: 0, sent: 0, skipped: 0, failed: 0 };
+
+    for (;;) {
+        const notification = await UserNotification.findOneAndUpdate(
+            // $type matches the partial index, which only holds deferred notifications
+            { deliverAfter: { $type: 'date', $lte: now } },
+            { $set: { deliverAfter: null } },
+            { new: true, sort: { deliverAfter: 1 } }
+        );
+        if (!notification) break;
+        result.notifications++;
+
+        const expired = notification.expiresAt && notification.expiresAt <= now;
+        const preferences = await getPreferences(notification.userId);
+        const message = { title: notification.title, body: notification.description, data: notification.data, link: notification.link?.screen ? notification.link : null };
+
+        for (const delivery of notification.deliveries.filter(d => d.status === 'deferred')) {
+            let outcome;
+            if (expired) {
+                outcome = { status: 'skipped', error: 'Expired before quiet hours ended' };
+            } else if (!channelAllowed(preferences, notification.category, delivery.channel)) {
+                outcome = { status: 'skipped', error: 'Turned off by user' };
+            } else {
+                outcome = await deliver(notification.userId, delivery.channel, message);
+            }
+            Object.assign(delivery, { status: outcome.status, error: outcome.error, sentAt: new Date() });
+            result[outcome.status]++;
+        }
+        await notification.save();
+    }
+    return result;
+}
+
+// ==========================================
+// INBOX
+// ==========================================
+
+/**
+ * A page of a user's inbox, newest first.
+ *
+ * @param {string} userId
+ * @param {Object} [query] - { category, unread, page, limit }
+ * @returns {Object} - { notifications, pagination }
+ */
+async function listInbox(userId, { category, unread, page = 1, limit = 20 } = {}) {
+    const filter = activeFilter(userId);
+    if (category) filter.category = category;
+    if (unread !== undefined) filter.isRead = !unread;
+
+    const [notifications, total] = await Promise.all([
+        UserNotification.find(filter)
+            .select('-deliveries')
+            .sort({ createdAt: -1, _id: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit),
+        UserNotification.countDocuments(filter)
+    ]);
+
+    return { notifications, pagination: { page, limit, total, pages: Math.ceil(total / limit) } };
+}
+
+/**
+ * Unread notifications in a user's inbox, in total and per category.
+ *
+ * @returns {Object} - { total, byCategory: { order: 2, ... } }
+ */
+async function countUnread(userId) {
+    // aggregate() doesn't cast, so the id must already be an ObjectId
+    const filter = { ...activeFilter(new mongoose.Types.ObjectId(String(userId))), isRead: false };
+
+    const groups = await UserNotification.aggregate([
+        { $match: filter },
+        { $group: { _id: '$category', count: { $sum: 1 } } }
+    ]);
+
+    const byCategory = Object.fromEntries(groups.map(group => [group._id, group.count]));
+    return { total: groups.reduce((sum, group) => sum + group.count, 0), byCategory };
+}
+
+/**
+ * Mark one of a user's notifications read.
+ *
+ * @returns {Object|null} - the notification, or null if it isn't theirs
+ */
+async function markRead(userId, notificationId) {
+    const marked = await UserNotification.findOneAndUpdate(
+        { _id: notificationId, userId, isRead: false },
+        { $set: { isRead: true, readAt: new Date() } },
+        { new: true }
+    ).select('-deliveries');
+    if (marked) {
+        await emitUnreadCount(userId);
+        return marked;
+    }
+
+    // Already read (or not theirs)
+    return UserNotification.findOne({ _id: notificationId, userId }).select('-deliveries');
+}
+
+/**
+ * Mark every unread notification read, optionally only in one category.
+ *
+ * @returns {number} - how many were marked
+ */
+async function markAllRead(userId, { category } = {}) {
+    const filter = { userId, isRead: false };
+    if (category) filter.category = category;
+
+    const result = await UserNotification.updateMany(filter, { $set: { isRead: true, readAt: new Date() } });
+    if (result.modifiedCount) await emitUnreadCount(userId);
+    return result.modifiedCount;
+}
+
+module.exports = {
+    setIO,
+    notifyUser,
+    sendDeferredDeliveries,
+    listInbox,
+    countUnread,
+    markRead,
+    markAllRead
+};
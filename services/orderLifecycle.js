@@ -0,0 +1,334 @@
+const Order = require('../model/order');
+const OrderHistory = require('../model/orderHistory');
+const { releaseCoupon } = require('./couponService');
+const { releaseStock } = require('./stockService');
+const { recordDeliveredOrder } = require('./supplierLedgerService');
+const { invoiceDeliveredOrder } = require('./invoiceService');
+const { notifyUser } = require('./notificationService');
+
+// ==========================================
+// LEGAL TRANSITIONS
+// ==========================================
+
+/**
+ * orderStatus tracks the merchant side of the order:
+ * supplier accepts → preparing → ready → picked up by our driver → delivered.
+ * Shiprocket orders skip the local pickup steps and go straight to shipped.
+ */
+const ORDER_STATUS_TRANSITIONS = {
+    pending: ['processing', 'accepted', 'preparing', 'shipped', 'cancelled', 'rejected'],
+    processing: ['accepted', 'preparing', 'shipped', 'cancelled', 'rejected'],
+    accepted: ['preparing', 'shipped', 'cancelled'],
+    preparing: ['ready', 'shipped', 'cancelled'],
+    ready: ['picked_up', 'shipped', 'cancelled'],
+    picked_up: ['shipped', 'delivered'],
+    shipped: ['delivered', 'cancelled'],
+    delivered: [],
+    cancelled: [],
+    rejected: []
+};
+
+/**
+ * deliveryStatus tracks the courier side: either one of our drivers
+ * (ACCEPTED → REACHED_PICKUP → PICKED_UP → OUT_FOR_DELIVERY) or a
+ * Shiprocket shipment (CREATED → SHIPPED → IN_TRANSIT → OUT_FOR_DELIVERY).
+ */
+const DELIVERY_STATUS_TRANSITIONS = {
+    PENDING: ['CREATED', 'ACCEPTED', 'CANCELLED'],
+    CREATED: ['ACCEPTED', 'SHIPPED', 'IN_TRANSIT', 'OUT_FOR_DELIVERY', 'DELIVERED', 'CANCELLED'],
+    ACCEPTED: ['REACHED_PICKUP', 'PICKED_UP', 'CANCELLED'],
+    REACHED_PICKUP: ['PICKED_UP', 'CANCELLED'],
+    PICKED_UP: ['OUT_FOR_DELIVERY', 'IN_TRANSIT', 'DELIVERED'],
+    SHIPPED: ['IN_TRANSIT', 'OUT_FOR_DELIVERY', 'DELIVERED', 'CANCELLED'],
+    IN_TRANSIT: ['OUT_FOR_DELIVERY', 'DELIVERED', 'CANCELLED'],
+    OUT_FOR_DELIVERY: ['IN_TRANSIT', 'DELIVERED'],
+    DELIVERED: [],
+    CANCELLED: []
+};
+
+const TRANSITIONS = {
+    orderStatus: ORDER_STATUS_TRANSITIONS,
+    deliveryStatus: DELIVERY_STATUS_TRANSITIONS
+};
+
+// Terminal states in which the customer didn't get the order
+const CANCELLED_STATUSES = ['cancelled', 'rejected'];
+
+const INITIAL_STATUS = {
+    orderStatus: 'pending',
+    deliveryStatus: 'PENDING'
+};
+
+// What the customer is told (inbox + push) when their order reaches these
+// statuses; upper case ones are delivery statuses
+const CUSTOMER_UPDATES = {
+    accepted: ['Order accepted', 'Your order #{id} has been accepted and will be prepared soon.'],
+    picked_up: ['Order picked up', 'Your order #{id} has been picked up and is on its way.'],
+    shipped: ['Order shipped', 'Your order #{id} has been shipped.'],
+    delivered: ['Order delivered', 'Your order #{id} has been delivered. Enjoy!'],
+    cancelled: ['Order cancelled', 'Your order #{id} has been cancelled.'],
+    rejected: ['Order rejected', 'Your order #{id} could not be accepted by the seller.'],
+    OUT_FOR_DELIVERY: ['Out for delivery', 'Your order #{id} is out for delivery.']
+};
+
+class OrderTransitionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'OrderTransitionError';
+        this.statusCode = 400;
+    }
+}
+
+/**
+ * Check whether a status field may move from one value to another.
+ * Staying on the same value is always allowed (and is a no-op).
+ */
+function canTransition(field, from, to) {
+    const table = TRANSITIONS[field];
+    if (!table) return false;
+    const current = from || INITIAL_STATUS[field];
+    if (current === to) return true;
+    return (table[current] || []).includes(to);
+}
+
+/**
+ * Throw an OrderTransitionError if the move is not legal.
+ */
+function assertTransition(field, from, to) {
+    if (!TRANSITIONS[field]) {
+        throw new OrderTransitionError(`Unknown status field "${field}".`);
+    }
+    if (!Object.prototype.hasOwnProperty.call(TRANSITIONS[field], to)) {
+        throw new OrderTransitionError(`"${to}" is not a valid ${field}.`);
+    }
+    if (!canTransition(field, from, to)) {
+        throw new OrderTransitionError(`Cannot change ${field} from "${from || INITIAL_STATUS[field]}" to "${to}".`);
+    }
+}
+
+// ==========================================
+// APPLYING TRANSITIONS
+// ==========================================
+
+/**
+ * Move an order to new statuses, persist it and append the audit trail.
+ *
+ * Any other field changes made on the document before calling are saved in
+ * the same write. The save is conditional on the statuses still being what
+ * we read, so two concurrent actors cannot both move the same order.
+ *
+ * @param {Object} order - Mongoose Order document
+ * @param {Object} changes - { orderStatus?, deliveryStatus? }
+ * @param {Object} meta - { actor, role, reason }
+ * @returns {Object} - the saved order
+ */
+async function transition(order, changes, meta = {}) {
+    const { actor = null, role = 'system', reason = null } = meta;
+    if (order.isParentOrder) {
+        throw new OrderTransitionError('This order is split across suppliers. Update its sub-orders instead.');
+    }
+
+    const entries = [];
+    const guard = {};
+
+    const fields = Object.keys(TRANSITIONS).filter(field => changes[field] !== undefined && changes[field] !== null);
+
+    // Validate everything before touching the document
+    fields.forEach(field => assertTransition(field, order[field], changes[field]));
+
+    for (const field of fields) {
+        const from = order[field];
+        const to = changes[field];
+        if (from === to) continue;
+
+        // Older orders may not have the field stored yet (schema default only)
+        guard[field] = from === INITIAL_STATUS[field] ? { $in: [from, null] } : from;
+        order[field] = to;
+        entries.push({ orderId: order._id, field, from: from || null, to, actor, role, reason });
+    }
+
+    order.$where = guard;
+    try {
+        await order.save();
+    } catch (error) {
+        // Put the statuses back so a retry (or a plain save) doesn't write them
+        entries.forEach(entry => { order[entry.field] = entry.from || INITIAL_STATUS[entry.field]; });
+        if (error.name === 'DocumentNotFoundError') {
+            throw new OrderTransitionError('Order status was changed by someone else. Please refresh and try again.');
+        }
+        throw error;
+    } finally {
+        order.$where = undefined;
+    }
+
+    if (entries.length > 0) {
+        // Rejected or cancelled orders give their stock back
+        if (CANCELLED_STATUSES.includes(changes.orderStatus)) {
+            try {
+                await releaseStock(order);
+            } catch (error) {
+                console.error(`[OrderLifecycle] Failed to release stock for order ${order._id}:`, error.message);
+            }
+        }
+
+        // Delivered orders earn the supplier a payout and get a tax invoice
+        if (changes.orderStatus === 'delivered') {
+            try {
+                await recordDeliveredOrder(order);
+            } catch (error) {
+                console.error(`[OrderLifecycle] Failed to record supplier earnings for order ${order._id}:`, error.message);
+            }
+            try {
+                await invoiceDeliveredOrder(order);
+            } catch (error) {
+                console.error(`[OrderLifecycle] Failed to issue invoice for order ${order._id}:`, error.message);
+            }
+        }
+
+        try {
+            await OrderHistory.insertMany(entries);
+        } catch (error) {
+            console.error(`[OrderLifecycle] Failed to record history for order ${order._id}:`, error.message);
+        }
+
+        for (const entry of entries) {
+            await notifyCustomer(order, entry.to);
+        }
+
+        if (order.parentOrder) {
+            try {
+                await syncParentStatus(order.parentOrder);
+            } catch (error) {
+                console.error(`[OrderLifecycle] Failed to roll up parent ${order.parentOrder}:`, error.message);
+            }
+        } else if (CANCELLED_STATUSES.includes(changes.orderStatus)) {
+            await releaseCouponSafely(order);
+        }
+    }
+
+    return order;
+}
+
+/**
+ * Derive a parent order's status from its sub-orders.
+ *
+ * The parent is not fulfilled itself, so it only moves between coarse states:
+ * unchanged while every sub-order is still waiting on its supplier,
+ * 'processing' once any is in progress, 'delivered' when every live sub-order
+ * is delivered, and 'cancelled'/'rejected' when none are left.
+ */
+async function syncParentStatus(parentId) {
+    const parent = await Order.findById(parentId).select('orderStatus deliveryStatus userID couponCode parentOrder');
+    if (!parent) return;
+
+    const subOrders = await Order.find({ parentOrder: parentId }).select('orderStatus');
+    if (subOrders.length === 0) return;
+
+    const statuses = subOrders.map(sub => sub.orderStatus);
+    const live = statuses.filter(status => !CANCELLED_STATUSES.includes(status));
+
+    let orderStatus = parent.orderStatus;
+    let deliveryStatus = parent.deliveryStatus;
+    if (live.length === 0) {
+        orderStatus = statuses.every(status => status === 'rejected') ? 'rejected' : 'cancelled';
+        deliveryStatus = 'CANCELLED';
+    } else if (live.every(status => status === 'delivered')) {
+        orderStatus = 'delivered';
+        deliveryStatus = 'DELIVERED';
+    } else if (!live.every(status => status === 'pending' || status === 'processing')) {
+        orderStatus = 'processing';
+    }
+
+    const entries = [];
+    if (orderStatus !== parent.orderStatus) {
+        entries.push({ orderId: parentId, field: 'orderStatus', from: parent.orderStatus, to: orderStatus, role: 'system', reason: 'Rolled up from sub-orders' });
+    }
+    if (deliveryStatus !== parent.deliveryStatus) {
+        entries.push({ orderId: parentId, field: 'deliveryStatus', from: parent.deliveryStatus, to: deliveryStatus, role: 'system', reason: 'Rolled up from sub-orders' });
+    }
+    if (entries.length === 0) return;
+
+    await Order.updateOne({ _id: parentId }, { orderStatus, deliveryStatus });
+    await OrderHistory.insertMany(entries);
+
+    if (CANCELLED_STATUSES.includes(orderStatus)) {
+        parent.orderStatus = orderStatus;
+        await releaseCouponSafely(parent);
+    }
+}
+
+/**
+ * Tell the customer about a status change they care about. Like the other
+ * side effects, a failure is only logged.
+ */
+async function notifyCustomer(order, status) {
+    const update = CUSTOMER_UPDATES[status];
+    if (!update || !order.userID) return;
+
+    const orderId = (order.parentOrder || order._id).toString();
+    const shortId = order._id.toString().slice(-8).toUpperCase();
+    try {
+        await notifyUser(order.userID._id || order.userID, {
+            type: 'order_update',
+            title: update[0],
+            body: update[1].replace('{id}', shortId),
+            data: { orderId: order._id.toString(), status },
+            link: { screen: 'order', params: { orderId } }
+        });
+    } catch (error) {
+        console.error(`[OrderLifecycle] Failed to notify customer about order ${order._id}:`, error.message);
+    }
+}
+
+/**
+ * Hand the coupon back once the whole order is cancelled. A failure here
+ * must not undo the status change, so it is only logged.
+ */
+async function releaseCouponSafely(order) {
+    try {
+        await releaseCoupon(order);
+    } catch (error) {
+        console.error(`[OrderLifecycle] Failed to release coupon for order ${order._id}:`, error.message);
+    }
+}
+
+/**
+ * Like transition(), but illegal moves are logged and skipped instead of thrown.
+ * Used for external feeds (courier webhooks, tracking polls) that may arrive
+ * out of order.
+ *
+ * @returns {boolean} - true if the order was updated
+ */
+async function tryTransition(order, changes, meta = {}) {
+    try {
+        await transition(order, changes, meta);
+        return true;
+    } catch (error) {
+        if (error instanceof OrderTransitionError) {
+            console.warn(`[OrderLifecycle] Ignored transition for order ${order._id}: ${error.message}`);
+            return false;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Full status history for an order, oldest first.
+ */
+async function getTimeline(orderId) {
+    return OrderHistory.find({ orderId })
+        .populate('actor', 'name role')
+        .sort({ createdAt: 1, _id: 1 });
+}
+
+module.exports = {
+    ORDER_STATUS_TRANSITIONS,
+    DELIVERY_STATUS_TRANSITIONS,
+    OrderTransitionError,
+    canTransition,
+    assertTransition,
+    transition,
+    tryTransition,
+    syncParentStatus,
+    getTimeline
+};
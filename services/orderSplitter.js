@@ -0,0 +1,150 @@
+const Order = require('../model/order');
+
+/**
+ * Group order items by the supplier that fulfils them.
+ * Items without a supplier are kept together under an empty key.
+ *
+ * @param {Array} items - order items
+ * @returns {Map<string, Array>} - supplierId → items
+ */
+function groupItemsBySupplier(items) {
+    const groups = new Map();
+    for (const item of items || []) {
+        const key = item.supplierId ? item.supplierId.toString() : '';
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(item);
+    }
+    return groups;
+}
+
+/**
+ * Split an amount across weights, working in paise so the parts always
+ * add back up to the original amount (the last part takes the remainder).
+ *
+ * @param {number} amount - rupees
+ * @param {number[]} weights
+ * @returns {number[]} - rupees per weight
+ */
+function allocate(amount, weights) {
+    const totalPaise = Math.round((amount || 0) * 100);
+    const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+    let remaining = totalPaise;
+
+    return weights.map((weight, index) => {
+        if (index === weights.length - 1) return remaining / 100;
+        const share = totalWeight > 0
+            ? Math.round(totalPaise * weight / totalWeight)
+            : Math.round(totalPaise / weights.length);
+        remaining -= share;
+        return share / 100;
+    });
+}
+
+/**
+ * Create one fulfilment sub-order per supplier for a saved order.
+ *
+ * Single-supplier orders are left untouched and fulfilled directly. For
+ * multi-supplier orders the original document becomes the parent: it keeps
+ * the payment (Razorpay order, totals) and the customer-facing view, while
+ * each sub-order goes through its own supplier accept/ready lifecycle and
+ * driver assignment.
+ *
+ * @param {Object} parent - saved Mongoose Order document
+ * @param {Object} [options]
+ * @param {Object} [options.shippingCharges] - supplierId → delivery charge for that sub-order
+ * @returns {Array} - created sub-orders (empty if no split was needed)
+ */
+async function splitOrder(parent, options = {}) {
+    const groups = groupItemsBySupplier(parent.items);
+    if (groups.size <= 1) return [];
+
+    const supplierIds = [...groups.keys()];
+    const totals = parent.orderTotal || {};
+
+    const subtotals = supplierIds.map(sid =>
+        groups.get(sid).reduce((sum, item) => sum + item.price * item.quantity, 0)
+    );
+    const packagingCharges = supplierIds.map(sid =>
+        groups.get(sid).reduce((sum, item) => sum + (item.packagingCharge || 0) * item.quantity, 0)
+    );
+
+    // Order-level amounts are shared out by each supplier's share of the subtotal
+    const discounts = allocate(totals.discount || 0, subtotals);
+    const handlingCharges = allocate(parent.handlingCharge || 0, subtotals);
+    const convenienceFees = allocate(parent.convenienceFee || 0, subtotals);
+    const shippingCharges = options.shippingCharges
+        ? supplierIds.map(sid => options.shippingCharges[sid] || 0)
+        : allocate(parent.shippingCharge || 0, supplierIds.map(() => 1));
+
+    // Each sub-order holds (and later releases) the stock for its own items
+    const reservation = parent.stockReservation || {};
+    const reservationLines = reservation.lines || [];
+
+    const subOrderDocs = supplierIds.map((sid, index) => {
+        const subtotal = subtotals[index];
+        const discount = discounts[index];
+        const shippingCharge = shippingCharges[index];
+        const handlingCharge = handlingCharges[index];
+        const convenienceFee = convenienceFees[index];
+        const packagingCharge = packagingCharges[index];
+        const total = subtotal - discount + shippingCharge + handlingCharge + convenienceFee + packagingCharge;
+
+        return {
+            userID: parent.userID,
+            parentOrder: parent._id,
+            items: groups.get(sid).map(item => (item.toObject ? item.toObject() : item)),
+            totalPrice: total,
+            shippingAddress: parent.shippingAddress,
+            paymentMethod: parent.paymentMethod,
+            paymentStatus: parent.paymentStatus,
+            couponCode: parent.couponCode,
+            orderStatus: parent.orderStatus,
+            deliveryStatus: parent.deliveryStatus,
+            shippingCharge,
+            handlingCharge,
+            convenienceFee,
+            orderTotal: { subtotal, discount, shippingCharge, handlingCharge, convenienceFee, packagingCharge, total },
+            stockReservation: {
+                status: reservation.status || 'none',
+                expiresAt: reservation.expiresAt || null,
+                lines: reservationLines
+                    .filter(line => (line.supplierId ? line.supplierId.toString() : '') === sid)
+                    .map(line => (line.toObject ? line.toObject() : line))
+            }
+        };
+    });
+
+    const subOrders = await Order.insertMany(subOrderDocs);
+
+    parent.isParentOrder = true;
+    parent.subOrders = subOrders.map(sub => sub._id);
+    parent.stockReservation = { status: 'none', expiresAt: null, lines: [] };
+    await parent.save();
+
+    return subOrders;
+}
+
+/**
+ * The orders suppliers and drivers actually work on: the sub-orders of a
+ * split order, or the order itself when it was never split.
+ */
+async function getFulfilmentOrders(order) {
+    if (!order.isParentOrder) return [order];
+    return Order.find({ parentOrder: order._id });
+}
+
+/**
+ * Mirror payment fields from a parent onto all of its sub-orders.
+ */
+async function syncSubOrders(parent, update) {
+    if (!parent.isParentOrder) return;
+    await Order.updateMany({ parentOrder: parent._id }, update);
+}
+
+module.exports = {
+    groupItemsBySupplier,
+    allocate,
+    splitOrder,
+    getFulfilmentOrders,
+    syncSubOrders
+};
@@ -0,0 +1,131 @@
+const Order = require('../model/order');
+const { getFulfilmentOrders, syncSubOrders } = require('./orderSplitter');
+const { redeemCoupon, releaseCoupon } = require('./couponService');
+const { commitStock, releaseStock } = require('./stockService');
+const { refundOrder } = require('./refundService');
+const { notifyUser } = require('./notificationService');
+
+/**
+ * Push a newly placed order to each supplier's room (Zomato flow: supplier accepts first)
+ * and leave it in their notification inbox, so it isn't lost while they're offline.
+ * Split orders send every supplier only their own sub-order.
+ */
+async function notifySuppliers(io, order) {
+    const fulfilmentOrders = await getFulfilmentOrders(order);
+    for (const fulfilmentOrder of fulfilmentOrders) {
+        const populatedOrder = await Order.findById(fulfilmentOrder._id)
+            .populate('userID', 'name email phone')
+            .populate('items.productID', 'name primaryImage images');
+        const supplierIds = [...new Set(fulfilmentOrder.items.map(i => i.supplierId?.toString()).filter(Boolean))];
+        for (const sid of supplierIds) {
+            if (io) io.to(`supplier_${sid}`).emit('new_supplier_order', populatedOrder.toObject());
+            try {
+                await notifyUser(sid, {
+                    type: 'new_order',
+                    title: 'New order received',
+                    body: `Order #${fulfilmentOrder._id.toString().slice(-8).toUpperCase()} is waiting for you to accept it.`,
+                    data: { orderId: fulfilmentOrder._id.toString() },
+                    link: { screen: 'supplier_order', params: { orderId: fulfilmentOrder._id.toString() } }
+                });
+            } catch (error) {
+                console.error(`Failed to notify supplier ${sid} about order ${fulfilmentOrder._id}:`, error.message);
+            }
+        }
+    }
+}
+
+/**
+ * Mark an order paid and hand it to its suppliers.
+ *
+ * Both the client-side verify call and the Razorpay webhook end up here, in
+ * either order. The update only applies if the order isn't paid yet, so the
+ * second caller is a no-op.
+ *
+ * @returns {Object|null} - the paid order, or null if it was already paid
+ */
+async function markOrderPaid(orderId, { razorpayPaymentId, razorpaySignature }, io) {
+    const update = { paymentStatus: 'paid', razorpayPaymentId };
+    if (razorpaySignature) update.razorpaySignature = razorpaySignature;
+
+    const previous = await Order.findOneAndUpdate(
+        { _id: orderId, paymentStatus: { $ne: 'paid' } },
+        { $set: update }
+    );
+    if (!previous) return null;
+
+    const order = await Order.findById(orderId);
+    await syncSubOrders(order, { paymentStatus: 'paid', razorpayPaymentId });
+
+    // Captured after the order had already expired: give the money back
+    if (order.orderStatus === 'cancelled') {
+        try {
+            await refundOrder(order, { reason: 'Payment received after the order expired' });
+        } catch (error) {
+            console.error(`Refund for late payment on cancelled order ${order._id} failed:`, error.message);
+        }
+        return order;
+    }
+
+    await commitStock(order);
+
+    // A payment that was reported failed can still be captured later;
+    // take the coupon back that the failure released
+    if (previous.paymentStatus === 'failed' && order.couponCode) {
+        try {
+            await redeemCoupon(order.couponCode, order.userID);
+        } catch (error) {
+            console.error(`Coupon could not be re-applied to late-paid order ${order._id}:`, error.message);
+        }
+    }
+
+    // Notify supplier via socket (Zomato flow)
+    try {
+        await notifySuppliers(io, order);
+    } catch (e) {
+        console.error('Supplier notification failed:', e.message);
+    }
+
+    return order;
+}
+
+/**
+ * Record a failed payment attempt on an unpaid order. The order stays
+ * awaiting payment with its stock and coupon held, since the customer can
+ * retry on the same Razorpay order; the expiry cron fails it if they don't.
+ *
+ * @returns {Object|null} - the order, or null if it isn't awaiting payment
+ */
+async function recordPaymentFailure(orderId, { razorpayPaymentId, code, description } = {}) {
+    return Order.findOneAndUpdate(
+        { _id: orderId, paymentStatus: { $in: ['created', 'pending'] }, paymentMethod: { $ne: 'cod' } },
+        { $set: { lastPaymentFailure: { razorpayPaymentId, code, description, failedAt: new Date() } } },
+        { new: true }
+    );
+}
+
+/**
+ * Mark an unpaid order's payment as failed and give back its coupon and stock.
+ * Paid orders are never downgraded.
+ *
+ * @returns {Object|null} - the failed order, or null if nothing changed
+ */
+async function markOrderFailed(orderId) {
+    const order = await Order.findOneAndUpdate(
+        { _id: orderId, paymentStatus: { $in: ['created', 'pending'] }, paymentMethod: { $ne: 'cod' } },
+        { $set: { paymentStatus: 'failed' } },
+        { new: true }
+    );
+    if (!order) return null;
+
+    await syncSubOrders(order, { paymentStatus: 'failed' });
+    await releaseCoupon(order);
+    await releaseStock(order);
+    return order;
+}
+
+module.exports = {
+    notifySuppliers,
+    markOrderPaid,
+    recordPaymentFailure,
+    markOrderFailed
+};
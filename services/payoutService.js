@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const axios = require('axios');
+
+// ==========================================
+// PAYOUT PROVIDERS
+// ==========================================
+
+/**
+ * A payout provider sends money to a bank account. Each provider implements:
+ *
+ *   createPayout({ referenceId, amount, bankDetails, beneficiaryName, narration })
+ *     → { payoutId, status, utr, failureReason }
+ *   verifyWebhook(rawBody, headers) → boolean
+ *   parseWebhook(body, headers) → { eventId, event, payoutId, referenceId, status, utr, failureReason } | null
+ *
+ * amount is in rupees. status is normalised to 'processing', 'processed' or
+ * 'failed'. referenceId is our id for the payout and doubles as the
+ * idempotency key, so creating the same payout twice only pays once.
+ *
+ * The active provider is chosen with PAYOUT_PROVIDER (default: 'manual', so
+ * nothing is marked paid until a real transfer is confirmed).
+ */
+const providers = {};
+
+function registerPayoutProvider(name, provider) {
+    providers[name] = { name, ...provider };
+}
+
+function getPayoutProvider(name = process.env.PAYOUT_PROVIDER || 'manual') {
+    const provider = providers[name];
+    if (!provider) throw new Error(`Unknown payout provider "${name}"`);
+    return provider;
+}
+
+function hmacMatches(secret, rawBody, signature) {
+    if (!secret || !rawBody || !signature) return false;
+    const expected = Buffer.from(crypto.createHmac('sha256', secret).update(rawBody).digest('hex'));
+    const received = Buffer.from(String(signature));
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// ------------------------------------------
+// RazorpayX
+// ------------------------------------------
+
+const RAZORPAYX_API_BASE = process.env.RAZORPAYX_API_BASE || 'https://api.razorpay.com/v1';
+
+// RazorpayX payout states → ours
+const RAZORPAYX_STATUS = {
+    queued: 'processing',
+    pending: 'processing',
+    processing: 'processing',
+    processed: 'processed',
+    reversed: 'failed',
+    cancelled: 'failed',
+    rejected: 'failed',
+    failed: 'failed'
+};
+
+function razorpayxStatus(payout) {
+    return RAZORPAYX_STATUS[payout.status] || 'processing';
+}
+
+function razorpayxFailureReason(payout) {
+    if (razorpayxStatus(payout) !== 'failed') return null;
+    return payout.status_details?.description || payout.failure_reason || `Payout ${payout.status}`;
+}
+
+registerPayoutProvider('razorpayx', {
+    async createPayout({ referenceId, amount, bankDetails, beneficiaryName, narration }) {
+        const keyId = process.env.RAZORPAY_KEY_ID;
+        const keySecret = process.env.RAZORPAY_KEY_SECRET;
+        const accountNumber = process.env.RAZORPAYX_ACCOUNT_NUMBER;
+        if (!keyId || !keySecret || !accountNumber) {
+            throw new Error('RazorpayX not configured. Add RAZORPAY_KEY_ID, RAZORPAY_KEY_SECRET and RAZORPAYX_ACCOUNT_NUMBER to .env');
+        }
+
+        const response = await axios.post(`${RAZORPAYX_API_BASE}/payouts`, {
+            account_number: accountNumber,
+            amount: Math.round(amount * 100), // paise
+            currency: 'INR',
+            mode: 'IMPS',
+            purpose: 'payout',
+            queue_if_low_balance: true,
+            reference_id: referenceId,
+            narration: (narration || 'AsBrand payout').slice(0, 30),
+            fund_account: {
+                account_type: 'bank_account',
+                bank_account: {
+                    name: bankDetails.accountName,
+                    ifsc: bankDetails.ifscCode,
+                    account_number: bankDetails.accountNumber
+                },
+                contact: {
+                    name: beneficiaryName || bankDetails.accountName,
+                    type: 'employee',
+                    reference_id: referenceId
+                }
+            }
+        }, {
+            auth: { username: keyId, password: keySecret },
+            headers: { 'X-Payout-Idempotency': referenceId },
+            timeout: 30000
+        });
+
+        const payout = response.data;
+        return {
+            payoutId: payout.id,
+            status: razorpayxStatus(payout),
+            utr: payout.utr || null,
+            failureReason: razorpayxFailureReason(payout)
+        };
+    },
+
+    verifyWebhook(rawBody, headers) {
+        return hmacMatches(process.env.RAZORPAYX_WEBHOOK_SECRET, rawBody, headers['x-razorpay-signature']);
+    },
+
+    parseWebhook(body, headers) {
+        const payout = body.payload?.payout?.entity;
+        if (!payout || !String(body.event || '').startsWith('payout.')) return null;
+        return {
+            eventId: headers['x-razorpay-event-id'] || null,
+            event: body.event,
+            payoutId: payout.id,
+            referenceId: payout.reference_id || null,
+            status: razorpayxStatus(payout),
+            utr: payout.utr || null,
+            failureReason: razorpayxFailureReason(payout)
+        };
+    }
+});
+
+// ------------------------------------------
+// Manual bank transfers
+// ------------------------------------------
+
+/**
+ * Moves no money itself: the payout stays 'processing' until an admin makes
+ * the transfer and records its UTR (withdrawalService.confirmManualPayout).
+ */
+registerPayoutProvider('manual', {
+    async createPayout({ referenceId }) {
+        return { payoutId: `manual_${referenceId}`, status: 'processing', utr: null, failureReason: null };
+    },
+
+    verifyWebhook() {
+        return false;
+    },
+
+    parseWebhook() {
+        return null;
+    }
+});
+
+// ------------------------------------------
+// Local stub (development only, PAYOUT_PROVIDER=stub)
+// ------------------------------------------
+
+/**
+ * Pays out instantly with a made-up UTR. Set PAYOUT_STUB_FAIL=true to
+ * exercise the failure path. Webhooks are signed with PAYOUT_STUB_WEBHOOK_SECRET.
+ */
+registerPayoutProvider('stub', {
+    async createPayout({ referenceId }) {
+        if (process.env.PAYOUT_STUB_FAIL === 'true') {
+            return { payoutId: `stub_${referenceId}`, status: 'failed', utr: null, failureReason: 'Stub payout failure' };
+        }
+        return {
+            payoutId: `stub_${referenceId}`,
+            status: 'processed',
+            utr: `STUB${Date.now()}`,
+            failureReason: null
+        };
+    },
+
+    verifyWebhook(rawBody, headers) {
+        return hmacMatches(process.env.PAYOUT_STUB_WEBHOOK_SECRET, rawBody, headers['x-payout-signature']);
+    },
+
+    parseWebhook(body) {
+        if (!body.payoutId) return null;
+        return {
+            eventId: body.eventId || null,
+            event: body.event || `payout.${body.status}`,
+            payoutId: body.payoutId,
+            referenceId: body.referenceId || null,
+            status: body.status,
+            utr: body.utr || null,
+            failureReason: body.failureReason || null
+        };
+    }
+});
+
+module.exports = {
+    registerPayoutProvider,
+    getPayoutProvider
+};
@@ -0,0 +1,265 @@
+const mongoose = require('mongoose');
+const Product = require('../model/product');
+const SupplierProduct = require('../model/supplierProduct');
+const User = require('../model/user');
+const Address = require('../model/address');
+const Setting = require('../model/setting');
+const { validateCoupon } = require('./couponService');
+
+class PricingError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PricingError';
+        this.statusCode = 400;
+    }
+}
+
+// Haversine distance in km
+function haversineKm(lat1, lon1, lat2, lon2) {
+    const R = 6371;
+    const dLat = (lat2 - lat1) * Math.PI / 180;
+    const dLon = (lon2 - lon1) * Math.PI / 180;
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+        Math.sin(dLon / 2) ** 2;
+    return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// ==========================================
+// ITEM PRICES
+// ==========================================
+
+/**
+ * Find the SKU a cart variant refers to. The variant is either the SKU id or
+ * its attribute values, e.g. "Black / M".
+ */
+function findSku(skus, variant) {
+    if (!variant || !skus || skus.length === 0) return null;
+    const wanted = variant.split(/[\/,|]/).map(v => v.trim().toLowerCase()).filter(Boolean).sort();
+
+    return skus.find(sku => {
+        if (sku.skuId && sku.skuId === variant) return true;
+        const attributes = sku.attributes instanceof Map
+            ? [...sku.attributes.values()]
+            : Object.values(sku.attributes || {});
+        const values = attributes.map(v => String(v).trim().toLowerCase()).sort();
+        return values.length > 0 && values.length === wanted.length && values.every((v, i) => v === wanted[i]);
+    }) || null;
+}
+
+/**
+ * Re-price cart items from the catalogue. Client prices are ignored.
+ *
+ * The listing comes from the Product itself when the supplier is the one
+ * who created it (or for admin-listed products), otherwise from that
+ * supplier's SupplierProduct mapping. A matching SKU price wins over the
+ * listing's offer/base price.
+ *
+ * @param {Array} rawItems - [{ productID | productId | product, supplierId, quantity, variant }]
+ * @returns {Array} - order items with server-side price, productName and packagingCharge
+ */
+async function priceItems(rawItems) {
+    if (!Array.isArray(rawItems) || rawItems.length === 0) {
+        throw new PricingError('At least one item is required');
+    }
+
+    const requested = rawItems.map(item => ({
+        productID: (item.productID || item.productId || item.product)?.toString(),
+        supplierId: item.supplierId ? item.supplierId.toString() : null,
+        quantity: Number(item.quantity),
+        variant: item.variant || undefined
+    }));
+
+    // Malformed ids are simply not found; database errors go to the caller
+    const productIds = [...new Set(requested.map(item => item.productID).filter(id => mongoose.isValidObjectId(id)))];
+    const [products, listings] = await Promise.all([
+        Product.find({ _id: { $in: productIds } }),
+        SupplierProduct.find({ productId: { $in: productIds }, isActive: true, isApproved: true })
+    ]);
+    const productMap = new Map(products.map(p => [p._id.toString(), p]));
+
+    return requested.map(item => {
+        const product = productMap.get(item.productID);
+        if (!product || product.isActive === false || product.isApproved === false) {
+            throw new PricingError('One or more products in your cart are no longer available.');
+        }
+        if (!Number.isInteger(item.quantity) || item.quantity < 1) {
+            throw new PricingError(`Invalid quantity for ${product.name}.`);
+        }
+
+        const baseSupplierId = product.supplierId ? product.supplierId.toString() : null;
+        let listing = product;
+        if (item.supplierId && item.supplierId !== baseSupplierId) {
+            listing = listings.find(sp =>
+                sp.productId.toString() === item.productID && sp.supplierId.toString() === item.supplierId
+            );
+            if (!listing) {
+                throw new PricingError(`${product.name} is not sold by the selected supplier.`);
+            }
+        }
+
+        const sku = findSku(listing.skus, item.variant);
+        const price = sku && sku.price ? sku.price : (listing.offerPrice || listing.price);
+
+        const priced = {
+            productID: product._id,
+            productName: product.name,
+            quantity: item.quantity,
+            price,
+            variant: item.variant,
+            packagingCharge: product.packagingCharge || 0,
+            hsnCode: product.hsnCode || null,
+            gstRate: product.gstRate ?? null
+        };
+        const supplierId = item.supplierId || baseSupplierId;
+        if (supplierId) priced.supplierId = supplierId;
+        return priced;
+    });
+}
+
+// ==========================================
+// DELIVERY CHARGES
+// ==========================================
+
+/**
+ * Delivery charge for one pickup → drop distance, from the admin tiers:
+ * a flat charge for the first km, a per-km rate from km 2 to 5, and the
+ * over-5km per-km rate beyond that.
+ */
+function deliveryChargeForDistance(distanceKm, settings) {
+    const within1km = settings.deliveryChargeWithin1km ?? 10;
+    const perKm2to5 = settings.deliveryChargePerKm2to5 ?? 9;
+    const over5km = settings.deliveryChargeOver5km ?? 29;
+
+    if (distanceKm <= 1) return within1km;
+    if (distanceKm <= 5) return within1km + perKm2to5 * Math.ceil(distanceKm - 1);
+    return within1km + perKm2to5 * 4 + over5km * Math.ceil(distanceKm - 5);
+}
+
+// Furthest a supplier delivers (see POST /cart/verify-delivery)
+const MAX_DELIVERY_KM = 10;
+
+const hasCoordinates = (place) => place?.latitude != null && place?.longitude != null &&
+    !isNaN(place.latitude) && !isNaN(place.longitude);
+
+/**
+ * Drop coordinates for a shipping address. When the client leaves them off,
+ * the user's saved address with the same pincode and street is used.
+ *
+ * @returns {Object|null} - { latitude, longitude }
+ */
+async function dropCoordinates(shippingAddress, userId) {
+    if (hasCoordinates(shippingAddress)) return shippingAddress;
+    if (!userId || !shippingAddress?.postalCode || !shippingAddress?.street) return null;
+
+    const saved = await Address.findOne({
+        userId,
+        pincode: String(shippingAddress.postalCode).trim(),
+        latitude: { $ne: null },
+        longitude: { $ne: null }
+    }).select('street latitude longitude').lean();
+    const sameStreet = saved && saved.street.trim().toLowerCase() === String(shippingAddress.street).trim().toLowerCase();
+    return sameStreet ? saved : null;
+}
+
+/**
+ * Delivery charge per supplier. Every supplier ships separately, so each pays
+ * for its own pickup → customer distance. A drop point the server can't
+ * locate is charged as the furthest delivery, so leaving coordinates off
+ * never makes an order cheaper; a supplier without pickup coordinates
+ * charges the first-km rate.
+ *
+ * @returns {Object} - supplierId → charge
+ */
+async function getDeliveryCharges(items, shippingAddress, settings, userId = null) {
+    const supplierIds = [...new Set(items.map(item => item.supplierId?.toString()).filter(Boolean))];
+    const [suppliers, drop] = await Promise.all([
+        User.find({ _id: { $in: supplierIds } })
+            .select('_id supplierProfile.pickupAddress.latitude supplierProfile.pickupAddress.longitude')
+            .lean(),
+        dropCoordinates(shippingAddress, userId)
+    ]);
+    const supplierMap = new Map(suppliers.map(s => [s._id.toString(), s]));
+
+    const charges = {};
+    const keys = supplierIds.length > 0 ? supplierIds : [''];
+    for (const sid of keys) {
+        const pickup = supplierMap.get(sid)?.supplierProfile?.pickupAddress;
+        let distanceKm = 0;
+        if (!drop) {
+            distanceKm = MAX_DELIVERY_KM;
+        } else if (hasCoordinates(pickup)) {
+            distanceKm = haversineKm(pickup.latitude, pickup.longitude, drop.latitude, drop.longitude);
+        }
+        charges[sid] = deliveryChargeForDistance(distanceKm, settings);
+    }
+    return charges;
+}
+
+// ==========================================
+// QUOTE
+// ==========================================
+
+/**
+ * Full price breakdown for a checkout. This is exactly what the order is charged,
+ * and is used both for POST /cart/quote and when the order is created.
+ *
+ * @param {Object} params
+ * @param {Array} params.items - cart items (client prices ignored)
+ * @param {Object} [params.shippingAddress] - latitude/longitude, or a saved address's pincode and street
+ * @param {string} [params.couponCode] - Coupon _id
+ * @param {string} params.userId
+ * @returns {Object} - { items, subtotal, discount, shippingCharge, shippingCharges, handlingCharge, packagingCharge, convenienceFee, total }
+ */
+async function buildQuote({ items: rawItems, shippingAddress, couponCode, userId }) {
+    const items = await priceItems(rawItems);
+    const settings = await Setting.findOne() || {};
+
+    let subtotal = 0;
+    let packagingCharge = 0;
+    for (const item of items) {
+        subtotal += item.price * item.quantity;
+        packagingCharge += item.packagingCharge * item.quantity;
+    }
+
+    let discount = 0;
+    if (couponCode) {
+        ({ discount } = await validateCoupon({ couponId: couponCode, userId, items, subtotal }));
+    }
+
+    const shippingCharges = await getDeliveryCharges(items, shippingAddress, settings, userId);
+    const shippingCharge = Object.values(shippingCharges).reduce((sum, charge) => sum + charge, 0);
+    const handlingCharge = settings.handlingCharge ?? 5;
+
+    // Convenience fee = Razorpay fee (2%) + 18% GST on that fee
+    const razorpayFeePercent = settings.razorpayFeePercent ?? 2;
+    const baseAmount = subtotal + shippingCharge + handlingCharge + packagingCharge;
+    const razorpayCharge = baseAmount * razorpayFeePercent / 100;
+    const gstOnRazorpay = razorpayCharge * 18 / 100;
+    const convenienceFee = Math.round(razorpayCharge + gstOnRazorpay);
+
+    const total = round2(subtotal - discount + shippingCharge + handlingCharge + packagingCharge + convenienceFee);
+
+    return {
+        items,
+        subtotal: round2(subtotal),
+        discount,
+        shippingCharge,
+        shippingCharges,
+        handlingCharge,
+        packagingCharge: round2(packagingCharge),
+        convenienceFee,
+        total
+    };
+}
+
+module.exports = {
+    PricingError,
+    findSku,
+    priceItems,
+    deliveryChargeForDistance,
+    getDeliveryCharges,
+    buildQuote
+};
@@ -0,0 +1,187 @@
+const OneSignal = require('onesignal-node');
+const DeviceToken = require('../model/deviceToken');
+
+// ==========================================
+// PUSH PROVIDERS
+// ==========================================
+
+/**
+ * A push provider delivers notifications to app installs. Each implements:
+ *
+ *   sendToDevices(tokens, message) → { messageId, invalidTokens }
+ *   getDeliveryStats(messageId) → { successful, failed, errored, converted }
+ *
+ * message is { title, body, data, imageUrl }. tokens are the ids devices
+ * registered with (see model/deviceToken.js); invalidTokens lists the ones
+ * the provider no longer recognises (app uninstalled), which are then
+ * deleted. Everything goes to registered devices, never a provider-side
+ * segment, so users' notification preferences can be applied.
+ *
+ * The active provider is chosen with PUSH_PROVIDER (default: 'onesignal').
+ */
+const providers = {};
+
+function registerPushProvider(name, provider) {
+    providers[name] = { name, ...provider };
+}
+
+function getPushProvider(name = process.env.PUSH_PROVIDER || 'onesignal') {
+    const provider = providers[name];
+    if (!provider) throw new Error(`Unknown push provider "${name}"`);
+    return provider;
+}
+
+// ------------------------------------------
+// OneSignal (tokens are OneSignal subscription / player ids)
+// ------------------------------------------
+
+// Lazy OneSignal initialization (prevents crash if keys missing)
+let oneSignal = null;
+
+function getOneSignal() {
+    if (!oneSignal) {
+        const appId = process.env.ONE_SIGNAL_APP_ID;
+        const apiKey = process.env.ONE_SIGNAL_REST_API_KEY;
+        if (!appId || !apiKey) {
+            throw new Error('OneSignal not configured. Add ONE_SIGNAL_APP_ID and ONE_SIGNAL_REST_API_KEY to .env');
+        }
+        oneSignal = new OneSignal.Client(appId, apiKey);
+    }
+    return oneSignal;
+}
+
+function oneSignalBody({ title, body, data, imageUrl }) {
+    return {
+        headings: { en: title },
+        contents: { en: body },
+        ...(data && { data }),
+        ...(imageUrl && { big_picture: imageUrl })
+    };
+}
+
+registerPushProvider('onesignal', {
+    async sendToDevices(tokens, message) {
+        const response = await getOneSignal().createNotification({
+            ...oneSignalBody(message),
+            include_player_ids: tokens
+        });
+        // errors is either { invalid_player_ids: [...] } or a list of messages
+        // (e.g. when none of the devices are subscribed any more)
+        const errors = response.body.errors;
+        return {
+            messageId: response.body.id || null,
+            invalidTokens: Array.isArray(errors?.invalid_player_ids) ? errors.invalid_player_ids : []
+        };
+    },
+
+    async getDeliveryStats(messageId) {
+        const response = await getOneSignal().viewNotification(messageId);
+        const android = response.body.platform_delivery_stats?.android || {};
+        return {
+            successful: android.successful || 0,
+            failed: android.failed || 0,
+            errored: android.errored || 0,
+            converted: android.converted || 0
+        };
+    }
+});
+
+// ------------------------------------------
+// Recording stub (development / tests)
+// ------------------------------------------
+
+/**
+ * Sends nothing; keeps every push in memory for getRecordedPushes().
+ * Tokens starting with "invalid_" are reported as invalid.
+ */
+const recordedPushes = [];
+
+registerPushProvider('recording', {
+    async sendToDevices(tokens, message) {
+        const messageId = `recorded_${recordedPushes.length + 1}`;
+        recordedPushes.push({ messageId, tokens: [...tokens], ...message, sentAt: new Date() });
+        return { messageId, invalidTokens: tokens.filter(token => token.startsWith('invalid_')) };
+    },
+
+    async getDeliveryStats(messageId) {
+        const push = recordedPushes.find(p => p.messageId === messageId);
+        return { successful: push?.tokens?.length || 0, failed: 0, errored: 0, converted: 0 };
+    }
+});
+
+function getRecordedPushes() {
+    return recordedPushes;
+}
+
+function clearRecordedPushes() {
+    recordedPushes.length = 0;
+}
+
+// ==========================================
+// SENDING
+// ==========================================
+
+// Most providers cap the devices per request (OneSignal: 2000)
+const PUSH_BATCH_SIZE = 1000;
+
+/**
+ * Push a message to every registered device matching a DeviceToken filter,
+ * in batches. A failed batch is counted and logged, not thrown, so one bad
+ * batch doesn't stop the rest. Tokens the provider rejects are deleted.
+ *
+ * @param {Object} filter - DeviceToken query, e.g. { userId } or { role: { $in: roles } }
+ * @param {Object} message - { title, body, data, imageUrl }
+ * @returns {Object} - { devices, invalidTokens, failedBatches, messageIds }
+ */
+async function sendToDevices(filter, message) {
+    const provider = getPushProvider();
+    const result = { devices: 0, invalidTokens: 0, failedBatches: 0, messageIds: [] };
+
+    const sendBatch = async (tokens) => {
+        try {
+            const { messageId, invalidTokens } = await provider.sendToDevices(tokens, message);
+            if (messageId) result.messageIds.push(messageId);
+            if (invalidTokens.length) {
+                await DeviceToken.deleteMany({ token: { $in: invalidTokens } });
+                result.invalidTokens += invalidTokens.length;
+            }
+        } catch (error) {
+            result.failedBatches++;
+            console.error(`[Push] Batch of ${tokens.length} devices failed:`, error.message);
+        }
+    };
+
+    let batch = [];
+    for await (const device of DeviceToken.find(filter).select('token').lean().cursor()) {
+        batch.push(device.token);
+        result.devices++;
+        if (batch.length === PUSH_BATCH_SIZE) {
+            await sendBatch(batch);
+            batch = [];
+        }
+    }
+    if (batch.length) await sendBatch(batch);
+
+    return result;
+}
+
+/**
+ * Push to one user's registered devices.
+ */
+function sendToUser(userId, message) {
+    return sendToDevices({ userId }, message);
+}
+
+function getDeliveryStats(messageId) {
+    return getPushProvider().getDeliveryStats(messageId);
+}
+
+module.exports = {
+    registerPushProvider,
+    getPushProvider,
+    getRecordedPushes,
+    clearRecordedPushes,
+    sendToDevices,
+    sendToUser,
+    getDeliveryStats
+};
@@ -0,0 +1,20 @@
+const Razorpay = require('razorpay');
+
+// Lazy Razorpay initialization (prevents crash if keys missing)
+let razorpay = null;
+
+function getRazorpay() {
+    if (!razorpay) {
+        const keyId = process.env.RAZORPAY_KEY_ID;
+        const keySecret = process.env.RAZORPAY_KEY_SECRET;
+
+        if (!keyId || !keySecret || keyId.includes('YOUR_KEY')) {
+            throw new Error('Razorpay keys not configured. Add RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET to .env');
+        }
+
+        razorpay = new Razorpay({ key_id: keyId, key_secret: keySecret });
+    }
+    return razorpay;
+}
+
+module.exports = { getRazorpay };
@@ -0,0 +1,221 @@
+const Order = require('../model/order');
+const { getRazorpay } = require('./razorpayService');
+const { getFulfilmentOrders, syncSubOrders } = require('./orderSplitter');
+const { recordRefunds } = require('./supplierLedgerService');
+
+class RefundError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'RefundError';
+        this.statusCode = statusCode;
+    }
+}
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Charge the refund to the suppliers' payout ledger. The refund itself has
+ * already gone through, so a failure here is only logged.
+ */
+async function chargeSuppliers(paymentOrder) {
+    try {
+        await recordRefunds(paymentOrder);
+    } catch (error) {
+        console.error(`[Refund] Failed to charge refund to suppliers for order ${paymentOrder._id}:`, error.message);
+    }
+}
+
+/**
+ * How much the customer has actually paid on an order: the full total once an
+ * online payment is captured, or the cash collected on delivered COD orders
+ * (per sub-order for split orders).
+ */
+async function getAmountPaid(order) {
+    if (order.paymentMethod !== 'cod') {
+        return ['paid', 'partially_refunded', 'refunded'].includes(order.paymentStatus) ? order.totalPrice : 0;
+    }
+    const fulfilmentOrders = await getFulfilmentOrders(order);
+    return round2(fulfilmentOrders
+        .filter(fo => fo.orderStatus === 'delivered')
+        .reduce((sum, fo) => sum + (fo.totalPrice || 0), 0));
+}
+
+function paymentStatusFor(order, refundedAmount) {
+    return refundedAmount >= order.totalPrice ? 'refunded' : 'partially_refunded';
+}
+
+/**
+ * Refund all or part of an order.
+ *
+ * Prepaid orders are refunded through Razorpay against razorpayPaymentId.
+ * COD orders have no gateway payment, so the refund is recorded as a manual
+ * payout: processed if finance has already sent it (payoutReference), else
+ * pending until confirmManualRefund.
+ *
+ * The refund amount is reserved on the order with a conditional update
+ * before the gateway is called, so two refund requests can't together
+ * exceed what was paid.
+ *
+ * @param {Object} order - Order document; sub-orders are refunded against their parent's payment
+ * @param {Object} [options]
+ * @param {number} [options.amount] - rupees; defaults to everything still refundable (or the sub-order total)
+ * @param {string} [options.reason]
+ * @param {string} [options.actor] - User id of whoever issued the refund
+ * @param {string} [options.payoutReference] - UTR / UPI reference when a manual payout was already sent
+ * @returns {Object} - { order, refund }
+ */
+async function refundOrder(order, options = {}) {
+    const { reason = null, actor = null, payoutReference = null } = options;
+
+    // The parent holds the payment for split orders
+    const subOrder = order.parentOrder ? order : null;
+    const paymentOrder = subOrder ? await Order.findById(order.parentOrder) : order;
+    if (!paymentOrder) throw new RefundError('Order not found', 404);
+
+    const isCod = paymentOrder.paymentMethod === 'cod';
+    if (!isCod && !paymentOrder.razorpayPaymentId) {
+        throw new RefundError('This order has no captured payment to refund.');
+    }
+
+    const amountPaid = await getAmountPaid(paymentOrder);
+    const refundable = round2(amountPaid - (paymentOrder.refundedAmount || 0));
+    const amount = round2(options.amount ?? (subOrder ? Math.min(subOrder.totalPrice, refundable) : refundable));
+
+    if (!(amount > 0)) throw new RefundError('Nothing left to refund on this order.');
+    if (amount > refundable) {
+        throw new RefundError(`Refund amount exceeds the refundable balance of ₹${refundable}.`);
+    }
+
+    // Reserve the amount first so concurrent refunds can't over-refund
+    const reserved = await Order.findOneAndUpdate(
+        { _id: paymentOrder._id, refundedAmount: { $lte: round2(amountPaid - amount) } },
+        { $inc: { refundedAmount: amount } },
+        { new: true }
+    );
+    if (!reserved) throw new RefundError('Another refund is in progress for this order. Please try again.', 409);
+
+    const refund = {
+        amount,
+        method: isCod ? 'manual' : 'razorpay',
+        status: 'pending',
+        reason,
+        subOrder: subOrder ? subOrder._id : null,
+        payoutReference,
+        initiatedBy: actor
+    };
+
+    try {
+        if (!isCod) {
+            const gatewayRefund = await getRazorpay().payments.refund(paymentOrder.razorpayPaymentId, {
+                amount: Math.round(amount * 100), // paise
+                notes: {
+                    orderId: paymentOrder._id.toString(),
+                    reason: reason || ''
+                }
+            });
+            refund.refundId = gatewayRefund.id;
+            if (gatewayRefund.status === 'processed') {
+                refund.status = 'processed';
+                refund.processedAt = new Date();
+            }
+        } else if (payoutReference) {
+            // Manual payout already sent by finance
+            refund.status = 'processed';
+            refund.processedAt = new Date();
+        }
+    } catch (error) {
+        await Order.updateOne({ _id: paymentOrder._id }, { $inc: { refundedAmount: -amount } });
+        const message = error.error?.description || error.message;
+        throw new RefundError(`Refund failed: ${message}`, 502);
+    }
+
+    const paymentStatus = paymentStatusFor(reserved, reserved.refundedAmount);
+    const updated = await Order.findByIdAndUpdate(
+        paymentOrder._id,
+        { $push: { refunds: refund }, $set: { paymentStatus } },
+        { new: true }
+    );
+    await syncSubOrders(updated, { paymentStatus });
+    await chargeSuppliers(updated);
+
+    return { order: updated, refund: updated.refunds[updated.refunds.length - 1] };
+}
+
+/**
+ * Apply a Razorpay refund.processed / refund.failed notification.
+ * Refunds started from the Razorpay dashboard aren't on the order yet and are added.
+ *
+ * @param {Object} gatewayRefund - Razorpay refund entity
+ * @param {string} status - 'processed' or 'failed'
+ * @returns {Object|null} - the updated order, or null if the payment isn't ours
+ */
+async function applyGatewayRefundStatus(gatewayRefund, status) {
+    const order = await Order.findOne({ razorpayPaymentId: gatewayRefund.payment_id, parentOrder: null });
+    if (!order) return null;
+
+    const amount = round2(gatewayRefund.amount / 100);
+    const existing = order.refunds.find(r => r.refundId === gatewayRefund.id);
+
+    if (existing) {
+        if (existing.status === status) return order;
+        if (status === 'failed' && existing.status !== 'failed') {
+            order.refundedAmount = round2(Math.max(0, order.refundedAmount - existing.amount));
+        }
+        existing.status = status;
+        existing.processedAt = status === 'processed' ? new Date() : existing.processedAt;
+    } else {
+        if (status !== 'processed') return order;
+        order.refunds.push({
+            refundId: gatewayRefund.id,
+            amount,
+            method: 'razorpay',
+            status,
+            reason: 'Refunded from Razorpay dashboard',
+            processedAt: new Date()
+        });
+        order.refundedAmount = round2((order.refundedAmount || 0) + amount);
+    }
+
+    order.paymentStatus = order.refundedAmount > 0 ? paymentStatusFor(order, order.refundedAmount) : 'paid';
+    await order.save();
+    await syncSubOrders(order, { paymentStatus: order.paymentStatus });
+    await chargeSuppliers(order);
+    return order;
+}
+
+/**
+ * Record that finance has sent a pending manual (COD) refund.
+ *
+ * @param {Object} order - Order document; sub-order refunds are held on the parent
+ * @param {string} refundId - the refund's _id
+ * @param {string} payoutReference - UTR / UPI reference of the transfer
+ * @returns {Object} - the updated payment order
+ */
+async function confirmManualRefund(order, refundId, payoutReference) {
+    const paymentOrderId = order.parentOrder || order._id;
+    const updated = await Order.findOneAndUpdate(
+        { _id: paymentOrderId, refunds: { $elemMatch: { _id: refundId, method: 'manual', status: 'pending' } } },
+        {
+            $set: {
+                'refunds.$.status': 'processed',
+                'refunds.$.payoutReference': payoutReference,
+                'refunds.$.processedAt': new Date()
+            }
+        },
+        { new: true }
+    );
+    if (updated) return updated;
+
+    const paymentOrder = await Order.findById(paymentOrderId).select('refunds');
+    const refund = paymentOrder?.refunds.id(refundId);
+    if (!refund) throw new RefundError('Refund not found', 404);
+    throw new RefundError(`This ${refund.method} refund is already ${refund.status}.`, 409);
+}
+
+module.exports = {
+    RefundError,
+    getAmountPaid,
+    refundOrder,
+    applyGatewayRefundStatus,
+    confirmManualRefund
+};
@@ -1,4 +1,5 @@
 const axios = require('axios');
+const orderLifecycle = require('./orderLifecycle');
 
 const API_BASE = process.env.SHIPROCKET_API_BASE || 'https://apiv2.shiprocket.in/v1/external';
 
@@ -183,6 +184,40 @@ async function assignCourier(shipmentId) {
     };
 }
 
+/**
+ * Create a Shiprocket shipment for an order, try to get it a courier, and
+ * record the shipment on the order (deliveryStatus → CREATED).
+ *
+ * @param {Object} order - Order document
+ * @param {Object} meta - { actor, role, reason } for the order history
+ * @returns {Object} - the updated order
+ */
+async function shipOrder(order, meta) {
+    const shipmentResult = await createShipment(order);
+
+    order.deliveryPartner = 'Shiprocket';
+    order.shipmentId = shipmentResult.shipmentId;
+
+    // If AWB was auto-assigned
+    if (shipmentResult.awbCode) {
+        order.awbCode = shipmentResult.awbCode;
+        order.courierName = shipmentResult.courierName;
+        order.trackingUrl = shipmentResult.trackingUrl;
+    } else if (shipmentResult.shipmentId) {
+        // Try to auto-assign courier
+        try {
+            const courierResult = await assignCourier(shipmentResult.shipmentId);
+            order.awbCode = courierResult.awbCode;
+            order.courierName = courierResult.courierName;
+            order.trackingUrl = courierResult.trackingUrl;
+        } catch (courierErr) {
+            console.warn('Auto courier assignment failed, admin can assign manually:', courierErr.message);
+        }
+    }
+
+    return orderLifecycle.transition(order, { deliveryStatus: 'CREATED' }, meta);
+}
+
 /**
  * Get tracking info for a shipment.
  *
@@ -266,7 +301,7 @@ function mapShiprocketStatus(shiprocketStatus) {
         'undelivered': 'OUT_FOR_DELIVERY',
         'rto initiated': 'IN_TRANSIT',
         'rto delivered': 'DELIVERED',
-        'cancelled': 'PENDING'
+        'cancelled': 'CANCELLED'
     };
 
     return statusMap[statusStr] || 'IN_TRANSIT';
@@ -276,6 +311,7 @@ module.exports = {
     getToken,
     createShipment,
     assignCourier,
+    shipOrder,
     getTracking,
     getTrackingByAwb,
     mapShiprocketStatus
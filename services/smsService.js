@@ -37,4 +37,43 @@ async function sendOtpSms(phone, otp) {
     }
 }
 
-module.exports = { sendOtpSms };
+/**
+ * Send a transactional SMS via 2Factor. The text must match a DLT-approved
+ * template registered for TWO_FACTOR_SENDER_ID.
+ * @param {string} phone - 10-digit Indian phone number
+ * @param {string} message - SMS text
+ * @returns {Promise<boolean>} - true if sent successfully
+ */
+async function sendSms(phone, message) {
+    const senderId = process.env.TWO_FACTOR_SENDER_ID;
+    if (!TWO_FACTOR_API_KEY || !senderId) {
+        console.warn('⚠️  TWO_FACTOR_API_KEY / TWO_FACTOR_SENDER_ID not set. SMS logged to console only.');
+        console.log(`\n📱 SMS for ${phone}: ${message}\n`);
+        return true;
+    }
+
+    try {
+        const response = await axios.post('https://2factor.in/API/R1/', new URLSearchParams({
+            module: 'TRANS_SMS',
+            apikey: TWO_FACTOR_API_KEY,
+            to: phone,
+            from: senderId,
+            msg: message
+        }).toString(), {
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            timeout: 15000
+        });
+
+        if (response.data && response.data.Status === 'Success') {
+            console.log(`✅ SMS sent to ${phone} via 2Factor`);
+            return true;
+        }
+        console.error('❌ 2Factor SMS error:', response.data?.Details || response.data);
+        return false;
+    } catch (error) {
+        console.error('❌ 2Factor SMS request failed:', error.response?.data || error.message);
+        return false;
+    }
+}
+
+module.exports = { sendOtpSms, sendSms };
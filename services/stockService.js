@@ -0,0 +1,234 @@
+const Product = require('../model/product');
+const SupplierProduct = require('../model/supplierProduct');
+const Order = require('../model/order');
+const { findSku } = require('./pricingService');
+const { getFulfilmentOrders } = require('./orderSplitter');
+
+// How long an unpaid online order holds its stock
+const RESERVATION_TTL_MINUTES = Number(process.env.STOCK_RESERVATION_TTL_MINUTES) || 15;
+
+const MODELS = { Product, SupplierProduct };
+
+class StockError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'StockError';
+        this.statusCode = 400;
+    }
+}
+
+// ==========================================
+// STOCK LINES
+// ==========================================
+
+/**
+ * Work out which listing (and SKU) each order item draws stock from, using
+ * the same rules as pricing: the Product itself for its own supplier or
+ * admin-listed products, otherwise the supplier's SupplierProduct.
+ *
+ * SKU stock is only checked when the listing actually tracks stock per SKU
+ * (at least one SKU has stock); otherwise the listing quantity is enough.
+ */
+async function resolveLines(items) {
+    const productIds = [...new Set(items.map(item => item.productID.toString()))];
+    const [products, listings] = await Promise.all([
+        Product.find({ _id: { $in: productIds } }).select('name supplierId skus'),
+        SupplierProduct.find({ productId: { $in: productIds } }).select('productId supplierId skus')
+    ]);
+    const productMap = new Map(products.map(p => [p._id.toString(), p]));
+
+    return items.map(item => {
+        const product = productMap.get(item.productID.toString());
+        if (!product) throw new StockError('One or more products in your cart are no longer available.');
+
+        const supplierId = item.supplierId ? item.supplierId.toString() : null;
+        const baseSupplierId = product.supplierId ? product.supplierId.toString() : null;
+
+        let model = 'Product';
+        let listing = product;
+        if (supplierId && supplierId !== baseSupplierId) {
+            model = 'SupplierProduct';
+            listing = listings.find(sp =>
+                sp.productId.toString() === product._id.toString() && sp.supplierId.toString() === supplierId
+            );
+            if (!listing) throw new StockError(`${product.name} is not sold by the selected supplier.`);
+        }
+
+        const tracksSkuStock = (listing.skus || []).some(sku => sku.stock > 0);
+        const sku = tracksSkuStock ? findSku(listing.skus, item.variant) : null;
+
+        return {
+            model,
+            listingId: listing._id,
+            skuId: sku ? sku._id : null,
+            productID: product._id,
+            productName: product.name,
+            supplierId,
+            quantity: item.quantity
+        };
+    });
+}
+
+/**
+ * Take stock for one line. The decrement is conditional on enough stock
+ * being left, so concurrent checkouts can never push it below zero.
+ */
+async function takeLine(line) {
+    const filter = { _id: line.listingId, quantity: { $gte: line.quantity } };
+    const inc = { quantity: -line.quantity };
+    if (line.skuId) {
+        filter.skus = { $elemMatch: { _id: line.skuId, stock: { $gte: line.quantity } } };
+        inc['skus.$.stock'] = -line.quantity;
+    }
+    const result = await MODELS[line.model].updateOne(filter, { $inc: inc });
+    return result.modifiedCount === 1;
+}
+
+async function putBackLine(line) {
+    const filter = { _id: line.listingId };
+    const inc = { quantity: line.quantity };
+    if (line.skuId) {
+        filter['skus._id'] = line.skuId;
+        inc['skus.$.stock'] = line.quantity;
+    }
+    await MODELS[line.model].updateOne(filter, { $inc: inc });
+}
+
+/**
+ * Atomic updates skip the pre-save hooks, so re-save the touched listings to
+ * let them recompute stockStatus. Only stockStatus is written.
+ */
+async function refreshStockStatus(lines) {
+    const seen = new Set();
+    for (const line of lines) {
+        const key = `${line.model}:${line.listingId}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        try {
+            const listing = await MODELS[line.model].findById(line.listingId);
+            if (listing) await listing.save({ validateBeforeSave: false });
+        } catch (error) {
+            console.error(`[Stock] Failed to refresh stock status for ${key}:`, error.message);
+        }
+    }
+}
+
+async function takeLines(lines) {
+    const taken = [];
+    for (const line of lines) {
+        if (!(await takeLine(line))) {
+            await Promise.all(taken.map(putBackLine));
+            throw new StockError(`${line.productName} is out of stock or has fewer items left than requested.`);
+        }
+        taken.push(line);
+    }
+    await refreshStockStatus(lines);
+}
+
+async function putBackLines(lines) {
+    await Promise.all(lines.map(putBackLine));
+    await refreshStockStatus(lines);
+}
+
+// ==========================================
+// ORDER RESERVATIONS
+// ==========================================
+
+/**
+ * Hold stock for a new (not yet saved) order and record it on the order.
+ *
+ * Orders awaiting online payment hold the stock until the reservation
+ * expires; everything else (COD) commits it straight away.
+ *
+ * @param {Object} order - unsaved Order document
+ * @param {Object} [options]
+ * @param {boolean} [options.awaitingPayment]
+ */
+async function reserveStock(order, { awaitingPayment = false } = {}) {
+    const lines = await resolveLines(order.items);
+    await takeLines(lines);
+
+    order.stockReservation = {
+        status: awaitingPayment ? 'reserved' : 'committed',
+        expiresAt: awaitingPayment ? new Date(Date.now() + RESERVATION_TTL_MINUTES * 60 * 1000) : null,
+        lines
+    };
+}
+
+/**
+ * Give back stock taken by reserveStock() for an order that was never saved.
+ */
+async function undoReservation(order) {
+    const lines = order.stockReservation?.lines || [];
+    if (lines.length > 0) await putBackLines(lines);
+}
+
+/**
+ * Make a paid order's stock permanent. If the reservation already lapsed
+ * (payment came in after the TTL), the stock is taken again.
+ */
+async function commitStock(order) {
+    for (const fulfilmentOrder of await getFulfilmentOrders(order)) {
+        const committed = await Order.findOneAndUpdate(
+            { _id: fulfilmentOrder._id, 'stockReservation.status': 'reserved' },
+            { $set: { 'stockReservation.status': 'committed', 'stockReservation.expiresAt': null } }
+        );
+        if (committed) continue;
+
+        const current = await Order.findById(fulfilmentOrder._id).select('orderStatus stockReservation');
+        if (current?.stockReservation?.status !== 'released') continue;
+        if (['cancelled', 'rejected'].includes(current.orderStatus)) continue;
+
+        try {
+            await takeLines(current.stockReservation.lines);
+            await Order.updateOne(
+                { _id: current._id },
+                { $set: { 'stockReservation.status': 'committed', 'stockReservation.expiresAt': null } }
+            );
+        } catch (error) {
+            console.error(`[Stock] Order ${current._id} was paid after its reservation expired and could not be restocked: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Return an order's stock (payment failed, supplier rejected, cancelled).
+ * Safe to call more than once: only the first call puts stock back.
+ */
+async function releaseStock(order) {
+    for (const fulfilmentOrder of await getFulfilmentOrders(order)) {
+        const released = await Order.findOneAndUpdate(
+            { _id: fulfilmentOrder._id, 'stockReservation.status': { $in: ['reserved', 'committed'] } },
+            { $set: { 'stockReservation.status': 'released', 'stockReservation.expiresAt': null } }
+        );
+        if (released) await putBackLines(released.stockReservation.lines);
+    }
+}
+
+/**
+ * Release every reservation whose TTL has passed without payment.
+ *
+ * @returns {number} - reservations released
+ */
+async function releaseExpiredReservations(now = new Date()) {
+    const expired = await Order.find({
+        'stockReservation.status': 'reserved',
+        'stockReservation.expiresAt': { $lte: now },
+        paymentStatus: { $ne: 'paid' }
+    }).select('_id isParentOrder');
+
+    for (const order of expired) {
+        await releaseStock(order);
+    }
+    return expired.length;
+}
+
+module.exports = {
+    RESERVATION_TTL_MINUTES,
+    StockError,
+    reserveStock,
+    undoReservation,
+    commitStock,
+    releaseStock,
+    releaseExpiredReservations
+};
@@ -0,0 +1,417 @@
+const mongoose = require('mongoose');
+const Order = require('../model/order');
+const Setting = require('../model/setting');
+const MerchantSettlement = require('../model/merchantSettlement');
+const SupplierLedgerEntry = require('../model/supplierLedgerEntry');
+const { getFulfilmentOrders } = require('./orderSplitter');
+const { applyCommissions } = require('./commissionService');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Entry amount with its sign from the supplier's point of view
+const SIGNED_AMOUNT = { $cond: [{ $eq: ['$type', 'credit'] }, '$amount', { $multiply: ['$amount', -1] }] };
+
+/**
+ * Insert entries, skipping any already recorded (same idempotency key).
+ */
+async function insertEntries(entries) {
+    if (entries.length === 0) return 0;
+    try {
+        const inserted = await SupplierLedgerEntry.insertMany(entries, { ordered: false });
+        return inserted.length;
+    } catch (error) {
+        const duplicatesOnly = (error.writeErrors || []).every(e => (e.code ?? e.err?.code) === 11000);
+        if (error.code !== 11000 && !duplicatesOnly) throw error;
+        return error.insertedDocs?.length || 0;
+    }
+}
+
+// ==========================================
+// RECORDING
+// ==========================================
+
+/**
+ * Commission on each item as snapshotted when the order was placed. Orders
+ * placed before commissions were snapshotted are charged under the rules
+ * that were in effect on the order date.
+ *
+ * @returns {Array} - commission snapshot per item, same order as order.items
+ */
+async function itemCommissions(order) {
+    if (order.items.every(item => item.commission?.amount != null)) {
+        return order.items.map(item => item.commission);
+    }
+    const items = order.items.map(item => ({
+        productID: item.productID,
+        supplierId: item.supplierId,
+        price: item.price,
+        quantity: item.quantity
+    }));
+    await applyCommissions(items, { at: order.createdAt || new Date() });
+    return order.items.map((item, index) =>
+        item.commission?.amount != null ? item.commission : items[index].commission
+    );
+}
+
+/**
+ * Record a delivered order's supplier earnings: a sale credit and a
+ * commission debit per item. Packaging, delivery and convenience charges are
+ * the platform's, so only the item value counts. Earnings are held for the
+ * return window before they're payable. Safe to call more than once.
+ *
+ * @param {Object} order - delivered order (a sub-order for split checkouts)
+ */
+async function recordDeliveredOrder(order) {
+    if (order.isParentOrder) return;
+
+    const settings = await Setting.findOne() || new Setting();
+    const holdDays = settings.supplierPayoutHoldDays ?? 7;
+    const holdUntil = new Date(Date.now() + holdDays * 24 * 60 * 60 * 1000);
+
+    const commissions = await itemCommissions(order);
+
+    const entries = [];
+    order.items.forEach((item, index) => {
+        if (!item.supplierId) return;
+
+        const gross = round2((item.price || 0) * (item.quantity || 1));
+        if (!(gross > 0)) return;
+        const snapshot = commissions[index];
+        const commission = round2(Math.min(snapshot.amount || 0, gross));
+        // Effective percent, so flat commissions can be returned pro rata on refunds
+        const commissionRate = round2(commission / gross * 100);
+        const common = {
+            supplierId: item.supplierId,
+            orderId: order._id,
+            itemId: item._id,
+            productID: item.productID,
+            productName: item.productName,
+            holdUntil
+        };
+
+        entries.push({
+            ...common,
+            type: 'credit',
+            category: 'sale',
+            amount: gross,
+            commissionRate,
+            idempotencyKey: `sale:${order._id}:${item._id}`,
+            description: `${item.quantity} × ${item.productName}`
+        });
+        if (commission > 0) {
+            entries.push({
+                ...common,
+                type: 'debit',
+                category: 'commission',
+                amount: commission,
+                commissionRate,
+                idempotencyKey: `commission:${order._id}:${item._id}`,
+                description: snapshot.commissionType === 'flat'
+                    ? `₹${snapshot.value} per unit platform commission`
+                    : `${snapshot.value}% platform commission`
+            });
+        }
+    });
+    await insertEntries(entries);
+
+    // Refunds issued before delivery
+    const paymentOrder = order.parentOrder ? await Order.findById(order.parentOrder) : order;
+    if (paymentOrder) await recordRefunds(paymentOrder);
+}
+
+/**
+ * Charge suppliers their share of an order's refunds.
+ *
+ * A refund against a sub-order is borne by that supplier; an order-level
+ * refund is split across the delivered fulfilment orders by item value. The
+ * commission on the refunded share is given back. Refunds that later failed
+ * are reversed. Only orders with recorded sales are charged; refunds before
+ * delivery are picked up when the order is delivered.
+ *
+ * @param {Object} paymentOrder - the order holding the refunds (parent for split orders)
+ */
+async function recordRefunds(paymentOrder) {
+    const refunds = (paymentOrder.refunds || []).filter(refund => refund.amount > 0);
+    if (refunds.length === 0) return;
+
+    const fulfilmentOrders = await getFulfilmentOrders(paymentOrder);
+    const sales = await SupplierLedgerEntry.find({
+        orderId: { $in: fulfilmentOrders.map(fo => fo._id) },
+        category: { $in: ['sale', 'commission'] }
+    });
+
+    // Per fulfilment order: supplier, item value and commission
+    const totals = new Map();
+    for (const entry of sales) {
+        const key = entry.orderId.toString();
+        const total = totals.get(key) || { supplierId: entry.supplierId, gross: 0, commission: 0 };
+        if (entry.category === 'sale') total.gross += entry.amount;
+        else total.commission += entry.amount;
+        totals.set(key, total);
+    }
+    if (totals.size === 0) return;
+
+    const settings = await Setting.findOne() || new Setting();
+    const holdUntil = new Date(Date.now() + (settings.supplierPayoutHoldDays ?? 7) * 24 * 60 * 60 * 1000);
+
+    const entries = [];
+    for (const refund of refunds) {
+        const targets = refund.subOrder
+            ? [refund.subOrder.toString()].filter(id => totals.has(id))
+            : [...totals.keys()];
+        const targetGross = targets.reduce((sum, id) => sum + totals.get(id).gross, 0);
+        if (!(targetGross > 0)) continue;
+
+        for (const orderId of targets) {
+            const { supplierId, gross, commission } = totals.get(orderId);
+            const share = round2(Math.min(gross, refund.amount * gross / targetGross));
+            const commissionBack = round2(share * commission / gross);
+            const common = { supplierId, orderId, refundId: refund._id, holdUntil };
+
+            if (refund.status === 'failed') {
+                // Undo what an earlier, now failed, refund charged
+                const charged = await SupplierLedgerEntry.find({
+                    refundId: refund._id,
+                    orderId,
+                    category: { $in: ['refund', 'commission_reversal'] }
+                });
+                for (const entry of charged) {
+                    entries.push({
+                        ...common,
+                        type: entry.type === 'debit' ? 'credit' : 'debit',
+                        category: 'adjustment',
+                        amount: entry.amount,
+                        idempotencyKey: `reverse:${entry.idempotencyKey}`,
+                        description: 'Refund failed; charge reversed'
+                    });
+                }
+                continue;
+            }
+
+            if (share > 0) {
+                entries.push({
+                    ...common,
+                    type: 'debit',
+                    category: 'refund',
+                    amount: share,
+                    idempotencyKey: `refund:${refund._id}:${orderId}`,
+                    description: refund.reason ? `Refund: ${refund.reason}` : 'Customer refund'
+                });
+            }
+            if (commissionBack > 0) {
+                entries.push({
+                    ...common,
+                    type: 'credit',
+                    category: 'commission_reversal',
+                    amount: commissionBack,
+                    idempotencyKey: `commission_reversal:${refund._id}:${orderId}`,
+                    description: 'Commission returned on refunded amount'
+                });
+            }
+        }
+    }
+    await insertEntries(entries);
+}
+
+/**
+ * Hold (or release) an order's unsettled earnings, e.g. while a dispute is open.
+ *
+ * @returns {number} - entries updated
+ */
+async function setOrderHold(orderId, onHold) {
+    const result = await SupplierLedgerEntry.updateMany(
+        { orderId, settlementId: null },
+        { $set: { onHold } }
+    );
+    return result.modifiedCount;
+}
+
+// ==========================================
+// BALANCES
+// ==========================================
+
+/**
+ * A supplier's balances:
+ * - payable: out of the hold window, waiting for the next weekly settlement
+ * - onHold: still in the return window or held by an admin
+ * - inSettlement: batched into a settlement that hasn't been paid yet
+ * - settled: paid out
+ */
+async function getBalances(supplierId) {
+    const now = new Date();
+    const supplierObjectId = new mongoose.Types.ObjectId(supplierId.toString());
+
+    const [unsettled] = await SupplierLedgerEntry.aggregate([
+        { $match: { supplierId: supplierObjectId, settlementId: null } },
+        {
+            $group: {
+                _id: null,
+                payable: {
+                    $sum: { $cond: [{ $and: [{ $eq: ['$onHold', false] }, { $lte: ['$holdUntil', now] }] }, SIGNED_AMOUNT, 0] }
+                },
+                onHold: {
+                    $sum: { $cond: [{ $and: [{ $eq: ['$onHold', false] }, { $lte: ['$holdUntil', now] }] }, 0, SIGNED_AMOUNT] }
+                }
+            }
+        }
+    ]);
+
+    const [lifetime] = await SupplierLedgerEntry.aggregate([
+        { $match: { supplierId: supplierObjectId } },
+        {
+            $group: {
+                _id: null,
+                grossSales: { $sum: { $cond: [{ $eq: ['$category', 'sale'] }, '$amount', 0] } },
+                netEarnings: { $sum: SIGNED_AMOUNT }
+            }
+        }
+    ]);
+
+    const settlements = await MerchantSettlement.aggregate([
+        { $match: { merchantId: supplierObjectId, settlementType: 'weekly' } },
+        { $group: { _id: '$status', total: { $sum: '$netSettlement' } } }
+    ]);
+    const settlementTotal = (statuses) => settlements
+        .filter(s => statuses.includes(s._id))
+        .reduce((sum, s) => sum + s.total, 0);
+
+    return {
+        grossSales: round2(lifetime?.grossSales || 0),
+        netEarnings: round2(lifetime?.netEarnings || 0),
+        payable: round2(unsettled?.payable || 0),
+        onHold: round2(unsettled?.onHold || 0),
+        inSettlement: round2(settlementTotal(['pending', 'processing'])),
+        settled: round2(settlementTotal(['settled']))
+    };
+}
+
+/**
+ * A supplier's ledger entries, newest first.
+ *
+ * @param {Object} [options] - { from, to, page, limit }
+ */
+async function listEntries(supplierId, { from = null, to = null, page = 1, limit = 50 } = {}) {
+    const query = { supplierId };
+    if (from || to) {
+        query.createdAt = {};
+        if (from) query.createdAt.$gte = new Date(from);
+        if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const [entries, total] = await Promise.all([
+        SupplierLedgerEntry.find(query)
+            .populate('settlementId', 'status settlementDate')
+            .sort({ createdAt: -1, _id: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit),
+        SupplierLedgerEntry.countDocuments(query)
+    ]);
+
+    return { entries, pagination: { page, limit, total, pages: Math.ceil(total / limit) } };
+}
+
+// ==========================================
+// WEEKLY SETTLEMENT
+// ==========================================
+
+/**
+ * Batch a supplier's payable entries into one MerchantSettlement.
+ *
+ * The settlement is created first and entries are claimed onto it with a
+ * conditional update, so two runs can't settle the same entry. If the batch
+ * nets to zero or less (refunds exceeded sales) it is dropped and the
+ * entries carry over to next week.
+ *
+ * @returns {Object|null} - the settlement, or null if nothing was due
+ */
+async function settleSupplier(supplierId, cutoff = new Date()) {
+    const settlement = await MerchantSettlement.create({
+        settlementType: 'weekly',
+        merchantId: supplierId,
+        totalPrice: 0,
+        netSettlement: 0,
+        periodEnd: cutoff,
+        notes: 'Weekly supplier settlement'
+    });
+
+    const claim = { supplierId, settlementId: null, onHold: false, holdUntil: { $lte: cutoff } };
+    await SupplierLedgerEntry.updateMany(claim, { $set: { settlementId: settlement._id } });
+
+    const [totals] = await SupplierLedgerEntry.aggregate([
+        { $match: { settlementId: settlement._id } },
+        {
+            $group: {
+                _id: null,
+                count: { $sum: 1 },
+                net: { $sum: SIGNED_AMOUNT },
+                commission: {
+                    $sum: {
+                        $switch: {
+                            branches: [
+                                { case: { $eq: ['$category', 'commission'] }, then: '$amount' },
+                                { case: { $eq: ['$category', 'commission_reversal'] }, then: { $multiply: ['$amount', -1] } }
+                            ],
+                            default: 0
+                        }
+                    }
+                },
+                refunds: { $sum: { $cond: [{ $eq: ['$category', 'refund'] }, '$amount', 0] } },
+                periodStart: { $min: '$createdAt' }
+            }
+        }
+    ]);
+
+    if (!totals || round2(totals.net) <= 0) {
+        await SupplierLedgerEntry.updateMany({ settlementId: settlement._id }, { $set: { settlementId: null } });
+        await MerchantSettlement.deleteOne({ _id: settlement._id });
+        return null;
+    }
+
+    // netSettlement is derived on save: (sales - refunds + adjustments) - net commission
+    const platformFee = round2(totals.commission);
+    settlement.totalPrice = round2(totals.net + platformFee);
+    settlement.platformFee = platformFee;
+    settlement.refundTotal = round2(totals.refunds);
+    settlement.ledgerEntryCount = totals.count;
+    settlement.periodStart = totals.periodStart;
+    await settlement.save();
+
+    return settlement;
+}
+
+/**
+ * Settle every supplier with payable earnings.
+ *
+ * @returns {Object} - { suppliers, settlements, amount }
+ */
+async function runWeeklySettlement(cutoff = new Date()) {
+    const supplierIds = await SupplierLedgerEntry.distinct('supplierId', {
+        settlementId: null,
+        onHold: false,
+        holdUntil: { $lte: cutoff }
+    });
+
+    const result = { suppliers: supplierIds.length, settlements: 0, amount: 0 };
+    for (const supplierId of supplierIds) {
+        try {
+            const settlement = await settleSupplier(supplierId, cutoff);
+            if (settlement) {
+                result.settlements++;
+                result.amount = round2(result.amount + settlement.netSettlement);
+            }
+        } catch (error) {
+            console.error(`[SupplierLedger] Settlement failed for supplier ${supplierId}:`, error.message);
+        }
+    }
+    return result;
+}
+
+module.exports = {
+    recordDeliveredOrder,
+    recordRefunds,
+    setOrderHold,
+    getBalances,
+    listEntries,
+    settleSupplier,
+    runWeeklySettlement
+};
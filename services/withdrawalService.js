@@ -0,0 +1,286 @@
+const Driver = require('../model/driver');
+const DriverWithdrawal = require('../model/driverWithdrawal');
+const PaymentWebhookEvent = require('../model/paymentWebhookEvent');
+const { getPayoutProvider } = require('./payoutService');
+const { postEntry } = require('./driverWalletService');
+
+class WithdrawalError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'WithdrawalError';
+        this.statusCode = statusCode;
+    }
+}
+
+async function findOrFail(withdrawalId) {
+    const withdrawal = await DriverWithdrawal.findById(withdrawalId);
+    if (!withdrawal) throw new WithdrawalError('Withdrawal not found.', 404);
+    return withdrawal;
+}
+
+/**
+ * Give a rejected or failed withdrawal's amount back to the driver's wallet.
+ * Keyed by withdrawal, so it is credited at most once.
+ */
+function refundToWallet(withdrawal, reason) {
+    return postEntry(withdrawal.driverId, {
+        category: 'withdrawal_reversal',
+        amount: withdrawal.amount,
+        idempotencyKey: `withdrawal_reversal:${withdrawal._id}`,
+        withdrawalId: withdrawal._id,
+        description: reason ? `Withdrawal returned: ${reason}` : 'Withdrawal returned'
+    });
+}
+
+// ==========================================
+// STATUS CHANGES
+// ==========================================
+
+async function completeWithdrawal(withdrawalId, { utr = null } = {}) {
+    const completed = await DriverWithdrawal.findOneAndUpdate(
+        { _id: withdrawalId, status: 'processing' },
+        { $set: { status: 'completed', utr, failureReason: null, processedAt: new Date() } },
+        { new: true }
+    );
+    return completed || DriverWithdrawal.findById(withdrawalId);
+}
+
+/**
+ * Mark a payout failed and re-credit the wallet. Completed payouts can still
+ * fail later (the bank reverses them), so those are accepted too.
+ */
+async function failWithdrawal(withdrawalId, reason) {
+    const failed = await DriverWithdrawal.findOneAndUpdate(
+        { _id: withdrawalId, status: { $in: ['processing', 'completed'] } },
+        { $set: { status: 'failed', failureReason: reason || 'Payout failed', processedAt: new Date() } },
+        { new: true }
+    );
+    if (!failed) return DriverWithdrawal.findById(withdrawalId);
+
+    await refundToWallet(failed, failed.failureReason);
+    return failed;
+}
+
+/**
+ * Apply a payout outcome reported by the provider (on creation or by webhook).
+ */
+async function applyPayoutResult(withdrawalId, { status, utr, failureReason }) {
+    if (status === 'processed') return completeWithdrawal(withdrawalId, { utr });
+    if (status === 'failed') return failWithdrawal(withdrawalId, failureReason);
+    return DriverWithdrawal.findById(withdrawalId);
+}
+
+// ==========================================
+// ADMIN ACTIONS
+// ==========================================
+
+/**
+ * Approve a withdrawal and send the payout.
+ *
+ * The withdrawal is claimed (pending → processing) before the provider is
+ * called, so it can't be paid twice. If the provider can't be reached the
+ * withdrawal stays in processing without a payoutId; approving it again
+ * retries with the same idempotency key.
+ *
+ * @returns {Object} - the updated withdrawal
+ */
+async function approveWithdrawal(withdrawalId, { actor = null } = {}) {
+    const provider = getPayoutProvider();
+
+    const claimed = await DriverWithdrawal.findOneAndUpdate(
+        {
+            _id: withdrawalId,
+            $or: [{ status: 'pending' }, { status: 'processing', payoutId: null }]
+        },
+        {
+            $set: {
+                status: 'processing',
+                payoutProvider: provider.name,
+                failureReason: null,
+                reviewedBy: actor,
+                reviewedAt: new Date()
+            }
+        },
+        { new: true }
+    );
+    if (!claimed) {
+        const withdrawal = await findOrFail(withdrawalId);
+        throw new WithdrawalError(`Withdrawal is already ${withdrawal.status}.`, 409);
+    }
+
+    const driver = await Driver.findById(claimed.driverId).select('fullName');
+
+    let result;
+    try {
+        result = await provider.createPayout({
+            referenceId: claimed._id.toString(),
+            amount: claimed.netAmount,
+            bankDetails: claimed.bankDetails,
+            beneficiaryName: driver?.fullName,
+            narration: 'AsBrand driver payout'
+        });
+    } catch (error) {
+        const httpStatus = error.response?.status;
+        const reason = error.response?.data?.error?.description || error.message;
+
+        // The provider refused the payout outright
+        if (httpStatus >= 400 && httpStatus < 500) {
+            return failWithdrawal(claimed._id, reason);
+        }
+
+        // Outcome unknown; leave it for a retry
+        await DriverWithdrawal.updateOne({ _id: claimed._id }, { $set: { remarks: `Payout attempt failed: ${reason}` } });
+        throw new WithdrawalError(`Payout provider unavailable: ${reason}. Approve again to retry.`, 502);
+    }
+
+    await DriverWithdrawal.updateOne(
+        { _id: claimed._id, payoutId: null },
+        { $set: { payoutId: result.payoutId, utr: result.utr || null } }
+    );
+    return applyPayoutResult(claimed._id, result);
+}
+
+/**
+ * Record the outcome of a manual bank transfer (payout provider 'manual'):
+ * completed with the bank's UTR, or failed and re-credited to the wallet.
+ *
+ * @param {Object} outcome - { utr } or { failureReason }
+ * @returns {Object} - the updated withdrawal
+ */
+async function confirmManualPayout(withdrawalId, { utr, failureReason } = {}) {
+    const withdrawal = await findOrFail(withdrawalId);
+    if (withdrawal.payoutProvider !== 'manual' || withdrawal.status !== 'processing') {
+        throw new WithdrawalError('Only approved manual payouts that are still processing can be confirmed.', 409);
+    }
+    return applyPayoutResult(withdrawal._id, utr
+        ? { status: 'processed', utr }
+        : { status: 'failed', failureReason: failureReason || 'Bank transfer failed' });
+}
+
+/**
+ * Reject a pending withdrawal and put the money back in the driver's wallet.
+ */
+async function rejectWithdrawal(withdrawalId, { actor = null, reason } = {}) {
+    const rejected = await DriverWithdrawal.findOneAndUpdate(
+        { _id: withdrawalId, status: 'pending' },
+        {
+            $set: {
+                status: 'rejected',
+                failureReason: reason,
+                remarks: reason,
+                reviewedBy: actor,
+                reviewedAt: new Date(),
+                processedAt: new Date()
+            }
+        },
+        { new: true }
+    );
+    if (!rejected) {
+        const withdrawal = await findOrFail(withdrawalId);
+        throw new WithdrawalError(`Only pending withdrawals can be rejected. This one is ${withdrawal.status}.`, 409);
+    }
+
+    await refundToWallet(rejected, reason);
+    return rejected;
+}
+
+/**
+ * Approve several withdrawals one after another. One failure doesn't stop the rest.
+ *
+ * @returns {Array} - [{ withdrawalId, success, status, message }]
+ */
+async function processWithdrawals(withdrawalIds, { actor = null } = {}) {
+    const results = [];
+    for (const withdrawalId of withdrawalIds) {
+        try {
+            const withdrawal = await approveWithdrawal(withdrawalId, { actor });
+            results.push({
+                withdrawalId,
+                success: withdrawal.status !== 'failed',
+                status: withdrawal.status,
+                message: withdrawal.failureReason || null
+            });
+        } catch (error) {
+            results.push({ withdrawalId, success: false, status: null, message: error.message });
+        }
+    }
+    return results;
+}
+
+async function listWithdrawals({ status, driverId, page = 1, limit = 20 } = {}) {
+    const query = {};
+    if (status) query.status = status;
+    if (driverId) query.driverId = driverId;
+
+    const [withdrawals, total] = await Promise.all([
+        DriverWithdrawal.find(query)
+            .populate('driverId', 'fullName phone')
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit),
+        DriverWithdrawal.countDocuments(query)
+    ]);
+
+    return {
+        withdrawals,
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+}
+
+// ==========================================
+// WEBHOOK
+// ==========================================
+
+/**
+ * Apply a payout status webhook from the active provider.
+ *
+ * @returns {string} - what happened, for the response message
+ */
+async function handlePayoutWebhook(rawBody, headers, body) {
+    const provider = getPayoutProvider();
+    if (!provider.verifyWebhook(rawBody, headers)) {
+        throw new WithdrawalError('Invalid webhook signature');
+    }
+
+    const update = provider.parseWebhook(body, headers);
+    if (!update) return 'ignored';
+
+    // Providers redeliver on timeouts; handle each event only once
+    if (update.eventId) {
+        try {
+            await PaymentWebhookEvent.create({ eventId: update.eventId, event: update.event });
+        } catch (error) {
+            if (error.code === 11000) return 'already processed';
+            throw error;
+        }
+    }
+
+    try {
+        let withdrawal = await DriverWithdrawal.findOne({ payoutId: update.payoutId });
+        if (!withdrawal && update.referenceId && /^[0-9a-fA-F]{24}$/.test(update.referenceId)) {
+            withdrawal = await DriverWithdrawal.findById(update.referenceId);
+        }
+        if (!withdrawal) return 'unknown payout';
+
+        if (!withdrawal.payoutId) {
+            await DriverWithdrawal.updateOne({ _id: withdrawal._id, payoutId: null }, { $set: { payoutId: update.payoutId } });
+        }
+
+        const updated = await applyPayoutResult(withdrawal._id, update);
+        return `withdrawal ${updated.status}`;
+    } catch (error) {
+        if (update.eventId) await PaymentWebhookEvent.deleteOne({ eventId: update.eventId });
+        throw error;
+    }
+}
+
+module.exports = {
+    WithdrawalError,
+    approveWithdrawal,
+    rejectWithdrawal,
+    processWithdrawals,
+    confirmManualPayout,
+    listWithdrawals,
+    failWithdrawal,
+    handlePayoutWebhook
+};
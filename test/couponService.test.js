@@ -0,0 +1,82 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Coupon = require('../model/couponCode');
+const Order = require('../model/order');
+const User = require('../model/user');
+
+const { redeemCoupon, releaseCoupon } = require('../services/couponService');
+const { query } = require('./helpers');
+
+const userId = new mongoose.Types.ObjectId();
+let user;
+let coupons;
+
+// One user and their coupons; the claims behave like the conditional updates they are
+beforeEach((t) => {
+    user = { firstOrderCoupon: null };
+    coupons = new Map();
+
+    t.mock.method(Coupon, 'findById', (id) => query(coupons.get(id.toString())));
+    t.mock.method(Coupon, 'findOneAndUpdate', async (filter) => {
+        const coupon = coupons.get(filter._id.toString());
+        if (filter.usedBy && coupon.usedBy.includes(userId.toString())) return null;
+        coupon.usedBy.push(userId.toString());
+        return coupon;
+    });
+    t.mock.method(Coupon, 'updateOne', async (filter) => {
+        const coupon = coupons.get(filter._id.toString());
+        coupon.usedBy = coupon.usedBy.filter(id => id !== userId.toString());
+    });
+    t.mock.method(User, 'updateOne', async (filter, update) => {
+        const matches = filter.firstOrderCoupon === null
+            ? user.firstOrderCoupon === null
+            : user.firstOrderCoupon?.toString() === filter.firstOrderCoupon.toString();
+        if (!matches) return { modifiedCount: 0 };
+        user.firstOrderCoupon = update.$set.firstOrderCoupon;
+        return { modifiedCount: 1 };
+    });
+    t.mock.method(Order, 'exists', async () => null);
+});
+
+function coupon(fields) {
+    const doc = { _id: new mongoose.Types.ObjectId(), usedBy: [], ...fields };
+    coupons.set(doc._id.toString(), doc);
+    return doc;
+}
+
+test('two checkouts racing on first-order coupons get one discount between them', async () => {
+    const welcome = coupon({ isFirstOrderOnly: true });
+    const festive = coupon({ isFirstOrderOnly: true });
+
+    const results = await Promise.allSettled([
+        redeemCoupon(welcome._id, userId),
+        redeemCoupon(welcome._id, userId),
+        redeemCoupon(festive._id, userId)
+    ]);
+
+    assert.equal(results.filter(r => r.status === 'fulfilled').length, 1);
+    assert.match(results.find(r => r.status === 'rejected').reason.message, /first order/);
+    assert.equal(user.firstOrderCoupon, welcome._id);
+});
+
+test('a failed or cancelled first order gives the first-order coupon back', async () => {
+    const welcome = coupon({ isFirstOrderOnly: true });
+    await redeemCoupon(welcome._id, userId);
+
+    await releaseCoupon({ _id: new mongoose.Types.ObjectId(), userID: userId, couponCode: welcome._id, parentOrder: null });
+
+    assert.equal(user.firstOrderCoupon, null);
+    assert.deepEqual(welcome.usedBy, []);
+    await redeemCoupon(welcome._id, userId);
+});
+
+test('ordinary coupons leave the first-order claim alone', async () => {
+    const everyday = coupon({});
+
+    await redeemCoupon(everyday._id, userId);
+    await redeemCoupon(everyday._id, userId);
+
+    assert.equal(user.firstOrderCoupon, null);
+});
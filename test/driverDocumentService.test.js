@@ -0,0 +1,49 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+// No RapidAPI key and no KYC_VERIFIER: the production default, unconfigured
+process.env.RAPIDAPI_KEY = '';
+delete process.env.KYC_VERIFIER;
+
+const Driver = require('../model/driver');
+const { submitDocuments } = require('../services/driverDocumentService');
+
+const NUMBERS = { dl: 'MH0120190001234', rc: 'MH01AB1234', pan: 'ABCDE1234F', aadhaar: '234567890124' };
+
+let driver;
+beforeEach(() => {
+    driver = new Driver({
+        userId: new mongoose.Types.ObjectId(),
+        fullName: 'Ravi Kumar',
+        phone: '9876543210',
+        isOnline: true
+    });
+});
+
+test('an unconfigured verifier leaves every document pending for review', async () => {
+    await submitDocuments(driver, { numbers: NUMBERS });
+
+    for (const type of Object.keys(NUMBERS)) {
+        assert.equal(driver.documents[type].status, 'pending', type);
+        assert.match(driver.documents[type].message, /RapidAPI key missing/);
+    }
+});
+
+test('an unconfigured verifier cannot put a driver online', async () => {
+    await submitDocuments(driver, { numbers: NUMBERS });
+
+    assert.equal(driver.documentsVerified, false);
+    assert.equal(driver.dlVerified, false);
+    assert.equal(driver.isOnline, false);
+});
+
+test('the mock verifier is opt-in and verifies everything', async (t) => {
+    process.env.KYC_VERIFIER = 'mock';
+    t.after(() => delete process.env.KYC_VERIFIER);
+
+    await submitDocuments(driver, { numbers: NUMBERS });
+
+    assert.equal(driver.documentsVerified, true);
+    assert.equal(driver.documents.dl.status, 'verified');
+});
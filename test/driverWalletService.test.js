@@ -0,0 +1,115 @@
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Driver = require('../model/driver');
+const DriverWalletEntry = require('../model/driverWalletEntry');
+const { postEntry } = require('../services/driverWalletService');
+const { query } = require('./helpers');
+
+let driver;
+let entries;
+
+beforeEach(() => {
+    driver = { _id: new mongoose.Types.ObjectId(), walletBalance: 100, totalEarnings: 500 };
+    entries = [];
+    mock.restoreAll();
+
+    const isDriver = (filter) => String(filter._id) === String(driver._id);
+    const applyInc = (inc) => {
+        for (const [field, value] of Object.entries(inc)) driver[field] += value;
+    };
+
+    mock.method(Driver, 'findById', (id) => query(String(id) === String(driver._id) ? { ...driver } : null));
+    mock.method(Driver, 'exists', async (filter) => isDriver(filter));
+    mock.method(Driver, 'findOneAndUpdate', async (filter, update) => {
+        if (!isDriver(filter)) return null;
+        if (filter.walletBalance && driver.walletBalance < filter.walletBalance.$gte) return null;
+        applyInc(update.$inc);
+        return { ...driver };
+    });
+    mock.method(Driver, 'updateOne', async (filter, update) => {
+        if (isDriver(filter)) applyInc(update.$inc);
+    });
+
+    mock.method(DriverWalletEntry, 'exists', async ({ driverId }) => entries.some(e => String(e.driverId) === String(driverId)));
+    mock.method(DriverWalletEntry, 'findOne', async ({ idempotencyKey }) => entries.find(e => e.idempotencyKey === idempotencyKey) || null);
+    mock.method(DriverWalletEntry, 'create', async (fields) => {
+        if (entries.some(e => e.idempotencyKey === fields.idempotencyKey)) {
+            throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+        }
+        entries.push(fields);
+        return fields;
+    });
+});
+
+const posted = () => entries.filter(e => e.category !== 'opening_balance');
+
+test('a credit moves the balance and records it with the balance after', async () => {
+    const { entry, duplicate } = await postEntry(driver._id, { category: 'delivery_earning', amount: 40, idempotencyKey: 'delivery:1' });
+
+    assert.equal(duplicate, false);
+    assert.equal(driver.walletBalance, 140);
+    assert.equal(driver.totalEarnings, 540);
+    assert.equal(entry.balanceAfter, 140);
+    assert.equal(entry.creditAccount, `driver:${driver._id}`);
+});
+
+test('the first posting records the balance the driver already had', async () => {
+    await postEntry(driver._id, { category: 'tip', amount: 10, idempotencyKey: 'tip:1' });
+
+    const opening = entries.find(e => e.category === 'opening_balance');
+    assert.equal(opening.amount, 100);
+    assert.equal(opening.balanceAfter, 100);
+});
+
+test('posting the same key again changes nothing', async () => {
+    await postEntry(driver._id, { category: 'delivery_earning', amount: 40, idempotencyKey: 'delivery:1' });
+    const retry = await postEntry(driver._id, { category: 'delivery_earning', amount: 40, idempotencyKey: 'delivery:1' });
+
+    assert.equal(retry.duplicate, true);
+    assert.equal(driver.walletBalance, 140);
+    assert.equal(posted().length, 1);
+});
+
+test('a debit larger than the balance is refused and never reaches the ledger', async () => {
+    await assert.rejects(
+        postEntry(driver._id, { category: 'withdrawal', amount: 150, idempotencyKey: 'withdrawal:1' }),
+        { name: 'WalletError', message: 'Insufficient wallet balance.' }
+    );
+
+    assert.equal(driver.walletBalance, 100);
+    assert.equal(posted().length, 0);
+});
+
+test('penalties may take the wallet below zero', async () => {
+    await postEntry(driver._id, { category: 'penalty', amount: 150, idempotencyKey: 'penalty:1' });
+
+    assert.equal(driver.walletBalance, -50);
+    assert.equal(posted()[0].debitAccount, `driver:${driver._id}`);
+});
+
+test('a concurrent retry that wrote the entry first is not applied twice', async () => {
+    // The other request writes its entry between our lookup and our insert
+    DriverWalletEntry.findOne.mock.mockImplementationOnce(async (filter) => {
+        entries.push({ driverId: driver._id, idempotencyKey: filter.idempotencyKey, category: 'tip', amount: 25 });
+        driver.walletBalance += 25;
+        return null;
+    });
+
+    const { duplicate } = await postEntry(driver._id, { category: 'tip', amount: 25, idempotencyKey: 'tip:order1' });
+
+    assert.equal(duplicate, true);
+    assert.equal(driver.walletBalance, 125);
+    assert.equal(posted().length, 1);
+});
+
+test('an idempotency key used for another driver is rejected', async () => {
+    entries.push({ driverId: new mongoose.Types.ObjectId(), idempotencyKey: 'shared', category: 'tip', amount: 5 });
+
+    await assert.rejects(
+        postEntry(driver._id, { category: 'tip', amount: 5, idempotencyKey: 'shared' }),
+        { statusCode: 409 }
+    );
+    assert.equal(driver.walletBalance, 100);
+});
@@ -0,0 +1,159 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const EmiApplication = require('../model/emiApplication');
+const EmiPlan = require('../model/emiPlan');
+const PenaltyLedger = require('../model/penaltyLedger');
+
+const { query, mockExports } = require('./helpers');
+
+// Settling an installment is emiCollectionService's job; here we only check what is settled
+const { markInstallmentPaid, cancelMandate } = mockExports(require('../services/emiCollectionService'), {
+    markInstallmentPaid: async () => ({}),
+    cancelMandate: async () => null
+});
+
+const { quoteRepayment, applyRepayment } = require('../services/emiRepaymentService');
+
+const NOW = new Date('2026-03-20T10:00:00');
+const plan = { _id: new mongoose.Types.ObjectId(), interestRate: 12, foreclosureChargePercent: 2 };
+
+// Four installments of ₹1000; the first is overdue with ₹50 in late fees,
+// the second falls due next
+function application(fields = {}) {
+    const interest = [100, 80, 60, 40];
+    return {
+        _id: new mongoose.Types.ObjectId(),
+        emiPlanId: plan._id,
+        status: 'active',
+        installments: interest.map((interestComponent, index) => ({
+            installmentNumber: index + 1,
+            dueDate: new Date(2026, 2 + index, 5),
+            amount: 1000,
+            principalComponent: 1000 - interestComponent,
+            interestComponent,
+            status: index === 0 ? 'overdue' : 'pending'
+        })),
+        ...fields
+    };
+}
+
+beforeEach((t) => {
+    markInstallmentPaid.mock.resetCalls();
+    cancelMandate.mock.resetCalls();
+    t.mock.method(EmiPlan, 'findById', () => query(plan));
+    t.mock.method(PenaltyLedger, 'find', async (filter) => filter.installmentNo.$in.includes(1)
+        ? [{ installmentNo: 1, calculatePenalty: () => 50 }]
+        : []);
+});
+
+test('a foreclosure rebates the interest on installments not yet started and adds the charge', async () => {
+    const quote = await quoteRepayment(application(), { type: 'foreclosure' }, NOW);
+
+    assert.deepEqual(quote.lines.map(line => [line.interestRebate, line.penalty, line.payable]), [
+        [0, 50, 1050],  // overdue: in full with its late fee
+        [0, 0, 1000],   // current period: in full
+        [60, 0, 940],
+        [40, 0, 960]
+    ]);
+    assert.equal(quote.outstandingPrincipal, 3720);
+    assert.equal(quote.interest, 180);
+    assert.equal(quote.interestRebate, 100);
+    assert.equal(quote.penalties, 50);
+    assert.equal(quote.foreclosureCharge, 38); // 2% of the 1900 principal prepaid
+    assert.equal(quote.totalPayable, 3988);
+    assert.equal(quote.validUntil.getDate(), NOW.getDate());
+});
+
+test('a prepayment pays the next installments with no foreclosure charge', async () => {
+    const quote = await quoteRepayment(application(), { type: 'prepayment', installments: 3 }, NOW);
+
+    assert.deepEqual(quote.lines.map(line => line.installmentNumber), [1, 2, 3]);
+    assert.equal(quote.foreclosureCharge, 0);
+    assert.equal(quote.totalPayable, 1050 + 1000 + 940);
+});
+
+test('a prepayment must leave at least one installment to foreclose', async () => {
+    await assert.rejects(
+        quoteRepayment(application(), { type: 'prepayment', installments: 4 }, NOW),
+        /Prepay between 1 and 3 installments/
+    );
+});
+
+test('nothing is quoted while an auto-debit is in flight', async () => {
+    const app = application();
+    app.installments[1].status = 'processing';
+
+    await assert.rejects(quoteRepayment(app, { type: 'foreclosure' }, NOW), { statusCode: 409 });
+});
+
+test('closed and fully paid EMIs cannot be repaid', async () => {
+    await assert.rejects(quoteRepayment(application({ status: 'completed' }), { type: 'foreclosure' }, NOW), /Cannot repay a completed EMI/);
+
+    const paid = application();
+    paid.installments.forEach(installment => { installment.status = 'paid'; });
+    await assert.rejects(quoteRepayment(paid, { type: 'foreclosure' }, NOW), /fully paid/);
+});
+
+// ------------------------------------------
+// applyRepayment
+// ------------------------------------------
+
+function pendingRepayment(applicationId, type, lines) {
+    const referenceId = `${applicationId}:repay:1700000000000`;
+    const pending = { type, referenceId, lines, amount: lines.reduce((total, line) => total + line.payable, 0) };
+    return { referenceId, claimed: { _id: applicationId, pendingRepayment: { toObject: () => pending } } };
+}
+
+test('a paid foreclosure settles every line, records it and cancels the mandate', async (t) => {
+    const applicationId = new mongoose.Types.ObjectId().toString();
+    const { referenceId, claimed } = pendingRepayment(applicationId, 'foreclosure', [
+        { installmentNumber: 1, payable: 1050 },
+        { installmentNumber: 2, payable: 1000 }
+    ]);
+    const claim = t.mock.method(EmiApplication, 'findOneAndUpdate', async () => claimed);
+    const record = t.mock.method(EmiApplication, 'updateOne', async () => ({}));
+
+    const result = await applyRepayment(referenceId, { transactionId: 'pay_1' });
+
+    assert.equal(result, 'applied');
+    assert.deepEqual(claim.mock.calls[0].arguments[0], { _id: applicationId, 'pendingRepayment.referenceId': referenceId });
+    assert.deepEqual(markInstallmentPaid.mock.calls.map(call => [call.arguments[1], call.arguments[2].amount]), [[1, 1050], [2, 1000]]);
+    const { repayments } = record.mock.calls[0].arguments[1].$push;
+    assert.equal(repayments.transactionId, 'pay_1');
+    assert.equal(repayments.excessAmount, 0);
+    assert.equal(cancelMandate.mock.callCount(), 1);
+});
+
+test('installments settled since the quote are recorded as excess to refund', async (t) => {
+    const applicationId = new mongoose.Types.ObjectId().toString();
+    const { referenceId, claimed } = pendingRepayment(applicationId, 'prepayment', [
+        { installmentNumber: 1, payable: 1050 },
+        { installmentNumber: 2, payable: 1000 }
+    ]);
+    t.mock.method(EmiApplication, 'findOneAndUpdate', async () => claimed);
+    const record = t.mock.method(EmiApplication, 'updateOne', async () => ({}));
+    // The auto-debit paid installment 1 in the meantime
+    markInstallmentPaid.mock.mockImplementationOnce(async () => null);
+    t.mock.method(console, 'error', () => {});
+
+    assert.equal(await applyRepayment(referenceId, { transactionId: 'pay_2' }), 'applied');
+
+    assert.equal(record.mock.calls[0].arguments[1].$push.repayments.excessAmount, 1050);
+    assert.equal(cancelMandate.mock.callCount(), 0);
+});
+
+test('a repayment reported twice is applied once', async (t) => {
+    const applicationId = new mongoose.Types.ObjectId().toString();
+    const referenceId = `${applicationId}:repay:1700000000000`;
+    t.mock.method(EmiApplication, 'findOneAndUpdate', async () => null);
+    const exists = t.mock.method(EmiApplication, 'exists', async () => ({ _id: applicationId }));
+
+    assert.equal(await applyRepayment(referenceId, { transactionId: 'pay_1' }), 'already applied');
+    assert.equal(markInstallmentPaid.mock.callCount(), 0);
+
+    exists.mock.mockImplementationOnce(async () => null);
+    t.mock.method(console, 'error', () => {});
+    assert.equal(await applyRepayment(referenceId, { transactionId: 'pay_1' }), 'unknown');
+});
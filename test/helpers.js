@@ -0,0 +1,32 @@
+const { mock } = require('node:test');
+
+/**
+ * Stand-in for a mongoose Query resolving to `value`: awaitable, with
+ * .select() and .lean() as no-ops, for mocking the model statics the
+ * services chain them on. .cursor() iterates `value` when it is a list.
+ */
+function query(value) {
+    return {
+        select: () => query(value),
+        lean: () => query(value),
+        cursor: async function* () { yield* value; },
+        then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+    };
+}
+
+/**
+ * Mock some of a module's exports for the rest of the test file.
+ *
+ * Services destructure their dependencies when first required, so this has
+ * to run before the service under test is required.
+ *
+ * @param {Object} exports - the module's exports, e.g. require('../services/stockService')
+ * @param {Object} implementations - export name → mock implementation
+ * @returns {Object} - export name → the mock function
+ */
+function mockExports(exports, implementations) {
+    return Object.fromEntries(Object.entries(implementations)
+        .map(([name, implementation]) => [name, mock.method(exports, name, implementation)]));
+}
+
+module.exports = { query, mockExports };
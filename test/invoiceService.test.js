@@ -0,0 +1,101 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Invoice = require('../model/invoice');
+const InvoiceCounter = require('../model/invoiceCounter');
+const User = require('../model/user');
+const Setting = require('../model/setting');
+const { financialYear, issueInvoice } = require('../services/invoiceService');
+const { query } = require('./helpers');
+
+const id = () => new mongoose.Types.ObjectId();
+const supplier = (state) => ({ _id: id(), name: 'Seller', supplierProfile: { storeName: 'Kala Store', pickupAddress: { state } } });
+const maharashtra = supplier('Maharashtra');
+const karnataka = supplier('Karnataka');
+
+// Invoices and counters as stored; create() enforces the one-invoice-per-order index
+let invoices;
+let counters;
+
+beforeEach((t) => {
+    invoices = [];
+    counters = new Map();
+    const suppliers = [maharashtra, karnataka];
+
+    t.mock.method(Invoice, 'findOne', async (filter) =>
+        invoices.find(doc => doc.orderId.equals(filter.orderId) && doc.type === filter.type) || null);
+    t.mock.method(Invoice, 'create', async (fields) => {
+        if (invoices.some(doc => doc.orderId.equals(fields.orderId) && doc.type === fields.type)) {
+            throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+        }
+        const doc = { ...fields, save: async () => doc };
+        invoices.push(doc);
+        return doc;
+    });
+    t.mock.method(InvoiceCounter, 'findOneAndUpdate', async (filter) => {
+        counters.set(filter.key, (counters.get(filter.key) || 0) + 1);
+        return { key: filter.key, seq: counters.get(filter.key) };
+    });
+    t.mock.method(User, 'findById', (supplierId) => query(suppliers.find(s => s._id.equals(supplierId)) || null));
+    t.mock.method(Setting, 'findOne', () => query(null));
+});
+
+function deliveredOrder(seller, fields = {}) {
+    return {
+        _id: id(),
+        userID: id(),
+        items: [{ _id: id(), productID: id(), productName: 'Kurta', quantity: 2, price: 590, gstRate: 18, supplierId: seller._id }],
+        shippingAddress: { name: 'Asha', street: '12 Hill Road', city: 'Mumbai', state: 'Maharashtra', postalCode: '400050' },
+        orderTotal: { discount: 0 },
+        ...fields
+    };
+}
+
+test('the financial year turns over at midnight IST on 1 April', () => {
+    assert.equal(financialYear(new Date('2026-03-31T18:29:00Z')), '25-26'); // 23:59 IST, 31 March
+    assert.equal(financialYear(new Date('2026-03-31T18:30:00Z')), '26-27'); // 00:00 IST, 1 April
+    assert.equal(financialYear(new Date('2099-12-31T00:00:00Z')), '99-00');
+});
+
+test('each seller numbers their invoices consecutively from 1', async () => {
+    const numbers = [];
+    for (const seller of [maharashtra, maharashtra, karnataka, maharashtra]) {
+        numbers.push((await issueInvoice(deliveredOrder(seller))).invoiceNumber);
+    }
+
+    const fy = financialYear();
+    assert.deepEqual(numbers, [`INV/${fy}/000001`, `INV/${fy}/000002`, `INV/${fy}/000001`, `INV/${fy}/000003`]);
+    assert.ok(numbers.every(number => number.length <= 16), 'GST caps invoice numbers at 16 characters');
+});
+
+test('invoicing an order again returns its invoice without using up a number', async () => {
+    const order = deliveredOrder(maharashtra);
+
+    const first = await issueInvoice(order);
+    const second = await issueInvoice(order);
+
+    assert.equal(invoices.length, 1);
+    assert.equal(first.invoiceNumber, second.invoiceNumber);
+    assert.equal([...counters.values()][0], 1);
+});
+
+test('a draft left unnumbered by a crash is numbered the next time', async () => {
+    const order = deliveredOrder(maharashtra);
+    const draft = { orderId: order._id, type: 'invoice', invoiceNumber: `DRAFT-${order._id}-1`, financialYear: financialYear(), supplierId: maharashtra._id, save: async () => draft };
+    invoices.push(draft);
+
+    const invoice = await issueInvoice(order);
+
+    assert.equal(invoice.invoiceNumber, `INV/${financialYear()}/000001`);
+});
+
+test('GST is split into CGST and SGST within the state, IGST across states', async () => {
+    const local = await issueInvoice(deliveredOrder(maharashtra));
+    const interState = await issueInvoice(deliveredOrder(karnataka));
+
+    assert.equal(local.supplyType, 'intra_state');
+    assert.deepEqual([local.taxableValue, local.cgst, local.sgst, local.igst], [1000, 90, 90, 0]);
+    assert.equal(interState.supplyType, 'inter_state');
+    assert.deepEqual([interState.taxableValue, interState.igst], [1000, 180]);
+});
@@ -0,0 +1,70 @@
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const CronLock = require('../model/cronLock');
+const { INSTANCE_ID, runWithLeaderLock } = require('../services/leaderLock');
+
+const MINUTE = 60 * 1000;
+const LOCK = { ttlMs: 10 * MINUTE, intervalMs: 5 * MINUTE };
+
+// One CronLock document, with just enough of findOneAndUpdate / updateOne for the lease queries
+let lock;
+const held = (filter) => filter.$or.some(condition =>
+    (condition.lockedUntil === null && lock.lockedUntil === null) ||
+    (condition.lockedUntil?.$lte && lock.lockedUntil && lock.lockedUntil <= condition.lockedUntil.$lte) ||
+    (condition.owner && condition.owner === lock.owner));
+
+beforeEach(() => {
+    lock = null;
+    mock.restoreAll();
+    mock.method(CronLock, 'findOneAndUpdate', async (filter, update) => {
+        if (lock && !held(filter)) {
+            throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+        }
+        lock = { name: filter.name, ...lock, ...update.$set };
+        return lock;
+    });
+    mock.method(CronLock, 'updateOne', async (filter, update) => {
+        if (lock && lock.owner === filter.owner) Object.assign(lock, update.$set);
+    });
+});
+
+test('runs the job and keeps the lease for the rest of the interval', async () => {
+    const startedAt = Date.now();
+    const { ran, result } = await runWithLeaderLock('job', LOCK, async () => 'done');
+
+    assert.equal(ran, true);
+    assert.equal(result, 'done');
+    assert.equal(lock.owner, INSTANCE_ID);
+    assert.ok(lock.lockedUntil.getTime() >= startedAt + LOCK.intervalMs);
+    assert.ok(lock.lastRunAt instanceof Date);
+});
+
+test('another instance whose tick fires after the run finished does not run it again', async () => {
+    await runWithLeaderLock('job', LOCK, async () => 'done');
+    // The same lease, as seen by a different instance
+    lock.owner = 'other-host:1:abcd';
+
+    const fn = mock.fn(async () => 'again');
+    const { ran } = await runWithLeaderLock('job', LOCK, fn);
+
+    assert.equal(ran, false);
+    assert.equal(fn.mock.callCount(), 0);
+});
+
+test('takes over once the holder\'s lease has run out', async () => {
+    lock = { name: 'job', owner: 'other-host:1:abcd', lockedUntil: new Date(Date.now() - 1000) };
+
+    const { ran } = await runWithLeaderLock('job', LOCK, async () => 'done');
+
+    assert.equal(ran, true);
+    assert.equal(lock.owner, INSTANCE_ID);
+});
+
+test('keeps the lease after a failed run', async () => {
+    await assert.rejects(runWithLeaderLock('job', LOCK, async () => {
+        throw new Error('boom');
+    }), /boom/);
+
+    assert.ok(lock.lockedUntil > new Date());
+});
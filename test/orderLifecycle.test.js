@@ -0,0 +1,135 @@
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Order = require('../model/order');
+const OrderHistory = require('../model/orderHistory');
+
+const { mockExports } = require('./helpers');
+
+// What a transition sets off, recorded rather than done
+const sideEffects = {
+    ...mockExports(require('../services/stockService'), { releaseStock: async () => {} }),
+    ...mockExports(require('../services/couponService'), { releaseCoupon: async () => {} }),
+    ...mockExports(require('../services/supplierLedgerService'), { recordDeliveredOrder: async () => {} }),
+    ...mockExports(require('../services/invoiceService'), { invoiceDeliveredOrder: async () => {} }),
+    ...mockExports(require('../services/notificationService'), { notifyUser: async () => {} })
+};
+const insertMany = mock.method(OrderHistory, 'insertMany', async () => []);
+
+const { transition, OrderTransitionError } = require('../services/orderLifecycle');
+
+let saves;
+
+function makeOrder(fields = {}) {
+    const order = new Order({
+        userID: new mongoose.Types.ObjectId(),
+        items: [{ productID: new mongoose.Types.ObjectId(), productName: 'Kurta', quantity: 1, price: 500 }],
+        totalPrice: 500,
+        orderStatus: 'pending',
+        deliveryStatus: 'PENDING',
+        ...fields
+    });
+    // Record what would be written instead of talking to MongoDB
+    order.save = async function () {
+        saves.push({ guard: this.$where, orderStatus: this.orderStatus, deliveryStatus: this.deliveryStatus });
+        return this;
+    };
+    return order;
+}
+
+beforeEach(() => {
+    saves = [];
+    for (const fn of [...Object.values(sideEffects), insertMany]) fn.mock.resetCalls();
+});
+
+test('a legal move is saved conditionally on the status it was read with', async () => {
+    const order = makeOrder({ orderStatus: 'processing' });
+    const actor = new mongoose.Types.ObjectId();
+
+    await transition(order, { orderStatus: 'accepted' }, { actor, role: 'supplier', reason: 'Accepted' });
+
+    assert.equal(order.orderStatus, 'accepted');
+    assert.deepEqual(saves[0].guard, { orderStatus: 'processing' });
+
+    const [entries] = insertMany.mock.calls[0].arguments;
+    assert.deepEqual(entries.map(({ field, from, to, actor: by, role }) => ({ field, from, to, by, role })), [
+        { field: 'orderStatus', from: 'processing', to: 'accepted', by: actor, role: 'supplier' }
+    ]);
+    assert.equal(sideEffects.notifyUser.mock.callCount(), 1);
+});
+
+test('an illegal move is refused before anything is written', async () => {
+    const order = makeOrder({ orderStatus: 'delivered' });
+
+    await assert.rejects(transition(order, { orderStatus: 'cancelled' }), OrderTransitionError);
+
+    assert.equal(order.orderStatus, 'delivered');
+    assert.equal(saves.length, 0);
+    assert.equal(insertMany.mock.callCount(), 0);
+});
+
+test('unknown statuses are refused', async () => {
+    await assert.rejects(transition(makeOrder(), { deliveryStatus: 'TELEPORTED' }), /not a valid deliveryStatus/);
+});
+
+test('a move that lost a race is reported and leaves the statuses as they were', async () => {
+    const order = makeOrder({ orderStatus: 'ready' });
+    order.save = async () => {
+        throw new mongoose.Error.DocumentNotFoundError('{}');
+    };
+
+    await assert.rejects(transition(order, { orderStatus: 'picked_up' }), /changed by someone else/);
+
+    assert.equal(order.orderStatus, 'ready');
+    assert.equal(insertMany.mock.callCount(), 0);
+    assert.equal(sideEffects.notifyUser.mock.callCount(), 0);
+});
+
+test('cancelling gives the stock and the coupon back', async () => {
+    const order = makeOrder();
+
+    await transition(order, { orderStatus: 'cancelled', deliveryStatus: 'CANCELLED' }, { role: 'user' });
+
+    assert.equal(sideEffects.releaseStock.mock.callCount(), 1);
+    assert.equal(sideEffects.releaseCoupon.mock.callCount(), 1);
+    assert.equal(insertMany.mock.calls[0].arguments[0].length, 2);
+});
+
+test('delivering records the supplier earnings and issues the invoice', async () => {
+    const order = makeOrder({ orderStatus: 'picked_up', deliveryStatus: 'OUT_FOR_DELIVERY' });
+
+    await transition(order, { orderStatus: 'delivered', deliveryStatus: 'DELIVERED' }, { role: 'driver' });
+
+    assert.equal(sideEffects.recordDeliveredOrder.mock.callCount(), 1);
+    assert.equal(sideEffects.invoiceDeliveredOrder.mock.callCount(), 1);
+    assert.equal(sideEffects.releaseStock.mock.callCount(), 0);
+});
+
+test('a failing side effect does not undo the status change', async () => {
+    const order = makeOrder();
+    sideEffects.releaseStock.mock.mockImplementationOnce(async () => {
+        throw new Error('stock service down');
+    });
+
+    await transition(order, { orderStatus: 'rejected' }, { role: 'supplier' });
+
+    assert.equal(order.orderStatus, 'rejected');
+    assert.equal(insertMany.mock.callCount(), 1);
+});
+
+test('a split parent order cannot be moved directly', async () => {
+    const order = makeOrder({ isParentOrder: true });
+
+    await assert.rejects(transition(order, { orderStatus: 'accepted' }), /Update its sub-orders instead/);
+    assert.equal(saves.length, 0);
+});
+
+test('staying on the same status writes no history', async () => {
+    const order = makeOrder({ orderStatus: 'preparing' });
+
+    await transition(order, { orderStatus: 'preparing' });
+
+    assert.equal(saves.length, 1);
+    assert.equal(insertMany.mock.callCount(), 0);
+});
@@ -0,0 +1,127 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+process.env.RAZORPAY_WEBHOOK_SECRET = 'whsec_test';
+
+const Order = require('../model/order');
+const PaymentWebhookEvent = require('../model/paymentWebhookEvent');
+const { mockExports } = require('./helpers');
+
+// The webhook only decides which payment state change to make
+const payments = mockExports(require('../services/paymentService'), {
+    markOrderPaid: async () => ({}),
+    recordPaymentFailure: async () => ({}),
+    markOrderFailed: async () => ({})
+});
+const { applyGatewayRefundStatus } = mockExports(require('../services/refundService'), {
+    applyGatewayRefundStatus: async () => ({})
+});
+
+const { handleRazorpayWebhook } = require('../controllers/paymentController');
+
+const order = { _id: new mongoose.Types.ObjectId(), razorpayOrderId: 'order_1', totalPrice: 499.5 };
+let events;
+
+beforeEach((t) => {
+    events = new Set();
+    for (const fn of [...Object.values(payments), applyGatewayRefundStatus]) fn.mock.resetCalls();
+    t.mock.method(Order, 'findOne', async (filter) => (filter.razorpayOrderId === order.razorpayOrderId ? order : null));
+    t.mock.method(PaymentWebhookEvent, 'create', async ({ eventId }) => {
+        if (events.has(eventId)) throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+        events.add(eventId);
+    });
+    t.mock.method(PaymentWebhookEvent, 'deleteOne', async ({ eventId }) => events.delete(eventId));
+});
+
+// Deliver an event the way Razorpay does: signed raw body, event id header
+async function deliver(body, { eventId = crypto.randomUUID(), secret = process.env.RAZORPAY_WEBHOOK_SECRET } = {}) {
+    const rawBody = Buffer.from(JSON.stringify(body));
+    const req = {
+        body,
+        rawBody,
+        headers: {
+            'x-razorpay-signature': crypto.createHmac('sha256', secret).update(rawBody).digest('hex'),
+            'x-razorpay-event-id': eventId
+        },
+        app: { get: () => null }
+    };
+    const res = {
+        statusCode: 200,
+        status(code) { this.statusCode = code; return this; },
+        json(payload) { this.body = payload; return this; }
+    };
+    await handleRazorpayWebhook(req, res);
+    return res;
+}
+
+const captured = (amount) => ({
+    event: 'payment.captured',
+    payload: { payment: { entity: { id: 'pay_1', order_id: 'order_1', amount } } }
+});
+
+test('a captured payment marks the order paid', async () => {
+    const res = await deliver(captured(49950));
+
+    assert.equal(res.statusCode, 200);
+    const [orderId, { razorpayPaymentId }] = payments.markOrderPaid.mock.calls[0].arguments;
+    assert.equal(orderId, order._id);
+    assert.equal(razorpayPaymentId, 'pay_1');
+});
+
+test('an event with a bad signature is refused', async () => {
+    const res = await deliver(captured(49950), { secret: 'someone_else' });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(payments.markOrderPaid.mock.callCount(), 0);
+});
+
+test('a redelivered event is handled once', async () => {
+    await deliver(captured(49950), { eventId: 'evt_1' });
+    const res = await deliver(captured(49950), { eventId: 'evt_1' });
+
+    assert.equal(res.body.message, 'Event already processed');
+    assert.equal(payments.markOrderPaid.mock.callCount(), 1);
+});
+
+test('a payment for less than the order total does not pay for it', async (t) => {
+    t.mock.method(console, 'error', () => {});
+
+    const res = await deliver(captured(49900));
+
+    assert.match(res.body.message, /amount mismatch/);
+    assert.equal(payments.markOrderPaid.mock.callCount(), 0);
+});
+
+test('a failed attempt is recorded but leaves the order open for a retry', async () => {
+    const res = await deliver({
+        event: 'payment.failed',
+        payload: { payment: { entity: { id: 'pay_2', order_id: 'order_1', error_code: 'BAD_REQUEST_ERROR', error_description: 'Card declined' } } }
+    });
+
+    assert.match(res.body.message, /failure recorded/);
+    const [, failure] = payments.recordPaymentFailure.mock.calls[0].arguments;
+    assert.deepEqual(failure, { razorpayPaymentId: 'pay_2', code: 'BAD_REQUEST_ERROR', description: 'Card declined' });
+    assert.equal(payments.markOrderFailed.mock.callCount(), 0);
+});
+
+test('refund events update the refund they are about', async () => {
+    const refund = { id: 'rfnd_1', payment_id: 'pay_1', amount: 49950 };
+
+    await deliver({ event: 'refund.failed', payload: { refund: { entity: refund } } });
+
+    assert.deepEqual(applyGatewayRefundStatus.mock.calls[0].arguments, [refund, 'failed']);
+});
+
+test('an event that fails to apply can be redelivered', async (t) => {
+    payments.markOrderPaid.mock.mockImplementationOnce(async () => { throw new Error('connection lost'); });
+    t.mock.method(console, 'error', () => {});
+
+    const failed = await deliver(captured(49950), { eventId: 'evt_2' });
+    const retried = await deliver(captured(49950), { eventId: 'evt_2' });
+
+    assert.equal(failed.statusCode, 500);
+    assert.equal(retried.statusCode, 200);
+    assert.equal(payments.markOrderPaid.mock.callCount(), 2);
+});
@@ -0,0 +1,171 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Product = require('../model/product');
+const SupplierProduct = require('../model/supplierProduct');
+const User = require('../model/user');
+const Address = require('../model/address');
+const Setting = require('../model/setting');
+
+const { query, mockExports } = require('./helpers');
+
+// Coupon rules are couponService's; a quote only applies the discount it returns
+const { validateCoupon } = mockExports(require('../services/couponService'), {
+    validateCoupon: async () => ({ discount: 0 })
+});
+
+const { buildQuote, PricingError } = require('../services/pricingService');
+
+const id = () => new mongoose.Types.ObjectId();
+const userId = id();
+
+// Supplier A picks up where the customer lives, supplier B about 2.5 km north
+const MUMBAI = { latitude: 19.076, longitude: 72.8777 };
+const supplierA = { _id: id(), supplierProfile: { pickupAddress: { ...MUMBAI } } };
+const supplierB = { _id: id(), supplierProfile: { pickupAddress: { latitude: MUMBAI.latitude + 0.0225, longitude: MUMBAI.longitude } } };
+
+const kurta = {
+    _id: id(), name: 'Kurta', price: 900, offerPrice: 750, packagingCharge: 10, supplierId: supplierA._id,
+    skus: [{ skuId: 'KURTA-XL', price: 800, attributes: { size: 'XL' } }]
+};
+const saree = { _id: id(), name: 'Saree', price: 2000, offerPrice: null, packagingCharge: 0, supplierId: supplierB._id, skus: [] };
+
+const settings = {
+    deliveryChargeWithin1km: 10, deliveryChargePerKm2to5: 9, deliveryChargeOver5km: 29,
+    handlingCharge: 5, razorpayFeePercent: 2
+};
+
+let savedAddress;
+
+// Mocked per test, so they are restored without touching validateCoupon
+beforeEach((t) => {
+    savedAddress = null;
+    validateCoupon.mock.resetCalls();
+    t.mock.method(Product, 'find', () => query([kurta, saree]));
+    t.mock.method(SupplierProduct, 'find', () => query([]));
+    t.mock.method(Setting, 'findOne', async () => settings);
+    t.mock.method(User, 'find', () => query([supplierA, supplierB]));
+    t.mock.method(Address, 'findOne', () => query(savedAddress));
+});
+
+const address = (fields = {}) => ({ street: '12 Hill Road', postalCode: '400050', city: 'Mumbai', ...fields });
+
+test('items are priced from the catalogue, whatever the client sent', async () => {
+    const quote = await buildQuote({
+        items: [
+            { productID: kurta._id, quantity: 2, price: 1 },
+            { productID: kurta._id, quantity: 1, variant: 'KURTA-XL', price: 1 }
+        ],
+        shippingAddress: address(MUMBAI),
+        userId
+    });
+
+    assert.deepEqual(quote.items.map(item => item.price), [750, 800]);
+    assert.equal(quote.subtotal, 2300);
+    assert.equal(quote.packagingCharge, 30);
+});
+
+test('each supplier pays for its own distance and the fees add up', async () => {
+    const quote = await buildQuote({
+        items: [{ productID: kurta._id, quantity: 1 }, { productID: saree._id, quantity: 1 }],
+        shippingAddress: address(MUMBAI),
+        userId
+    });
+
+    assert.deepEqual(quote.shippingCharges, {
+        [supplierA._id.toString()]: 10, // first km
+        [supplierB._id.toString()]: 28 // first km + 2 × 9
+    });
+    assert.equal(quote.shippingCharge, 38);
+    assert.equal(quote.handlingCharge, 5);
+
+    // 2% gateway fee on everything, plus 18% GST on that fee
+    const base = 2750 + 38 + 5 + 10;
+    assert.equal(quote.convenienceFee, Math.round(base * 0.02 * 1.18));
+    assert.equal(quote.total, base + quote.convenienceFee);
+});
+
+test('leaving coordinates off charges the furthest delivery', async () => {
+    const quote = await buildQuote({
+        items: [{ productID: kurta._id, quantity: 1 }],
+        shippingAddress: address(),
+        userId
+    });
+
+    // 10 km: first km + 4 × 9 + 5 × 29
+    assert.equal(quote.shippingCharge, 191);
+});
+
+test('coordinates are taken from the saved address when the client leaves them off', async () => {
+    savedAddress = { street: '12 hill road ', ...MUMBAI };
+
+    const quote = await buildQuote({
+        items: [{ productID: kurta._id, quantity: 1 }],
+        shippingAddress: address(),
+        userId
+    });
+
+    assert.equal(quote.shippingCharge, 10);
+    const [filter] = Address.findOne.mock.calls[0].arguments;
+    assert.equal(filter.userId, userId);
+    assert.equal(filter.pincode, '400050');
+});
+
+test('a saved address on another street is not used', async () => {
+    savedAddress = { street: '1 Beach Road', ...MUMBAI };
+
+    const quote = await buildQuote({
+        items: [{ productID: kurta._id, quantity: 1 }],
+        shippingAddress: address(),
+        userId
+    });
+
+    assert.equal(quote.shippingCharge, 191);
+});
+
+test('the coupon discount comes off the total', async () => {
+    validateCoupon.mock.mockImplementationOnce(async () => ({ discount: 100 }));
+
+    const withCoupon = await buildQuote({
+        items: [{ productID: saree._id, quantity: 1 }], shippingAddress: address(MUMBAI), couponCode: id().toString(), userId
+    });
+    const without = await buildQuote({
+        items: [{ productID: saree._id, quantity: 1 }], shippingAddress: address(MUMBAI), userId
+    });
+
+    assert.equal(withCoupon.discount, 100);
+    assert.equal(withCoupon.total, without.total - 100);
+    assert.equal(validateCoupon.mock.calls[0].arguments[0].subtotal, 2000);
+});
+
+test('unavailable products and bad quantities are refused', async () => {
+    await assert.rejects(
+        buildQuote({ items: [{ productID: id(), quantity: 1 }], shippingAddress: address(MUMBAI), userId }),
+        PricingError
+    );
+    await assert.rejects(
+        buildQuote({ items: [{ productID: kurta._id, quantity: 1.5 }], shippingAddress: address(MUMBAI), userId }),
+        /Invalid quantity/
+    );
+    for (const quantity of [0, 'two', undefined]) {
+        await assert.rejects(
+            buildQuote({ items: [{ productID: kurta._id, quantity }], shippingAddress: address(MUMBAI), userId }),
+            /Invalid quantity/
+        );
+    }
+    await assert.rejects(
+        buildQuote({ items: [{ productID: 'not-an-id', quantity: 1 }], shippingAddress: address(MUMBAI), userId }),
+        /no longer available/
+    );
+    await assert.rejects(buildQuote({ items: [], userId }), /At least one item/);
+});
+
+test('a database error is not passed off as an unavailable product', async (t) => {
+    t.mock.method(Product, 'find', () => Promise.reject(new Error('connection lost')));
+
+    await assert.rejects(
+        buildQuote({ items: [{ productID: kurta._id, quantity: 1 }], shippingAddress: address(MUMBAI), userId }),
+        /connection lost/
+    );
+});
@@ -0,0 +1,133 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+process.env.PUSH_PROVIDER = 'recording';
+
+const DeviceToken = require('../model/deviceToken');
+const Notification = require('../model/notification');
+const { query, mockExports } = require('./helpers');
+
+const optedOutUser = new mongoose.Types.ObjectId();
+mockExports(require('../services/notificationPreferenceService'), {
+    campaignExclusions: async () => ({ optedOut: [optedOutUser], quiet: [] })
+});
+
+const push = require('../services/pushService');
+const { sendCampaign } = require('../services/notificationCampaignService');
+
+// Registered devices, and the subset of DeviceToken filters the services build
+let devices;
+let deleted;
+
+const same = (a, b) => String(a) === String(b);
+function matches(device, filter) {
+    return Object.entries(filter).every(([field, condition]) => {
+        if (field === '$and') return condition.every(part => matches(device, part));
+        if (condition?.$in) return condition.$in.some(value => same(value, device[field]));
+        if (condition?.$nin) return !condition.$nin.some(value => same(value, device[field]));
+        return same(condition, device[field]);
+    });
+}
+
+function register(count, fields) {
+    for (let i = 0; i < count; i++) {
+        devices.push({ userId: new mongoose.Types.ObjectId(), role: 'user', token: `token_${devices.length}`, ...fields });
+    }
+}
+
+beforeEach((t) => {
+    devices = [];
+    deleted = [];
+    push.clearRecordedPushes();
+    t.mock.method(DeviceToken, 'find', (filter) => query(devices.filter(device => matches(device, filter))));
+    t.mock.method(DeviceToken, 'deleteMany', async (filter) => {
+        deleted.push(...filter.token.$in);
+    });
+});
+
+const message = { title: 'Diwali sale', body: 'Up to 40% off', data: { screen: 'home' } };
+
+test('a push reaches only the devices the filter matches', async () => {
+    register(2, { role: 'driver' });
+    register(3, { role: 'user' });
+
+    const result = await push.sendToDevices({ role: { $in: ['driver'] } }, message);
+
+    assert.equal(result.devices, 2);
+    const [recorded] = push.getRecordedPushes();
+    assert.deepEqual(recorded.tokens, ['token_0', 'token_1']);
+    assert.equal(recorded.title, 'Diwali sale');
+    assert.deepEqual(result.messageIds, [recorded.messageId]);
+});
+
+test('a user is pushed on every device they registered', async () => {
+    const userId = new mongoose.Types.ObjectId();
+    register(2, { userId });
+    register(1);
+
+    await push.sendToUser(userId, message);
+
+    assert.deepEqual(push.getRecordedPushes()[0].tokens, ['token_0', 'token_1']);
+});
+
+test('large audiences go out in batches of 1000', async () => {
+    register(2500);
+
+    const result = await push.sendToDevices({}, message);
+
+    assert.deepEqual(push.getRecordedPushes().map(p => p.tokens.length), [1000, 1000, 500]);
+    assert.equal(result.devices, 2500);
+    assert.equal(result.messageIds.length, 3);
+});
+
+test('tokens the provider rejects are deleted', async () => {
+    register(2);
+    devices.push({ userId: new mongoose.Types.ObjectId(), role: 'user', token: 'invalid_uninstalled' });
+
+    const result = await push.sendToDevices({}, message);
+
+    assert.equal(result.invalidTokens, 1);
+    assert.deepEqual(deleted, ['invalid_uninstalled']);
+});
+
+test('a failed batch is counted and the rest still go out', async (t) => {
+    let calls = 0;
+    push.registerPushProvider('flaky', {
+        async sendToDevices() {
+            if (++calls === 1) throw new Error('provider timeout');
+            return { messageId: `flaky_${calls}`, invalidTokens: [] };
+        }
+    });
+    process.env.PUSH_PROVIDER = 'flaky';
+    t.after(() => { process.env.PUSH_PROVIDER = 'recording'; });
+    t.mock.method(console, 'error', () => {});
+    register(1500);
+
+    const result = await push.sendToDevices({}, message);
+
+    assert.equal(result.failedBatches, 1);
+    assert.deepEqual(result.messageIds, ['flaky_2']);
+});
+
+test('a campaign skips users who opted out of promotions, unless it is mandatory', async (t) => {
+    register(2);
+    register(1, { userId: optedOutUser });
+
+    const campaign = (fields) => {
+        const doc = { _id: new mongoose.Types.ObjectId(), title: 'Sale', description: 'Now on', audience: { type: 'all' }, ...fields };
+        doc.save = async () => doc;
+        return doc;
+    };
+    const promotion = campaign({ mandatory: false });
+    const notice = campaign({ mandatory: true });
+    t.mock.method(Notification, 'findOneAndUpdate', async (filter) => [promotion, notice].find(c => same(c._id, filter._id)));
+    t.mock.method(console, 'log', () => {});
+
+    await sendCampaign(promotion._id);
+    await sendCampaign(notice._id);
+
+    assert.equal(promotion.status, 'sent');
+    assert.deepEqual(promotion.stats, { devices: 2, invalidTokens: 0, failedBatches: 0, optedOut: 1, quietHours: 0 });
+    assert.equal(notice.stats.devices, 3);
+});
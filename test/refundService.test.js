@@ -0,0 +1,159 @@
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Order = require('../model/order');
+
+const { query, mockExports } = require('./helpers');
+
+// Razorpay, and orders that aren't split
+const gateway = { refund: mock.fn(async (paymentId, { amount }) => ({ id: `rfnd_${amount}`, status: 'processed' })) };
+mockExports(require('../services/razorpayService'), { getRazorpay: () => ({ payments: gateway }) });
+mockExports(require('../services/orderSplitter'), {
+    getFulfilmentOrders: async (order) => [order],
+    syncSubOrders: async () => {}
+});
+const { recordRefunds } = mockExports(require('../services/supplierLedgerService'), { recordRefunds: async () => {} });
+
+const { refundOrder, applyGatewayRefundStatus, confirmManualRefund } = require('../services/refundService');
+
+// Orders as stored, by id; just enough of the Order queries refundService makes
+let stored;
+
+function storeOrder(fields) {
+    const order = { _id: new mongoose.Types.ObjectId(), userID: new mongoose.Types.ObjectId(), refundedAmount: 0, refunds: [], parentOrder: null, ...fields };
+    stored.set(order._id.toString(), order);
+    return { ...order };
+}
+
+beforeEach((t) => {
+    stored = new Map();
+    gateway.refund.mock.resetCalls();
+    recordRefunds.mock.resetCalls();
+
+    const find = (id) => stored.get(id.toString());
+    t.mock.method(Order, 'findById', async (id) => find(id) || null);
+    t.mock.method(Order, 'findOneAndUpdate', async (filter, update) => {
+        const order = find(filter._id);
+        if (!order || order.refundedAmount > filter.refundedAmount.$lte) return null;
+        order.refundedAmount += update.$inc.refundedAmount;
+        return { ...order };
+    });
+    t.mock.method(Order, 'updateOne', async (filter, update) => {
+        find(filter._id).refundedAmount += update.$inc.refundedAmount;
+    });
+    t.mock.method(Order, 'findByIdAndUpdate', async (id, update) => {
+        const order = find(id);
+        order.refunds.push(update.$push.refunds);
+        Object.assign(order, update.$set);
+        return { ...order };
+    });
+});
+
+const prepaid = (fields = {}) => storeOrder({
+    paymentMethod: 'prepaid', paymentStatus: 'paid', razorpayPaymentId: 'pay_1', totalPrice: 1000, ...fields
+});
+
+test('a full refund goes through the gateway in paise and marks the order refunded', async () => {
+    const order = prepaid();
+
+    const { order: updated, refund } = await refundOrder(order, { reason: 'Damaged' });
+
+    const [paymentId, { amount }] = gateway.refund.mock.calls[0].arguments;
+    assert.equal(paymentId, 'pay_1');
+    assert.equal(amount, 100000);
+    assert.equal(refund.status, 'processed');
+    assert.equal(updated.refundedAmount, 1000);
+    assert.equal(updated.paymentStatus, 'refunded');
+    assert.equal(recordRefunds.mock.callCount(), 1);
+});
+
+test('partial refunds can never add up to more than was paid', async () => {
+    const order = prepaid();
+
+    const first = await refundOrder(order, { amount: 600 });
+    assert.equal(first.order.paymentStatus, 'partially_refunded');
+
+    await assert.rejects(refundOrder(first.order, { amount: 500 }), /exceeds the refundable balance of ₹400/);
+    assert.equal(stored.get(order._id.toString()).refundedAmount, 600);
+    assert.equal(gateway.refund.mock.callCount(), 1);
+});
+
+test('a refund racing another one is refused before the gateway is called', async () => {
+    const order = prepaid();
+    // Someone else reserved 800 after we read the order
+    stored.get(order._id.toString()).refundedAmount = 800;
+
+    await assert.rejects(refundOrder(order, { amount: 500 }), { statusCode: 409 });
+    assert.equal(gateway.refund.mock.callCount(), 0);
+    assert.equal(stored.get(order._id.toString()).refundedAmount, 800);
+});
+
+test('a gateway failure gives the reserved amount back', async () => {
+    const order = prepaid();
+    gateway.refund.mock.mockImplementationOnce(async () => {
+        throw Object.assign(new Error('Bad request'), { error: { description: 'Payment already refunded' } });
+    });
+
+    await assert.rejects(refundOrder(order), { statusCode: 502, message: 'Refund failed: Payment already refunded' });
+    assert.equal(stored.get(order._id.toString()).refundedAmount, 0);
+    assert.equal(stored.get(order._id.toString()).refunds.length, 0);
+});
+
+test('COD refunds are manual payouts, pending until finance sends them', async () => {
+    const order = storeOrder({ paymentMethod: 'cod', paymentStatus: 'paid', totalPrice: 700, orderStatus: 'delivered' });
+
+    const { refund } = await refundOrder(order, { amount: 200 });
+
+    assert.equal(refund.method, 'manual');
+    assert.equal(refund.status, 'pending');
+    assert.equal(gateway.refund.mock.callCount(), 0);
+});
+
+test('a COD refund already paid out is recorded as processed', async () => {
+    const order = storeOrder({ paymentMethod: 'cod', paymentStatus: 'paid', totalPrice: 700, orderStatus: 'delivered' });
+
+    const { refund } = await refundOrder(order, { amount: 200, payoutReference: 'UTR123456' });
+
+    assert.equal(refund.status, 'processed');
+    assert.equal(refund.payoutReference, 'UTR123456');
+});
+
+test('nothing is refundable on undelivered COD orders', async () => {
+    const order = storeOrder({ paymentMethod: 'cod', paymentStatus: 'pending', totalPrice: 700, orderStatus: 'shipped' });
+
+    await assert.rejects(refundOrder(order), /Nothing left to refund/);
+});
+
+test('a pending manual refund is confirmed on the parent order, once', async (t) => {
+    const parentId = new mongoose.Types.ObjectId();
+    const refundId = new mongoose.Types.ObjectId();
+    const confirm = t.mock.method(Order, 'findOneAndUpdate', async () => ({ _id: parentId }));
+
+    await confirmManualRefund({ _id: new mongoose.Types.ObjectId(), parentOrder: parentId }, refundId, 'UTR123456');
+
+    const [filter, update] = confirm.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: parentId, refunds: { $elemMatch: { _id: refundId, method: 'manual', status: 'pending' } } });
+    assert.equal(update.$set['refunds.$.payoutReference'], 'UTR123456');
+
+    // Already confirmed: the conditional update matches nothing
+    confirm.mock.mockImplementation(async () => null);
+    t.mock.method(Order, 'findById', () => query({ refunds: { id: () => ({ method: 'manual', status: 'processed' }) } }));
+    await assert.rejects(confirmManualRefund({ _id: parentId }, refundId, 'UTR123456'), { statusCode: 409 });
+});
+
+test('a refund the gateway later fails no longer counts as refunded', async (t) => {
+    const order = {
+        ...prepaid({ refundedAmount: 1000, paymentStatus: 'refunded' }),
+        refunds: [{ refundId: 'rfnd_1', amount: 1000, status: 'pending' }],
+        save: mock.fn(async () => {})
+    };
+    t.mock.method(Order, 'findOne', async () => order);
+
+    await applyGatewayRefundStatus({ id: 'rfnd_1', payment_id: 'pay_1', amount: 100000 }, 'failed');
+
+    assert.equal(order.refundedAmount, 0);
+    assert.equal(order.paymentStatus, 'paid');
+    assert.equal(order.refunds[0].status, 'failed');
+    assert.equal(order.save.mock.callCount(), 1);
+});
@@ -108,6 +108,29 @@ const storageProofOfDelivery = new CloudinaryStorage({
 
 const uploadProofOfDelivery = multer({ storage: storageProofOfDelivery, limits: { fileSize: 10 * 1024 * 1024 } });
 
+// KYC Storage: identity documents are private ('authenticated') and are only
+// shown through short-lived signed URLs (see kycDocumentUrl)
+const storageKyc = new CloudinaryStorage({
+  cloudinary: cloudinary,
+  params: {
+    folder: 'asbrand/kyc',
+    type: 'authenticated',
+    allowed_formats: ['jpg', 'png', 'jpeg', 'pdf'],
+  },
+});
+
+const uploadKyc = multer({ storage: storageKyc, limits: { fileSize: 10 * 1024 * 1024 } });
+
+// Signed, expiring link to a private KYC document
+const kycDocumentUrl = (file, expiresInSeconds = 10 * 60) => {
+  if (!file?.publicId) return null;
+  return cloudinary.utils.private_download_url(file.publicId, file.format, {
+    type: 'authenticated',
+    resource_type: file.resourceType || 'image',
+    expires_at: Math.floor(Date.now() / 1000) + expiresInSeconds
+  });
+};
+
 module.exports = {
   uploadCategory,
   uploadProduct,
@@ -116,4 +139,6 @@ module.exports = {
   uploadDocument,
   uploadDriverPhoto,
   uploadProofOfDelivery,
+  uploadKyc,
+  kycDocumentUrl,
 };
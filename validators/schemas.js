@@ -84,16 +84,14 @@ const verifyOtpSchema = Joi.object({
 // ==================== ORDER SCHEMAS ====================
 
 const createOrderSchema = Joi.object({
-    orderStatus: Joi.string()
-        .valid('pending', 'processing', 'shipped', 'delivered', 'cancelled')
-        .default('pending'),
     items: Joi.array()
         .items(Joi.object({
             productID: Joi.string().required(),
             supplierId: Joi.string().required(),
-            productName: Joi.string().required(),
+            // Name and price are looked up from the catalogue; client values are ignored
+            productName: Joi.string(),
             quantity: Joi.number().integer().min(1).required(),
-            price: Joi.number().positive().required(),
+            price: Joi.number().positive(),
             variant: Joi.string().allow('', null)
         }))
         .min(1)
@@ -103,15 +101,17 @@ const createOrderSchema = Joi.object({
             'any.required': 'Items are required'
         }),
     totalPrice: Joi.number()
-        .positive()
-        .required(),
+        .positive(),
     shippingAddress: Joi.object({
         phone: Joi.string().required(),
         street: Joi.string().required(),
         city: Joi.string().required(),
         state: Joi.string().required(),
         postalCode: Joi.string().required(),
-        country: Joi.string().default('India')
+        country: Joi.string().default('India'),
+        name: Joi.string().allow('', null),
+        latitude: Joi.number(),
+        longitude: Joi.number()
     }).required(),
     paymentMethod: Joi.string()
         .valid('cod', 'prepaid')
@@ -121,9 +121,8 @@ const createOrderSchema = Joi.object({
         subtotal: Joi.number().required(),
         discount: Joi.number().default(0),
         total: Joi.number().required()
-    }).required(),
-    trackingUrl: Joi.string().uri().allow('', null),
-    shippingCharge: Joi.number().default(49)
+    }),
+    trackingUrl: Joi.string().uri().allow('', null)
 });
 
 const updateOrderSchema = Joi.object({
@@ -148,6 +147,7 @@ const createEmiPlanSchema = Joi.object({
         }),
     interestRate: Joi.number().min(0).default(0),
     processingFee: Joi.number().min(0).default(0),
+    foreclosureChargePercent: Joi.number().min(0).max(100).default(0),
     minOrderAmount: Joi.number().positive().required(),
     maxOrderAmount: Joi.number().positive().allow(null),
     isActive: Joi.boolean().default(true),
@@ -178,11 +178,33 @@ const applyEmiSchema = Joi.object({
         })
 });
 
+// Checkout result for a manual installment payment; verified with the gateway
 const payInstallmentSchema = Joi.object({
-    transactionId: Joi.string().required(),
-    paymentMethod: Joi.string()
-        .valid('upi', 'card', 'netbanking', 'wallet')
-        .required()
+    orderId: Joi.string().required(),
+    paymentId: Joi.string().required(),
+    signature: Joi.string().required()
+});
+
+// Pay several installments at once: the next `installments`, or all of them (foreclosure)
+const emiRepaymentSchema = Joi.object({
+    type: Joi.string().valid('prepayment', 'foreclosure').default('foreclosure'),
+    installments: Joi.number().integer().min(1).when('type', {
+        is: 'prepayment',
+        then: Joi.required()
+    })
+});
+
+// Replace a loan's unpaid installments with a new schedule (admin)
+const restructureEmiSchema = Joi.object({
+    tenure: Joi.number().integer().min(1).max(60).required(),
+    interestRate: Joi.number().min(0).max(60),
+    waivePenalties: Joi.boolean().default(false),
+    reason: Joi.string().trim().max(500).required()
+});
+
+// Run the payment reminder job as of `date` without sending or saving anything
+const reminderDryRunSchema = Joi.object({
+    date: Joi.date().iso().default(() => new Date())
 });
 
 // ==================== KYC SCHEMAS ====================
@@ -219,14 +241,19 @@ const submitKycSchema = Joi.object({
     })
 });
 
+// Admin KYC review queue
+const kycQueueQuerySchema = Joi.object({
+    autoCheckStatus: Joi.string().valid('passed', 'failed', 'needs_review'),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
 const verifyKycSchema = Joi.object({
     status: Joi.string()
         .valid('verified', 'rejected')
         .required(),
-    creditLimit: Joi.number().positive().when('status', {
-        is: 'verified',
-        then: Joi.required()
-    }),
+    // Overrides the computed credit limit; null goes back to the computed one
+    creditLimit: Joi.number().positive().allow(null),
     rejectionReason: Joi.string().when('status', {
         is: 'rejected',
         then: Joi.required()
@@ -271,6 +298,239 @@ const updateReviewSchema = Joi.object({
     comment: Joi.string().max(1000).allow('', null)
 });
 
+// ==================== DRIVER WALLET SCHEMAS ====================
+
+const walletStatementQuerySchema = Joi.object({
+    from: Joi.date().iso(),
+    to: Joi.date().iso().min(Joi.ref('from')),
+    category: Joi.string().valid(
+        'opening_balance', 'delivery_earning', 'tip', 'incentive', 'withdrawal_reversal',
+        'withdrawal', 'penalty', 'subscription_fee', 'adjustment'
+    ),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(200).default(50)
+});
+
+const supplierLedgerQuerySchema = Joi.object({
+    from: Joi.date().iso(),
+    to: Joi.date().iso().min(Joi.ref('from')),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(200).default(50)
+});
+
+const walletEntrySchema = Joi.object({
+    category: Joi.string()
+        .valid('tip', 'incentive', 'penalty', 'subscription_fee', 'adjustment')
+        .required(),
+    type: Joi.string().valid('credit', 'debit').when('category', {
+        is: 'adjustment',
+        then: Joi.required()
+    }),
+    amount: Joi.number().positive().required(),
+    description: Joi.string().max(300).allow('', null),
+    orderId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/)
+        .messages({ 'string.pattern.base': 'Invalid order ID' }),
+    // Caller's reference (e.g. incentive campaign id); reusing it makes the post a no-op
+    reference: Joi.string().max(100)
+});
+
+const withdrawalListQuerySchema = Joi.object({
+    status: Joi.string().valid('pending', 'processing', 'completed', 'failed', 'rejected'),
+    driverId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/)
+        .messages({ 'string.pattern.base': 'Invalid driver ID' }),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(200).default(20)
+});
+
+const rejectWithdrawalSchema = Joi.object({
+    reason: Joi.string().max(300).required()
+});
+
+// Outcome of a manual bank transfer: the UTR if it went through, else why not
+const manualPayoutSchema = Joi.object({
+    utr: Joi.string().trim().alphanum().min(6).max(30),
+    failureReason: Joi.string().max(300)
+}).xor('utr', 'failureReason');
+
+const bulkWithdrawalSchema = Joi.object({
+    withdrawalIds: Joi.array()
+        .items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/).messages({ 'string.pattern.base': 'Invalid withdrawal ID' }))
+        .min(1)
+        .max(100)
+        .unique()
+        .required()
+});
+
+// ==================== DRIVER DOCUMENT SCHEMAS ====================
+
+// Multipart form: any subset of documents can be (re)submitted
+const driverDocumentsSchema = Joi.object({
+    dlNumber: Joi.string().trim().uppercase().max(20),
+    rcNumber: Joi.string().trim().uppercase().max(15),
+    panNumber: Joi.string().trim().uppercase()
+        .pattern(/^[A-Z]{5}[0-9]{4}[A-Z]{1}$/)
+        .messages({
+            'string.pattern.base': 'Invalid PAN format. Example: ABCDE1234F'
+        }),
+    aadhaarNumber: Joi.string()
+        .pattern(/^\d{12}$/)
+        .messages({
+            'string.pattern.base': 'Aadhaar must be 12 digits'
+        }),
+    dlExpiry: Joi.date().iso(),
+    rcExpiry: Joi.date().iso()
+});
+
+const driverDocumentReviewSchema = Joi.object({
+    status: Joi.string().valid('verified', 'failed').required(),
+    expiresAt: Joi.date().iso().allow(null),
+    message: Joi.string().max(300).when('status', {
+        is: 'failed',
+        then: Joi.required()
+    })
+});
+
+// ==================== COMMISSION RULE SCHEMAS ====================
+
+const objectId = (label) => Joi.string().pattern(/^[0-9a-fA-F]{24}$/)
+    .messages({ 'string.pattern.base': `Invalid ${label} ID` });
+
+const commissionRuleSchema = Joi.object({
+    name: Joi.string().trim().max(100).required(),
+    categoryId: objectId('category').allow(null),
+    subCategoryId: objectId('sub-category').allow(null),
+    brandId: objectId('brand').allow(null),
+    supplierId: objectId('supplier').allow(null),
+    commissionType: Joi.string().valid('percentage', 'flat').required(),
+    value: Joi.number().min(0).required()
+        .when('commissionType', { is: 'percentage', then: Joi.number().max(100) }),
+    effectiveFrom: Joi.date().iso(),
+    effectiveTo: Joi.date().iso().allow(null)
+        .when('effectiveFrom', { is: Joi.exist(), then: Joi.date().greater(Joi.ref('effectiveFrom')) }),
+    priority: Joi.number().integer().default(0),
+    notes: Joi.string().max(300).allow('', null)
+});
+
+const updateCommissionRuleSchema = Joi.object({
+    name: Joi.string().trim().max(100),
+    categoryId: objectId('category').allow(null),
+    subCategoryId: objectId('sub-category').allow(null),
+    brandId: objectId('brand').allow(null),
+    supplierId: objectId('supplier').allow(null),
+    commissionType: Joi.string().valid('percentage', 'flat'),
+    value: Joi.number().min(0),
+    effectiveFrom: Joi.date().iso(),
+    effectiveTo: Joi.date().iso().allow(null),
+    priority: Joi.number().integer(),
+    isActive: Joi.boolean(),
+    notes: Joi.string().max(300).allow('', null)
+}).min(1);
+
+const commissionRuleQuerySchema = Joi.object({
+    supplierId: objectId('supplier'),
+    categoryId: objectId('category'),
+    brandId: objectId('brand'),
+    activeOn: Joi.date().iso(),
+    includeInactive: Joi.boolean().default(false)
+});
+
+const commissionPreviewSchema = Joi.object({
+    productID: objectId('product').required(),
+    supplierId: objectId('supplier'),
+    price: Joi.number().positive().required(),
+    quantity: Joi.number().integer().min(1).default(1),
+    at: Joi.date().iso()
+});
+
+// ==================== NOTIFICATION SCHEMAS ====================
+
+const NOTIFICATION_CATEGORIES = ['order', 'emi', 'account', 'promotion', 'system'];
+
+const notificationInboxQuerySchema = Joi.object({
+    category: Joi.string().valid(...NOTIFICATION_CATEGORIES),
+    unread: Joi.boolean(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const markAllNotificationsReadSchema = Joi.object({
+    category: Joi.string().valid(...NOTIFICATION_CATEGORIES)
+});
+
+const registerDeviceSchema = Joi.object({
+    token: Joi.string().trim().max(500).required(),
+    platform: Joi.string().valid('android', 'ios', 'web').required()
+});
+
+// Who a push campaign goes to; each type takes only its own list
+const notificationAudienceSchema = Joi.object({
+    type: Joi.string().valid('all', 'users', 'roles', 'cities', 'segment').default('all'),
+    userIds: Joi.array().items(objectId('user')).min(1).max(10000).unique()
+        .when('type', { is: 'users', then: Joi.required(), otherwise: Joi.forbidden() }),
+    roles: Joi.array().items(Joi.string().valid('user', 'supplier', 'admin', 'driver')).min(1).unique()
+        .when('type', { is: 'roles', then: Joi.required(), otherwise: Joi.forbidden() }),
+    cities: Joi.array().items(Joi.string().trim().min(1).max(100)).min(1).max(50)
+        .when('type', { is: 'cities', then: Joi.required(), otherwise: Joi.forbidden() }),
+    segmentId: objectId('segment')
+        .when('type', { is: 'segment', then: Joi.required(), otherwise: Joi.forbidden() })
+});
+
+const sendNotificationSchema = Joi.object({
+    title: Joi.string().trim().max(100).required(),
+    description: Joi.string().trim().max(500).required(),
+    imageUrl: Joi.string().uri().allow('', null),
+    data: Joi.object(),
+    audience: notificationAudienceSchema.default({ type: 'all' }),
+    // Regulatory notices: ignore preferences and quiet hours
+    mandatory: Joi.boolean().default(false),
+    // Omit (or pass a past time) to send straight away
+    scheduledAt: Joi.date().iso()
+});
+
+const notificationSegmentSchema = Joi.object({
+    name: Joi.string().trim().max(100).required(),
+    description: Joi.string().trim().max(300).allow('', null),
+    criteria: Joi.object({
+        minOrders: Joi.number().integer().min(1),
+        maxOrders: Joi.number().integer().min(Joi.ref('minOrders')).allow(null),
+        minSpend: Joi.number().min(0).allow(null),
+        maxSpend: Joi.number().min(Joi.ref('minSpend')).allow(null),
+        orderedWithinDays: Joi.number().integer().min(1).allow(null),
+        inactiveForDays: Joi.number().integer().min(1).allow(null),
+        city: Joi.string().trim().max(100).allow(null)
+    }).min(1).required()
+});
+
+const channelPreferencesSchema = Joi.object({
+    push: Joi.boolean(),
+    sms: Joi.boolean(),
+    whatsapp: Joi.boolean(),
+    email: Joi.boolean()
+}).min(1);
+
+const HHMM = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const notificationPreferencesSchema = Joi.object({
+    categories: Joi.object({
+        order: channelPreferencesSchema,
+        emi: channelPreferencesSchema,
+        promotion: channelPreferencesSchema
+    }).min(1),
+    quietHours: Joi.object({
+        enabled: Joi.boolean(),
+        start: Joi.string().pattern(HHMM).messages({ 'string.pattern.base': 'start must be HH:mm' }),
+        end: Joi.string().pattern(HHMM).messages({ 'string.pattern.base': 'end must be HH:mm' }),
+        timezone: Joi.string().custom((value, helpers) => {
+            try {
+                new Intl.DateTimeFormat('en', { timeZone: value });
+                return value;
+            } catch (error) {
+                return helpers.error('any.invalid');
+            }
+        }).messages({ 'any.invalid': 'Unknown timezone' })
+    }).min(1)
+}).min(1);
+
 // ==================== COMMON SCHEMAS ====================
 
 const mongoIdSchema = Joi.object({
@@ -306,14 +566,42 @@ module.exports = {
     createEmiPlanSchema,
     applyEmiSchema,
     payInstallmentSchema,
+    emiRepaymentSchema,
+    restructureEmiSchema,
+    reminderDryRunSchema,
     // KYC
     submitKycSchema,
     verifyKycSchema,
+    kycQueueQuerySchema,
     // Payment
     stripePaymentSchema,
     // Reviews
     createReviewSchema,
     updateReviewSchema,
+    // Driver wallet
+    walletStatementQuerySchema,
+    walletEntrySchema,
+    supplierLedgerQuerySchema,
+    withdrawalListQuerySchema,
+    rejectWithdrawalSchema,
+    manualPayoutSchema,
+    bulkWithdrawalSchema,
+    // Driver documents
+    driverDocumentsSchema,
+    driverDocumentReviewSchema,
+    // Commission rules
+    commissionRuleSchema,
+    updateCommissionRuleSchema,
+    commissionRuleQuerySchema,
+    commissionPreviewSchema,
+    // Notifications
+    notificationInboxQuerySchema,
+    markAllNotificationsReadSchema,
+    registerDeviceSchema,
+    notificationAudienceSchema,
+    sendNotificationSchema,
+    notificationSegmentSchema,
+    notificationPreferencesSchema,
     // Common
     mongoIdSchema
 };